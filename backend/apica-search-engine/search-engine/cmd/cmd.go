@@ -4,6 +4,7 @@ import (
 	"log"
 	"os"
 	"strings"
+	"time"
 
 	"github.com/spf13/cobra"
 	"github.com/spf13/viper"
@@ -15,24 +16,77 @@ const defaultConfig = ".search-engine"
 
 // config parameters
 const (
-	configListenAddress = "listen-address"
-	configParquetPath   = "parquet-path"
+	configListenAddress     = "listen-address"
+	configParquetPath       = "parquet-path"
+	configWatchInterval     = "watch-interval"
+	configSavedSearchesPath = "saved-searches-path"
+	configIndexPath         = "index-path"
+	configSchema            = "schema"
+	configAlertsPath        = "alerts-path"
+	configAlertInterval     = "alert-interval"
+	configAlertWebhookURL   = "alert-webhook-url"
+	configAlertWebhooks     = "alert-webhooks"
+	configAnalyzer          = "analyzer"
+	configAdminToken        = "admin-token"
 )
 
 var myViper = viper.New()
 
 func getConfig() *server.Config {
 	return &server.Config{
-		ListenAddress: myViper.GetString(configListenAddress),
-		ParquetPath:   myViper.GetString(configParquetPath),
+		ListenAddress:     myViper.GetString(configListenAddress),
+		ParquetPath:       myViper.GetString(configParquetPath),
+		WatchInterval:     myViper.GetDuration(configWatchInterval),
+		SavedSearchesPath: myViper.GetString(configSavedSearchesPath),
+		IndexPath:         myViper.GetString(configIndexPath),
+		Schema:            getSchema(),
+		Analyzer:          getAnalyzer(),
+		AlertsPath:        myViper.GetString(configAlertsPath),
+		AlertInterval:     myViper.GetDuration(configAlertInterval),
+		AlertWebhookURL:   myViper.GetString(configAlertWebhookURL),
+		AlertWebhooks:     myViper.GetStringSlice(configAlertWebhooks),
+		AdminToken:        myViper.GetString(configAdminToken),
 	}
 }
 
+// getSchema reads the schema mapping from the config file, nil when it has
+// none so the default fluentd layout is used
+func getSchema() *server.Schema {
+	if !myViper.IsSet(configSchema) {
+		return nil
+	}
+	schema := &server.Schema{}
+	if err := myViper.UnmarshalKey(configSchema, schema); err != nil {
+		log.Printf("Could not read schema mapping: %v", err)
+		os.Exit(1)
+	}
+	return schema
+}
+
+// getAnalyzer reads the analyzer options from the config file, nil when it
+// has none so the default analyzer is used
+func getAnalyzer() *server.Analyzer {
+	if !myViper.IsSet(configAnalyzer) {
+		return nil
+	}
+	analyzer := &server.Analyzer{}
+	if err := myViper.UnmarshalKey(configAnalyzer, analyzer); err != nil {
+		log.Printf("Could not read analyzer options: %v", err)
+		os.Exit(1)
+	}
+	return analyzer
+}
+
 // DefaultConfig returns default configuration values
 func DefaultConfig() *server.Config {
 	return &server.Config{
-		ListenAddress: ":8080",
-		ParquetPath:   "C:\\Projects\\the-mail\\apica-search-engine\\docs",
+		ListenAddress:     ":8080",
+		ParquetPath:       "C:\\Projects\\the-mail\\apica-search-engine\\docs",
+		WatchInterval:     10 * time.Second,
+		SavedSearchesPath: "saved-searches.json",
+		IndexPath:         "search-index.gob",
+		AlertsPath:        "alerts.json",
+		AlertInterval:     time.Minute,
 	}
 }
 
@@ -85,6 +139,13 @@ func Execute() {
 	}{
 		{configListenAddress, defaultConfig.ListenAddress, "Listen address"},
 		{configParquetPath, defaultConfig.ParquetPath, "Parquet path"},
+		{configWatchInterval, defaultConfig.WatchInterval.String(), "Interval for polling the parquet path for new files (0 disables)"},
+		{configSavedSearchesPath, defaultConfig.SavedSearchesPath, "JSON file saved searches are stored in"},
+		{configIndexPath, defaultConfig.IndexPath, "File the index is snapshotted to and restored from on startup (empty disables)"},
+		{configAlertsPath, defaultConfig.AlertsPath, "JSON file alert rules and their history are stored in"},
+		{configAlertInterval, defaultConfig.AlertInterval.String(), "Interval for evaluating alert rules (0 disables)"},
+		{configAlertWebhookURL, defaultConfig.AlertWebhookURL, "URL alert events are posted to, unless their rule has its own webhook"},
+		{configAdminToken, defaultConfig.AdminToken, "Bearer token required by the admin routes that upload and delete parquet files (empty disables them)"},
 	}
 
 	for _, arg := range stringArgs {
@@ -92,6 +153,9 @@ func Execute() {
 		bindViper(arg.flag)
 	}
 
+	RootCmd.PersistentFlags().StringSlice(configAlertWebhooks, nil, "Other URLs alert rules may post their events to (comma separated)")
+	bindViper(configAlertWebhooks)
+
 	if err := RootCmd.Execute(); err != nil {
 		log.Printf("command error: %v", err)
 		os.Exit(-1)
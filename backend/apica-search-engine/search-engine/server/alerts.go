@@ -0,0 +1,662 @@
+package server
+
+import (
+	"bytes"
+	"context"
+	"encoding/json"
+	"errors"
+	"fmt"
+	"net/http"
+	"net/url"
+	"os"
+	"path/filepath"
+	"sort"
+	"strings"
+	"sync"
+	"time"
+)
+
+// Conditions of an alert rule on the number of matches in its window
+const (
+	AlertAbove = "above" // More than the threshold
+	AlertBelow = "below" // Fewer than the threshold
+)
+
+// States of an alert rule
+const (
+	AlertPending = "pending" // Not evaluated since it was created or changed
+	AlertOK      = "ok"
+	AlertFiring  = "firing"
+	AlertError   = "error" // The query no longer parses, e.g. after a schema change
+)
+
+// Statuses of alert events
+const (
+	AlertEventFiring   = "firing"
+	AlertEventResolved = "resolved"
+)
+
+const (
+	maxAlertHistory = 500 // Events kept, oldest dropped first
+	webhookTimeout  = 10 * time.Second
+)
+
+var (
+	errAlertRuleNotFound = errors.New("alert rule not found")
+	errInvalidAlertRule  = errors.New("invalid alert rule")
+)
+
+// AlertRule fires when the number of documents matching its query in the
+// last Window is above (or below) Threshold, e.g. more than 50 matches of
+// level:ERROR namespace:payments timeout in 5m. The query uses the syntax of
+// /api/search.
+type AlertRule struct {
+	ID        string    `json:"id"`
+	Name      string    `json:"name"`
+	Query     string    `json:"query"`
+	Condition string    `json:"condition"` // above (default) or below
+	Threshold int       `json:"threshold"`
+	Window    string    `json:"window"`            // Duration such as 5m or 1h
+	Webhook   string    `json:"webhook,omitempty"` // One of the server's webhooks, notified instead of its default
+	Enabled   bool      `json:"enabled"`
+	CreatedAt time.Time `json:"createdAt"`
+	UpdatedAt time.Time `json:"updatedAt"`
+
+	// Outcome of the last evaluation, kept by the server
+	State         string     `json:"state"`
+	LastCount     int        `json:"lastCount"`
+	LastEvaluated *time.Time `json:"lastEvaluated,omitempty"`
+	LastError     string     `json:"lastError,omitempty"`
+}
+
+// validate checks a rule sent by a client and fills in the defaults
+func (r *AlertRule) validate() error {
+	r.Name = strings.TrimSpace(r.Name)
+	if r.Name == "" {
+		return fmt.Errorf("%w: missing name", errInvalidAlertRule)
+	}
+	if strings.TrimSpace(r.Query) == "" {
+		return fmt.Errorf("%w: missing query", errInvalidAlertRule)
+	}
+	if _, err := ParseQuery(r.Query); err != nil {
+		return fmt.Errorf("%w: %v", errInvalidAlertRule, err)
+	}
+	if r.Condition == "" {
+		r.Condition = AlertAbove
+	}
+	if r.Condition != AlertAbove && r.Condition != AlertBelow {
+		return fmt.Errorf("%w: unknown condition '%s', expected above or below", errInvalidAlertRule, r.Condition)
+	}
+	if r.Threshold < 0 {
+		return fmt.Errorf("%w: negative threshold", errInvalidAlertRule)
+	}
+	if window, err := time.ParseDuration(r.Window); err != nil || window <= 0 {
+		return fmt.Errorf("%w: invalid window '%s', expected a duration such as 5m", errInvalidAlertRule, r.Window)
+	}
+	if r.Webhook != "" {
+		if u, err := url.Parse(r.Webhook); err != nil || (u.Scheme != "http" && u.Scheme != "https") || u.Host == "" {
+			return fmt.Errorf("%w: invalid webhook URL '%s'", errInvalidAlertRule, r.Webhook)
+		}
+	}
+	return nil
+}
+
+// breached reports whether a match count meets the rule's condition
+func (r *AlertRule) breached(count int) bool {
+	if r.Condition == AlertBelow {
+		return count < r.Threshold
+	}
+	return count > r.Threshold
+}
+
+// AlertEvent records a rule starting or stopping to fire, with the window
+// it was evaluated over so its matches can be opened as a search
+type AlertEvent struct {
+	ID            string    `json:"id"`
+	RuleID        string    `json:"ruleId"`
+	RuleName      string    `json:"ruleName"`
+	Status        string    `json:"status"` // firing or resolved
+	Query         string    `json:"query"`
+	Condition     string    `json:"condition"`
+	Threshold     int       `json:"threshold"`
+	Count         int       `json:"count"`
+	From          time.Time `json:"from"`
+	To            time.Time `json:"to"`
+	Webhook       string    `json:"webhook,omitempty"`       // URL notified, empty if none is configured
+	WebhookStatus int       `json:"webhookStatus,omitempty"` // HTTP status it answered with
+	WebhookError  string    `json:"webhookError,omitempty"`
+}
+
+// summary describes the event in a line, e.g. for chat webhooks
+func (e *AlertEvent) summary() string {
+	if e.Status == AlertEventResolved {
+		return fmt.Sprintf("[resolved] %s: %d matches of %s", e.RuleName, e.Count, e.Query)
+	}
+	return fmt.Sprintf("[firing] %s: %d matches of %s (%s %d)", e.RuleName, e.Count, e.Query, e.Condition, e.Threshold)
+}
+
+// AlertStore keeps alert rules and the history of their events in a JSON
+// file and evaluates the rules against the index
+type AlertStore struct {
+	path     string
+	webhook  string          // Default webhook URL, empty for none
+	webhooks map[string]bool // URLs rules may notify instead
+	client   *http.Client
+	mutex    sync.Mutex
+	rules    map[string]*AlertRule
+	history  []*AlertEvent // Oldest first
+}
+
+// alertFile is the layout of the alerts file
+type alertFile struct {
+	Rules   []*AlertRule  `json:"rules"`
+	History []*AlertEvent `json:"history"`
+}
+
+// NewAlertStore loads the alert rules and history from path. A missing file
+// is treated as an empty store and created on the first change. Events are
+// posted to webhook unless their rule names one of the allowed URLs. Rules
+// can't bring their own, as the server would post to any host they named.
+func NewAlertStore(path, webhook string, allowed []string) (*AlertStore, error) {
+	store := &AlertStore{
+		path:     path,
+		webhook:  webhook,
+		webhooks: make(map[string]bool, len(allowed)+1),
+		client:   &http.Client{Timeout: webhookTimeout},
+		rules:    make(map[string]*AlertRule),
+	}
+	for _, allowedURL := range append(allowed, webhook) {
+		if allowedURL != "" {
+			store.webhooks[allowedURL] = true
+		}
+	}
+
+	data, err := os.ReadFile(path)
+	if errors.Is(err, os.ErrNotExist) {
+		return store, nil
+	}
+	if err != nil {
+		return nil, fmt.Errorf("failed to read alerts: %w", err)
+	}
+
+	var file alertFile
+	if err := json.Unmarshal(data, &file); err != nil {
+		return nil, fmt.Errorf("failed to parse alerts %s: %w", path, err)
+	}
+	for _, rule := range file.Rules {
+		store.rules[rule.ID] = rule
+	}
+	store.history = file.History
+	return store, nil
+}
+
+// List returns a copy of every rule ordered by name
+func (s *AlertStore) List() []*AlertRule {
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+
+	rules := sortedAlertRules(s.rules)
+	for i, rule := range rules {
+		rules[i] = rule.clone()
+	}
+	return rules
+}
+
+// Get returns a copy of the rule with the given ID
+func (s *AlertStore) Get(id string) (*AlertRule, error) {
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+
+	rule, ok := s.rules[id]
+	if !ok {
+		return nil, errAlertRuleNotFound
+	}
+	return rule.clone(), nil
+}
+
+// Create stores a new rule under a fresh ID
+func (s *AlertStore) Create(rule *AlertRule) (*AlertRule, error) {
+	if err := s.validate(rule); err != nil {
+		return nil, err
+	}
+
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+
+	now := time.Now().UTC()
+	stored := rule.clone()
+	stored.ID = newID()
+	stored.CreatedAt = now
+	stored.UpdatedAt = now
+	resetAlertState(stored)
+	rules := s.copyRules()
+	rules[stored.ID] = stored
+	if err := s.commit(rules, s.history); err != nil {
+		return nil, err
+	}
+	return stored.clone(), nil
+}
+
+// Update replaces the rule with the given ID, keeping its creation time. It
+// is evaluated afresh, so a firing rule fires again if it still matches.
+func (s *AlertStore) Update(id string, rule *AlertRule) (*AlertRule, error) {
+	if err := s.validate(rule); err != nil {
+		return nil, err
+	}
+
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+
+	existing, ok := s.rules[id]
+	if !ok {
+		return nil, errAlertRuleNotFound
+	}
+	stored := rule.clone()
+	stored.ID = id
+	stored.CreatedAt = existing.CreatedAt
+	stored.UpdatedAt = time.Now().UTC()
+	resetAlertState(stored)
+	rules := s.copyRules()
+	rules[id] = stored
+	if err := s.commit(rules, s.history); err != nil {
+		return nil, err
+	}
+	return stored.clone(), nil
+}
+
+// validate checks a rule and that its webhook is one the server allows
+func (s *AlertStore) validate(rule *AlertRule) error {
+	if err := rule.validate(); err != nil {
+		return err
+	}
+	if rule.Webhook != "" && !s.webhooks[rule.Webhook] {
+		return fmt.Errorf("%w: webhook URL '%s' isn't one of the server's alert webhooks", errInvalidAlertRule, rule.Webhook)
+	}
+	return nil
+}
+
+// Delete removes the rule with the given ID. Its events stay in the history.
+func (s *AlertStore) Delete(id string) error {
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+
+	if _, ok := s.rules[id]; !ok {
+		return errAlertRuleNotFound
+	}
+	rules := s.copyRules()
+	delete(rules, id)
+	return s.commit(rules, s.history)
+}
+
+// History returns copies of the events of a rule, or of every rule when
+// ruleID is empty, newest first
+func (s *AlertStore) History(ruleID string) []*AlertEvent {
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+
+	events := make([]*AlertEvent, 0, len(s.history))
+	for i := len(s.history) - 1; i >= 0; i-- {
+		if ruleID == "" || s.history[i].RuleID == ruleID {
+			event := *s.history[i]
+			events = append(events, &event)
+		}
+	}
+	return events
+}
+
+func resetAlertState(rule *AlertRule) {
+	rule.State = AlertPending
+	rule.LastCount = 0
+	rule.LastEvaluated = nil
+	rule.LastError = ""
+}
+
+// clone returns a copy of the rule that shares nothing with it
+func (r *AlertRule) clone() *AlertRule {
+	c := *r
+	if r.LastEvaluated != nil {
+		evaluated := *r.LastEvaluated
+		c.LastEvaluated = &evaluated
+	}
+	return &c
+}
+
+// Evaluate counts the matches of every enabled rule in the window ending at
+// now and returns the events of the rules that started or stopped firing.
+// A rule fires once when its condition is first met, not on every
+// evaluation, and is resolved when it no longer is.
+//
+// The searches run without holding the store's mutex, so the API stays
+// responsive during an evaluation. A rule changed or deleted meanwhile is
+// left alone and evaluated afresh the next time.
+func (s *AlertStore) Evaluate(idx *SearchIndex, now time.Time) ([]*AlertEvent, error) {
+	s.mutex.Lock()
+	var enabled []*AlertRule
+	for _, rule := range sortedAlertRules(s.rules) {
+		if rule.Enabled {
+			enabled = append(enabled, rule.clone())
+		}
+	}
+	s.mutex.Unlock()
+
+	now = now.UTC()
+	var evaluated []*AlertRule
+	var events []*AlertEvent
+	for _, rule := range enabled {
+		previous := rule.State
+		at := now
+		rule.LastEvaluated = &at
+
+		query, err := ParseQuery(rule.Query)
+		if err != nil {
+			rule.State = AlertError
+			rule.LastError = err.Error()
+			evaluated = append(evaluated, rule)
+			continue
+		}
+		window, _ := time.ParseDuration(rule.Window)
+		from := now.Add(-window)
+		docs, _ := idx.Search(query, SearchOptions{From: from.UnixNano(), To: now.UnixNano()})
+
+		rule.LastCount = len(docs)
+		rule.LastError = ""
+		rule.State = AlertOK
+		if rule.breached(len(docs)) {
+			rule.State = AlertFiring
+		}
+		evaluated = append(evaluated, rule)
+
+		status := ""
+		switch {
+		case rule.State == AlertFiring && previous != AlertFiring:
+			status = AlertEventFiring
+		case rule.State == AlertOK && previous == AlertFiring:
+			status = AlertEventResolved
+		}
+		if status == "" {
+			continue
+		}
+		events = append(events, &AlertEvent{
+			ID:        newID(),
+			RuleID:    rule.ID,
+			RuleName:  rule.Name,
+			Status:    status,
+			Query:     rule.Query,
+			Condition: rule.Condition,
+			Threshold: rule.Threshold,
+			Count:     len(docs),
+			From:      from,
+			To:        now,
+			Webhook:   rule.Webhook,
+		})
+	}
+
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+
+	rules := s.copyRules()
+	changed := make(map[string]bool)
+	for _, rule := range evaluated {
+		current, ok := rules[rule.ID]
+		if !ok || !current.UpdatedAt.Equal(rule.UpdatedAt) {
+			changed[rule.ID] = true
+			continue
+		}
+		rules[rule.ID] = rule
+	}
+	history := append([]*AlertEvent(nil), s.history...)
+	var applied []*AlertEvent
+	for _, event := range events {
+		if changed[event.RuleID] {
+			continue
+		}
+		if event.Webhook == "" {
+			event.Webhook = s.webhook
+		}
+		history = append(history, event)
+		copied := *event
+		applied = append(applied, &copied)
+	}
+	if len(history) > maxAlertHistory {
+		history = history[len(history)-maxAlertHistory:]
+	}
+	if err := s.commit(rules, history); err != nil {
+		return nil, err
+	}
+	return applied, nil
+}
+
+// alertNotification is the body of the webhook POST
+type alertNotification struct {
+	Text  string      `json:"text"` // One-line summary, shown by chat webhooks
+	Event *AlertEvent `json:"event"`
+}
+
+// Notify posts an event to its webhook and records the outcome in the
+// history. Events without a webhook are left alone.
+func (s *AlertStore) Notify(ctx context.Context, event *AlertEvent) error {
+	if event.Webhook == "" {
+		return nil
+	}
+
+	// Rules stored before the webhook was taken off the config keep it
+	var status int
+	var err error
+	if s.webhooks[event.Webhook] {
+		status, err = s.post(ctx, event)
+	} else {
+		err = fmt.Errorf("webhook %s isn't one of the server's alert webhooks", event.Webhook)
+	}
+
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+
+	history := append([]*AlertEvent(nil), s.history...)
+	for i, recorded := range history {
+		if recorded.ID != event.ID {
+			continue
+		}
+		updated := *recorded
+		updated.WebhookStatus = status
+		if err != nil {
+			updated.WebhookError = err.Error()
+		}
+		history[i] = &updated
+		if saveErr := s.commit(s.rules, history); saveErr != nil && err == nil {
+			err = saveErr
+		}
+		break
+	}
+	return err
+}
+
+// post sends the notification of an event and returns the status it was
+// answered with
+func (s *AlertStore) post(ctx context.Context, event *AlertEvent) (int, error) {
+	body, err := json.Marshal(alertNotification{Text: event.summary(), Event: event})
+	if err != nil {
+		return 0, err
+	}
+
+	req, err := http.NewRequestWithContext(ctx, "POST", event.Webhook, bytes.NewReader(body))
+	if err != nil {
+		return 0, err
+	}
+	req.Header.Set("Content-Type", "application/json")
+	resp, err := s.client.Do(req)
+	if err != nil {
+		return 0, fmt.Errorf("webhook failed: %w", err)
+	}
+	defer resp.Body.Close()
+	if resp.StatusCode < 200 || resp.StatusCode >= 300 {
+		return resp.StatusCode, fmt.Errorf("webhook answered %s", resp.Status)
+	}
+	return resp.StatusCode, nil
+}
+
+// copyRules returns a copy of the rules map, changed and then committed so
+// a failed write leaves the store as it was. The caller must hold the mutex.
+func (s *AlertStore) copyRules() map[string]*AlertRule {
+	rules := make(map[string]*AlertRule, len(s.rules))
+	for id, rule := range s.rules {
+		rules[id] = rule
+	}
+	return rules
+}
+
+// sortedAlertRules returns the rules ordered by name
+func sortedAlertRules(rules map[string]*AlertRule) []*AlertRule {
+	sorted := make([]*AlertRule, 0, len(rules))
+	for _, rule := range rules {
+		sorted = append(sorted, rule)
+	}
+	sort.Slice(sorted, func(i, j int) bool {
+		return strings.ToLower(sorted[i].Name) < strings.ToLower(sorted[j].Name)
+	})
+	return sorted
+}
+
+// commit writes rules and history to disk through a temporary file, like
+// the saved searches, and makes them the store's once the write succeeded.
+// Stored rules and events are replaced rather than changed, so copies
+// handed out never race with an evaluation. The caller must hold the mutex.
+func (s *AlertStore) commit(rules map[string]*AlertRule, history []*AlertEvent) error {
+	data, err := json.MarshalIndent(alertFile{Rules: sortedAlertRules(rules), History: history}, "", "  ")
+	if err != nil {
+		return err
+	}
+
+	if dir := filepath.Dir(s.path); dir != "" {
+		if err := os.MkdirAll(dir, 0o755); err != nil {
+			return fmt.Errorf("failed to create alerts folder: %w", err)
+		}
+	}
+	tmp := s.path + ".tmp"
+	if err := os.WriteFile(tmp, data, 0o644); err != nil {
+		return fmt.Errorf("failed to write alerts: %w", err)
+	}
+	if err := os.Rename(tmp, s.path); err != nil {
+		return fmt.Errorf("failed to write alerts: %w", err)
+	}
+	s.rules = rules
+	s.history = history
+	return nil
+}
+
+// runAlerts evaluates the alert rules every AlertInterval until ctx is
+// done. Rules aren't evaluated while the index is loading, as they would
+// see too few matches.
+func (app *Application) runAlerts(ctx context.Context) {
+	ticker := time.NewTicker(app.config.AlertInterval)
+	defer ticker.Stop()
+
+	for {
+		select {
+		case <-ctx.Done():
+			return
+		case <-ticker.C:
+		}
+		if searchIndex.Status().State != IndexReady {
+			continue
+		}
+		app.evaluateAlerts(ctx, time.Now())
+	}
+}
+
+// evaluateAlerts runs one evaluation and sends the notifications it results in
+func (app *Application) evaluateAlerts(ctx context.Context, now time.Time) {
+	events, err := app.alerts.Evaluate(searchIndex, now)
+	if err != nil {
+		app.logger.Errorf("Error saving alerts: %v", err)
+	}
+	for _, event := range events {
+		app.logger.Infof("Alert %s", event.summary())
+		if err := app.alerts.Notify(ctx, event); err != nil {
+			app.logger.Warnf("Error notifying alert %s: %v", event.RuleName, err)
+		}
+	}
+}
+
+// handleAlerts lists alert rules (GET) and creates them (POST)
+func (app *Application) handleAlerts(w http.ResponseWriter, r *http.Request) {
+	if !allowMethods(w, r, "GET", "POST") {
+		return
+	}
+
+	if r.Method == "GET" {
+		writeJSON(w, http.StatusOK, app.alerts.List())
+		return
+	}
+
+	var rule AlertRule
+	if err := json.NewDecoder(r.Body).Decode(&rule); err != nil {
+		http.Error(w, "Invalid alert rule: "+err.Error(), http.StatusBadRequest)
+		return
+	}
+	created, err := app.alerts.Create(&rule)
+	if err != nil {
+		app.writeAlertError(w, err)
+		return
+	}
+	writeJSON(w, http.StatusCreated, created)
+}
+
+// handleAlert reads (GET), replaces (PUT) or deletes (DELETE) the rule at
+// /api/alerts/{id}. GET /api/alerts/history returns the events of every
+// rule, newest first, or of one with ?rule={id}.
+func (app *Application) handleAlert(w http.ResponseWriter, r *http.Request) {
+	id := strings.TrimPrefix(r.URL.Path, "/api/alerts/")
+
+	if id == "history" {
+		if !allowMethods(w, r, "GET") {
+			return
+		}
+		writeJSON(w, http.StatusOK, app.alerts.History(r.URL.Query().Get("rule")))
+		return
+	}
+
+	if !allowMethods(w, r, "GET", "PUT", "DELETE") {
+		return
+	}
+
+	switch r.Method {
+	case "GET":
+		rule, err := app.alerts.Get(id)
+		if err != nil {
+			app.writeAlertError(w, err)
+			return
+		}
+		writeJSON(w, http.StatusOK, rule)
+	case "PUT":
+		var rule AlertRule
+		if err := json.NewDecoder(r.Body).Decode(&rule); err != nil {
+			http.Error(w, "Invalid alert rule: "+err.Error(), http.StatusBadRequest)
+			return
+		}
+		updated, err := app.alerts.Update(id, &rule)
+		if err != nil {
+			app.writeAlertError(w, err)
+			return
+		}
+		writeJSON(w, http.StatusOK, updated)
+	case "DELETE":
+		if err := app.alerts.Delete(id); err != nil {
+			app.writeAlertError(w, err)
+			return
+		}
+		w.WriteHeader(http.StatusNoContent)
+	}
+}
+
+// writeAlertError maps store errors to HTTP responses
+func (app *Application) writeAlertError(w http.ResponseWriter, err error) {
+	switch {
+	case errors.Is(err, errAlertRuleNotFound):
+		http.Error(w, "Alert rule not found", http.StatusNotFound)
+	case errors.Is(err, errInvalidAlertRule):
+		http.Error(w, err.Error(), http.StatusBadRequest)
+	default:
+		app.logger.Errorf("Error saving alerts: %v", err)
+		http.Error(w, "Failed to save alerts", http.StatusInternalServerError)
+	}
+}
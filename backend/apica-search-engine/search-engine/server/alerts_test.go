@@ -0,0 +1,262 @@
+package server
+
+import (
+	"context"
+	"encoding/json"
+	"io"
+	"net/http"
+	"net/http/httptest"
+	"os"
+	"path/filepath"
+	"strings"
+	"sync"
+	"testing"
+	"time"
+
+	"github.com/sirupsen/logrus"
+)
+
+// webhookRecorder stands in for a webhook receiver and keeps the
+// notifications it was sent
+type webhookRecorder struct {
+	mutex         sync.Mutex
+	notifications []alertNotification
+}
+
+func (h *webhookRecorder) ServeHTTP(w http.ResponseWriter, r *http.Request) {
+	body, _ := io.ReadAll(r.Body)
+	var notification alertNotification
+	if err := json.Unmarshal(body, &notification); err != nil {
+		http.Error(w, err.Error(), http.StatusBadRequest)
+		return
+	}
+	h.mutex.Lock()
+	h.notifications = append(h.notifications, notification)
+	h.mutex.Unlock()
+}
+
+func (h *webhookRecorder) received() []alertNotification {
+	h.mutex.Lock()
+	defer h.mutex.Unlock()
+	return append([]alertNotification(nil), h.notifications...)
+}
+
+func TestAlertsFireAndResolve(t *testing.T) {
+	now := time.Now()
+	searchIndex = NewSearchIndex()
+	for i := 0; i < 3; i++ {
+		searchIndex.IndexDocument(&Document{
+			ID:        "recent-" + string(rune('0'+i)),
+			Message:   "payment timeout",
+			Fields:    map[string]string{"level": "ERROR"},
+			Timestamp: now.Add(-time.Minute).UnixNano(),
+		})
+	}
+	searchIndex.IndexDocument(&Document{
+		ID:        "old",
+		Message:   "payment timeout",
+		Fields:    map[string]string{"level": "ERROR"},
+		Timestamp: now.Add(-time.Hour).UnixNano(),
+	})
+
+	hook := &webhookRecorder{}
+	receiver := httptest.NewServer(hook)
+	defer receiver.Close()
+
+	path := filepath.Join(t.TempDir(), "alerts.json")
+	store, err := NewAlertStore(path, receiver.URL, nil)
+	if err != nil {
+		t.Fatal(err)
+	}
+	app := &Application{config: &Config{}, logger: logrus.New(), alerts: store}
+
+	rec := httptest.NewRecorder()
+	app.handleAlerts(rec, httptest.NewRequest("POST", "/api/alerts",
+		strings.NewReader(`{"name":"Payment timeouts","query":"level:ERROR timeout","threshold":2,"window":"5m","enabled":true}`)))
+	if rec.Code != http.StatusCreated {
+		t.Fatalf("create answered %d: %s", rec.Code, rec.Body.String())
+	}
+	var rule AlertRule
+	if err := json.Unmarshal(rec.Body.Bytes(), &rule); err != nil {
+		t.Fatal(err)
+	}
+	if rule.Condition != AlertAbove || rule.State != AlertPending {
+		t.Fatalf("created rule = %+v, want a pending rule firing above the threshold", rule)
+	}
+
+	// Three matches in the window fire the rule once, however often it's evaluated
+	app.evaluateAlerts(context.Background(), now)
+	app.evaluateAlerts(context.Background(), now)
+	sent := hook.received()
+	if len(sent) != 1 || sent[0].Event.Status != AlertEventFiring || sent[0].Event.Count != 3 {
+		t.Fatalf("notifications after firing = %+v", sent)
+	}
+	if !strings.HasPrefix(sent[0].Text, "[firing] Payment timeouts") {
+		t.Errorf("notification text = %q", sent[0].Text)
+	}
+	if got, _ := store.Get(rule.ID); got.State != AlertFiring || got.LastCount != 3 {
+		t.Errorf("rule after firing = %+v", got)
+	}
+
+	// An hour later the window holds no match
+	app.evaluateAlerts(context.Background(), now.Add(time.Hour))
+	sent = hook.received()
+	if len(sent) != 2 || sent[1].Event.Status != AlertEventResolved {
+		t.Fatalf("notifications after resolving = %+v", sent)
+	}
+
+	rec = httptest.NewRecorder()
+	app.handleAlert(rec, httptest.NewRequest("GET", "/api/alerts/history?rule="+rule.ID, nil))
+	var events []AlertEvent
+	if err := json.Unmarshal(rec.Body.Bytes(), &events); err != nil {
+		t.Fatal(err)
+	}
+	if len(events) != 2 || events[0].Status != AlertEventResolved || events[1].WebhookStatus != http.StatusOK {
+		t.Errorf("history = %s", rec.Body.String())
+	}
+
+	reloaded, err := NewAlertStore(path, "", nil)
+	if err != nil {
+		t.Fatal(err)
+	}
+	if len(reloaded.List()) != 1 || len(reloaded.History("")) != 2 {
+		t.Errorf("reloaded %d rules and %d events, want 1 and 2", len(reloaded.List()), len(reloaded.History("")))
+	}
+}
+
+func TestAlertWebhookError(t *testing.T) {
+	searchIndex = NewSearchIndex()
+	receiver := httptest.NewServer(http.HandlerFunc(func(w http.ResponseWriter, r *http.Request) {
+		http.Error(w, "down", http.StatusServiceUnavailable)
+	}))
+	defer receiver.Close()
+
+	store, err := NewAlertStore(filepath.Join(t.TempDir(), "alerts.json"), "", []string{receiver.URL})
+	if err != nil {
+		t.Fatal(err)
+	}
+	// Fewer than one match fires on an empty index
+	if _, err := store.Create(&AlertRule{Name: "Silence", Query: "heartbeat", Condition: AlertBelow, Threshold: 1, Window: "5m", Webhook: receiver.URL, Enabled: true}); err != nil {
+		t.Fatal(err)
+	}
+	events, err := store.Evaluate(searchIndex, time.Now())
+	if err != nil || len(events) != 1 {
+		t.Fatalf("Evaluate = %v, %v", events, err)
+	}
+	if err := store.Notify(context.Background(), events[0]); err == nil {
+		t.Error("Notify succeeded against a failing webhook")
+	}
+	history := store.History("")
+	if history[0].WebhookStatus != http.StatusServiceUnavailable || history[0].WebhookError == "" {
+		t.Errorf("history = %+v, want the webhook failure recorded", history[0])
+	}
+}
+
+func TestAlertRuleValidation(t *testing.T) {
+	store, err := NewAlertStore(filepath.Join(t.TempDir(), "alerts.json"), "", nil)
+	if err != nil {
+		t.Fatal(err)
+	}
+	app := &Application{config: &Config{}, logger: logrus.New(), alerts: store}
+	for _, body := range []string{
+		`{"name":"x","query":"(a","window":"5m"}`,
+		`{"name":"x","query":"a","window":"soon"}`,
+		`{"name":"","query":"a","window":"5m"}`,
+		`{"name":"x","query":"a","condition":"near","window":"5m"}`,
+		`{"name":"x","query":"a","window":"5m","webhook":"ftp://hooks"}`,
+		`{"name":"x","query":"a","window":"5m","webhook":"http://169.254.169.254/latest/meta-data"}`,
+	} {
+		rec := httptest.NewRecorder()
+		app.handleAlerts(rec, httptest.NewRequest("POST", "/api/alerts", strings.NewReader(body)))
+		if rec.Code != http.StatusBadRequest {
+			t.Errorf("%s answered %d, want 400", body, rec.Code)
+		}
+	}
+}
+
+// A rule's webhook that was taken off the allowed ones isn't posted to
+func TestAlertWebhookNoLongerAllowed(t *testing.T) {
+	searchIndex = NewSearchIndex()
+	hook := &webhookRecorder{}
+	receiver := httptest.NewServer(hook)
+	defer receiver.Close()
+
+	path := filepath.Join(t.TempDir(), "alerts.json")
+	store, err := NewAlertStore(path, "", []string{receiver.URL})
+	if err != nil {
+		t.Fatal(err)
+	}
+	if _, err := store.Create(&AlertRule{Name: "Silence", Query: "heartbeat", Condition: AlertBelow, Threshold: 1, Window: "5m", Webhook: receiver.URL, Enabled: true}); err != nil {
+		t.Fatal(err)
+	}
+
+	reloaded, err := NewAlertStore(path, "", nil)
+	if err != nil {
+		t.Fatal(err)
+	}
+	events, err := reloaded.Evaluate(searchIndex, time.Now())
+	if err != nil || len(events) != 1 {
+		t.Fatalf("Evaluate = %v, %v", events, err)
+	}
+	if err := reloaded.Notify(context.Background(), events[0]); err == nil {
+		t.Error("Notify succeeded with a webhook that isn't allowed")
+	}
+	if sent := hook.received(); len(sent) != 0 {
+		t.Errorf("webhook was sent %d notifications, want none", len(sent))
+	}
+	if history := reloaded.History(""); history[0].WebhookError == "" {
+		t.Errorf("history = %+v, want the refused webhook recorded", history[0])
+	}
+}
+
+func TestAlertStoreKeepsStateWhenWriteFails(t *testing.T) {
+	path := filepath.Join(t.TempDir(), "alerts.json")
+	store, err := NewAlertStore(path, "", nil)
+	if err != nil {
+		t.Fatal(err)
+	}
+	// A folder in the way of the temporary file fails the write
+	if err := os.Mkdir(path+".tmp", 0o755); err != nil {
+		t.Fatal(err)
+	}
+	if _, err := store.Create(&AlertRule{Name: "x", Query: "a", Window: "5m"}); err == nil {
+		t.Fatal("Create succeeded without a writable file")
+	}
+	if rules := store.List(); len(rules) != 0 {
+		t.Errorf("List = %+v after a failed create, want none", rules)
+	}
+}
+
+// Run with -race: rules and events handed to the API are copies, so
+// encoding them doesn't race with an evaluation
+func TestAlertStoreConcurrentAccess(t *testing.T) {
+	searchIndex = NewSearchIndex()
+	hook := &webhookRecorder{}
+	receiver := httptest.NewServer(hook)
+	defer receiver.Close()
+
+	store, err := NewAlertStore(filepath.Join(t.TempDir(), "alerts.json"), receiver.URL, nil)
+	if err != nil {
+		t.Fatal(err)
+	}
+	if _, err := store.Create(&AlertRule{Name: "Silence", Query: "heartbeat", Condition: AlertBelow, Threshold: 1, Window: "5m", Enabled: true}); err != nil {
+		t.Fatal(err)
+	}
+
+	done := make(chan struct{})
+	go func() {
+		defer close(done)
+		for i := 0; i < 50; i++ {
+			json.Marshal(store.List())
+			json.Marshal(store.History(""))
+		}
+	}()
+	now := time.Now()
+	for i := 0; i < 10; i++ {
+		events, _ := store.Evaluate(searchIndex, now.Add(time.Duration(i)*time.Minute))
+		for _, event := range events {
+			store.Notify(context.Background(), event)
+		}
+	}
+	<-done
+}
@@ -0,0 +1,483 @@
+package server
+
+import (
+	"encoding/json"
+	"fmt"
+	"hash/fnv"
+	"strconv"
+	"strings"
+	"unicode"
+	"unicode/utf8"
+)
+
+// Case options of the analyzer
+const (
+	CaseInsensitive = "insensitive" // Terms are lowercased
+	CaseSensitive   = "sensitive"   // Timeout doesn't match timeout
+)
+
+// Match modes of free text terms, set per search with the match parameter
+const (
+	MatchExact    = "exact"    // A term matches whole index terms
+	MatchPrefix   = "prefix"   // timeo matches timeout
+	MatchContains = "contains" // imeou matches timeout
+)
+
+// joiners are the characters joining words into a compound term, e.g. the
+// dots of com.example.PaymentService or the slashes of /var/log/app.log
+const joiners = "._-/\\"
+
+// englishStopwords replace the entry _english_ of Analyzer.Stopwords
+var englishStopwords = []string{
+	"a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "if", "in",
+	"into", "is", "it", "no", "not", "of", "on", "or", "such", "that", "the",
+	"their", "then", "there", "these", "they", "this", "to", "was", "will", "with",
+}
+
+// maxGram bounds the n-gram length, as every term adds up to its length
+// times the range of n-grams to the n-gram index
+const maxGram = 20
+
+// Analyzer turns text into the terms of the inverted index. Documents are
+// indexed and queries are matched with the same analyzer, so a query term
+// finds the text it was written as:
+//   - Text is split into words of letters and digits. Words joined by . _ - /
+//     or \ also form a compound term, so both com.example.PaymentService and
+//     PaymentService match it.
+//   - Terms are lowercased unless Case is sensitive.
+//   - Stopwords are left out of the index and of queries.
+//   - With Stemming, English plural and -ed/-ing endings are removed, so
+//     timeouts matches timeout. The words are also indexed as written.
+//   - With NGrams, the n-grams of the index terms are kept so contains
+//     matches look them up instead of scanning every term.
+type Analyzer struct {
+	Case      string     `yaml:"case" json:"case"`
+	Stemming  bool       `yaml:"stemming" json:"stemming"`
+	Stopwords []string   `yaml:"stopwords" json:"stopwords,omitempty"` // _english_ for a built-in list
+	NGrams    NGramRange `yaml:"ngrams" json:"ngrams"`
+
+	stopwords map[string]bool
+}
+
+// NGramRange is the length in characters of the n-grams indexed, both 0 to
+// index none
+type NGramRange struct {
+	Min int `yaml:"min" json:"min"`
+	Max int `yaml:"max" json:"max"`
+}
+
+// DefaultAnalyzer splits on punctuation and ignores case, without stemming,
+// stopwords or n-grams
+func DefaultAnalyzer() *Analyzer {
+	return &Analyzer{Case: CaseInsensitive}
+}
+
+// activeAnalyzer is the analyzer of the index, set from the config
+var activeAnalyzer = mustCompileAnalyzer(DefaultAnalyzer())
+
+func mustCompileAnalyzer(a *Analyzer) *Analyzer {
+	if err := a.compile(); err != nil {
+		panic(err)
+	}
+	return a
+}
+
+// compile validates the analyzer and fills in its defaults
+func (a *Analyzer) compile() error {
+	if a.Case == "" {
+		a.Case = CaseInsensitive
+	}
+	if a.Case != CaseInsensitive && a.Case != CaseSensitive {
+		return fmt.Errorf("analyzer: invalid case %q: expected insensitive or sensitive", a.Case)
+	}
+	if a.NGrams != (NGramRange{}) && (a.NGrams.Min < 1 || a.NGrams.Max < a.NGrams.Min || a.NGrams.Max > maxGram) {
+		return fmt.Errorf("analyzer: invalid n-gram range %d-%d: expected 1 <= min <= max <= %d", a.NGrams.Min, a.NGrams.Max, maxGram)
+	}
+
+	a.stopwords = make(map[string]bool)
+	for _, word := range a.Stopwords {
+		if word == "_english_" {
+			for _, english := range englishStopwords {
+				a.stopwords[english] = true
+			}
+			continue
+		}
+		a.stopwords[strings.ToLower(word)] = true
+	}
+	return nil
+}
+
+// Fingerprint identifies the analyzer, so an index built with another one
+// isn't reused
+func (a *Analyzer) Fingerprint() string {
+	encoded, _ := json.Marshal(a)
+	h := fnv.New64a()
+	h.Write(encoded)
+	return strconv.FormatUint(h.Sum64(), 16)
+}
+
+// Tokens returns the words of text in order, as indexed: normalized, without
+// stopwords and stemmed. Phrases are matched against them.
+func (a *Analyzer) Tokens(text string) []string {
+	var tokens []string
+	for _, c := range splitCompounds(text, false) {
+		for _, word := range c.words {
+			if token := a.token(word); token != "" {
+				tokens = append(tokens, token)
+			}
+		}
+	}
+	return tokens
+}
+
+// Terms returns the terms text is indexed under: its tokens, the words the
+// stemmer changed as written, and the compounds of several words.
+func (a *Analyzer) Terms(text string) []string {
+	var terms []string
+	for _, c := range splitCompounds(text, false) {
+		for _, word := range c.words {
+			token := a.token(word)
+			if token == "" {
+				continue
+			}
+			terms = append(terms, token)
+			if written := a.normalize(word); written != token {
+				terms = append(terms, written)
+			}
+		}
+		if len(c.words) > 1 {
+			terms = append(terms, a.normalize(c.text))
+		}
+	}
+	return terms
+}
+
+// queryTerms returns the index terms a free text query term must all match.
+// A compound such as com.example.Foo is looked up whole, as are words with
+// wildcards, which are expanded against the index.
+func (a *Analyzer) queryTerms(value string) []string {
+	var terms []string
+	for _, c := range splitCompounds(value, true) {
+		if len(c.words) > 1 || strings.Contains(c.text, "*") {
+			terms = append(terms, a.normalize(c.text))
+			continue
+		}
+		if token := a.token(c.text); token != "" {
+			terms = append(terms, token)
+		}
+	}
+	return terms
+}
+
+// token normalizes and stems a word, returning "" for a stopword
+func (a *Analyzer) token(word string) string {
+	if a.stopwords[strings.ToLower(word)] {
+		return ""
+	}
+	word = a.normalize(word)
+	if a.Stemming {
+		word = stem(word)
+	}
+	return word
+}
+
+func (a *Analyzer) normalize(text string) string {
+	if a.Case == CaseSensitive {
+		return text
+	}
+	return strings.ToLower(text)
+}
+
+// grams returns the n-grams of a term, the substrings of NGrams.Min to
+// NGrams.Max characters, or nil when n-grams are off. These are all the
+// substrings rather than edge n-grams, which would only serve prefixes
+// (already found in the sorted terms) and not contains matches. A term of
+// L characters has about L*(Max-Min+1) of them, e.g. 189 for a UUID with
+// 3-8, all kept in the n-gram index.
+func (a *Analyzer) grams(term string) []string {
+	if a.NGrams.Max == 0 {
+		return nil
+	}
+	runes := []rune(term)
+	seen := make(map[string]bool)
+	var grams []string
+	for start := range runes {
+		for n := a.NGrams.Min; n <= a.NGrams.Max && start+n <= len(runes); n++ {
+			gram := string(runes[start : start+n])
+			if !seen[gram] {
+				seen[gram] = true
+				grams = append(grams, gram)
+			}
+		}
+	}
+	return grams
+}
+
+// compound is a run of words joined by joiners, e.g. com.example.Foo
+type compound struct {
+	words []string
+	text  string // The words with the joiners between them
+}
+
+// splitCompounds splits text into compounds. Other characters than letters,
+// digits and single joiners between words separate them. For query terms,
+// wildcards count as letters.
+func splitCompounds(text string, wildcards bool) []compound {
+	var result []compound
+	var current compound
+	var word, joined strings.Builder
+	var joiner rune // Joiner after the last word, 0 for none
+
+	endWord := func() {
+		if word.Len() == 0 {
+			return
+		}
+		current.words = append(current.words, word.String())
+		joined.WriteString(word.String())
+		word.Reset()
+	}
+	endCompound := func() {
+		endWord()
+		if len(current.words) > 0 {
+			current.text = joined.String()
+			result = append(result, current)
+		}
+		current = compound{}
+		joined.Reset()
+		joiner = 0
+	}
+
+	for _, r := range text {
+		switch {
+		case unicode.IsLetter(r) || unicode.IsDigit(r) || (wildcards && r == '*'):
+			if joiner != 0 {
+				joined.WriteRune(joiner)
+				joiner = 0
+			}
+			word.WriteRune(r)
+		case word.Len() > 0 && strings.ContainsRune(joiners, r):
+			endWord()
+			joiner = r
+		default:
+			endCompound()
+		}
+	}
+	endCompound()
+	return result
+}
+
+// applyMatchMode rewrites the free text terms of a query for a match mode,
+// e.g. timeo into timeo* for prefix and into *timeo* for contains. Terms
+// with wildcards, phrases and fields are left as written.
+func applyMatchMode(node *QueryNode, mode string) {
+	if mode == "" || mode == MatchExact {
+		return
+	}
+	if node.Op == OpTerm && node.Field == "" && !strings.Contains(node.Value, "*") {
+		if mode == MatchContains {
+			node.Value = "*" + node.Value
+		}
+		node.Value += "*"
+	}
+	for _, child := range node.Children {
+		applyMatchMode(child, mode)
+	}
+}
+
+// validMatchMode reports whether mode is a match mode, empty meaning exact
+func validMatchMode(mode string) bool {
+	return mode == "" || mode == MatchExact || mode == MatchPrefix || mode == MatchContains
+}
+
+// expandTerm returns the index terms a query term matches: the term itself,
+// or those matching its wildcards. A trailing wildcard is a lookup in the
+// sorted terms; others are narrowed with the n-grams when there are any.
+// The caller must hold the index read lock.
+func (idx *SearchIndex) expandTerm(term string) []string {
+	if !strings.Contains(term, "*") {
+		return []string{term}
+	}
+	if prefix := strings.TrimSuffix(term, "*"); prefix != "" && !strings.Contains(prefix, "*") {
+		return idx.termsWithPrefix(prefix)
+	}
+
+	pattern := wildcardPattern(term)
+	var terms []string
+	if candidates, ok := idx.gramCandidates(term); ok {
+		for candidate := range candidates {
+			if pattern.MatchString(candidate) {
+				terms = append(terms, candidate)
+			}
+		}
+		return terms
+	}
+	for candidate := range idx.InvertedIndex {
+		if pattern.MatchString(candidate) {
+			terms = append(terms, candidate)
+		}
+	}
+	return terms
+}
+
+// gramCandidates returns the terms containing the longest literal part of a
+// wildcard term, from the n-gram index. ok is false when n-grams are off or
+// the part is shorter than the shortest n-gram.
+func (idx *SearchIndex) gramCandidates(term string) (map[string]bool, bool) {
+	grams := activeAnalyzer.NGrams
+	if grams.Max == 0 {
+		return nil, false
+	}
+	longest := ""
+	for _, part := range strings.Split(term, "*") {
+		if utf8.RuneCountInString(part) > utf8.RuneCountInString(longest) {
+			longest = part
+		}
+	}
+	if utf8.RuneCountInString(longest) < grams.Min {
+		return nil, false
+	}
+	if runes := []rune(longest); len(runes) > grams.Max {
+		longest = string(runes[:grams.Max])
+	}
+	return idx.grams[longest], true
+}
+
+// addGrams indexes the n-grams of a new term. The caller must hold the index
+// write lock.
+func (idx *SearchIndex) addGrams(term string) {
+	for _, gram := range activeAnalyzer.grams(term) {
+		if idx.grams[gram] == nil {
+			idx.grams[gram] = make(map[string]bool)
+		}
+		idx.grams[gram][term] = true
+	}
+}
+
+// removeGrams drops a term from the n-gram index. The caller must hold the
+// index write lock.
+func (idx *SearchIndex) removeGrams(term string) {
+	for _, gram := range activeAnalyzer.grams(term) {
+		delete(idx.grams[gram], term)
+		if len(idx.grams[gram]) == 0 {
+			delete(idx.grams, gram)
+		}
+	}
+}
+
+// stem removes English plural and -ed/-ing endings from a word, following
+// steps 1a and 1b of the Porter stemmer and its removal of a final e, e.g.
+// timeouts, retried and connecting become timeout, retry and connect. Words
+// of other characters than ASCII letters, like IDs, are left alone.
+func stem(word string) string {
+	if len(word) <= 3 {
+		return word
+	}
+	for i := 0; i < len(word); i++ {
+		if c := word[i] | 0x20; c < 'a' || c > 'z' {
+			return word
+		}
+	}
+	// The rules look at the lowercase word and cut the word as written
+	lower := strings.ToLower(word)
+	cut := func(n int, suffix string) {
+		word = word[:len(word)-n] + suffix
+		lower = lower[:len(lower)-n] + suffix
+	}
+
+	switch {
+	case strings.HasSuffix(lower, "sses"):
+		cut(2, "")
+	case strings.HasSuffix(lower, "ies"):
+		cut(3, "y")
+	case strings.HasSuffix(lower, "ss"), strings.HasSuffix(lower, "us"), strings.HasSuffix(lower, "is"):
+	case strings.HasSuffix(lower, "s"):
+		cut(1, "")
+	}
+
+	for _, suffix := range []string{"ied", "ed", "ing"} {
+		if !strings.HasSuffix(lower, suffix) || strings.HasSuffix(lower, "eed") {
+			continue
+		}
+		base := lower[:len(lower)-len(suffix)]
+		if suffix == "ied" {
+			cut(3, "y")
+			break
+		}
+		if len(base) < 2 || !hasVowel(base) {
+			break
+		}
+		cut(len(suffix), "")
+		switch {
+		case strings.HasSuffix(lower, "at"), strings.HasSuffix(lower, "bl"), strings.HasSuffix(lower, "iz"):
+			cut(0, "e")
+		case endsDoubleConsonant(lower) && !strings.ContainsRune("lsz", rune(lower[len(lower)-1])):
+			cut(1, "")
+		case measure(lower) == 1 && endsCVC(lower):
+			cut(0, "e")
+		}
+		break
+	}
+
+	if strings.HasSuffix(lower, "e") {
+		base := lower[:len(lower)-1]
+		if m := measure(base); m > 1 || (m == 1 && !endsCVC(base)) {
+			cut(1, "")
+		}
+	}
+	return word
+}
+
+// isConsonant follows Porter: y is a consonant unless it follows one
+func isConsonant(word string, i int) bool {
+	switch word[i] {
+	case 'a', 'e', 'i', 'o', 'u':
+		return false
+	case 'y':
+		return i == 0 || !isConsonant(word, i-1)
+	}
+	return true
+}
+
+func hasVowel(word string) bool {
+	for i := range word {
+		if !isConsonant(word, i) {
+			return true
+		}
+	}
+	return false
+}
+
+// measure counts the vowel-consonant sequences of a word
+func measure(word string) int {
+	m := 0
+	i := 0
+	for i < len(word) && isConsonant(word, i) {
+		i++
+	}
+	for i < len(word) {
+		for i < len(word) && !isConsonant(word, i) {
+			i++
+		}
+		if i == len(word) {
+			break
+		}
+		for i < len(word) && isConsonant(word, i) {
+			i++
+		}
+		m++
+	}
+	return m
+}
+
+func endsDoubleConsonant(word string) bool {
+	n := len(word)
+	return n >= 2 && word[n-1] == word[n-2] && isConsonant(word, n-1)
+}
+
+// endsCVC reports whether a word ends with consonant, vowel, consonant where
+// the last isn't w, x or y, e.g. hop, which takes back the e of hope
+func endsCVC(word string) bool {
+	n := len(word)
+	return n >= 3 && isConsonant(word, n-1) && !isConsonant(word, n-2) && isConsonant(word, n-3) &&
+		!strings.ContainsRune("wxy", rune(word[n-1]))
+}
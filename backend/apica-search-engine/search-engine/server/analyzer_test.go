@@ -0,0 +1,275 @@
+package server
+
+import (
+	"encoding/json"
+	"reflect"
+	"sort"
+	"testing"
+)
+
+// withAnalyzer makes a the active analyzer for the rest of the test
+func withAnalyzer(t *testing.T, a *Analyzer) {
+	old := activeAnalyzer
+	activeAnalyzer = mustCompileAnalyzer(a)
+	t.Cleanup(func() { activeAnalyzer = old })
+}
+
+func TestStem(t *testing.T) {
+	tests := []struct {
+		word string
+		want string
+	}{
+		{"timeouts", "timeout"},
+		{"caresses", "caress"},
+		{"ponies", "pony"},
+		{"retries", "retry"},
+		{"retried", "retry"},
+		{"failed", "fail"},
+		{"connecting", "connect"},
+		{"running", "run"},
+		{"stopped", "stop"},
+		{"filling", "fill"},
+		{"hoping", "hope"},
+		{"timed", "time"},
+		{"conflated", "conflat"},
+		{"sized", "size"},
+		{"agreed", "agreed"},
+		{"string", "string"},
+		{"status", "status"},
+		{"analysis", "analysis"},
+		{"refused", "refus"},
+		{"Timeouts", "Timeout"},
+		{"abc123s", "abc123s"},
+		{"été", "été"},
+		{"ids", "ids"},
+	}
+	for _, tt := range tests {
+		if got := stem(tt.word); got != tt.want {
+			t.Errorf("stem(%q) = %q, want %q", tt.word, got, tt.want)
+		}
+	}
+}
+
+func TestSplitCompounds(t *testing.T) {
+	tests := []struct {
+		text      string
+		wildcards bool
+		want      []compound
+	}{
+		{"com.example.PaymentService", false, []compound{{[]string{"com", "example", "PaymentService"}, "com.example.PaymentService"}}},
+		{"connection=timeout,", false, []compound{{[]string{"connection"}, "connection"}, {[]string{"timeout"}, "timeout"}}},
+		{"/var/log/app.log", false, []compound{{[]string{"var", "log", "app", "log"}, "var/log/app.log"}}},
+		{`C:\logs\app`, false, []compound{{[]string{"C"}, "C"}, {[]string{"logs", "app"}, `logs\app`}}},
+		{"a..b -c d-", false, []compound{{[]string{"a"}, "a"}, {[]string{"b"}, "b"}, {[]string{"c"}, "c"}, {[]string{"d"}, "d"}}},
+		{"3f2a9c1e-41b2", false, []compound{{[]string{"3f2a9c1e", "41b2"}, "3f2a9c1e-41b2"}}},
+		{"pay*.svc", true, []compound{{[]string{"pay*", "svc"}, "pay*.svc"}}},
+		{"pay*.svc", false, []compound{{[]string{"pay"}, "pay"}, {[]string{"svc"}, "svc"}}},
+		{" ,;", false, nil},
+	}
+	for _, tt := range tests {
+		if got := splitCompounds(tt.text, tt.wildcards); !reflect.DeepEqual(got, tt.want) {
+			t.Errorf("splitCompounds(%q, %v) = %+v, want %+v", tt.text, tt.wildcards, got, tt.want)
+		}
+	}
+}
+
+func TestQueryTerms(t *testing.T) {
+	english := mustCompileAnalyzer(&Analyzer{Stemming: true, Stopwords: []string{"_english_"}})
+	sensitive := mustCompileAnalyzer(&Analyzer{Case: CaseSensitive})
+	tests := []struct {
+		analyzer *Analyzer
+		value    string
+		want     []string
+	}{
+		{english, "Timeouts", []string{"timeout"}},
+		{english, "connection=timeouts", []string{"connection", "timeout"}},
+		{english, "com.example.PaymentService", []string{"com.example.paymentservice"}},
+		{english, "Pay*", []string{"pay*"}},
+		{english, "*example.pay*", []string{"*example.pay*"}},
+		{english, "the", nil},
+		{english, "The=error", []string{"error"}},
+		{sensitive, "Timeout", []string{"Timeout"}},
+		{sensitive, "the", []string{"the"}},
+	}
+	for _, tt := range tests {
+		if got := tt.analyzer.queryTerms(tt.value); !reflect.DeepEqual(got, tt.want) {
+			t.Errorf("queryTerms(%q) = %q, want %q", tt.value, got, tt.want)
+		}
+	}
+}
+
+func TestApplyMatchMode(t *testing.T) {
+	tests := []struct {
+		query string
+		mode  string
+		want  string
+	}{
+		{`timeo`, MatchExact, `{"op":"TERM","value":"timeo"}`},
+		{`timeo`, "", `{"op":"TERM","value":"timeo"}`},
+		{`timeo`, MatchPrefix, `{"op":"TERM","value":"timeo*"}`},
+		{`timeo`, MatchContains, `{"op":"TERM","value":"*timeo*"}`},
+		{`timeo OR pay*`, MatchContains, `{"op":"OR","children":[{"op":"TERM","value":"*timeo*"},{"op":"TERM","value":"pay*"}]}`},
+		{`level:err -"api gw" conn`, MatchPrefix, `{"op":"AND","children":[{"op":"TERM","field":"level","value":"err"},{"op":"NOT","children":[{"op":"PHRASE","value":"api gw"}]},{"op":"TERM","value":"conn*"}]}`},
+	}
+	for _, tt := range tests {
+		node, err := ParseQuery(tt.query)
+		if err != nil {
+			t.Fatalf("ParseQuery(%q): %v", tt.query, err)
+		}
+		applyMatchMode(node, tt.mode)
+		if got, _ := json.Marshal(node); string(got) != tt.want {
+			t.Errorf("applyMatchMode(%q, %q) = %s, want %s", tt.query, tt.mode, got, tt.want)
+		}
+	}
+}
+
+// The n-gram index must find the same terms as scanning every term does
+func TestExpandTermWithNGrams(t *testing.T) {
+	terms := []string{"timeout", "timeouts", "paymentservice", "com.example.paymentservice", "servicemesh", "3f2a9c1e", "été"}
+	tests := []struct {
+		term   string
+		ngrams bool // Whether the n-gram index is used
+		want   []string
+	}{
+		{"*service*", true, []string{"com.example.paymentservice", "paymentservice", "servicemesh"}},
+		{"*imeou*", true, []string{"timeout", "timeouts"}},
+		{"*mentservi*", true, []string{"com.example.paymentservice", "paymentservice"}},
+		{"*2a9c*", true, []string{"3f2a9c1e"}},
+		{"*t*", false, []string{"com.example.paymentservice", "paymentservice", "timeout", "timeouts", "été"}},
+		{"time*t", true, []string{"timeout"}},
+		{"*été*", true, []string{"été"}},
+		{"*nothing*", true, nil},
+	}
+
+	expand := func(name string, idx *SearchIndex) {
+		for _, tt := range tests {
+			got := idx.expandTerm(tt.term)
+			sort.Strings(got)
+			if !reflect.DeepEqual(got, tt.want) {
+				t.Errorf("expandTerm(%q) with %s = %q, want %q", tt.term, name, got, tt.want)
+			}
+		}
+	}
+	scanned := NewSearchIndex()
+	for _, term := range terms {
+		scanned.InvertedIndex[term] = map[string]int{"1": 1}
+	}
+	expand("scan", scanned)
+
+	withAnalyzer(t, &Analyzer{NGrams: NGramRange{Min: 3, Max: 5}})
+	indexed := NewSearchIndex()
+	for _, term := range terms {
+		indexed.InvertedIndex[term] = map[string]int{"1": 1}
+		indexed.addGrams(term)
+	}
+	for _, tt := range tests {
+		if _, ok := indexed.gramCandidates(tt.term); ok != tt.ngrams {
+			t.Errorf("gramCandidates(%q) used n-grams: %v, want %v", tt.term, ok, tt.ngrams)
+		}
+	}
+	expand("n-grams", indexed)
+
+	for _, term := range terms {
+		indexed.removeGrams(term)
+	}
+	if len(indexed.grams) != 0 {
+		t.Errorf("%d n-grams left after removing every term", len(indexed.grams))
+	}
+}
+
+func TestStopwordTerms(t *testing.T) {
+	withAnalyzer(t, &Analyzer{Stopwords: []string{"_english_"}})
+	searchIndex = NewSearchIndex()
+	for id, message := range map[string]string{"1": "error in payments", "2": "request done", "3": "error and warning"} {
+		searchIndex.IndexDocument(&Document{ID: id, Message: message})
+	}
+
+	tests := []struct {
+		query string
+		want  []string
+	}{
+		{"the", nil},
+		{"the and", nil},
+		{"error the", []string{"1", "3"}},
+		{"error OR the", []string{"1", "3"}},
+		{"(the OR a) error", nil},
+		{"the -error", []string{"2"}},
+		{"-the", []string{"1", "2", "3"}},
+		{"error -the", []string{"1", "3"}},
+	}
+	for _, tt := range tests {
+		query, err := ParseQuery(tt.query)
+		if err != nil {
+			t.Fatalf("ParseQuery(%q): %v", tt.query, err)
+		}
+		results, _ := searchIndex.Search(query, SearchOptions{})
+		var ids []string
+		for _, doc := range results {
+			ids = append(ids, doc.ID)
+		}
+		sort.Strings(ids)
+		if !reflect.DeepEqual(ids, tt.want) {
+			t.Errorf("%s matched %v, want %v", tt.query, ids, tt.want)
+		}
+
+		// Live tail must agree
+		match := compileMatcher(query)
+		var tailed []string
+		for _, id := range []string{"1", "2", "3"} {
+			if matchesDocument(match, searchIndex.Documents[id]) {
+				tailed = append(tailed, id)
+			}
+		}
+		if !reflect.DeepEqual(tailed, tt.want) {
+			t.Errorf("%s tailed %v, want %v", tt.query, tailed, tt.want)
+		}
+	}
+}
+
+// Phrases follow the analyzer's case option in searches and live tail alike
+func TestCaseSensitivePhrases(t *testing.T) {
+	withAnalyzer(t, &Analyzer{Case: CaseSensitive})
+	searchIndex = NewSearchIndex()
+	docs := []*Document{
+		{ID: "1", Message: "Connection Refused by db-1"},
+		{ID: "2", Message: "connection refused by db-2"},
+	}
+	for _, doc := range docs {
+		searchIndex.IndexDocument(doc)
+	}
+
+	tests := []struct {
+		query string
+		want  []string
+	}{
+		{`"Connection Refused"`, []string{"1"}},
+		{`"connection refused"`, []string{"2"}},
+		{`"CONNECTION REFUSED"`, nil},
+		{`Connection`, []string{"1"}},
+	}
+	for _, tt := range tests {
+		query, err := ParseQuery(tt.query)
+		if err != nil {
+			t.Fatalf("ParseQuery(%q): %v", tt.query, err)
+		}
+		results, _ := searchIndex.Search(query, SearchOptions{})
+		var searched []string
+		for _, doc := range results {
+			searched = append(searched, doc.ID)
+		}
+		sort.Strings(searched)
+		match := compileMatcher(query)
+		var tailed []string
+		for _, doc := range docs {
+			if matchesDocument(match, doc) {
+				tailed = append(tailed, doc.ID)
+			}
+		}
+		if !reflect.DeepEqual(searched, tt.want) {
+			t.Errorf("%s: search matched %v, want %v", tt.query, searched, tt.want)
+		}
+		if !reflect.DeepEqual(tailed, tt.want) {
+			t.Errorf("%s: tail matched %v, want %v", tt.query, tailed, tt.want)
+		}
+	}
+}
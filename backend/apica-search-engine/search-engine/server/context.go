@@ -1 +1,145 @@
-package server
\ No newline at end of file
+package server
+
+import (
+	"net/http"
+	"sort"
+	"strconv"
+	"strings"
+)
+
+const (
+	defaultContextLines = 50
+	maxContextLines     = 1000
+)
+
+// contextFields identify the stream a log line belongs to. Lines sharing the
+// values the anchor has for these fields are shown around it.
+var contextFields = []string{"pod", "container"}
+
+// ContextResult holds the lines logged by the same source before and after
+// an anchor document, oldest first
+type ContextResult struct {
+	Anchor        *Document         `json:"anchor"`
+	Source        map[string]string `json:"source"` // Field values the lines were matched on
+	Before        []*Document       `json:"before"`
+	After         []*Document       `json:"after"`
+	HasMoreBefore bool              `json:"hasMoreBefore"`
+	HasMoreAfter  bool              `json:"hasMoreAfter"`
+}
+
+// Context returns up to before/after documents logged around the document
+// with the given ID by the same pod and container (or sender when the
+// document has no Kubernetes metadata), ordered by timestamp. It returns nil
+// if the document doesn't exist.
+func (idx *SearchIndex) Context(id string, before, after int) *ContextResult {
+	idx.mutex.RLock()
+	defer idx.mutex.RUnlock()
+
+	anchor, ok := idx.Documents[id]
+	if !ok {
+		return nil
+	}
+
+	source := make(map[string]string)
+	for _, field := range contextFields {
+		if value := anchor.Fields[field]; value != "" {
+			source[field] = value
+		}
+	}
+	if len(source) == 0 && anchor.Fields["sender"] != "" {
+		source["sender"] = anchor.Fields["sender"]
+	}
+
+	// Documents sharing every source value with the anchor
+	var candidates docSet
+	for field, value := range source {
+		set := docSet{}
+		for docID := range idx.FieldIndex[field][strings.ToLower(value)] {
+			set[docID] = true
+		}
+		if candidates == nil {
+			candidates = set
+		} else {
+			candidates = intersect(candidates, set)
+		}
+	}
+
+	docs := make([]*Document, 0, len(candidates))
+	for docID := range candidates {
+		docs = append(docs, idx.Documents[docID])
+	}
+	if len(docs) == 0 {
+		docs = append(docs, anchor)
+	}
+	sortDocuments(docs, SortTimestampAsc)
+
+	pos := sort.Search(len(docs), func(i int) bool {
+		return !docBefore(docs[i], anchor, SortTimestampAsc)
+	})
+
+	start := pos - before
+	if start < 0 {
+		start = 0
+	}
+	end := pos + 1 + after
+	if end > len(docs) {
+		end = len(docs)
+	}
+
+	return &ContextResult{
+		Anchor:        anchor,
+		Source:        source,
+		Before:        docs[start:pos],
+		After:         docs[pos+1 : end],
+		HasMoreBefore: start > 0,
+		HasMoreAfter:  end < len(docs),
+	}
+}
+
+// handleContext returns the lines surrounding a document
+func (app *Application) handleContext(w http.ResponseWriter, r *http.Request) {
+	if !allowMethods(w, r, "GET") {
+		return
+	}
+
+	id := r.URL.Query().Get("id")
+	if id == "" {
+		http.Error(w, "Missing query parameter 'id'", http.StatusBadRequest)
+		return
+	}
+
+	before, ok := contextLines(w, r, "before")
+	if !ok {
+		return
+	}
+	after, ok := contextLines(w, r, "after")
+	if !ok {
+		return
+	}
+
+	result := searchIndex.Context(id, before, after)
+	if result == nil {
+		http.Error(w, "Document not found", http.StatusNotFound)
+		return
+	}
+	writeJSON(w, http.StatusOK, result)
+}
+
+// contextLines reads a number of lines to return on one side of the
+// document. Larger numbers are capped rather than refused, so the UI
+// loading more and more lines keeps those it has.
+func contextLines(w http.ResponseWriter, r *http.Request, name string) (int, bool) {
+	value := r.URL.Query().Get(name)
+	if value == "" {
+		return defaultContextLines, true
+	}
+	n, err := strconv.Atoi(value)
+	if err != nil || n < 0 {
+		http.Error(w, "Invalid '"+name+"', expected a number of lines", http.StatusBadRequest)
+		return 0, false
+	}
+	if n > maxContextLines {
+		n = maxContextLines
+	}
+	return n, true
+}
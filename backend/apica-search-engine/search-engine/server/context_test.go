@@ -0,0 +1,54 @@
+package server
+
+import (
+	"encoding/json"
+	"fmt"
+	"net/http/httptest"
+	"testing"
+)
+
+func TestHandleContextLines(t *testing.T) {
+	searchIndex = NewSearchIndex()
+	for i := 0; i < 1500; i++ {
+		searchIndex.IndexDocument(&Document{
+			ID:        fmt.Sprintf("line-%d", i),
+			Message:   "tick",
+			Timestamp: int64(i),
+			Fields:    map[string]string{"pod": "api-1", "container": "api"},
+		})
+	}
+	app := &Application{}
+
+	tests := []struct {
+		query  string
+		code   int
+		before int
+	}{
+		{"id=line-1400", 200, defaultContextLines},
+		{"id=line-1400&before=10", 200, 10},
+		{"id=line-1400&before=0", 200, 0},
+		// More than the server returns is capped, not reset to the default
+		{"id=line-1400&before=1200", 200, maxContextLines},
+		{"id=line-1400&before=-1", 400, 0},
+		{"id=line-1400&before=many", 400, 0},
+		{"id=line-1400&after=many", 400, 0},
+	}
+	for _, tt := range tests {
+		rec := httptest.NewRecorder()
+		app.handleContext(rec, httptest.NewRequest("GET", "/api/context?"+tt.query, nil))
+		if rec.Code != tt.code {
+			t.Errorf("%s answered %d, want %d", tt.query, rec.Code, tt.code)
+			continue
+		}
+		if tt.code != 200 {
+			continue
+		}
+		var result ContextResult
+		if err := json.Unmarshal(rec.Body.Bytes(), &result); err != nil {
+			t.Fatal(err)
+		}
+		if len(result.Before) != tt.before {
+			t.Errorf("%s returned %d lines before, want %d", tt.query, len(result.Before), tt.before)
+		}
+	}
+}
@@ -0,0 +1,35 @@
+package server
+
+import (
+	"net/http"
+	"strings"
+)
+
+// Document returns the document with the given ID, or nil if it isn't in the
+// index
+func (idx *SearchIndex) Document(id string) *Document {
+	idx.mutex.RLock()
+	defer idx.mutex.RUnlock()
+	return idx.Documents[id]
+}
+
+// handleDocument returns the single document at /api/documents/{id}, so
+// links to a log line can be resolved without searching for it
+func (app *Application) handleDocument(w http.ResponseWriter, r *http.Request) {
+	if !allowMethods(w, r, "GET") {
+		return
+	}
+
+	id := strings.TrimPrefix(r.URL.Path, "/api/documents/")
+	if id == "" {
+		http.Error(w, "Missing document ID", http.StatusBadRequest)
+		return
+	}
+
+	doc := searchIndex.Document(id)
+	if doc == nil {
+		http.Error(w, "Document not found", http.StatusNotFound)
+		return
+	}
+	writeJSON(w, http.StatusOK, doc)
+}
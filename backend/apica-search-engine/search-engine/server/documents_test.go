@@ -0,0 +1,60 @@
+package server
+
+import (
+	"encoding/json"
+	"net/http"
+	"net/http/httptest"
+	"testing"
+
+	"github.com/sirupsen/logrus"
+)
+
+func TestDocumentIDsAreUniqueAcrossFiles(t *testing.T) {
+	searchIndex = NewSearchIndex()
+	files := []string{"a.parquet", "b.parquet", "my logs.parquet"}
+	for _, source := range files {
+		var docs []*Document
+		for row := int64(0); row < 3; row++ {
+			docs = append(docs, &Document{ID: documentID(source, row), SourceFile: source, SourceRow: row, Message: "same message"})
+		}
+		searchIndex.IndexDocuments(docs)
+	}
+	if len(searchIndex.Documents) != len(files)*3 {
+		t.Fatalf("%d documents indexed, want %d: rows of different files share IDs", len(searchIndex.Documents), len(files)*3)
+	}
+
+	app := &Application{config: &Config{}, logger: logrus.New()}
+	tests := []struct {
+		path   string
+		status int
+		source string
+		row    int64
+	}{
+		{"/api/documents/a.parquet:0", http.StatusOK, "a.parquet", 0},
+		{"/api/documents/b.parquet:0", http.StatusOK, "b.parquet", 0},
+		{"/api/documents/b.parquet:2", http.StatusOK, "b.parquet", 2},
+		{"/api/documents/my%20logs.parquet:1", http.StatusOK, "my logs.parquet", 1},
+		{"/api/documents/a.parquet:3", http.StatusNotFound, "", 0},
+		{"/api/documents/c.parquet:0", http.StatusNotFound, "", 0},
+		{"/api/documents/0", http.StatusNotFound, "", 0},
+		{"/api/documents/", http.StatusBadRequest, "", 0},
+	}
+	for _, tt := range tests {
+		rec := httptest.NewRecorder()
+		app.handleDocument(rec, httptest.NewRequest("GET", tt.path, nil))
+		if rec.Code != tt.status {
+			t.Errorf("%s answered %d, want %d", tt.path, rec.Code, tt.status)
+			continue
+		}
+		if tt.status != http.StatusOK {
+			continue
+		}
+		var doc Document
+		if err := json.Unmarshal(rec.Body.Bytes(), &doc); err != nil {
+			t.Fatal(err)
+		}
+		if doc.SourceFile != tt.source || doc.SourceRow != tt.row || doc.ID != documentID(tt.source, tt.row) {
+			t.Errorf("%s returned %s row %d (%s), want %s row %d", tt.path, doc.SourceFile, doc.SourceRow, doc.ID, tt.source, tt.row)
+		}
+	}
+}
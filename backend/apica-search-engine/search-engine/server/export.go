@@ -0,0 +1,447 @@
+package server
+
+import (
+	"encoding/csv"
+	"encoding/json"
+	"fmt"
+	"io"
+	"net/http"
+	"strconv"
+	"strings"
+	"time"
+
+	"github.com/apache/arrow/go/arrow/memory"
+	"github.com/apache/arrow/go/v13/arrow"
+	"github.com/apache/arrow/go/v13/arrow/array"
+	"github.com/apache/arrow/go/v13/parquet"
+	"github.com/apache/arrow/go/v13/parquet/pqarrow"
+)
+
+// Export formats
+const (
+	ExportCSV     = "csv"
+	ExportNDJSON  = "ndjson"
+	ExportParquet = "parquet"
+)
+
+// exportBatchSize is the number of documents written between flushes (and
+// per Parquet row group), so large exports stream instead of buffering
+const exportBatchSize = 1000
+
+// exportContentTypes maps each export format to its response content type
+var exportContentTypes = map[string]string{
+	ExportCSV:     "text/csv; charset=utf-8",
+	ExportNDJSON:  "application/x-ndjson",
+	ExportParquet: "application/vnd.apache.parquet",
+}
+
+// exportColumns returns the columns a CSV export can include, in the order
+// they are written: the timestamp and ID, the fields of the schema and the
+// message
+func exportColumns() []string {
+	columns := []string{"timestamp", "id"}
+	for _, name := range activeSchema.fieldNames() {
+		if name != "timestamp" && name != "id" && name != "message" {
+			columns = append(columns, name)
+		}
+	}
+	return append(columns, "message")
+}
+
+// defaultExportColumns are used when the request doesn't pick any
+var defaultExportColumns = []string{"timestamp", "level", "namespace", "pod", "message"}
+
+// exportColumnValue returns a document's value for a CSV column
+func exportColumnValue(doc *Document, column string) string {
+	switch column {
+	case "timestamp":
+		if doc.Timestamp == 0 {
+			return ""
+		}
+		return time.Unix(0, doc.Timestamp).UTC().Format(time.RFC3339Nano)
+	case "id":
+		return doc.ID
+	case "message":
+		return doc.Message
+	default:
+		return fieldValue(doc, column)
+	}
+}
+
+// parseExportColumns reads the comma-separated CSV columns, keeping the
+// canonical column order
+func parseExportColumns(value string) ([]string, error) {
+	if value == "" {
+		return defaultExportColumns, nil
+	}
+	available := exportColumns()
+	requested := make(map[string]bool)
+	for _, column := range strings.Split(value, ",") {
+		column = strings.ToLower(strings.TrimSpace(column))
+		if column == "" {
+			continue
+		}
+		known := false
+		for _, c := range available {
+			if c == column {
+				known = true
+				break
+			}
+		}
+		if !known {
+			return nil, fmt.Errorf("unknown export column '%s'", column)
+		}
+		requested[column] = true
+	}
+	columns := make([]string, 0, len(requested))
+	for _, column := range available {
+		if requested[column] {
+			columns = append(columns, column)
+		}
+	}
+	if len(columns) == 0 {
+		return defaultExportColumns, nil
+	}
+	return columns, nil
+}
+
+// writeCSV writes the documents as CSV with a header row. flush is called
+// after every batch and stops the export when it returns an error.
+func writeCSV(w io.Writer, docs []*Document, columns []string, flush func() error) error {
+	cw := csv.NewWriter(w)
+	if err := cw.Write(columns); err != nil {
+		return err
+	}
+	record := make([]string, len(columns))
+	for i, doc := range docs {
+		for j, column := range columns {
+			record[j] = exportColumnValue(doc, column)
+		}
+		if err := cw.Write(record); err != nil {
+			return err
+		}
+		if (i+1)%exportBatchSize == 0 {
+			cw.Flush()
+			if err := flush(); err != nil {
+				return err
+			}
+		}
+	}
+	cw.Flush()
+	return cw.Error()
+}
+
+// writeNDJSON writes one raw document per line
+func writeNDJSON(w io.Writer, docs []*Document, flush func() error) error {
+	enc := json.NewEncoder(w)
+	for i, doc := range docs {
+		if err := enc.Encode(doc); err != nil {
+			return err
+		}
+		if (i+1)%exportBatchSize == 0 {
+			if err := flush(); err != nil {
+				return err
+			}
+		}
+	}
+	return nil
+}
+
+// keptColumns are the columns of the fluentd layout documents keep as they
+// were read (see processBatch), written back unchanged
+var keptColumns = []struct {
+	name  string
+	value func(doc *Document) string
+}{
+	{"MessageRaw", func(doc *Document) string { return doc.MessageRaw }},
+	{"StructuredData", func(doc *Document) string { return doc.StructuredData }},
+	{"Tag", func(doc *Document) string { return doc.Tag }},
+	{"Sender", func(doc *Document) string { return doc.Sender }},
+	{"Groupings", func(doc *Document) string { return doc.Groupings }},
+	{"Event", func(doc *Document) string { return doc.Event }},
+	{"EventId", func(doc *Document) string { return doc.EventID }},
+	{"Namespace", func(doc *Document) string { return doc.Namespace }},
+}
+
+// parquetColumn is a column of a Parquet export and how a document's value
+// is appended to it
+type parquetColumn struct {
+	field    arrow.Field
+	appendTo func(b array.Builder, doc *Document)
+}
+
+// parquetColumns returns the columns a Parquet export writes, so it can be
+// loaded back with the same schema mapping: the columns the mapping reads,
+// in mapping order, then the kept fluentd columns any document has a value
+// for. Columns read through JSON paths are rebuilt as JSON objects holding
+// the mapped values. A value cut out by a pattern is written as it is, and
+// only to a column no other mapping writes.
+func parquetColumns(s *Schema, docs []*Document) []parquetColumn {
+	var columns []parquetColumn
+	written := make(map[string]bool)
+	paths := make(map[string][]*SchemaField) // JSON column -> mappings read from it
+	add := func(name string, typ arrow.DataType, appendTo func(array.Builder, *Document)) {
+		written[name] = true
+		columns = append(columns, parquetColumn{arrow.Field{Name: name, Type: typ}, appendTo})
+	}
+	text := func(value func(*Document) string) func(array.Builder, *Document) {
+		return func(b array.Builder, doc *Document) { b.(*array.StringBuilder).Append(value(doc)) }
+	}
+	kept := make(map[string]func(*Document) string, len(keptColumns))
+	for _, column := range keptColumns {
+		kept[column.name] = column.value
+	}
+
+	mappings := []*SchemaField{&s.Timestamp, &s.Message}
+	for i := range s.Fields {
+		mappings = append(mappings, &s.Fields[i])
+	}
+	for _, patterned := range []bool{false, true} {
+		for _, field := range mappings {
+			if (field.pattern != nil) != patterned {
+				continue
+			}
+			column := field.Column
+			if written[column] {
+				if _, ok := paths[column]; ok && field.Path != "" {
+					paths[column] = append(paths[column], field)
+				}
+				continue
+			}
+			switch {
+			case kept[column] != nil:
+				add(column, arrow.BinaryTypes.String, text(kept[column]))
+			case field.Path != "":
+				paths[column] = []*SchemaField{field}
+				add(column, arrow.BinaryTypes.String, text(func(doc *Document) string {
+					return jsonColumn(s, paths[column], doc)
+				}))
+			case field == &s.Timestamp && s.Timestamp.Unit != UnitRFC3339:
+				add(column, arrow.PrimitiveTypes.Int64, func(b array.Builder, doc *Document) {
+					b.(*array.Int64Builder).Append(doc.Timestamp / timestampScale(s))
+				})
+			default:
+				field := field
+				add(column, arrow.BinaryTypes.String, text(func(doc *Document) string {
+					return mappedValue(s, field, doc)
+				}))
+			}
+		}
+	}
+
+	for _, column := range keptColumns {
+		if written[column.name] {
+			continue
+		}
+		for _, doc := range docs {
+			if column.value(doc) != "" {
+				add(column.name, arrow.BinaryTypes.String, text(column.value))
+				break
+			}
+		}
+	}
+	return columns
+}
+
+// timestampScale returns the nanoseconds in a unit of the timestamp column
+func timestampScale(s *Schema) int64 {
+	if scale := unitScale[s.Timestamp.Unit]; scale != 0 {
+		return scale
+	}
+	return 1
+}
+
+// mappedValue returns a document's value for a mapping as it would be read
+// from its column: the timestamp in the mapping's unit, the message or the
+// field's value
+func mappedValue(s *Schema, field *SchemaField, doc *Document) string {
+	switch field {
+	case &s.Timestamp:
+		if doc.Timestamp == 0 {
+			return ""
+		}
+		if s.Timestamp.Unit == UnitRFC3339 {
+			return time.Unix(0, doc.Timestamp).UTC().Format(time.RFC3339Nano)
+		}
+		return strconv.FormatInt(doc.Timestamp/timestampScale(s), 10)
+	case &s.Message:
+		return doc.Message
+	}
+	if field.Indexed {
+		return doc.Fields[field.Name]
+	}
+	return doc.Attributes[field.Name]
+}
+
+// jsonColumn rebuilds the JSON of a column from the mappings read from it.
+// A field read from an object gets its keys and values back as an object.
+func jsonColumn(s *Schema, mappings []*SchemaField, doc *Document) string {
+	root := make(map[string]interface{})
+	for _, field := range mappings {
+		var value interface{}
+		if text := mappedValue(s, field, doc); text != "" {
+			value = text
+		} else if field != &s.Timestamp && field != &s.Message {
+			values := doc.Attributes
+			if field.Indexed {
+				values = doc.Fields
+			}
+			object := make(map[string]interface{})
+			prefix := field.Name + "."
+			for key, item := range values {
+				if strings.HasPrefix(key, prefix) {
+					object[key[len(prefix):]] = item
+				}
+			}
+			if len(object) > 0 {
+				value = object
+			}
+		}
+		if value != nil {
+			setJSONPath(root, strings.Split(field.Path, "."), value)
+		}
+	}
+	if len(root) == 0 {
+		return ""
+	}
+	encoded, _ := json.Marshal(root)
+	return string(encoded)
+}
+
+// setJSONPath sets the value at a path of nested objects, creating them as
+// needed. A value already set on the way wins.
+func setJSONPath(object map[string]interface{}, path []string, value interface{}) {
+	for _, key := range path[:len(path)-1] {
+		next, ok := object[key].(map[string]interface{})
+		if !ok {
+			if _, taken := object[key]; taken {
+				return
+			}
+			next = make(map[string]interface{})
+			object[key] = next
+		}
+		object = next
+	}
+	if _, taken := object[path[len(path)-1]]; !taken {
+		object[path[len(path)-1]] = value
+	}
+}
+
+// writeParquet writes the documents as a parquet file with the columns of
+// the active schema, one row group per batch
+func writeParquet(w io.Writer, docs []*Document, flush func() error) error {
+	columns := parquetColumns(activeSchema, docs)
+	fields := make([]arrow.Field, len(columns))
+	for i, column := range columns {
+		fields[i] = column.field
+	}
+	schema := arrow.NewSchema(fields, nil)
+
+	fw, err := pqarrow.NewFileWriter(schema, w, parquet.NewWriterProperties(), pqarrow.DefaultWriterProps())
+	if err != nil {
+		return fmt.Errorf("failed to create parquet writer: %w", err)
+	}
+
+	builder := array.NewRecordBuilder(memory.DefaultAllocator, schema)
+	defer builder.Release()
+
+	for start := 0; start < len(docs); start += exportBatchSize {
+		end := start + exportBatchSize
+		if end > len(docs) {
+			end = len(docs)
+		}
+		for _, doc := range docs[start:end] {
+			for i, column := range columns {
+				column.appendTo(builder.Field(i), doc)
+			}
+		}
+
+		record := builder.NewRecord()
+		err := fw.Write(record)
+		record.Release()
+		if err != nil {
+			fw.Close()
+			return fmt.Errorf("failed to write parquet rows: %w", err)
+		}
+		if err := flush(); err != nil {
+			fw.Close()
+			return err
+		}
+	}
+	return fw.Close()
+}
+
+// handleExport streams every document matching a query as a file download.
+// The total number of documents is sent up front in X-Total-Count so the
+// client can show progress; closing the connection cancels the export.
+func (app *Application) handleExport(w http.ResponseWriter, r *http.Request) {
+	if !allowMethods(w, r, "GET") {
+		return
+	}
+
+	parsedQuery, opts, ok := parseSearchRequest(w, r)
+	if !ok {
+		return
+	}
+
+	format := r.URL.Query().Get("format")
+	if format == "" {
+		format = ExportCSV
+	}
+	contentType, ok := exportContentTypes[format]
+	if !ok {
+		http.Error(w, "Invalid 'format' parameter: expected csv, ndjson or parquet", http.StatusBadRequest)
+		return
+	}
+
+	columns, err := parseExportColumns(r.URL.Query().Get("columns"))
+	if err != nil {
+		http.Error(w, err.Error(), http.StatusBadRequest)
+		return
+	}
+
+	opts.Sort = r.URL.Query().Get("sort")
+	if opts.Sort == "" {
+		opts.Sort = SortTimestampDesc
+	}
+	if !validSort(opts.Sort) {
+		http.Error(w, "Invalid 'sort' parameter: expected timestamp:asc, timestamp:desc or relevance", http.StatusBadRequest)
+		return
+	}
+
+	results, _ := searchIndex.Search(parsedQuery, opts)
+
+	// Large exports outlive the server's write timeout
+	controller := http.NewResponseController(w)
+	if err := controller.SetWriteDeadline(time.Time{}); err != nil {
+		http.Error(w, "Streaming not supported", http.StatusInternalServerError)
+		return
+	}
+
+	filename := fmt.Sprintf("logs-%s.%s", time.Now().UTC().Format("20060102-150405"), format)
+	w.Header().Set("Content-Type", contentType)
+	w.Header().Set("Content-Disposition", fmt.Sprintf("attachment; filename=%q", filename))
+	w.Header().Set("X-Total-Count", strconv.Itoa(len(results)))
+	w.Header().Set("Access-Control-Expose-Headers", "Content-Disposition, X-Total-Count")
+	w.WriteHeader(http.StatusOK)
+
+	// Stop as soon as the client goes away
+	flush := func() error {
+		if err := r.Context().Err(); err != nil {
+			return err
+		}
+		return controller.Flush()
+	}
+
+	switch format {
+	case ExportCSV:
+		err = writeCSV(w, results, columns, flush)
+	case ExportNDJSON:
+		err = writeNDJSON(w, results, flush)
+	case ExportParquet:
+		err = writeParquet(w, results, flush)
+	}
+	if err != nil {
+		app.logger.Warnf("Export of %d documents stopped: %v", len(results), err)
+	}
+}
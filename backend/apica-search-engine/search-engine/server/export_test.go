@@ -0,0 +1,98 @@
+package server
+
+import (
+	"os"
+	"path/filepath"
+	"reflect"
+	"testing"
+)
+
+// A Parquet export is read back into the same documents with the schema it
+// was written with
+func TestParquetExportRoundTrip(t *testing.T) {
+	custom := serviceSchema(t)
+	custom.Fields = append(custom.Fields,
+		SchemaField{Name: "label", Column: "resource", Path: "labels", Indexed: true},
+		SchemaField{Name: "code", Column: "body", Pattern: `code=(\d+)`, Indexed: true},
+	)
+	if err := custom.compile(); err != nil {
+		t.Fatal(err)
+	}
+
+	tests := []struct {
+		name   string
+		schema *Schema
+		rows   []map[string]string
+	}{
+		{"fluentd", mustCompile(DefaultSchema()), []map[string]string{
+			{
+				"NanoTimeStamp":  "1700000000123456789",
+				"Message":        "[2024-01-01] ERROR payment failed",
+				"MessageRaw":     `{"kubernetes":{"namespace_name":"payments","pod_name":"api-1","labels":{"app":"api"}}}`,
+				"StructuredData": `{"k":"v"}`,
+				"Sender":         "fluentd",
+				"Tag":            "kube",
+				"EventId":        "7",
+			},
+			{"NanoTimeStamp": "1700000001000000000", "Message": "[2024-01-01] INFO done", "Namespace": "billing"},
+		}},
+		{"custom", custom, []map[string]string{
+			{
+				"ts":       "1700000000123",
+				"body":     "charge failed code=402",
+				"severity": "error",
+				"resource": `{"service":{"name":"payments"},"labels":{"team":"core","tier":"1"}}`,
+				"trace_id": "abc",
+			},
+			{"ts": "1700000001000", "body": "charge done", "severity": "info"},
+		}},
+	}
+	for _, tt := range tests {
+		t.Run(tt.name, func(t *testing.T) {
+			old := activeSchema
+			activeSchema = tt.schema
+			defer func() { activeSchema = old }()
+
+			var docs []*Document
+			for _, row := range tt.rows {
+				doc := &Document{
+					MessageRaw:     row["MessageRaw"],
+					StructuredData: row["StructuredData"],
+					Tag:            row["Tag"],
+					Sender:         row["Sender"],
+					Groupings:      row["Groupings"],
+					Event:          row["Event"],
+					EventID:        row["EventId"],
+					Namespace:      row["Namespace"],
+				}
+				activeSchema.apply(doc, func(column string) string { return row[column] })
+				docs = append(docs, doc)
+			}
+
+			path := filepath.Join(t.TempDir(), "export.parquet")
+			f, err := os.Create(path)
+			if err != nil {
+				t.Fatal(err)
+			}
+			if err := writeParquet(f, docs, func() error { return nil }); err != nil {
+				t.Fatal(err)
+			}
+			f.Close()
+
+			searchIndex = NewSearchIndex()
+			if _, err := processParquetFile(path); err != nil {
+				t.Fatal(err)
+			}
+			for i, want := range docs {
+				got := searchIndex.Documents[documentID("export.parquet", int64(i))]
+				if got == nil {
+					t.Fatalf("row %d wasn't read back", i)
+				}
+				want.ID, want.SourceFile, want.SourceRow = got.ID, got.SourceFile, got.SourceRow
+				if !reflect.DeepEqual(got, want) {
+					t.Errorf("row %d read back as %+v, want %+v", i, got, want)
+				}
+			}
+		})
+	}
+}
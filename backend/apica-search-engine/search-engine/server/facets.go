@@ -0,0 +1,117 @@
+package server
+
+import (
+	"net/http"
+	"sort"
+	"strconv"
+	"strings"
+)
+
+const (
+	defaultFacetSize = 10
+	maxFacetSize     = 100
+)
+
+// FacetValue is one value of a facet and the number of matching documents
+// having it. Field is the query field to filter on, which differs from the
+// facet name for fields read from JSON objects (e.g. "label.app").
+type FacetValue struct {
+	Field string `json:"field"`
+	Value string `json:"value"`
+	Count int    `json:"count"`
+}
+
+// Facet holds the top values of a field across the whole result set
+type Facet struct {
+	Name   string       `json:"name"`
+	Label  string       `json:"label,omitempty"` // Label of the schema field
+	Values []FacetValue `json:"values"`
+	Other  int          `json:"other"` // Documents having a value outside the top values
+}
+
+// FacetsResult represents the facets returned by the API
+type FacetsResult struct {
+	Query        string  `json:"query"`
+	TotalResults int     `json:"totalResults"`
+	Facets       []Facet `json:"facets"`
+	Level        string  `json:"level,omitempty"` // Facet of the log level, if the schema maps one
+}
+
+// topFacetValues sorts counted values by count (then value) and keeps the top size
+func topFacetValues(name string, counts map[FacetValue]int, size int) Facet {
+	values := make([]FacetValue, 0, len(counts))
+	for value, count := range counts {
+		value.Count = count
+		values = append(values, value)
+	}
+	sort.Slice(values, func(i, j int) bool {
+		if values[i].Count != values[j].Count {
+			return values[i].Count > values[j].Count
+		}
+		return values[i].Field+values[i].Value < values[j].Field+values[j].Value
+	})
+
+	facet := Facet{Name: name, Values: values}
+	if len(values) > size {
+		facet.Values = values[:size]
+		for _, value := range values[size:] {
+			facet.Other += value.Count
+		}
+	}
+	return facet
+}
+
+// Facets counts the values of the schema's indexed fields, in mapping order,
+// over all documents matching the query, not just one page of results. The
+// keys of a field read from a JSON object (e.g. the Kubernetes labels) are
+// counted together in the field's facet.
+func (idx *SearchIndex) Facets(query *QueryNode, opts SearchOptions, size int) *FacetsResult {
+	docs, _ := idx.Search(query, opts)
+
+	fields := activeSchema.indexedFieldNames()
+	counts := make(map[string]map[FacetValue]int, len(fields))
+	for _, field := range fields {
+		counts[field] = make(map[FacetValue]int)
+	}
+
+	for _, doc := range docs {
+		for field, value := range doc.Fields {
+			name := field
+			if _, ok := counts[name]; !ok {
+				name, _, _ = strings.Cut(field, ".")
+			}
+			if fieldCounts, ok := counts[name]; ok {
+				fieldCounts[FacetValue{Field: field, Value: value}]++
+			}
+		}
+	}
+
+	result := &FacetsResult{TotalResults: len(docs), Facets: []Facet{}, Level: activeSchema.Level}
+	for _, field := range fields {
+		facet := topFacetValues(field, counts[field], size)
+		facet.Label = activeSchema.fieldLabel(field)
+		result.Facets = append(result.Facets, facet)
+	}
+	return result
+}
+
+// handleFacets returns the top field values for the current query
+func (app *Application) handleFacets(w http.ResponseWriter, r *http.Request) {
+	if !allowMethods(w, r, "GET") {
+		return
+	}
+
+	parsedQuery, opts, ok := parseSearchRequest(w, r)
+	if !ok {
+		return
+	}
+
+	size := defaultFacetSize
+	if s, err := strconv.Atoi(r.URL.Query().Get("size")); err == nil && s > 0 && s <= maxFacetSize {
+		size = s
+	}
+
+	result := searchIndex.Facets(parsedQuery, opts, size)
+	result.Query = r.URL.Query().Get("q")
+	writeJSON(w, http.StatusOK, result)
+}
@@ -0,0 +1,79 @@
+package server
+
+import (
+	"sort"
+	"strings"
+)
+
+// matchedTerms lists the free text terms and phrases of a query that occur in
+// a document, as the document's own tokens. Wildcards are expanded to the
+// tokens they matched, so clients can highlight them without re-implementing
+// the tokenizer. Terms under NOT are skipped since they never match a result.
+func matchedTerms(query *QueryNode, doc *Document) []string {
+	text := searchableText(doc)
+	tokens := activeAnalyzer.Tokens(text)
+	tokenSet := make(map[string]bool)
+	for _, term := range activeAnalyzer.Terms(text) {
+		tokenSet[term] = true
+	}
+
+	found := make(map[string]bool)
+	var walk func(node *QueryNode)
+	walk = func(node *QueryNode) {
+		switch node.Op {
+		case OpAnd, OpOr:
+			for _, child := range node.Children {
+				walk(child)
+			}
+		case OpTerm:
+			if node.Field != "" {
+				return
+			}
+			for _, term := range activeAnalyzer.queryTerms(node.Value) {
+				if !strings.Contains(term, "*") {
+					if tokenSet[term] {
+						found[term] = true
+					}
+					continue
+				}
+				pattern := wildcardPattern(term)
+				for token := range tokenSet {
+					if pattern.MatchString(token) {
+						found[token] = true
+					}
+				}
+			}
+		case OpPhrase:
+			if node.Field != "" {
+				return
+			}
+			phrase := activeAnalyzer.Tokens(node.Value)
+			if containsPhrase(tokens, phrase) {
+				found[strings.Join(phrase, " ")] = true
+			}
+		}
+	}
+	walk(query)
+
+	terms := make([]string, 0, len(found))
+	for term := range found {
+		terms = append(terms, term)
+	}
+	sort.Strings(terms)
+	return terms
+}
+
+// highlightDocuments returns the matched terms of each document by ID,
+// leaving out documents that matched on fields only
+func highlightDocuments(query *QueryNode, docs []*Document) map[string][]string {
+	highlights := make(map[string][]string, len(docs))
+	if query == nil {
+		return highlights
+	}
+	for _, doc := range docs {
+		if terms := matchedTerms(query, doc); len(terms) > 0 {
+			highlights[doc.ID] = terms
+		}
+	}
+	return highlights
+}
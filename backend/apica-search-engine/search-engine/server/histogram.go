@@ -0,0 +1,129 @@
+package server
+
+import (
+	"net/http"
+	"strconv"
+	"strings"
+	"time"
+)
+
+const (
+	defaultHistogramBuckets = 60
+	maxHistogramBuckets     = 500
+)
+
+// histogramIntervals are the bucket widths a histogram may use, smallest first
+var histogramIntervals = []time.Duration{
+	time.Second,
+	5 * time.Second,
+	10 * time.Second,
+	30 * time.Second,
+	time.Minute,
+	5 * time.Minute,
+	10 * time.Minute,
+	30 * time.Minute,
+	time.Hour,
+	3 * time.Hour,
+	6 * time.Hour,
+	12 * time.Hour,
+	24 * time.Hour,
+	7 * 24 * time.Hour,
+}
+
+// HistogramBucket holds the match counts for one time bucket, by log level
+type HistogramBucket struct {
+	Start  time.Time      `json:"start"`
+	End    time.Time      `json:"end"`
+	Total  int            `json:"total"`
+	Counts map[string]int `json:"counts"`
+}
+
+// HistogramResult represents the histogram returned by the API
+type HistogramResult struct {
+	Query        string            `json:"query"`
+	TotalResults int               `json:"totalResults"`
+	IntervalMs   int64             `json:"intervalMs"`
+	Buckets      []HistogramBucket `json:"buckets"`
+}
+
+// histogramInterval picks the smallest interval that covers the span in at
+// most maxBuckets buckets
+func histogramInterval(span time.Duration, maxBuckets int) time.Duration {
+	for _, interval := range histogramIntervals {
+		if span/interval < time.Duration(maxBuckets) {
+			return interval
+		}
+	}
+	return histogramIntervals[len(histogramIntervals)-1]
+}
+
+// Histogram counts the documents matching a query per time bucket and level.
+// Without an explicit time range the buckets span the matching documents.
+func (idx *SearchIndex) Histogram(query *QueryNode, opts SearchOptions, maxBuckets int) *HistogramResult {
+	docs, _ := idx.Search(query, opts)
+	result := &HistogramResult{TotalResults: len(docs), Buckets: []HistogramBucket{}}
+
+	from, to := opts.From, opts.To
+	for _, doc := range docs {
+		if opts.From == 0 && (from == 0 || doc.Timestamp < from) {
+			from = doc.Timestamp
+		}
+		if opts.To == 0 && doc.Timestamp > to {
+			to = doc.Timestamp
+		}
+	}
+	if from == 0 || to < from {
+		return result
+	}
+
+	interval := histogramInterval(time.Duration(to-from), maxBuckets)
+	result.IntervalMs = interval.Milliseconds()
+
+	// Align the first bucket on the interval so bucket edges are round times
+	start := from - from%int64(interval)
+	numBuckets := int((to-start)/int64(interval)) + 1
+	result.Buckets = make([]HistogramBucket, numBuckets)
+	for i := range result.Buckets {
+		bucketStart := start + int64(i)*int64(interval)
+		result.Buckets[i] = HistogramBucket{
+			Start:  time.Unix(0, bucketStart).UTC(),
+			End:    time.Unix(0, bucketStart+int64(interval)).UTC(),
+			Counts: map[string]int{},
+		}
+	}
+
+	for _, doc := range docs {
+		i := int((doc.Timestamp - start) / int64(interval))
+		if i < 0 || i >= numBuckets {
+			continue
+		}
+		level := strings.ToUpper(doc.Fields[activeSchema.Level])
+		if level == "" {
+			level = "OTHER"
+		}
+		result.Buckets[i].Counts[level]++
+		result.Buckets[i].Total++
+	}
+	return result
+}
+
+// handleHistogram returns match counts over time for the current query
+func (app *Application) handleHistogram(w http.ResponseWriter, r *http.Request) {
+	if !allowMethods(w, r, "GET") {
+		return
+	}
+
+	parsedQuery, opts, ok := parseSearchRequest(w, r)
+	if !ok {
+		return
+	}
+
+	buckets := defaultHistogramBuckets
+	if b, err := strconv.Atoi(r.URL.Query().Get("buckets")); err == nil && b > 0 && b <= maxHistogramBuckets {
+		buckets = b
+	}
+
+	result := searchIndex.Histogram(parsedQuery, opts, buckets)
+	result.Query = r.URL.Query().Get("q")
+	writeJSON(w, http.StatusOK, result)
+}
@@ -0,0 +1,374 @@
+package server
+
+import (
+	"bufio"
+	"context"
+	"encoding/gob"
+	"errors"
+	"fmt"
+	"net/http"
+	"os"
+	"path/filepath"
+	"sync"
+	"time"
+)
+
+// Indexing states reported by the status endpoint
+const (
+	IndexLoading  = "loading"  // Restoring the snapshot
+	IndexIndexing = "indexing" // Processing new and changed parquet files
+	IndexReady    = "ready"
+	IndexError    = "error" // Indexing failed; searches cover what was indexed
+)
+
+// snapshotVersion is bumped whenever the snapshot layout changes, so older
+// snapshots are ignored and the folder is indexed from scratch
+const snapshotVersion = 3
+
+// IndexedFile records the version of a parquet file that is in the index and
+// the documents created from it
+type IndexedFile struct {
+	Size        int64
+	ModTime     time.Time
+	DocumentIDs []string
+	Error       string // Why the file couldn't be read, empty on success
+	IndexedAt   time.Time
+	Duration    time.Duration // Time it took to index the file
+}
+
+// indexStatus tracks the progress of loading and indexing
+type indexStatus struct {
+	mutex        sync.Mutex
+	state        string
+	filesTotal   int
+	filesDone    int
+	fromSnapshot bool
+	snapshotAt   time.Time
+	err          string
+	updatedAt    time.Time
+	active       map[string]bool // Files being indexed right now
+}
+
+// IndexStatus is the indexing status returned by the API
+type IndexStatus struct {
+	State        string     `json:"state"`
+	FilesTotal   int        `json:"filesTotal"` // Files to index in the current run
+	FilesDone    int        `json:"filesDone"`
+	Documents    int        `json:"documents"`
+	FromSnapshot bool       `json:"fromSnapshot"` // Whether the index was restored from a snapshot on startup
+	SnapshotAt   *time.Time `json:"snapshotAt,omitempty"`
+	Error        string     `json:"error,omitempty"`
+	UpdatedAt    time.Time  `json:"updatedAt"`
+}
+
+func (s *indexStatus) setState(state string) {
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+	s.state = state
+	s.updatedAt = time.Now().UTC()
+}
+
+func (s *indexStatus) startIndexing(files int) {
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+	s.state = IndexIndexing
+	s.filesTotal = files
+	s.filesDone = 0
+	s.err = ""
+	s.updatedAt = time.Now().UTC()
+}
+
+func (s *indexStatus) fileDone() {
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+	s.filesDone++
+	s.updatedAt = time.Now().UTC()
+}
+
+// setActive marks a file as being indexed or done
+func (s *indexStatus) setActive(name string, active bool) {
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+	if s.active == nil {
+		s.active = make(map[string]bool)
+	}
+	if active {
+		s.active[name] = true
+	} else {
+		delete(s.active, name)
+	}
+}
+
+func (s *indexStatus) isActive(name string) bool {
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+	return s.active[name]
+}
+
+func (s *indexStatus) fail(err error) {
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+	s.state = IndexError
+	s.err = err.Error()
+	s.updatedAt = time.Now().UTC()
+}
+
+// Status returns the indexing progress and the number of indexed documents
+func (idx *SearchIndex) Status() IndexStatus {
+	idx.mutex.RLock()
+	documents := len(idx.Documents)
+	idx.mutex.RUnlock()
+
+	s := &idx.status
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+	status := IndexStatus{
+		State:        s.state,
+		FilesTotal:   s.filesTotal,
+		FilesDone:    s.filesDone,
+		Documents:    documents,
+		FromSnapshot: s.fromSnapshot,
+		Error:        s.err,
+		UpdatedAt:    s.updatedAt,
+	}
+	if status.State == "" {
+		status.State = IndexLoading
+	}
+	if !s.snapshotAt.IsZero() {
+		snapshotAt := s.snapshotAt
+		status.SnapshotAt = &snapshotAt
+	}
+	return status
+}
+
+// changedFiles returns the files of the folder listing that aren't indexed
+// in their current version
+func (idx *SearchIndex) changedFiles(files map[string]fileState) []string {
+	idx.mutex.RLock()
+	defer idx.mutex.RUnlock()
+
+	changed := make([]string, 0)
+	for name, state := range files {
+		indexed, ok := idx.files[name]
+		if !ok || indexed.Size != state.Size || !indexed.ModTime.Equal(state.ModTime) {
+			changed = append(changed, name)
+		}
+	}
+	return changed
+}
+
+// removeDeletedFiles drops the documents of indexed files missing from the
+// folder listing and returns how many files were removed
+func (idx *SearchIndex) removeDeletedFiles(files map[string]fileState) int {
+	idx.mutex.Lock()
+	deleted := make(map[string]*IndexedFile)
+	for name, indexed := range idx.files {
+		if _, ok := files[name]; !ok {
+			deleted[name] = indexed
+			delete(idx.files, name)
+		}
+	}
+	idx.mutex.Unlock()
+
+	for _, indexed := range deleted {
+		idx.RemoveDocuments(indexed.DocumentIDs)
+	}
+	return len(deleted)
+}
+
+// indexParquetFile indexes one file of the parquet folder, replacing the
+// documents of the version indexed before. The file is recorded even when it
+// can't be read, so it isn't retried until it changes.
+func indexParquetFile(folderPath, name string, state fileState) error {
+	searchIndex.status.setActive(name, true)
+	defer searchIndex.status.setActive(name, false)
+
+	searchIndex.mutex.RLock()
+	previous := searchIndex.files[name]
+	searchIndex.mutex.RUnlock()
+	if previous != nil {
+		searchIndex.RemoveDocuments(previous.DocumentIDs)
+	}
+
+	start := time.Now()
+	ids, err := processParquetFile(filepath.Join(folderPath, name))
+	indexed := &IndexedFile{
+		Size:        state.Size,
+		ModTime:     state.ModTime,
+		DocumentIDs: ids,
+		IndexedAt:   time.Now().UTC(),
+		Duration:    time.Since(start),
+	}
+	if err != nil {
+		indexed.Error = err.Error()
+	}
+
+	searchIndex.mutex.Lock()
+	searchIndex.files[name] = indexed
+	searchIndex.mutex.Unlock()
+	return err
+}
+
+// indexSnapshot is the on-disk form of a SearchIndex
+type indexSnapshot struct {
+	Version       int
+	Schema        string // Fingerprint of the schema the documents were read with
+	Analyzer      string // Fingerprint of the analyzer the terms were indexed with
+	CreatedAt     time.Time
+	Documents     map[string]*Document
+	InvertedIndex map[string]map[string]int
+	FieldIndex    map[string]map[string]map[string]bool
+	DocLengths    map[string]int
+	TotalTerms    int
+	Files         map[string]*IndexedFile
+}
+
+// SaveSnapshot writes the index to path through a temporary file, so a
+// crash never leaves a truncated snapshot behind
+func (idx *SearchIndex) SaveSnapshot(path string) error {
+	if dir := filepath.Dir(path); dir != "" {
+		if err := os.MkdirAll(dir, 0o755); err != nil {
+			return fmt.Errorf("failed to create index folder: %w", err)
+		}
+	}
+	tmp := path + ".tmp"
+	f, err := os.Create(tmp)
+	if err != nil {
+		return fmt.Errorf("failed to write index snapshot: %w", err)
+	}
+
+	idx.mutex.RLock()
+	snapshot := indexSnapshot{
+		Version:       snapshotVersion,
+		Schema:        activeSchema.Fingerprint(),
+		Analyzer:      activeAnalyzer.Fingerprint(),
+		CreatedAt:     time.Now().UTC(),
+		Documents:     idx.Documents,
+		InvertedIndex: idx.InvertedIndex,
+		FieldIndex:    idx.FieldIndex,
+		DocLengths:    idx.DocLengths,
+		TotalTerms:    idx.totalTerms,
+		Files:         idx.files,
+	}
+	w := bufio.NewWriter(f)
+	err = gob.NewEncoder(w).Encode(&snapshot)
+	idx.mutex.RUnlock()
+	if err == nil {
+		err = w.Flush()
+	}
+	if closeErr := f.Close(); err == nil {
+		err = closeErr
+	}
+	if err != nil {
+		os.Remove(tmp)
+		return fmt.Errorf("failed to write index snapshot: %w", err)
+	}
+	if err := os.Rename(tmp, path); err != nil {
+		return fmt.Errorf("failed to write index snapshot: %w", err)
+	}
+
+	idx.status.mutex.Lock()
+	idx.status.snapshotAt = snapshot.CreatedAt
+	idx.status.mutex.Unlock()
+	return nil
+}
+
+// LoadSnapshot replaces the contents of the index with the snapshot at path.
+// A missing snapshot returns an error wrapping os.ErrNotExist.
+func (idx *SearchIndex) LoadSnapshot(path string) error {
+	f, err := os.Open(path)
+	if err != nil {
+		return err
+	}
+	defer f.Close()
+
+	var snapshot indexSnapshot
+	if err := gob.NewDecoder(bufio.NewReader(f)).Decode(&snapshot); err != nil {
+		return fmt.Errorf("failed to read index snapshot %s: %w", path, err)
+	}
+	if snapshot.Version != snapshotVersion {
+		return fmt.Errorf("index snapshot %s has version %d, expected %d", path, snapshot.Version, snapshotVersion)
+	}
+	if snapshot.Schema != activeSchema.Fingerprint() {
+		return fmt.Errorf("index snapshot %s was built with a different schema", path)
+	}
+	if snapshot.Analyzer != activeAnalyzer.Fingerprint() {
+		return fmt.Errorf("index snapshot %s was built with a different analyzer", path)
+	}
+
+	idx.mutex.Lock()
+	idx.Documents = snapshot.Documents
+	idx.InvertedIndex = snapshot.InvertedIndex
+	idx.FieldIndex = snapshot.FieldIndex
+	idx.DocLengths = snapshot.DocLengths
+	idx.totalTerms = snapshot.TotalTerms
+	idx.files = snapshot.Files
+	idx.terms = termDictionary{}
+	idx.grams = make(map[string]map[string]bool)
+	for term := range idx.InvertedIndex {
+		idx.terms.added = append(idx.terms.added, term)
+		idx.addGrams(term)
+	}
+	idx.terms.update(idx.InvertedIndex)
+	idx.patterns = make(map[string]string, len(idx.Documents))
+	for id, doc := range idx.Documents {
+		idx.patterns[id] = patternID(messageTemplate(doc.Message))
+	}
+	idx.mutex.Unlock()
+
+	idx.status.mutex.Lock()
+	idx.status.fromSnapshot = true
+	idx.status.snapshotAt = snapshot.CreatedAt
+	idx.status.mutex.Unlock()
+	return nil
+}
+
+// buildIndex restores the snapshot, indexes what changed in the parquet
+// folder since it was taken and then keeps watching the folder. It runs in
+// the background so the API is available while the index warms up.
+func (app *Application) buildIndex(ctx context.Context) {
+	snapshotPath := app.config.IndexPath
+	searchIndex.status.setState(IndexLoading)
+
+	if snapshotPath != "" {
+		start := time.Now()
+		err := searchIndex.LoadSnapshot(snapshotPath)
+		switch {
+		case err == nil:
+			app.logger.Infof("Restored index snapshot %s in %s", snapshotPath, time.Since(start))
+		case errors.Is(err, os.ErrNotExist):
+			app.logger.Infof("No index snapshot at %s, indexing %s from scratch", snapshotPath, app.config.ParquetPath)
+		default:
+			app.logger.Warnf("Ignoring index snapshot: %v", err)
+		}
+	}
+
+	searchIndex.ingest.Lock()
+	changed, err := processParquetFiles(app.config.ParquetPath, app.logger)
+	if err != nil {
+		app.logger.Errorf("Error processing Parquet files: %v", err)
+		searchIndex.status.fail(err)
+	} else {
+		searchIndex.status.setState(IndexReady)
+	}
+
+	if changed && snapshotPath != "" {
+		if err := searchIndex.SaveSnapshot(snapshotPath); err != nil {
+			app.logger.Errorf("Error saving index snapshot: %v", err)
+		}
+	}
+	searchIndex.ingest.Unlock()
+
+	// Watch for parquet files added while the server runs
+	if app.config.WatchInterval > 0 {
+		watchParquetFolder(ctx, app.config.ParquetPath, app.config.WatchInterval, snapshotPath, app.logger)
+	}
+}
+
+// handleIndexStatus reports whether the index is still loading or indexing
+func (app *Application) handleIndexStatus(w http.ResponseWriter, r *http.Request) {
+	if !allowMethods(w, r, "GET") {
+		return
+	}
+	writeJSON(w, http.StatusOK, searchIndex.Status())
+}
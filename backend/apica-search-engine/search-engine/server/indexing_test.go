@@ -0,0 +1,145 @@
+package server
+
+import (
+	"path/filepath"
+	"reflect"
+	"sort"
+	"testing"
+	"time"
+)
+
+// snapshotIndex builds an index of two parquet files and saves it
+func snapshotIndex(t *testing.T) (*SearchIndex, string) {
+	idx := NewSearchIndex()
+	modTime := time.Date(2024, 1, 1, 12, 0, 0, 0, time.UTC)
+	files := map[string][]*Document{
+		"a.parquet": {
+			{ID: "a.parquet:0", SourceFile: "a.parquet", Message: "[x] ERROR payment timeout", Timestamp: 100, Fields: map[string]string{"level": "ERROR", "namespace": "payments"}},
+			{ID: "a.parquet:1", SourceFile: "a.parquet", SourceRow: 1, Message: "[x] INFO payment done", Timestamp: 200, Fields: map[string]string{"level": "INFO", "namespace": "payments"}},
+		},
+		"b.parquet": {
+			{ID: "b.parquet:0", SourceFile: "b.parquet", Message: "[x] WARN slow query", Timestamp: 300, Fields: map[string]string{"level": "WARN"}, Attributes: map[string]string{"traceid": "abc"}},
+		},
+	}
+	for name, docs := range files {
+		idx.IndexDocuments(docs)
+		var ids []string
+		for _, doc := range docs {
+			ids = append(ids, doc.ID)
+		}
+		idx.files[name] = &IndexedFile{Size: int64(len(docs)) * 100, ModTime: modTime, DocumentIDs: ids, IndexedAt: modTime}
+	}
+
+	path := filepath.Join(t.TempDir(), "index.gob")
+	if err := idx.SaveSnapshot(path); err != nil {
+		t.Fatal(err)
+	}
+	return idx, path
+}
+
+func TestSnapshotRoundTrip(t *testing.T) {
+	saved, path := snapshotIndex(t)
+	loaded := NewSearchIndex()
+	if err := loaded.LoadSnapshot(path); err != nil {
+		t.Fatal(err)
+	}
+
+	if !reflect.DeepEqual(loaded.Documents, saved.Documents) {
+		t.Errorf("Documents = %+v, want %+v", loaded.Documents, saved.Documents)
+	}
+	if !reflect.DeepEqual(loaded.InvertedIndex, saved.InvertedIndex) {
+		t.Errorf("InvertedIndex = %v, want %v", loaded.InvertedIndex, saved.InvertedIndex)
+	}
+	if !reflect.DeepEqual(loaded.FieldIndex, saved.FieldIndex) {
+		t.Errorf("FieldIndex = %v, want %v", loaded.FieldIndex, saved.FieldIndex)
+	}
+	if !reflect.DeepEqual(loaded.DocLengths, saved.DocLengths) || loaded.totalTerms != saved.totalTerms {
+		t.Errorf("DocLengths = %v (%d terms), want %v (%d terms)", loaded.DocLengths, loaded.totalTerms, saved.DocLengths, saved.totalTerms)
+	}
+	if len(loaded.files) != 2 || !reflect.DeepEqual(loaded.files["b.parquet"].DocumentIDs, []string{"b.parquet:0"}) {
+		t.Errorf("files = %+v, want both parquet files", loaded.files)
+	}
+	if status := loaded.Status(); !status.FromSnapshot || status.SnapshotAt == nil || status.Documents != 3 {
+		t.Errorf("Status = %+v, want 3 documents restored from the snapshot", status)
+	}
+
+	// The restored index answers like the one it was saved from
+	for _, q := range []string{"payment", "level:warn", "namespace:payments -timeout", "pay*", "*ment*"} {
+		query, err := ParseQuery(q)
+		if err != nil {
+			t.Fatalf("ParseQuery(%q): %v", q, err)
+		}
+		want, _ := saved.Search(query, SearchOptions{})
+		got, _ := loaded.Search(query, SearchOptions{})
+		if !reflect.DeepEqual(got, want) {
+			t.Errorf("%s found %v after restoring, want %v", q, got, want)
+		}
+	}
+}
+
+// A snapshot built with another schema or analyzer would answer queries
+// differently, so it isn't restored
+func TestSnapshotRejectedAfterConfigChange(t *testing.T) {
+	tests := []struct {
+		name  string
+		setup func(t *testing.T)
+	}{
+		{"schema", func(t *testing.T) {
+			old := activeSchema
+			activeSchema = serviceSchema(t)
+			t.Cleanup(func() { activeSchema = old })
+		}},
+		{"analyzer", func(t *testing.T) {
+			withAnalyzer(t, &Analyzer{Stemming: true})
+		}},
+	}
+	for _, tt := range tests {
+		t.Run(tt.name, func(t *testing.T) {
+			_, path := snapshotIndex(t)
+			tt.setup(t)
+			if err := NewSearchIndex().LoadSnapshot(path); err == nil {
+				t.Errorf("snapshot restored with a different %s", tt.name)
+			}
+		})
+	}
+}
+
+// After a restart only files that changed since the snapshot are indexed
+// again, and deleted ones are dropped
+func TestRestoredIndexSkipsUnchangedFiles(t *testing.T) {
+	_, path := snapshotIndex(t)
+	idx := NewSearchIndex()
+	if err := idx.LoadSnapshot(path); err != nil {
+		t.Fatal(err)
+	}
+	modTime := time.Date(2024, 1, 1, 12, 0, 0, 0, time.UTC)
+
+	tests := []struct {
+		name  string
+		files map[string]fileState
+		want  []string
+	}{
+		{"unchanged", map[string]fileState{"a.parquet": {200, modTime}, "b.parquet": {100, modTime}}, []string{}},
+		{"other time zone", map[string]fileState{"a.parquet": {200, modTime.In(time.FixedZone("CET", 3600))}}, []string{}},
+		{"resized", map[string]fileState{"a.parquet": {250, modTime}, "b.parquet": {100, modTime}}, []string{"a.parquet"}},
+		{"touched", map[string]fileState{"a.parquet": {200, modTime}, "b.parquet": {100, modTime.Add(time.Second)}}, []string{"b.parquet"}},
+		{"added", map[string]fileState{"a.parquet": {200, modTime}, "c.parquet": {10, modTime}}, []string{"c.parquet"}},
+	}
+	for _, tt := range tests {
+		got := idx.changedFiles(tt.files)
+		sort.Strings(got)
+		if !reflect.DeepEqual(got, tt.want) {
+			t.Errorf("%s: changedFiles = %v, want %v", tt.name, got, tt.want)
+		}
+	}
+
+	if removed := idx.removeDeletedFiles(map[string]fileState{"a.parquet": {200, modTime}}); removed != 1 {
+		t.Errorf("removeDeletedFiles removed %d files, want 1", removed)
+	}
+	if _, ok := idx.Documents["b.parquet:0"]; ok || len(idx.Documents) != 2 {
+		t.Errorf("documents after deleting b.parquet = %v", idx.Documents)
+	}
+	if terms := idx.termsWithPrefix("slo"); len(terms) != 0 {
+		t.Errorf("terms of the deleted file left: %v", terms)
+	}
+}
@@ -0,0 +1,382 @@
+package server
+
+import (
+	"crypto/subtle"
+	"errors"
+	"fmt"
+	"io"
+	"net/http"
+	"os"
+	"path/filepath"
+	"sort"
+	"strings"
+	"time"
+)
+
+// States of the files listed on the admin page
+const (
+	FileIndexed  = "indexed"
+	FileFailed   = "failed"
+	FilePending  = "pending" // New or changed on disk and not indexed yet
+	FileIndexing = "indexing"
+	FileDeleted  = "deleted" // Gone from disk, dropped from the index on the next pass
+)
+
+// maxUploadSize caps the size of one upload request
+const maxUploadSize = 2 << 30
+
+// IngestFile describes a file of the parquet folder and its place in the index
+type IngestFile struct {
+	Name       string     `json:"name"`
+	Size       int64      `json:"size"`
+	ModTime    time.Time  `json:"modTime"`
+	State      string     `json:"state"`
+	Rows       int        `json:"rows"` // Documents indexed from the file
+	Error      string     `json:"error,omitempty"`
+	IndexedAt  *time.Time `json:"indexedAt,omitempty"`
+	DurationMs int64      `json:"durationMs"` // Time it took to index the file
+}
+
+// IngestFilesResult is the admin view of the parquet folder
+type IngestFilesResult struct {
+	Folder string       `json:"folder"`
+	Files  []IngestFile `json:"files"`
+	Status IndexStatus  `json:"status"`
+}
+
+// ingestFiles merges the folder listing with what the index holds of each
+// file, by name
+func (idx *SearchIndex) ingestFiles(disk map[string]fileState) []IngestFile {
+	idx.mutex.RLock()
+	names := make(map[string]bool, len(disk)+len(idx.files))
+	for name := range disk {
+		names[name] = true
+	}
+	for name := range idx.files {
+		names[name] = true
+	}
+
+	files := make([]IngestFile, 0, len(names))
+	for name := range names {
+		state, onDisk := disk[name]
+		indexed := idx.files[name]
+		file := IngestFile{Name: name, Size: state.Size, ModTime: state.ModTime}
+		if indexed != nil {
+			file.Rows = len(indexed.DocumentIDs)
+			file.Error = indexed.Error
+			file.DurationMs = indexed.Duration.Milliseconds()
+			if !indexed.IndexedAt.IsZero() {
+				indexedAt := indexed.IndexedAt
+				file.IndexedAt = &indexedAt
+			}
+			if !onDisk {
+				file.Size = indexed.Size
+				file.ModTime = indexed.ModTime
+			}
+		}
+
+		switch {
+		case idx.status.isActive(name):
+			file.State = FileIndexing
+		case !onDisk:
+			file.State = FileDeleted
+		case indexed == nil || indexed.Size != state.Size || !indexed.ModTime.Equal(state.ModTime):
+			file.State = FilePending
+		case indexed.Error != "":
+			file.State = FileFailed
+		default:
+			file.State = FileIndexed
+		}
+		files = append(files, file)
+	}
+	idx.mutex.RUnlock()
+
+	sort.Slice(files, func(i, j int) bool {
+		return files[i].Name < files[j].Name
+	})
+	return files
+}
+
+// dropFile removes a file and its documents from the index. It returns false
+// if the file wasn't indexed.
+func (idx *SearchIndex) dropFile(name string) bool {
+	idx.mutex.Lock()
+	indexed, ok := idx.files[name]
+	delete(idx.files, name)
+	idx.mutex.Unlock()
+
+	if ok {
+		idx.RemoveDocuments(indexed.DocumentIDs)
+	}
+	return ok
+}
+
+// reindex indexes the named files of the parquet folder in the background,
+// whether they changed or not, and snapshots the index afterwards. Progress
+// shows in the index status and the admin file list.
+func (app *Application) reindex(names []string) {
+	go func() {
+		searchIndex.ingest.Lock()
+		defer searchIndex.ingest.Unlock()
+
+		folder := app.config.ParquetPath
+		files, err := listFolderFiles(folder)
+		if err != nil {
+			app.logger.Errorf("Error reading folder %s: %v", folder, err)
+			searchIndex.status.fail(err)
+			return
+		}
+		present := make([]string, 0, len(names))
+		for _, name := range names {
+			if _, ok := files[name]; ok {
+				present = append(present, name)
+			}
+		}
+
+		if err := indexFiles(folder, present, files, app.logger); err != nil {
+			searchIndex.status.fail(err)
+		} else {
+			searchIndex.status.setState(IndexReady)
+		}
+		app.saveSnapshot()
+	}()
+}
+
+// saveSnapshot rewrites the index snapshot if one is configured. The caller
+// must hold the ingest lock.
+func (app *Application) saveSnapshot() {
+	if app.config.IndexPath == "" {
+		return
+	}
+	if err := searchIndex.SaveSnapshot(app.config.IndexPath); err != nil {
+		app.logger.Errorf("Error saving index snapshot: %v", err)
+	}
+}
+
+// uploadFileName validates the name of an uploaded file and strips any
+// client side directories from it
+func uploadFileName(name string) (string, error) {
+	if i := strings.LastIndexAny(name, `/\`); i >= 0 {
+		name = name[i+1:]
+	}
+	if name == "" || strings.HasPrefix(name, ".") {
+		return "", fmt.Errorf("invalid file name %q", name)
+	}
+	if !strings.EqualFold(filepath.Ext(name), ".parquet") {
+		return "", fmt.Errorf("%s is not a .parquet file", name)
+	}
+	return name, nil
+}
+
+// saveUpload writes an uploaded file into the parquet folder. It's written
+// to a hidden file first, which the folder listing skips, so the file is
+// never indexed half written. Each upload has its own, so concurrent
+// uploads of a name don't write into each other; the last one wins.
+func saveUpload(folder, name string, r io.Reader) error {
+	f, err := os.CreateTemp(folder, "."+name+".*.upload")
+	if err != nil {
+		return err
+	}
+	tmp := f.Name()
+	_, err = io.Copy(f, r)
+	if closeErr := f.Close(); err == nil {
+		err = closeErr
+	}
+	if err == nil {
+		// Temporary files are private, uploads readable like copied files
+		err = os.Chmod(tmp, 0o644)
+	}
+	if err == nil {
+		err = os.Rename(tmp, filepath.Join(folder, name))
+	}
+	if err != nil {
+		os.Remove(tmp)
+	}
+	return err
+}
+
+// allowAdmin is allowMethods for the admin routes, which also require the
+// configured admin token as a bearer token. Browsers don't send one on their
+// own, so other web pages can't use the routes through the operator's browser.
+func (app *Application) allowAdmin(w http.ResponseWriter, r *http.Request, methods ...string) bool {
+	if !allowMethods(w, r, methods...) {
+		return false
+	}
+	if app.config.AdminToken == "" {
+		http.Error(w, "Admin routes are disabled, set an admin token to enable them", http.StatusForbidden)
+		return false
+	}
+	token, ok := strings.CutPrefix(r.Header.Get("Authorization"), "Bearer ")
+	if !ok || subtle.ConstantTimeCompare([]byte(token), []byte(app.config.AdminToken)) != 1 {
+		w.Header().Set("WWW-Authenticate", "Bearer")
+		http.Error(w, "Invalid or missing admin token", http.StatusUnauthorized)
+		return false
+	}
+	return true
+}
+
+// writeIngestFiles responds with the current admin view of the parquet folder
+func (app *Application) writeIngestFiles(w http.ResponseWriter, status int) {
+	folder := app.config.ParquetPath
+	disk, err := listFolderFiles(folder)
+	if err != nil {
+		app.logger.Errorf("Error reading folder %s: %v", folder, err)
+		http.Error(w, "Failed to read the parquet folder", http.StatusInternalServerError)
+		return
+	}
+	writeJSON(w, status, IngestFilesResult{
+		Folder: folder,
+		Files:  searchIndex.ingestFiles(disk),
+		Status: searchIndex.Status(),
+	})
+}
+
+// handleIngestFiles lists the files of the parquet folder (GET) or uploads
+// new ones (POST, multipart form with one or more "files"), which are then
+// indexed in the background. Uploading a file with an existing name
+// replaces it.
+func (app *Application) handleIngestFiles(w http.ResponseWriter, r *http.Request) {
+	if !app.allowAdmin(w, r, "GET", "POST") {
+		return
+	}
+	if r.Method == "GET" {
+		app.writeIngestFiles(w, http.StatusOK)
+		return
+	}
+
+	// Large uploads outlive the server's read and write timeouts, and the
+	// response is only written once they are saved
+	controller := http.NewResponseController(w)
+	if err := controller.SetReadDeadline(time.Time{}); err != nil {
+		http.Error(w, "Uploads not supported", http.StatusInternalServerError)
+		return
+	}
+	if err := controller.SetWriteDeadline(time.Time{}); err != nil {
+		http.Error(w, "Uploads not supported", http.StatusInternalServerError)
+		return
+	}
+	r.Body = http.MaxBytesReader(w, r.Body, maxUploadSize)
+
+	reader, err := r.MultipartReader()
+	if err != nil {
+		http.Error(w, "Expected a multipart/form-data upload", http.StatusBadRequest)
+		return
+	}
+
+	// Files saved before a failing one are still indexed
+	var saved []string
+	defer func() {
+		if len(saved) > 0 {
+			app.reindex(saved)
+		}
+	}()
+
+	for {
+		part, err := reader.NextPart()
+		if err == io.EOF {
+			break
+		}
+		if err != nil {
+			http.Error(w, "Invalid upload: "+err.Error(), http.StatusBadRequest)
+			return
+		}
+		if part.FormName() != "files" || part.FileName() == "" {
+			continue
+		}
+
+		name, err := uploadFileName(part.FileName())
+		if err != nil {
+			http.Error(w, "Invalid upload: "+err.Error(), http.StatusBadRequest)
+			return
+		}
+		if err := saveUpload(app.config.ParquetPath, name, part); err != nil {
+			var tooLarge *http.MaxBytesError
+			if errors.As(err, &tooLarge) {
+				http.Error(w, fmt.Sprintf("Upload exceeds the limit of %d bytes", tooLarge.Limit), http.StatusRequestEntityTooLarge)
+				return
+			}
+			app.logger.Errorf("Error saving upload %s: %v", name, err)
+			http.Error(w, "Failed to save "+name, http.StatusInternalServerError)
+			return
+		}
+		app.logger.Infof("Uploaded file: %s", name)
+		saved = append(saved, name)
+	}
+
+	if len(saved) == 0 {
+		http.Error(w, "No files uploaded", http.StatusBadRequest)
+		return
+	}
+	app.writeIngestFiles(w, http.StatusAccepted)
+}
+
+// handleIngestFile deletes a file from the parquet folder and the index
+// (DELETE /api/admin/files/{name}) or indexes it again in the background
+// (POST /api/admin/files/{name}/reindex)
+func (app *Application) handleIngestFile(w http.ResponseWriter, r *http.Request) {
+	name := strings.TrimPrefix(r.URL.Path, "/api/admin/files/")
+	reindex := strings.HasSuffix(name, "/reindex")
+	name = strings.TrimSuffix(name, "/reindex")
+	if name == "" || strings.ContainsAny(name, `/\`) || strings.HasPrefix(name, ".") {
+		http.Error(w, "Invalid file name", http.StatusBadRequest)
+		return
+	}
+	path := filepath.Join(app.config.ParquetPath, name)
+
+	if reindex {
+		if !app.allowAdmin(w, r, "POST") {
+			return
+		}
+		if _, err := os.Stat(path); err != nil {
+			http.Error(w, "File not found", http.StatusNotFound)
+			return
+		}
+		app.reindex([]string{name})
+		app.writeIngestFiles(w, http.StatusAccepted)
+		return
+	}
+
+	if !app.allowAdmin(w, r, "DELETE") {
+		return
+	}
+	// Indexing passes can take a while, don't hold the request until they end
+	if !searchIndex.ingest.TryLock() {
+		http.Error(w, "Files are being indexed, try again once indexing finishes", http.StatusConflict)
+		return
+	}
+	defer searchIndex.ingest.Unlock()
+
+	removeErr := os.Remove(path)
+	if removeErr != nil && !errors.Is(removeErr, os.ErrNotExist) {
+		app.logger.Errorf("Error deleting %s: %v", path, removeErr)
+		http.Error(w, "Failed to delete "+name, http.StatusInternalServerError)
+		return
+	}
+	if !searchIndex.dropFile(name) && removeErr != nil {
+		http.Error(w, "File not found", http.StatusNotFound)
+		return
+	}
+	app.logger.Infof("Deleted file: %s", name)
+	app.saveSnapshot()
+	w.WriteHeader(http.StatusNoContent)
+}
+
+// handleReindex indexes every file of the parquet folder again in the
+// background, e.g. after the indexing code changed
+func (app *Application) handleReindex(w http.ResponseWriter, r *http.Request) {
+	if !app.allowAdmin(w, r, "POST") {
+		return
+	}
+	files, err := listFolderFiles(app.config.ParquetPath)
+	if err != nil {
+		app.logger.Errorf("Error reading folder %s: %v", app.config.ParquetPath, err)
+		http.Error(w, "Failed to read the parquet folder", http.StatusInternalServerError)
+		return
+	}
+	names := make([]string, 0, len(files))
+	for name := range files {
+		names = append(names, name)
+	}
+	app.reindex(names)
+	app.writeIngestFiles(w, http.StatusAccepted)
+}
@@ -0,0 +1,136 @@
+package server
+
+import (
+	"io"
+	"mime/multipart"
+	"net/http"
+	"net/http/httptest"
+	"os"
+	"path/filepath"
+	"strings"
+	"sync"
+	"testing"
+	"time"
+
+	"github.com/sirupsen/logrus"
+)
+
+func TestAdminRoutesRequireToken(t *testing.T) {
+	searchIndex = NewSearchIndex()
+	folder := t.TempDir()
+
+	tests := []struct {
+		name   string
+		token  string // Configured token
+		method string
+		header string // Authorization header sent
+		want   int
+	}{
+		{"disabled", "", "GET", "Bearer secret", http.StatusForbidden},
+		{"missing", "secret", "GET", "", http.StatusUnauthorized},
+		{"wrong", "secret", "GET", "Bearer guess", http.StatusUnauthorized},
+		{"not bearer", "secret", "GET", "secret", http.StatusUnauthorized},
+		{"valid", "secret", "GET", "Bearer secret", http.StatusOK},
+		{"preflight", "secret", "OPTIONS", "", http.StatusOK},
+	}
+	for _, tt := range tests {
+		app := &Application{config: &Config{ParquetPath: folder, AdminToken: tt.token}}
+		r := httptest.NewRequest(tt.method, "/api/admin/files", nil)
+		if tt.header != "" {
+			r.Header.Set("Authorization", tt.header)
+		}
+		rec := httptest.NewRecorder()
+		app.handleIngestFiles(rec, r)
+		if rec.Code != tt.want {
+			t.Errorf("%s: status %d, want %d: %s", tt.name, rec.Code, tt.want, rec.Body.String())
+		}
+	}
+
+	// Deleting without the token leaves the file alone
+	if err := os.WriteFile(filepath.Join(folder, "a.parquet"), []byte("x"), 0o644); err != nil {
+		t.Fatal(err)
+	}
+	app := &Application{config: &Config{ParquetPath: folder, AdminToken: "secret"}}
+	rec := httptest.NewRecorder()
+	app.handleIngestFile(rec, httptest.NewRequest("DELETE", "/api/admin/files/a.parquet", nil))
+	if rec.Code != http.StatusUnauthorized {
+		t.Errorf("delete without token: status %d, want %d", rec.Code, http.StatusUnauthorized)
+	}
+	if _, err := os.Stat(filepath.Join(folder, "a.parquet")); err != nil {
+		t.Errorf("file deleted without the token: %v", err)
+	}
+}
+
+func TestConcurrentUploadsOfOneName(t *testing.T) {
+	folder := t.TempDir()
+	contents := []string{strings.Repeat("a", 1<<16), strings.Repeat("b", 1<<16)}
+
+	var wg sync.WaitGroup
+	errs := make([]error, len(contents))
+	for i, content := range contents {
+		wg.Add(1)
+		go func(i int, content string) {
+			defer wg.Done()
+			errs[i] = saveUpload(folder, "logs.parquet", strings.NewReader(content))
+		}(i, content)
+	}
+	wg.Wait()
+
+	for i, err := range errs {
+		if err != nil {
+			t.Errorf("upload %d: %v", i, err)
+		}
+	}
+	data, err := os.ReadFile(filepath.Join(folder, "logs.parquet"))
+	if err != nil {
+		t.Fatal(err)
+	}
+	if string(data) != contents[0] && string(data) != contents[1] {
+		t.Errorf("uploads were mixed into a file of %d bytes", len(data))
+	}
+	entries, _ := os.ReadDir(folder)
+	if len(entries) != 1 {
+		t.Errorf("folder has %d entries, want only logs.parquet", len(entries))
+	}
+}
+
+// An upload that takes longer than the server's timeouts still gets its answer
+func TestSlowUploadOutlivesTimeouts(t *testing.T) {
+	searchIndex = NewSearchIndex()
+	folder := t.TempDir()
+	app := &Application{config: &Config{ParquetPath: folder, AdminToken: "secret"}, logger: logrus.New()}
+	srv := httptest.NewUnstartedServer(http.HandlerFunc(app.handleIngestFiles))
+	srv.Config.ReadTimeout = 100 * time.Millisecond
+	srv.Config.WriteTimeout = 100 * time.Millisecond
+	srv.Start()
+	defer srv.Close()
+
+	body, writer := io.Pipe()
+	form := multipart.NewWriter(writer)
+	go func() {
+		part, _ := form.CreateFormFile("files", "slow.parquet")
+		part.Write([]byte("first half,"))
+		time.Sleep(300 * time.Millisecond)
+		part.Write([]byte("second half"))
+		writer.CloseWithError(form.Close())
+	}()
+
+	r, _ := http.NewRequest("POST", srv.URL, body)
+	r.Header.Set("Content-Type", form.FormDataContentType())
+	r.Header.Set("Authorization", "Bearer secret")
+	resp, err := srv.Client().Do(r)
+	if err != nil {
+		t.Fatal(err)
+	}
+	resp.Body.Close()
+	if resp.StatusCode != http.StatusAccepted {
+		t.Errorf("status %d, want %d", resp.StatusCode, http.StatusAccepted)
+	}
+	if data, _ := os.ReadFile(filepath.Join(folder, "slow.parquet")); string(data) != "first half,second half" {
+		t.Errorf("saved %q", data)
+	}
+
+	// Wait for the background indexing of the upload to finish
+	searchIndex.ingest.Lock()
+	searchIndex.ingest.Unlock()
+}
@@ -0,0 +1,149 @@
+package server
+
+import (
+	"encoding/json"
+	"regexp"
+	"strconv"
+	"strings"
+)
+
+// jsonColumns are the JSON columns of a document that can be queried by
+// path, by the prefix of their path fields: raw.kubernetes.pod_name:api-1
+// matches documents whose MessageRaw has that value at kubernetes.pod_name.
+// Path fields aren't indexed; documents are read to match them, only those
+// the other terms of a query matched when there are any.
+var jsonColumns = map[string]func(doc *Document) string{
+	"raw":        func(doc *Document) string { return doc.MessageRaw },
+	"structured": func(doc *Document) string { return doc.StructuredData },
+	"groupings":  func(doc *Document) string { return doc.Groupings },
+}
+
+// jsonPathField splits a path field into the JSON column it reads and the
+// keys of the path. ok is false if field isn't a path field.
+func jsonPathField(field string) (column func(doc *Document) string, path []string, ok bool) {
+	prefix, rest, found := strings.Cut(field, ".")
+	column = jsonColumns[prefix]
+	if !found || column == nil || rest == "" {
+		return nil, nil, false
+	}
+	path = strings.Split(rest, ".")
+	for _, key := range path {
+		if key == "" {
+			return nil, nil, false
+		}
+	}
+	return column, path, true
+}
+
+// isJSONPathField reports whether field queries a path in a JSON column.
+// Fields the schema indexes take precedence.
+func isJSONPathField(field string) bool {
+	if activeSchema.isQueryField(field) {
+		return false
+	}
+	_, _, ok := jsonPathField(field)
+	return ok
+}
+
+// jsonPathValues returns the values at path in the JSON text. Keys match
+// case-insensitively, as query fields are lowercased. A number indexes into
+// an array, any other key applies to each of its elements.
+func jsonPathValues(text string, path []string) []string {
+	if text == "" {
+		return nil
+	}
+	var root interface{}
+	decoder := json.NewDecoder(strings.NewReader(text))
+	decoder.UseNumber()
+	if err := decoder.Decode(&root); err != nil {
+		return nil
+	}
+
+	var values []string
+	var walk func(node interface{}, path []string)
+	walk = func(node interface{}, path []string) {
+		if len(path) == 0 {
+			if items, ok := node.([]interface{}); ok {
+				for _, item := range items {
+					values = append(values, jsonText(item))
+				}
+				return
+			}
+			if node != nil {
+				values = append(values, jsonText(node))
+			}
+			return
+		}
+		switch v := node.(type) {
+		case map[string]interface{}:
+			if child, ok := v[path[0]]; ok {
+				walk(child, path[1:])
+				return
+			}
+			for key, child := range v {
+				if strings.EqualFold(key, path[0]) {
+					walk(child, path[1:])
+				}
+			}
+		case []interface{}:
+			if i, err := strconv.Atoi(path[0]); err == nil {
+				if i >= 0 && i < len(v) {
+					walk(v[i], path[1:])
+				}
+				return
+			}
+			for _, item := range v {
+				walk(item, path)
+			}
+		}
+	}
+	walk(root, path)
+	return values
+}
+
+// jsonPathMatcher returns a test for documents whose value at a path field
+// equals value, ignoring case. Unless exact is set (quoted values), a value
+// containing * is matched as a pattern.
+func jsonPathMatcher(field, value string, exact bool) func(doc *Document) bool {
+	column, path, ok := jsonPathField(field)
+	if !ok {
+		return func(doc *Document) bool { return false }
+	}
+	value = strings.ToLower(value)
+	var pattern *regexp.Regexp
+	if !exact && strings.Contains(value, "*") {
+		pattern = wildcardPattern(value)
+	}
+
+	return func(doc *Document) bool {
+		for _, candidate := range jsonPathValues(column(doc), path) {
+			candidate = strings.ToLower(candidate)
+			if candidate == value || (pattern != nil && pattern.MatchString(candidate)) {
+				return true
+			}
+		}
+		return false
+	}
+}
+
+// matchJSONPath finds the documents matching a path field among
+// candidates, or among all documents when candidates is nil. The caller
+// must hold the index read lock.
+func (idx *SearchIndex) matchJSONPath(field, value string, exact bool, candidates docSet) docSet {
+	match := jsonPathMatcher(field, value, exact)
+	result := docSet{}
+	if candidates == nil {
+		for id, doc := range idx.Documents {
+			if match(doc) {
+				result[id] = true
+			}
+		}
+		return result
+	}
+	for id := range candidates {
+		if doc, ok := idx.Documents[id]; ok && match(doc) {
+			result[id] = true
+		}
+	}
+	return result
+}
@@ -0,0 +1,64 @@
+package server
+
+import (
+	"reflect"
+	"sort"
+	"testing"
+)
+
+func TestJSONPathQueries(t *testing.T) {
+	searchIndex = NewSearchIndex()
+	docs := []*Document{
+		{ID: "1", Message: "payment failed", MessageRaw: `{"user":{"id":"bob"},"ports":[80,443]}`, Fields: map[string]string{"level": "ERROR"}},
+		{ID: "2", Message: "payment failed", MessageRaw: `{"user":{"id":"alice"}}`, Fields: map[string]string{"level": "ERROR"}},
+		{ID: "3", Message: "payment done", MessageRaw: `{"user":{"id":"bob"}}`, Fields: map[string]string{"level": "INFO"}},
+		{ID: "4", Message: "heartbeat", MessageRaw: `not json`},
+	}
+	for _, doc := range docs {
+		searchIndex.IndexDocument(doc)
+	}
+
+	// Count the documents read, through the raw column
+	reads := 0
+	raw := jsonColumns["raw"]
+	jsonColumns["raw"] = func(doc *Document) string {
+		reads++
+		return raw(doc)
+	}
+	defer func() { jsonColumns["raw"] = raw }()
+
+	tests := []struct {
+		query string
+		want  []string
+		reads int
+	}{
+		{"raw.user.id:bob", []string{"1", "3"}, 4},
+		{"raw.ports:443", []string{"1"}, 4},
+		{"level:error raw.user.id:bob", []string{"1"}, 2},
+		{"raw.user.id:bob level:error", []string{"1"}, 2},
+		{"failed -raw.user.id:bob", []string{"2"}, 2},
+		{"level:error (raw.user.id:alice OR raw.user.id:carol)", []string{"2"}, 4},
+		{"failed NOT (level:info OR raw.user.id:alice)", []string{"1"}, 2},
+		{"heartbeat raw.user.id:bob", nil, 1},
+		{"missing raw.user.id:bob", nil, 0},
+	}
+	for _, tt := range tests {
+		query, err := ParseQuery(tt.query)
+		if err != nil {
+			t.Fatalf("ParseQuery(%q): %v", tt.query, err)
+		}
+		reads = 0
+		results, _ := searchIndex.Search(query, SearchOptions{})
+		var ids []string
+		for _, doc := range results {
+			ids = append(ids, doc.ID)
+		}
+		sort.Strings(ids)
+		if !reflect.DeepEqual(ids, tt.want) {
+			t.Errorf("%s matched %v, want %v", tt.query, ids, tt.want)
+		}
+		if reads != tt.reads {
+			t.Errorf("%s read %d documents, want %d", tt.query, reads, tt.reads)
+		}
+	}
+}
@@ -0,0 +1,137 @@
+package server
+
+import (
+	"encoding/base64"
+	"fmt"
+	"sort"
+	"strconv"
+	"strings"
+)
+
+// Sort orders accepted by the 'sort' parameter
+const (
+	SortTimestampDesc = "timestamp:desc"
+	SortTimestampAsc  = "timestamp:asc"
+	SortRelevance     = "relevance" // BM25 score, highest first
+)
+
+// validSort reports whether a sort order is supported
+func validSort(order string) bool {
+	return order == SortTimestampDesc || order == SortTimestampAsc || order == SortRelevance
+}
+
+// docBefore reports whether a sorts before b in the given order. The ID breaks
+// ties between equal timestamps so the order is stable across requests.
+func docBefore(a, b *Document, order string) bool {
+	if a.Timestamp != b.Timestamp {
+		if order == SortTimestampAsc {
+			return a.Timestamp < b.Timestamp
+		}
+		return a.Timestamp > b.Timestamp
+	}
+	if order == SortTimestampAsc {
+		return a.ID < b.ID
+	}
+	return a.ID > b.ID
+}
+
+// scoredBefore reports whether a sorts before b in relevance order. Equal
+// scores fall back to newest first.
+func scoredBefore(a *Document, aScore float64, b *Document, bScore float64) bool {
+	if aScore != bScore {
+		return aScore > bScore
+	}
+	return docBefore(a, b, SortTimestampDesc)
+}
+
+// sortDocuments sorts documents in place
+func sortDocuments(docs []*Document, order string) {
+	sort.Slice(docs, func(i, j int) bool {
+		return docBefore(docs[i], docs[j], order)
+	})
+}
+
+// sortByScore sorts documents in place by relevance
+func sortByScore(docs []*Document, scores map[string]float64) {
+	sort.Slice(docs, func(i, j int) bool {
+		return scoredBefore(docs[i], scores[docs[i].ID], docs[j], scores[docs[j].ID])
+	})
+}
+
+// Cursor marks the position of the last document of a page
+type Cursor struct {
+	Timestamp int64
+	ID        string
+	Score     float64 // Only set for relevance order
+}
+
+// encodeCursor builds the opaque cursor string pointing after doc. In
+// relevance order the cursor also carries the document's score.
+func encodeCursor(doc *Document, order string, score float64) string {
+	raw := fmt.Sprintf("%d:%s", doc.Timestamp, doc.ID)
+	if order == SortRelevance {
+		raw = "s" + strconv.FormatFloat(score, 'g', -1, 64) + ":" + raw
+	}
+	return base64.RawURLEncoding.EncodeToString([]byte(raw))
+}
+
+// decodeCursor parses a cursor string produced by encodeCursor
+func decodeCursor(value string) (*Cursor, error) {
+	decoded, err := base64.RawURLEncoding.DecodeString(value)
+	if err != nil {
+		return nil, fmt.Errorf("invalid cursor")
+	}
+	raw := string(decoded)
+
+	score := 0.0
+	if strings.HasPrefix(raw, "s") {
+		parts := strings.SplitN(raw[1:], ":", 2)
+		if len(parts) != 2 {
+			return nil, fmt.Errorf("invalid cursor")
+		}
+		score, err = strconv.ParseFloat(parts[0], 64)
+		if err != nil {
+			return nil, fmt.Errorf("invalid cursor")
+		}
+		raw = parts[1]
+	}
+
+	parts := strings.SplitN(raw, ":", 2)
+	if len(parts) != 2 {
+		return nil, fmt.Errorf("invalid cursor")
+	}
+	timestamp, err := strconv.ParseInt(parts[0], 10, 64)
+	if err != nil {
+		return nil, fmt.Errorf("invalid cursor")
+	}
+	return &Cursor{Timestamp: timestamp, ID: parts[1], Score: score}, nil
+}
+
+// pageAfterCursor returns up to pageSize documents that come after the cursor
+// in sorted docs, plus the cursor for the following page ("" on the last page).
+// Scores are only used in relevance order.
+func pageAfterCursor(docs []*Document, scores map[string]float64, cursor *Cursor, order string, pageSize int) ([]*Document, string) {
+	start := 0
+	if cursor != nil {
+		marker := &Document{Timestamp: cursor.Timestamp, ID: cursor.ID}
+		start = sort.Search(len(docs), func(i int) bool {
+			if order == SortRelevance {
+				return scoredBefore(marker, cursor.Score, docs[i], scores[docs[i].ID])
+			}
+			return docBefore(marker, docs[i], order)
+		})
+	}
+
+	end := start + pageSize
+	if end > len(docs) {
+		end = len(docs)
+	}
+	page := docs[start:end]
+
+	nextCursor := ""
+	if end < len(docs) && len(page) > 0 {
+		last := page[len(page)-1]
+		nextCursor = encodeCursor(last, order, scores[last.ID])
+	}
+	return page, nextCursor
+}
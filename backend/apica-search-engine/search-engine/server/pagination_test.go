@@ -0,0 +1,84 @@
+package server
+
+import (
+	"reflect"
+	"testing"
+)
+
+// Paging through documents with equal timestamps returns each of them once,
+// in sort order, whatever the page size
+func TestPaginationAcrossEqualTimestamps(t *testing.T) {
+	docs := []*Document{
+		{ID: "a.parquet:0", Timestamp: 100},
+		{ID: "a.parquet:1", Timestamp: 200},
+		{ID: "a.parquet:2", Timestamp: 200},
+		{ID: "b.parquet:0", Timestamp: 200},
+		{ID: "b.parquet:1", Timestamp: 200},
+		{ID: "b.parquet:2", Timestamp: 300},
+		{ID: "c.parquet:0", Timestamp: 300},
+	}
+	scores := map[string]float64{"a.parquet:0": 2, "a.parquet:1": 1, "a.parquet:2": 1, "b.parquet:0": 2, "b.parquet:1": 1, "b.parquet:2": 1, "c.parquet:0": 1}
+
+	tests := []struct {
+		order string
+		want  []string
+	}{
+		{SortTimestampDesc, []string{"c.parquet:0", "b.parquet:2", "b.parquet:1", "b.parquet:0", "a.parquet:2", "a.parquet:1", "a.parquet:0"}},
+		{SortTimestampAsc, []string{"a.parquet:0", "a.parquet:1", "a.parquet:2", "b.parquet:0", "b.parquet:1", "b.parquet:2", "c.parquet:0"}},
+		{SortRelevance, []string{"b.parquet:0", "a.parquet:0", "c.parquet:0", "b.parquet:2", "b.parquet:1", "a.parquet:2", "a.parquet:1"}},
+	}
+	for _, tt := range tests {
+		sorted := append([]*Document(nil), docs...)
+		if tt.order == SortRelevance {
+			sortByScore(sorted, scores)
+		} else {
+			sortDocuments(sorted, tt.order)
+		}
+
+		for pageSize := 1; pageSize <= len(docs); pageSize++ {
+			var got []string
+			var cursor *Cursor
+			for pages := 0; pages <= len(docs); pages++ {
+				page, next := pageAfterCursor(sorted, scores, cursor, tt.order, pageSize)
+				for _, doc := range page {
+					got = append(got, doc.ID)
+				}
+				if next == "" {
+					break
+				}
+				var err error
+				if cursor, err = decodeCursor(next); err != nil {
+					t.Fatalf("decodeCursor(%q): %v", next, err)
+				}
+			}
+			if !reflect.DeepEqual(got, tt.want) {
+				t.Errorf("%s in pages of %d = %v, want %v", tt.order, pageSize, got, tt.want)
+			}
+		}
+	}
+}
+
+func TestDecodeCursor(t *testing.T) {
+	tests := []struct {
+		value string
+		want  *Cursor
+	}{
+		{encodeCursor(&Document{ID: "a.parquet:3", Timestamp: 200}, SortTimestampDesc, 0), &Cursor{Timestamp: 200, ID: "a.parquet:3"}},
+		{encodeCursor(&Document{ID: "a.parquet:3", Timestamp: -5}, SortRelevance, 1.25), &Cursor{Timestamp: -5, ID: "a.parquet:3", Score: 1.25}},
+		{"not base64!", nil},
+		{"MTIz", nil},     // 123
+		{"eDphLnBx", nil}, // x:a.pq
+	}
+	for _, tt := range tests {
+		got, err := decodeCursor(tt.value)
+		if tt.want == nil {
+			if err == nil {
+				t.Errorf("decodeCursor(%q) = %+v, want an error", tt.value, got)
+			}
+			continue
+		}
+		if err != nil || !reflect.DeepEqual(got, tt.want) {
+			t.Errorf("decodeCursor(%q) = %+v, %v, want %+v", tt.value, got, err, tt.want)
+		}
+	}
+}
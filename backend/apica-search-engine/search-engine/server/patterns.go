@@ -0,0 +1,167 @@
+package server
+
+import (
+	"fmt"
+	"hash/fnv"
+	"net/http"
+	"regexp"
+	"sort"
+	"strconv"
+	"strings"
+	"time"
+)
+
+const (
+	defaultPatternSize = 50
+	maxPatternSize     = 500
+)
+
+// patternMask replaces the variable parts of a message matched by re. When
+// keep is set, matches it returns true for are left alone.
+type patternMask struct {
+	re          *regexp.Regexp
+	placeholder string
+	keep        func(match string) bool
+}
+
+// patternMasks are applied in order, so a UUID is masked whole before its
+// digits could be taken for numbers
+var patternMasks = []patternMask{
+	{re: regexp.MustCompile(`(?i)\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b`), placeholder: "<uuid>"},
+	{re: regexp.MustCompile(`\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?`), placeholder: "<timestamp>"},
+	{re: regexp.MustCompile(`\b\d{1,3}(\.\d{1,3}){3}(:\d+)?\b`), placeholder: "<ip>"},
+	{re: regexp.MustCompile(`\b\d+(\.\d+)?(ns|us|µs|ms|s|m|h)\b`), placeholder: "<duration>"},
+	{re: regexp.MustCompile(`(?i)\b0x[0-9a-f]+\b`), placeholder: "<hex>"},
+	// Hashes and trace IDs mix digits and letters; plain numbers are masked
+	// below and words made of a-f letters only are kept
+	{re: regexp.MustCompile(`\b[0-9a-f]{8,}\b`), placeholder: "<hex>", keep: func(match string) bool {
+		return !strings.ContainsAny(match, "0123456789") || !strings.ContainsAny(match, "abcdef")
+	}},
+	{re: regexp.MustCompile(`\b\d+(\.\d+)?\b`), placeholder: "<num>"},
+}
+
+// messageTemplate masks the variable parts of a message (UUIDs, timestamps,
+// IPs, durations, hex IDs and numbers) so similar lines share a template
+func messageTemplate(message string) string {
+	template := message
+	for _, mask := range patternMasks {
+		if mask.keep == nil {
+			template = mask.re.ReplaceAllString(template, mask.placeholder)
+			continue
+		}
+		template = mask.re.ReplaceAllStringFunc(template, func(match string) string {
+			if mask.keep(match) {
+				return match
+			}
+			return mask.placeholder
+		})
+	}
+	return strings.Join(strings.Fields(template), " ")
+}
+
+// patternID is a short stable ID for a template, used to drill into its lines
+func patternID(template string) string {
+	h := fnv.New64a()
+	h.Write([]byte(template))
+	return fmt.Sprintf("%016x", h.Sum64())
+}
+
+// Pattern is a group of log lines sharing a template
+type Pattern struct {
+	ID        string         `json:"id"`
+	Template  string         `json:"template"`
+	Count     int            `json:"count"`
+	FirstSeen time.Time      `json:"firstSeen"`
+	LastSeen  time.Time      `json:"lastSeen"`
+	Level     string         `json:"level,omitempty"` // Most common level of the lines
+	Levels    map[string]int `json:"levels"`
+	Sample    string         `json:"sample"` // Message of the most recent line
+}
+
+// PatternsResult represents the patterns returned by the API
+type PatternsResult struct {
+	Query         string     `json:"query"`
+	TotalResults  int        `json:"totalResults"`
+	TotalPatterns int        `json:"totalPatterns"`
+	Patterns      []*Pattern `json:"patterns"`
+}
+
+// Patterns groups every document matching the query by message template,
+// most frequent first, and keeps the top size
+func (idx *SearchIndex) Patterns(query *QueryNode, opts SearchOptions, size int) *PatternsResult {
+	docs, _ := idx.Search(query, opts)
+
+	// The pattern IDs are computed at index time, so only the first line of
+	// each pattern needs its template masked
+	idx.mutex.RLock()
+	defer idx.mutex.RUnlock()
+	byID := make(map[string]*Pattern)
+	for _, doc := range docs {
+		id, ok := idx.patterns[doc.ID]
+		if !ok {
+			// Removed since the search
+			id = patternID(messageTemplate(doc.Message))
+		}
+		seen := time.Unix(0, doc.Timestamp).UTC()
+
+		pattern, ok := byID[id]
+		if !ok {
+			pattern = &Pattern{ID: id, Template: messageTemplate(doc.Message), FirstSeen: seen, LastSeen: seen, Levels: make(map[string]int), Sample: doc.Message}
+			byID[id] = pattern
+		}
+		pattern.Count++
+		if seen.Before(pattern.FirstSeen) {
+			pattern.FirstSeen = seen
+		}
+		if seen.After(pattern.LastSeen) {
+			pattern.LastSeen = seen
+			pattern.Sample = doc.Message
+		}
+		if level := doc.Fields[activeSchema.Level]; level != "" {
+			pattern.Levels[strings.ToUpper(level)]++
+		}
+	}
+
+	patterns := make([]*Pattern, 0, len(byID))
+	for _, pattern := range byID {
+		for level, count := range pattern.Levels {
+			if count > pattern.Levels[pattern.Level] || (count == pattern.Levels[pattern.Level] && level < pattern.Level) {
+				pattern.Level = level
+			}
+		}
+		patterns = append(patterns, pattern)
+	}
+	sort.Slice(patterns, func(i, j int) bool {
+		if patterns[i].Count != patterns[j].Count {
+			return patterns[i].Count > patterns[j].Count
+		}
+		return patterns[i].Template < patterns[j].Template
+	})
+
+	result := &PatternsResult{TotalResults: len(docs), TotalPatterns: len(patterns), Patterns: patterns}
+	if len(patterns) > size {
+		result.Patterns = patterns[:size]
+	}
+	return result
+}
+
+// handlePatterns returns the message templates of the current query's results
+func (app *Application) handlePatterns(w http.ResponseWriter, r *http.Request) {
+	if !allowMethods(w, r, "GET") {
+		return
+	}
+
+	parsedQuery, opts, ok := parseSearchRequest(w, r)
+	if !ok {
+		return
+	}
+
+	size := defaultPatternSize
+	if s, err := strconv.Atoi(r.URL.Query().Get("size")); err == nil && s > 0 && s <= maxPatternSize {
+		size = s
+	}
+
+	result := searchIndex.Patterns(parsedQuery, opts, size)
+	result.Query = r.URL.Query().Get("q")
+	writeJSON(w, http.StatusOK, result)
+}
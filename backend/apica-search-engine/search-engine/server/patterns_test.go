@@ -0,0 +1,45 @@
+package server
+
+import (
+	"path/filepath"
+	"reflect"
+	"sort"
+	"testing"
+)
+
+func TestPatternFilterAfterSnapshot(t *testing.T) {
+	messages := map[string]string{
+		"1": "timeout after 30 ms calling 10.0.0.1",
+		"2": "timeout after 45 ms calling 10.0.0.7",
+		"3": "connection refused",
+	}
+	saved := NewSearchIndex()
+	for id, message := range messages {
+		saved.IndexDocument(&Document{ID: id, Message: message})
+	}
+	path := filepath.Join(t.TempDir(), "index.gob")
+	if err := saved.SaveSnapshot(path); err != nil {
+		t.Fatal(err)
+	}
+	loaded := NewSearchIndex()
+	if err := loaded.LoadSnapshot(path); err != nil {
+		t.Fatal(err)
+	}
+
+	query, err := ParseQuery("timeout OR refused")
+	if err != nil {
+		t.Fatal(err)
+	}
+	pattern := patternID(messageTemplate(messages["1"]))
+	for name, idx := range map[string]*SearchIndex{"indexed": saved, "loaded": loaded} {
+		results, _ := idx.Search(query, SearchOptions{Pattern: pattern})
+		var ids []string
+		for _, doc := range results {
+			ids = append(ids, doc.ID)
+		}
+		sort.Strings(ids)
+		if want := []string{"1", "2"}; !reflect.DeepEqual(ids, want) {
+			t.Errorf("%s index: pattern %s matched %v, want %v", name, pattern, ids, want)
+		}
+	}
+}
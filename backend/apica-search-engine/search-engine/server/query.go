@@ -0,0 +1,574 @@
+package server
+
+import (
+	"encoding/json"
+	"fmt"
+	"regexp"
+	"strings"
+	"unicode"
+)
+
+// Query node operators
+const (
+	OpAnd    = "AND"
+	OpOr     = "OR"
+	OpNot    = "NOT"
+	OpTerm   = "TERM"
+	OpPhrase = "PHRASE"
+)
+
+// isQueryField reports whether a field name can be used in a query (e.g.
+// level:ERROR), which depends on the fields the schema indexes, or is a path
+// into a JSON column (e.g. raw.kubernetes.pod_name:api-1)
+func isQueryField(field string) bool {
+	return activeSchema.isQueryField(field) || isJSONPathField(field)
+}
+
+// QueryNode is a node of a parsed query. The frontend sends the same
+// structure as JSON, so both sides agree on the shape of the AST.
+type QueryNode struct {
+	Op       string       `json:"op"`
+	Field    string       `json:"field,omitempty"`
+	Value    string       `json:"value,omitempty"`
+	Children []*QueryNode `json:"children,omitempty"`
+}
+
+// QueryError describes a syntax error at a position in the query string
+type QueryError struct {
+	Message  string `json:"message"`
+	Position int    `json:"position"`
+}
+
+func (e *QueryError) Error() string {
+	return fmt.Sprintf("%s at position %d", e.Message, e.Position)
+}
+
+// Validate checks that a query decoded from JSON is well formed
+func (n *QueryNode) Validate() error {
+	if n == nil {
+		return fmt.Errorf("empty query")
+	}
+	switch n.Op {
+	case OpAnd, OpOr:
+		if len(n.Children) == 0 {
+			return fmt.Errorf("%s node without operands", n.Op)
+		}
+	case OpNot:
+		if len(n.Children) != 1 {
+			return fmt.Errorf("NOT node must have exactly one operand")
+		}
+	case OpTerm, OpPhrase:
+		if n.Value == "" {
+			return fmt.Errorf("%s node without value", n.Op)
+		}
+		if n.Field != "" && !isQueryField(n.Field) {
+			return fmt.Errorf("unknown field %q", n.Field)
+		}
+		return nil
+	default:
+		return fmt.Errorf("unknown operator %q", n.Op)
+	}
+	for _, child := range n.Children {
+		if err := child.Validate(); err != nil {
+			return err
+		}
+	}
+	return nil
+}
+
+// DecodeQuery decodes and validates a JSON encoded query AST
+func DecodeQuery(data string) (*QueryNode, error) {
+	var node QueryNode
+	if err := json.Unmarshal([]byte(data), &node); err != nil {
+		return nil, fmt.Errorf("invalid query JSON: %w", err)
+	}
+	if err := node.Validate(); err != nil {
+		return nil, err
+	}
+	return &node, nil
+}
+
+type queryTokenKind int
+
+const (
+	tokWord queryTokenKind = iota
+	tokPhrase
+	tokField
+	tokLParen
+	tokRParen
+	tokAnd
+	tokOr
+	tokNot
+)
+
+type queryToken struct {
+	kind  queryTokenKind
+	value string
+	pos   int
+}
+
+// lexQuery splits a query string into tokens. A word followed by ':' is a
+// field prefix only when it names a query field; other colons are text.
+func lexQuery(input string) ([]queryToken, error) {
+	runes := []rune(input)
+	tokens := []queryToken{}
+
+	isDelimiter := func(r rune) bool {
+		return unicode.IsSpace(r) || r == '(' || r == ')' || r == '"'
+	}
+
+	for i := 0; i < len(runes); {
+		r := runes[i]
+		switch {
+		case unicode.IsSpace(r):
+			i++
+		case r == '(':
+			tokens = append(tokens, queryToken{kind: tokLParen, pos: i})
+			i++
+		case r == ')':
+			tokens = append(tokens, queryToken{kind: tokRParen, pos: i})
+			i++
+		case r == '-' && i+1 < len(runes) && !unicode.IsSpace(runes[i+1]) && runes[i+1] != ')':
+			// A leading dash negates the following term, phrase or group
+			tokens = append(tokens, queryToken{kind: tokNot, pos: i})
+			i++
+		case r == '"':
+			start := i
+			i++
+			var sb strings.Builder
+			for i < len(runes) && runes[i] != '"' {
+				if runes[i] == '\\' && i+1 < len(runes) {
+					i++
+				}
+				sb.WriteRune(runes[i])
+				i++
+			}
+			if i >= len(runes) {
+				return nil, &QueryError{Message: "unterminated quoted phrase", Position: start}
+			}
+			i++ // closing quote
+			tokens = append(tokens, queryToken{kind: tokPhrase, value: sb.String(), pos: start})
+		default:
+			start := i
+			for i < len(runes) && !isDelimiter(runes[i]) && runes[i] != ':' {
+				i++
+			}
+			word := string(runes[start:i])
+			if i < len(runes) && runes[i] == ':' {
+				if field := strings.ToLower(word); isQueryField(field) {
+					i++
+					tokens = append(tokens, queryToken{kind: tokField, value: field, pos: start})
+					continue
+				}
+				// Not a field: the colon is part of the term, e.g. 12:30:05,
+				// http://svc/health or error:timeout
+				for i < len(runes) && !isDelimiter(runes[i]) {
+					i++
+				}
+				word = string(runes[start:i])
+			}
+			switch word {
+			case "AND":
+				tokens = append(tokens, queryToken{kind: tokAnd, pos: start})
+			case "OR":
+				tokens = append(tokens, queryToken{kind: tokOr, pos: start})
+			case "NOT":
+				tokens = append(tokens, queryToken{kind: tokNot, pos: start})
+			default:
+				tokens = append(tokens, queryToken{kind: tokWord, value: word, pos: start})
+			}
+		}
+	}
+	return tokens, nil
+}
+
+type queryParser struct {
+	tokens []queryToken
+	pos    int
+	length int
+}
+
+func (p *queryParser) peek() *queryToken {
+	if p.pos < len(p.tokens) {
+		return &p.tokens[p.pos]
+	}
+	return nil
+}
+
+func (p *queryParser) errorAt(tok *queryToken, msg string) error {
+	if tok == nil {
+		return &QueryError{Message: msg, Position: p.length}
+	}
+	return &QueryError{Message: msg, Position: tok.pos}
+}
+
+// parseOr handles: and ("OR" and)*
+func (p *queryParser) parseOr() (*QueryNode, error) {
+	left, err := p.parseAnd()
+	if err != nil {
+		return nil, err
+	}
+	children := []*QueryNode{left}
+	for tok := p.peek(); tok != nil && tok.kind == tokOr; tok = p.peek() {
+		p.pos++
+		right, err := p.parseAnd()
+		if err != nil {
+			return nil, err
+		}
+		children = append(children, right)
+	}
+	if len(children) == 1 {
+		return left, nil
+	}
+	return &QueryNode{Op: OpOr, Children: children}, nil
+}
+
+// parseAnd handles: unary (["AND"] unary)*
+func (p *queryParser) parseAnd() (*QueryNode, error) {
+	left, err := p.parseUnary()
+	if err != nil {
+		return nil, err
+	}
+	children := []*QueryNode{left}
+	for tok := p.peek(); tok != nil && tok.kind != tokOr && tok.kind != tokRParen; tok = p.peek() {
+		if tok.kind == tokAnd {
+			p.pos++
+		}
+		right, err := p.parseUnary()
+		if err != nil {
+			return nil, err
+		}
+		children = append(children, right)
+	}
+	if len(children) == 1 {
+		return left, nil
+	}
+	return &QueryNode{Op: OpAnd, Children: children}, nil
+}
+
+// parseUnary handles: "NOT" unary | primary
+func (p *queryParser) parseUnary() (*QueryNode, error) {
+	tok := p.peek()
+	if tok != nil && tok.kind == tokNot {
+		p.pos++
+		child, err := p.parseUnary()
+		if err != nil {
+			return nil, err
+		}
+		return &QueryNode{Op: OpNot, Children: []*QueryNode{child}}, nil
+	}
+	return p.parsePrimary()
+}
+
+// parsePrimary handles: "(" or ")" | field? (word | phrase)
+func (p *queryParser) parsePrimary() (*QueryNode, error) {
+	tok := p.peek()
+	if tok == nil {
+		return nil, p.errorAt(nil, "unexpected end of query")
+	}
+	p.pos++
+
+	switch tok.kind {
+	case tokLParen:
+		node, err := p.parseOr()
+		if err != nil {
+			return nil, err
+		}
+		closing := p.peek()
+		if closing == nil || closing.kind != tokRParen {
+			return nil, p.errorAt(tok, "missing closing parenthesis")
+		}
+		p.pos++
+		return node, nil
+	case tokField:
+		value := p.peek()
+		if value == nil || (value.kind != tokWord && value.kind != tokPhrase) {
+			return nil, p.errorAt(tok, fmt.Sprintf("missing value for field %q", tok.value))
+		}
+		p.pos++
+		if value.kind == tokPhrase {
+			return &QueryNode{Op: OpPhrase, Field: tok.value, Value: value.value}, nil
+		}
+		return &QueryNode{Op: OpTerm, Field: tok.value, Value: value.value}, nil
+	case tokWord:
+		return &QueryNode{Op: OpTerm, Value: tok.value}, nil
+	case tokPhrase:
+		if strings.TrimSpace(tok.value) == "" {
+			return nil, p.errorAt(tok, "empty phrase")
+		}
+		return &QueryNode{Op: OpPhrase, Value: tok.value}, nil
+	case tokRParen:
+		return nil, p.errorAt(tok, "unexpected closing parenthesis")
+	default:
+		return nil, p.errorAt(tok, "unexpected operator")
+	}
+}
+
+// ParseQuery parses a query string into an AST.
+//
+// Supported syntax: free text terms, quoted phrases, field prefixes
+// (level:ERROR, pod:api-*), AND/OR/NOT (or a leading -), and parentheses.
+// Adjacent terms are combined with AND.
+func ParseQuery(input string) (*QueryNode, error) {
+	tokens, err := lexQuery(input)
+	if err != nil {
+		return nil, err
+	}
+	if len(tokens) == 0 {
+		return nil, &QueryError{Message: "empty query", Position: 0}
+	}
+
+	p := &queryParser{tokens: tokens, length: len([]rune(input))}
+	node, err := p.parseOr()
+	if err != nil {
+		return nil, err
+	}
+	if tok := p.peek(); tok != nil {
+		return nil, p.errorAt(tok, "unexpected closing parenthesis")
+	}
+	return node, nil
+}
+
+// wildcardPattern compiles a value containing * into an anchored regexp
+func wildcardPattern(value string) *regexp.Regexp {
+	parts := strings.Split(value, "*")
+	for i, part := range parts {
+		parts[i] = regexp.QuoteMeta(part)
+	}
+	return regexp.MustCompile("^" + strings.Join(parts, ".*") + "$")
+}
+
+// docSet is a set of document IDs
+type docSet map[string]bool
+
+// evaluate resolves a query node to the set of matching document IDs.
+// Path fields are only matched against candidates, unless it is nil, as
+// they are read from the documents; the other terms come from the index
+// and may include documents outside candidates, which callers intersect.
+// The caller must hold the index read lock.
+func (idx *SearchIndex) evaluate(node *QueryNode, candidates docSet) docSet {
+	switch node.Op {
+	case OpAnd:
+		// Indexed operands narrow the result before path fields read the
+		// documents left, and NOT operands are subtracted from it rather
+		// than evaluated as complements. Stopwords constrain nothing.
+		var indexed, read, excluded []*QueryNode
+		stopwords := 0
+		for _, child := range node.Children {
+			switch {
+			case isStopwordTerm(child):
+				stopwords++
+			case child.Op == OpNot:
+				excluded = append(excluded, child.Children[0])
+			case readsDocuments(child):
+				read = append(read, child)
+			default:
+				indexed = append(indexed, child)
+			}
+		}
+		result := candidates
+		for _, child := range append(indexed, read...) {
+			set := idx.evaluate(child, result)
+			if result == nil {
+				result = set
+			} else {
+				result = intersect(result, set)
+			}
+			if len(result) == 0 {
+				return docSet{}
+			}
+		}
+		if stopwords == len(node.Children) {
+			return docSet{}
+		}
+		if result == nil {
+			result = idx.allDocuments()
+		} else if len(indexed)+len(read) == 0 {
+			result = copySet(result)
+		}
+		for _, child := range excluded {
+			for id := range idx.evaluate(child, result) {
+				delete(result, id)
+			}
+		}
+		return result
+	case OpOr:
+		result := docSet{}
+		for _, child := range node.Children {
+			for id := range idx.evaluate(child, candidates) {
+				result[id] = true
+			}
+		}
+		return result
+	case OpNot:
+		var result docSet
+		if candidates == nil {
+			result = idx.allDocuments()
+		} else {
+			result = copySet(candidates)
+		}
+		for id := range idx.evaluate(node.Children[0], result) {
+			delete(result, id)
+		}
+		return result
+	case OpTerm:
+		if isJSONPathField(node.Field) {
+			return idx.matchJSONPath(node.Field, node.Value, false, candidates)
+		}
+		if node.Field != "" {
+			return idx.matchField(node.Field, strings.ToLower(node.Value))
+		}
+		return idx.matchTerm(node.Value)
+	case OpPhrase:
+		if isJSONPathField(node.Field) {
+			return idx.matchJSONPath(node.Field, node.Value, true, candidates)
+		}
+		return idx.matchPhrase(node.Field, node.Value)
+	}
+	return docSet{}
+}
+
+// isStopwordTerm reports whether node is a free text term the analyzer
+// leaves no terms of, e.g. the stopword "the"
+func isStopwordTerm(node *QueryNode) bool {
+	return node.Op == OpTerm && node.Field == "" && len(activeAnalyzer.queryTerms(node.Value)) == 0
+}
+
+// readsDocuments reports whether matching node reads documents, i.e. it
+// has path fields
+func readsDocuments(node *QueryNode) bool {
+	if node.Op == OpTerm || node.Op == OpPhrase {
+		return isJSONPathField(node.Field)
+	}
+	for _, child := range node.Children {
+		if readsDocuments(child) {
+			return true
+		}
+	}
+	return false
+}
+
+func copySet(set docSet) docSet {
+	result := make(docSet, len(set))
+	for id := range set {
+		result[id] = true
+	}
+	return result
+}
+
+func (idx *SearchIndex) allDocuments() docSet {
+	result := make(docSet, len(idx.Documents))
+	for id := range idx.Documents {
+		result[id] = true
+	}
+	return result
+}
+
+// matchTerm looks up a free text term through the analyzer, expanding
+// wildcards against the index. A term the analyzer splits, e.g.
+// connection=timeout, matches documents with all of its parts. A stopword
+// matches no document, so that error OR the doesn't match everything; AND
+// skips it instead, see isStopwordTerm.
+func (idx *SearchIndex) matchTerm(value string) docSet {
+	var result docSet
+	for _, term := range activeAnalyzer.queryTerms(value) {
+		set := docSet{}
+		for _, token := range idx.expandTerm(term) {
+			for id := range idx.InvertedIndex[token] {
+				set[id] = true
+			}
+		}
+		if result == nil {
+			result = set
+		} else {
+			result = intersect(result, set)
+		}
+	}
+	if result == nil {
+		return docSet{}
+	}
+	return result
+}
+
+// matchField matches a field value exactly, or by pattern when it contains *
+func (idx *SearchIndex) matchField(field, value string) docSet {
+	result := docSet{}
+	values := idx.FieldIndex[field]
+	if !strings.Contains(value, "*") {
+		for id := range values[value] {
+			result[id] = true
+		}
+		return result
+	}
+
+	pattern := wildcardPattern(value)
+	for candidate, ids := range values {
+		if pattern.MatchString(candidate) {
+			for id := range ids {
+				result[id] = true
+			}
+		}
+	}
+	return result
+}
+
+// matchPhrase finds documents containing the exact phrase. Candidates are
+// narrowed with the inverted index first, then verified against the text.
+// A quoted field value is matched exactly, without wildcard expansion and
+// ignoring case; the words of a text phrase are normalized by the analyzer.
+func (idx *SearchIndex) matchPhrase(field, phrase string) docSet {
+	if field != "" {
+		result := docSet{}
+		for id := range idx.FieldIndex[field][strings.ToLower(phrase)] {
+			result[id] = true
+		}
+		return result
+	}
+
+	terms := activeAnalyzer.Tokens(phrase)
+	if len(terms) == 0 {
+		return docSet{}
+	}
+	var candidates docSet
+	for _, term := range terms {
+		set := docSet{}
+		for id := range idx.InvertedIndex[term] {
+			set[id] = true
+		}
+		if candidates == nil {
+			candidates = set
+		} else {
+			candidates = intersect(candidates, set)
+		}
+	}
+
+	result := docSet{}
+	for id := range candidates {
+		if containsPhrase(activeAnalyzer.Tokens(searchableText(idx.Documents[id])), terms) {
+			result[id] = true
+		}
+	}
+	return result
+}
+
+// containsPhrase reports whether tokens contain the phrase's tokens in a row
+func containsPhrase(tokens, phrase []string) bool {
+	if len(phrase) == 0 {
+		return false
+	}
+	text := " " + strings.Join(tokens, " ") + " "
+	return strings.Contains(text, " "+strings.Join(phrase, " ")+" ")
+}
+
+func intersect(a, b docSet) docSet {
+	if len(b) < len(a) {
+		a, b = b, a
+	}
+	result := docSet{}
+	for id := range a {
+		if b[id] {
+			result[id] = true
+		}
+	}
+	return result
+}
@@ -0,0 +1,61 @@
+package server
+
+import (
+	"encoding/json"
+	"testing"
+)
+
+func TestParseQuery(t *testing.T) {
+	tests := []struct {
+		query string
+		want  string
+	}{
+		{`level:ERROR`, `{"op":"TERM","field":"level","value":"ERROR"}`},
+		{`Level:ERROR`, `{"op":"TERM","field":"level","value":"ERROR"}`},
+		{`pod:"api 1"`, `{"op":"PHRASE","field":"pod","value":"api 1"}`},
+		{`a b`, `{"op":"AND","children":[{"op":"TERM","value":"a"},{"op":"TERM","value":"b"}]}`},
+		{`a OR -b`, `{"op":"OR","children":[{"op":"TERM","value":"a"},{"op":"NOT","children":[{"op":"TERM","value":"b"}]}]}`},
+		{`raw.kubernetes.pod_name:api-1`, `{"op":"TERM","field":"raw.kubernetes.pod_name","value":"api-1"}`},
+		// Colons that don't follow a query field are part of the term
+		{`12:30:05`, `{"op":"TERM","value":"12:30:05"}`},
+		{`http://svc/health`, `{"op":"TERM","value":"http://svc/health"}`},
+		{`error:timeout`, `{"op":"TERM","value":"error:timeout"}`},
+		{`level:ERROR at 12:30`, `{"op":"AND","children":[{"op":"TERM","field":"level","value":"ERROR"},{"op":"TERM","value":"at"},{"op":"TERM","value":"12:30"}]}`},
+	}
+	for _, tt := range tests {
+		node, err := ParseQuery(tt.query)
+		if err != nil {
+			t.Errorf("ParseQuery(%q): %v", tt.query, err)
+			continue
+		}
+		got, _ := json.Marshal(node)
+		if string(got) != tt.want {
+			t.Errorf("ParseQuery(%q) = %s, want %s", tt.query, got, tt.want)
+		}
+	}
+}
+
+func TestParseQueryErrors(t *testing.T) {
+	tests := []struct {
+		query    string
+		position int
+	}{
+		{`(a`, 0},
+		{`a)`, 1},
+		{`"abc`, 0},
+		{`level:`, 0},
+		{`a AND`, 5},
+		{`""`, 0},
+	}
+	for _, tt := range tests {
+		_, err := ParseQuery(tt.query)
+		qerr, ok := err.(*QueryError)
+		if !ok {
+			t.Errorf("ParseQuery(%q) error = %v, want a QueryError", tt.query, err)
+			continue
+		}
+		if qerr.Position != tt.position {
+			t.Errorf("ParseQuery(%q) error at %d, want %d", tt.query, qerr.Position, tt.position)
+		}
+	}
+}
@@ -0,0 +1,72 @@
+package server
+
+import (
+	"math"
+)
+
+// BM25 parameters: bm25K1 caps how much repeating a term raises the score,
+// bm25B how much longer documents are penalized
+const (
+	bm25K1 = 1.2
+	bm25B  = 0.75
+)
+
+// scoringTerms collects the index terms a query's free text terms and
+// phrases match, expanding wildcards. Field terms only filter and terms under
+// NOT never match a result, so neither contributes to relevance. The caller
+// must hold the index read lock.
+func (idx *SearchIndex) scoringTerms(node *QueryNode, terms map[string]bool) {
+	switch node.Op {
+	case OpAnd, OpOr:
+		for _, child := range node.Children {
+			idx.scoringTerms(child, terms)
+		}
+	case OpTerm, OpPhrase:
+		if node.Field != "" {
+			return
+		}
+		if node.Op == OpPhrase {
+			for _, token := range activeAnalyzer.Tokens(node.Value) {
+				terms[token] = true
+			}
+			return
+		}
+		for _, term := range activeAnalyzer.queryTerms(node.Value) {
+			for _, token := range idx.expandTerm(term) {
+				terms[token] = true
+			}
+		}
+	}
+}
+
+// relevanceScores scores documents against a query with BM25, by document ID.
+// Documents matching on fields only score 0. The caller must hold the index
+// read lock.
+func (idx *SearchIndex) relevanceScores(query *QueryNode, docs []*Document) map[string]float64 {
+	scores := make(map[string]float64, len(docs))
+	terms := make(map[string]bool)
+	idx.scoringTerms(query, terms)
+	if len(terms) == 0 || len(idx.DocLengths) == 0 {
+		return scores
+	}
+
+	n := float64(len(idx.DocLengths))
+	avgLength := float64(idx.totalTerms) / n
+	for term := range terms {
+		postings := idx.InvertedIndex[term]
+		if len(postings) == 0 {
+			continue
+		}
+		df := float64(len(postings))
+		idf := math.Log(1 + (n-df+0.5)/(df+0.5))
+		for _, doc := range docs {
+			tf := float64(postings[doc.ID])
+			if tf == 0 {
+				continue
+			}
+			length := float64(idx.DocLengths[doc.ID])
+			scores[doc.ID] += idf * tf * (bm25K1 + 1) / (tf + bm25K1*(1-bm25B+bm25B*length/avgLength))
+		}
+	}
+	return scores
+}
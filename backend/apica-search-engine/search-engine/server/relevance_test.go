@@ -0,0 +1,52 @@
+package server
+
+import (
+	"encoding/json"
+	"net/http/httptest"
+	"net/url"
+	"testing"
+)
+
+func TestSearchScoresDontDependOnSort(t *testing.T) {
+	searchIndex = NewSearchIndex()
+	messages := []string{
+		"timeout timeout calling payments",
+		"timeout calling billing after a long wait",
+		"connection refused",
+		"timeout",
+	}
+	for i, message := range messages {
+		searchIndex.IndexDocument(&Document{ID: string(rune('a' + i)), Message: message, Timestamp: int64(i + 1)})
+	}
+
+	app := &Application{}
+	search := func(sort string) SearchResult {
+		rec := httptest.NewRecorder()
+		app.handleSearch(rec, httptest.NewRequest("GET", "/api/search?"+url.Values{"q": {"timeout"}, "sort": {sort}, "pageSize": {"2"}}.Encode(), nil))
+		var result SearchResult
+		if err := json.Unmarshal(rec.Body.Bytes(), &result); err != nil {
+			t.Fatalf("sort %s: %v: %s", sort, err, rec.Body.String())
+		}
+		return result
+	}
+
+	byRelevance := search(SortRelevance)
+	byTime := search(SortTimestampDesc)
+	if byRelevance.TotalResults != 3 || byTime.TotalResults != 3 {
+		t.Fatalf("total results %d and %d, want 3", byRelevance.TotalResults, byTime.TotalResults)
+	}
+	if len(byTime.Scores) != 2 {
+		t.Errorf("timestamp order scored %d results, want the 2 of the page", len(byTime.Scores))
+	}
+	for id, score := range byTime.Scores {
+		if relevance, ok := byRelevance.Scores[id]; ok && relevance != score {
+			t.Errorf("%s scored %v sorted by time and %v by relevance", id, score, relevance)
+		}
+		if score <= 0 {
+			t.Errorf("%s scored %v", id, score)
+		}
+	}
+	if byRelevance.Results[0].ID != "d" && byRelevance.Results[0].ID != "a" {
+		t.Errorf("most relevant result %s", byRelevance.Results[0].ID)
+	}
+}
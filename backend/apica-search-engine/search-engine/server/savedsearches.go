@@ -0,0 +1,352 @@
+package server
+
+import (
+	"crypto/rand"
+	"encoding/hex"
+	"encoding/json"
+	"errors"
+	"fmt"
+	"net/http"
+	"os"
+	"path/filepath"
+	"sort"
+	"strings"
+	"sync"
+	"time"
+)
+
+var (
+	errSavedSearchNotFound = errors.New("saved search not found")
+	errInvalidSavedSearch  = errors.New("invalid saved search")
+)
+
+// SavedSearch is a named search shared by everyone using the server. The
+// time range and column layout are stored as the UI sends them. Filters
+// are part of the query.
+type SavedSearch struct {
+	ID        string          `json:"id"`
+	Name      string          `json:"name"`
+	Query     string          `json:"query"`
+	TimeRange json.RawMessage `json:"timeRange,omitempty"`
+	Sort      string          `json:"sort,omitempty"`
+	Columns   json.RawMessage `json:"columns,omitempty"`
+	CreatedAt time.Time       `json:"createdAt"`
+	UpdatedAt time.Time       `json:"updatedAt"`
+}
+
+// validate checks the fields a saved search can't do without
+func (s *SavedSearch) validate() error {
+	s.Name = strings.TrimSpace(s.Name)
+	if s.Name == "" {
+		return fmt.Errorf("%w: missing name", errInvalidSavedSearch)
+	}
+	if strings.TrimSpace(s.Query) == "" {
+		return fmt.Errorf("%w: missing query", errInvalidSavedSearch)
+	}
+	if s.Sort != "" && !validSort(s.Sort) {
+		return fmt.Errorf("%w: unknown sort '%s'", errInvalidSavedSearch, s.Sort)
+	}
+	return nil
+}
+
+// SavedSearchStore keeps saved searches in a JSON file
+type SavedSearchStore struct {
+	path     string
+	mutex    sync.Mutex
+	searches map[string]*SavedSearch
+}
+
+// NewSavedSearchStore loads the saved searches from path. A missing file
+// is treated as an empty store and created on the first change.
+func NewSavedSearchStore(path string) (*SavedSearchStore, error) {
+	store := &SavedSearchStore{
+		path:     path,
+		searches: make(map[string]*SavedSearch),
+	}
+
+	data, err := os.ReadFile(path)
+	if errors.Is(err, os.ErrNotExist) {
+		return store, nil
+	}
+	if err != nil {
+		return nil, fmt.Errorf("failed to read saved searches: %w", err)
+	}
+
+	var searches []*SavedSearch
+	if err := json.Unmarshal(data, &searches); err != nil {
+		return nil, fmt.Errorf("failed to parse saved searches %s: %w", path, err)
+	}
+	for _, search := range searches {
+		store.searches[search.ID] = search
+	}
+	return store, nil
+}
+
+// List returns every saved search ordered by name
+func (s *SavedSearchStore) List() []*SavedSearch {
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+	return sortedSavedSearches(s.searches)
+}
+
+// Get returns the saved search with the given ID
+func (s *SavedSearchStore) Get(id string) (*SavedSearch, error) {
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+
+	search, ok := s.searches[id]
+	if !ok {
+		return nil, errSavedSearchNotFound
+	}
+	return search, nil
+}
+
+// Create stores a new saved search under a fresh ID
+func (s *SavedSearchStore) Create(search *SavedSearch) (*SavedSearch, error) {
+	if err := search.validate(); err != nil {
+		return nil, err
+	}
+
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+
+	now := time.Now().UTC()
+	search.ID = newID()
+	search.CreatedAt = now
+	search.UpdatedAt = now
+	searches := s.copySearches()
+	searches[search.ID] = search
+	if err := s.commit(searches); err != nil {
+		return nil, err
+	}
+	return search, nil
+}
+
+// Update replaces the saved search with the given ID, keeping its creation time
+func (s *SavedSearchStore) Update(id string, search *SavedSearch) (*SavedSearch, error) {
+	if err := search.validate(); err != nil {
+		return nil, err
+	}
+
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+
+	existing, ok := s.searches[id]
+	if !ok {
+		return nil, errSavedSearchNotFound
+	}
+	search.ID = id
+	search.CreatedAt = existing.CreatedAt
+	search.UpdatedAt = time.Now().UTC()
+	searches := s.copySearches()
+	searches[id] = search
+	if err := s.commit(searches); err != nil {
+		return nil, err
+	}
+	return search, nil
+}
+
+// Delete removes the saved search with the given ID
+func (s *SavedSearchStore) Delete(id string) error {
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+
+	if _, ok := s.searches[id]; !ok {
+		return errSavedSearchNotFound
+	}
+	searches := s.copySearches()
+	delete(searches, id)
+	return s.commit(searches)
+}
+
+// Import adds saved searches exported from another server. A search with
+// the same name as an existing one replaces it, so importing the same file
+// twice doesn't create duplicates. Nothing is imported if any entry is invalid.
+func (s *SavedSearchStore) Import(searches []*SavedSearch) ([]*SavedSearch, error) {
+	for i, search := range searches {
+		if search == nil {
+			return nil, fmt.Errorf("saved search %d: %w: not an object", i+1, errInvalidSavedSearch)
+		}
+		if err := search.validate(); err != nil {
+			return nil, fmt.Errorf("saved search %d: %w", i+1, err)
+		}
+	}
+
+	s.mutex.Lock()
+	defer s.mutex.Unlock()
+
+	stored := s.copySearches()
+	byName := make(map[string]*SavedSearch, len(stored))
+	for _, existing := range stored {
+		byName[strings.ToLower(existing.Name)] = existing
+	}
+
+	now := time.Now().UTC()
+	for _, search := range searches {
+		if existing, ok := byName[strings.ToLower(search.Name)]; ok {
+			search.ID = existing.ID
+			search.CreatedAt = existing.CreatedAt
+		} else {
+			search.ID = newID()
+			search.CreatedAt = now
+		}
+		search.UpdatedAt = now
+		stored[search.ID] = search
+		byName[strings.ToLower(search.Name)] = search
+	}
+	if err := s.commit(stored); err != nil {
+		return nil, err
+	}
+	return searches, nil
+}
+
+// copySearches returns a copy of the saved searches map to apply a change
+// to before committing it. The caller must hold the mutex.
+func (s *SavedSearchStore) copySearches() map[string]*SavedSearch {
+	searches := make(map[string]*SavedSearch, len(s.searches))
+	for id, search := range s.searches {
+		searches[id] = search
+	}
+	return searches
+}
+
+// sortedSavedSearches returns the saved searches ordered by name
+func sortedSavedSearches(searches map[string]*SavedSearch) []*SavedSearch {
+	sorted := make([]*SavedSearch, 0, len(searches))
+	for _, search := range searches {
+		sorted = append(sorted, search)
+	}
+	sort.Slice(sorted, func(i, j int) bool {
+		return strings.ToLower(sorted[i].Name) < strings.ToLower(sorted[j].Name)
+	})
+	return sorted
+}
+
+// commit writes searches to disk through a temporary file, so a crash never
+// leaves a truncated file behind, and makes them the store's once the write
+// succeeded. Stored searches are replaced rather than changed. The caller
+// must hold the mutex.
+func (s *SavedSearchStore) commit(searches map[string]*SavedSearch) error {
+	data, err := json.MarshalIndent(sortedSavedSearches(searches), "", "  ")
+	if err != nil {
+		return err
+	}
+
+	if dir := filepath.Dir(s.path); dir != "" {
+		if err := os.MkdirAll(dir, 0o755); err != nil {
+			return fmt.Errorf("failed to create saved searches folder: %w", err)
+		}
+	}
+	tmp := s.path + ".tmp"
+	if err := os.WriteFile(tmp, data, 0o644); err != nil {
+		return fmt.Errorf("failed to write saved searches: %w", err)
+	}
+	if err := os.Rename(tmp, s.path); err != nil {
+		return fmt.Errorf("failed to write saved searches: %w", err)
+	}
+	s.searches = searches
+	return nil
+}
+
+// newID returns a random hex ID for a stored item, e.g. a saved search
+func newID() string {
+	b := make([]byte, 8)
+	if _, err := rand.Read(b); err != nil {
+		return fmt.Sprintf("%x", time.Now().UnixNano())
+	}
+	return hex.EncodeToString(b)
+}
+
+// handleSavedSearches lists saved searches (GET) and creates them (POST)
+func (app *Application) handleSavedSearches(w http.ResponseWriter, r *http.Request) {
+	if !allowMethods(w, r, "GET", "POST") {
+		return
+	}
+
+	if r.Method == "GET" {
+		writeJSON(w, http.StatusOK, app.savedSearches.List())
+		return
+	}
+
+	var search SavedSearch
+	if err := json.NewDecoder(r.Body).Decode(&search); err != nil {
+		http.Error(w, "Invalid saved search: "+err.Error(), http.StatusBadRequest)
+		return
+	}
+	created, err := app.savedSearches.Create(&search)
+	if err != nil {
+		app.writeSavedSearchError(w, err)
+		return
+	}
+	writeJSON(w, http.StatusCreated, created)
+}
+
+// handleSavedSearch reads (GET), replaces (PUT) or deletes (DELETE) the saved
+// search at /api/saved-searches/{id}. POST /api/saved-searches/import
+// imports an exported list.
+func (app *Application) handleSavedSearch(w http.ResponseWriter, r *http.Request) {
+	id := strings.TrimPrefix(r.URL.Path, "/api/saved-searches/")
+
+	if id == "import" {
+		if !allowMethods(w, r, "POST") {
+			return
+		}
+		var searches []*SavedSearch
+		if err := json.NewDecoder(r.Body).Decode(&searches); err != nil {
+			http.Error(w, "Invalid saved searches: expected a JSON array", http.StatusBadRequest)
+			return
+		}
+		imported, err := app.savedSearches.Import(searches)
+		if err != nil {
+			app.writeSavedSearchError(w, err)
+			return
+		}
+		writeJSON(w, http.StatusOK, imported)
+		return
+	}
+
+	if !allowMethods(w, r, "GET", "PUT", "DELETE") {
+		return
+	}
+
+	switch r.Method {
+	case "GET":
+		search, err := app.savedSearches.Get(id)
+		if err != nil {
+			app.writeSavedSearchError(w, err)
+			return
+		}
+		writeJSON(w, http.StatusOK, search)
+	case "PUT":
+		var search SavedSearch
+		if err := json.NewDecoder(r.Body).Decode(&search); err != nil {
+			http.Error(w, "Invalid saved search: "+err.Error(), http.StatusBadRequest)
+			return
+		}
+		updated, err := app.savedSearches.Update(id, &search)
+		if err != nil {
+			app.writeSavedSearchError(w, err)
+			return
+		}
+		writeJSON(w, http.StatusOK, updated)
+	case "DELETE":
+		if err := app.savedSearches.Delete(id); err != nil {
+			app.writeSavedSearchError(w, err)
+			return
+		}
+		w.WriteHeader(http.StatusNoContent)
+	}
+}
+
+// writeSavedSearchError maps store errors to HTTP responses
+func (app *Application) writeSavedSearchError(w http.ResponseWriter, err error) {
+	switch {
+	case errors.Is(err, errSavedSearchNotFound):
+		http.Error(w, "Saved search not found", http.StatusNotFound)
+	case errors.Is(err, errInvalidSavedSearch):
+		http.Error(w, err.Error(), http.StatusBadRequest)
+	default:
+		app.logger.Errorf("Error saving searches: %v", err)
+		http.Error(w, "Failed to save searches", http.StatusInternalServerError)
+	}
+}
@@ -0,0 +1,70 @@
+package server
+
+import (
+	"net/http"
+	"net/http/httptest"
+	"os"
+	"path/filepath"
+	"strings"
+	"testing"
+
+	"github.com/sirupsen/logrus"
+)
+
+func TestSavedSearchStoreKeepsStateWhenWriteFails(t *testing.T) {
+	path := filepath.Join(t.TempDir(), "saved-searches.json")
+	store, err := NewSavedSearchStore(path)
+	if err != nil {
+		t.Fatal(err)
+	}
+	kept, err := store.Create(&SavedSearch{Name: "Errors", Query: "level:error"})
+	if err != nil {
+		t.Fatal(err)
+	}
+
+	// A folder in the way of the temporary file fails every write
+	if err := os.Mkdir(path+".tmp", 0o755); err != nil {
+		t.Fatal(err)
+	}
+	if _, err := store.Create(&SavedSearch{Name: "Timeouts", Query: "timeout"}); err == nil {
+		t.Error("Create succeeded without a writable file")
+	}
+	if _, err := store.Update(kept.ID, &SavedSearch{Name: "Renamed", Query: "level:warn"}); err == nil {
+		t.Error("Update succeeded without a writable file")
+	}
+	if _, err := store.Import([]*SavedSearch{{Name: "Imported", Query: "panic"}}); err == nil {
+		t.Error("Import succeeded without a writable file")
+	}
+	if err := store.Delete(kept.ID); err == nil {
+		t.Error("Delete succeeded without a writable file")
+	}
+
+	searches := store.List()
+	if len(searches) != 1 || searches[0].Name != "Errors" || searches[0].Query != "level:error" {
+		t.Errorf("List = %+v after failed changes, want only the original search", searches)
+	}
+}
+
+func TestSavedSearchImportValidation(t *testing.T) {
+	store, err := NewSavedSearchStore(filepath.Join(t.TempDir(), "saved-searches.json"))
+	if err != nil {
+		t.Fatal(err)
+	}
+	app := &Application{config: &Config{}, logger: logrus.New(), savedSearches: store}
+	for _, body := range []string{
+		`[null]`,
+		`[{"name":"Errors","query":"level:error"},null]`,
+		`[{"name":"","query":"level:error"}]`,
+		`[{"name":"Errors","query":"level:error","sort":"size"}]`,
+		`{"name":"Errors","query":"level:error"}`,
+	} {
+		rec := httptest.NewRecorder()
+		app.handleSavedSearch(rec, httptest.NewRequest("POST", "/api/saved-searches/import", strings.NewReader(body)))
+		if rec.Code != http.StatusBadRequest {
+			t.Errorf("%s answered %d, want 400", body, rec.Code)
+		}
+	}
+	if searches := store.List(); len(searches) != 0 {
+		t.Errorf("List = %+v after invalid imports, want none", searches)
+	}
+}
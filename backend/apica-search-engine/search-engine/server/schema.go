@@ -0,0 +1,400 @@
+package server
+
+import (
+	"bytes"
+	"encoding/json"
+	"fmt"
+	"hash/fnv"
+	"math"
+	"net/http"
+	"regexp"
+	"sort"
+	"strconv"
+	"strings"
+	"time"
+)
+
+// Units of a timestamp column
+const (
+	UnitNanoseconds  = "ns"
+	UnitMicroseconds = "us"
+	UnitMilliseconds = "ms"
+	UnitSeconds      = "s"
+	UnitRFC3339      = "rfc3339" // Text like 2024-01-01T00:00:00Z
+)
+
+var unitScale = map[string]int64{
+	UnitNanoseconds:  1,
+	UnitMicroseconds: int64(time.Microsecond),
+	UnitMilliseconds: int64(time.Millisecond),
+	UnitSeconds:      int64(time.Second),
+}
+
+// SchemaField maps a field of the documents to where its value is read from
+// in a parquet row: a column, optionally a path into the JSON stored in it
+// and a pattern extracting part of the value. A path leading to a JSON object
+// yields one field per key, named <name>.<key> (e.g. label.app).
+type SchemaField struct {
+	Name    string `yaml:"name" json:"name"`
+	Label   string `yaml:"label" json:"label,omitempty"` // Shown in the UI, defaults to Name
+	Column  string `yaml:"column" json:"column"`
+	Path    string `yaml:"path" json:"path,omitempty"`       // Dot-separated path into the column's JSON, e.g. kubernetes.pod_name
+	Pattern string `yaml:"pattern" json:"pattern,omitempty"` // Regular expression whose first group is the value
+	Unit    string `yaml:"unit" json:"unit,omitempty"`       // Timestamp only, ns by default
+	Indexed bool   `yaml:"indexed" json:"indexed"`           // Queryable as name:value, otherwise only shown
+	Text    bool   `yaml:"text" json:"text"`                 // Also matched by free text search
+
+	pattern *regexp.Regexp
+}
+
+// Schema maps the columns of the parquet files to documents. A field may be
+// mapped more than once, the first mapping with a value wins.
+type Schema struct {
+	Timestamp SchemaField   `yaml:"timestamp" json:"timestamp"`
+	Message   SchemaField   `yaml:"message" json:"message"`
+	Fields    []SchemaField `yaml:"fields" json:"fields"`
+	Level     string        `yaml:"level" json:"level,omitempty"` // Indexed field holding the log level, level if one is mapped
+
+	queryFields   map[string]bool // Indexed fields with plain values
+	queryPrefixes []string        // <name>. of indexed fields read from JSON, which may hold objects
+	textFields    []string
+}
+
+// DefaultSchema reads the fluentd-style layout with Kubernetes metadata in
+// the MessageRaw JSON
+func DefaultSchema() *Schema {
+	const raw = "MessageRaw"
+	return &Schema{
+		Timestamp: SchemaField{Name: "timestamp", Column: "NanoTimeStamp", Unit: UnitNanoseconds},
+		Message:   SchemaField{Name: "message", Column: "Message"},
+		Fields: []SchemaField{
+			{Name: "level", Column: "Message", Pattern: `\] ([A-Z]+) `, Indexed: true},
+			{Name: "namespace", Column: raw, Path: "kubernetes.namespace_name", Indexed: true},
+			{Name: "namespace", Column: "Namespace", Indexed: true},
+			{Name: "pod", Column: raw, Path: "kubernetes.pod_name", Indexed: true},
+			{Name: "container", Column: raw, Path: "kubernetes.container_name", Indexed: true},
+			{Name: "host", Column: raw, Path: "kubernetes.host", Indexed: true},
+			{Name: "label", Label: "Labels", Column: raw, Path: "kubernetes.labels", Indexed: true},
+			{Name: "sender", Column: "Sender", Indexed: true, Text: true},
+			{Name: "tag", Column: "Tag", Indexed: true, Text: true},
+			{Name: "event", Column: "Event", Indexed: true, Text: true},
+		},
+	}
+}
+
+// activeSchema is the schema documents are read with, set from the config
+var activeSchema = mustCompile(DefaultSchema())
+
+func mustCompile(s *Schema) *Schema {
+	if err := s.compile(); err != nil {
+		panic(err)
+	}
+	return s
+}
+
+// compile validates the schema and prepares it for reading rows
+func (s *Schema) compile() error {
+	if s.Message.Column == "" {
+		return fmt.Errorf("schema: missing message column")
+	}
+	if s.Timestamp.Column == "" {
+		return fmt.Errorf("schema: missing timestamp column")
+	}
+	if _, ok := unitScale[s.Timestamp.Unit]; !ok && s.Timestamp.Unit != "" && s.Timestamp.Unit != UnitRFC3339 {
+		return fmt.Errorf("schema: invalid timestamp unit %q: expected ns, us, ms, s or rfc3339", s.Timestamp.Unit)
+	}
+
+	s.queryFields = make(map[string]bool)
+	s.queryPrefixes = nil
+	s.textFields = nil
+	text := make(map[string]bool)
+	mappings := []*SchemaField{&s.Timestamp, &s.Message}
+	for i := range s.Fields {
+		field := &s.Fields[i]
+		if field.Name == "" || field.Column == "" {
+			return fmt.Errorf("schema: field %d needs a name and a column", i+1)
+		}
+		// Queries lowercase field names, so mapped names are too
+		field.Name = strings.ToLower(field.Name)
+		if field.Indexed {
+			s.queryFields[field.Name] = true
+			if field.Path != "" {
+				s.queryPrefixes = append(s.queryPrefixes, field.Name+".")
+			}
+		}
+		if field.Text && !text[field.Name] {
+			text[field.Name] = true
+			s.textFields = append(s.textFields, field.Name)
+		}
+		mappings = append(mappings, field)
+	}
+
+	s.Level = strings.ToLower(s.Level)
+	if s.Level == "" && s.queryFields["level"] {
+		s.Level = "level"
+	}
+	if s.Level != "" && !s.queryFields[s.Level] {
+		return fmt.Errorf("schema: level field %q is not an indexed field", s.Level)
+	}
+
+	for _, field := range mappings {
+		field.pattern = nil
+		if field.Pattern == "" {
+			continue
+		}
+		pattern, err := regexp.Compile(field.Pattern)
+		if err != nil {
+			return fmt.Errorf("schema: invalid pattern for %s: %w", field.Name, err)
+		}
+		if pattern.NumSubexp() < 1 {
+			return fmt.Errorf("schema: pattern for %s needs a group capturing the value", field.Name)
+		}
+		field.pattern = pattern
+	}
+	return nil
+}
+
+// Fingerprint identifies the mapping, so an index built with another one
+// isn't reused
+func (s *Schema) Fingerprint() string {
+	encoded, _ := json.Marshal(s)
+	h := fnv.New64a()
+	h.Write(encoded)
+	return strconv.FormatUint(h.Sum64(), 16)
+}
+
+// isQueryField reports whether documents are indexed by a field
+func (s *Schema) isQueryField(field string) bool {
+	if s.queryFields[field] {
+		return true
+	}
+	for _, prefix := range s.queryPrefixes {
+		if strings.HasPrefix(field, prefix) && len(field) > len(prefix) {
+			return true
+		}
+	}
+	return false
+}
+
+// queryFieldNames returns the indexed fields with plain values, sorted
+func (s *Schema) queryFieldNames() []string {
+	names := make([]string, 0, len(s.queryFields))
+	for name := range s.queryFields {
+		names = append(names, name)
+	}
+	sort.Strings(names)
+	return names
+}
+
+// fieldNames returns the names of the mapped fields in mapping order, once
+// each
+func (s *Schema) fieldNames() []string {
+	names := make([]string, 0, len(s.Fields))
+	seen := make(map[string]bool, len(s.Fields))
+	for _, field := range s.Fields {
+		if !seen[field.Name] {
+			seen[field.Name] = true
+			names = append(names, field.Name)
+		}
+	}
+	return names
+}
+
+// indexedFieldNames returns the names of the indexed fields in mapping
+// order, once each
+func (s *Schema) indexedFieldNames() []string {
+	var names []string
+	for _, name := range s.fieldNames() {
+		if s.queryFields[name] {
+			names = append(names, name)
+		}
+	}
+	return names
+}
+
+// fieldLabel returns the label of a mapped field, empty when none of its
+// mappings has one
+func (s *Schema) fieldLabel(name string) string {
+	for _, field := range s.Fields {
+		if field.Name == name && field.Label != "" {
+			return field.Label
+		}
+	}
+	return ""
+}
+
+// fieldValue returns a document's value for a mapped field, indexed or not.
+// Fields read from JSON objects are written as key=value pairs sorted by key.
+func fieldValue(doc *Document, name string) string {
+	if value, ok := doc.Fields[name]; ok {
+		return value
+	}
+	if value, ok := doc.Attributes[name]; ok {
+		return value
+	}
+
+	prefix := name + "."
+	var pairs []string
+	for _, values := range []map[string]string{doc.Fields, doc.Attributes} {
+		for key, value := range values {
+			if strings.HasPrefix(key, prefix) {
+				pairs = append(pairs, key[len(prefix):]+"="+value)
+			}
+		}
+	}
+	sort.Strings(pairs)
+	return strings.Join(pairs, ", ")
+}
+
+// schemaRow reads the mapped values of one parquet row. The JSON of a column
+// is decoded once however many fields read from it.
+type schemaRow struct {
+	column func(name string) string
+	json   map[string]interface{}
+}
+
+func (r *schemaRow) decoded(column string) interface{} {
+	if value, ok := r.json[column]; ok {
+		return value
+	}
+	var value interface{}
+	decoder := json.NewDecoder(strings.NewReader(r.column(column)))
+	decoder.UseNumber()
+	if err := decoder.Decode(&value); err != nil {
+		value = nil
+	}
+	if r.json == nil {
+		r.json = make(map[string]interface{})
+	}
+	r.json[column] = value
+	return value
+}
+
+// value returns the field's value in the row, or its keys and values when
+// the path leads to a JSON object
+func (r *schemaRow) value(field *SchemaField) (string, map[string]string) {
+	var value string
+	if field.Path == "" {
+		value = r.column(field.Column)
+	} else {
+		node := r.decoded(field.Column)
+		for _, key := range strings.Split(field.Path, ".") {
+			object, ok := node.(map[string]interface{})
+			if !ok {
+				return "", nil
+			}
+			node = object[key]
+		}
+		if object, ok := node.(map[string]interface{}); ok {
+			values := make(map[string]string, len(object))
+			for key, item := range object {
+				values[key] = jsonText(item)
+			}
+			return "", values
+		}
+		value = jsonText(node)
+	}
+
+	if field.pattern != nil {
+		match := field.pattern.FindStringSubmatch(value)
+		if match == nil {
+			return "", nil
+		}
+		value = match[1]
+	}
+	return value, nil
+}
+
+// jsonText renders a decoded JSON value as field text
+func jsonText(value interface{}) string {
+	switch v := value.(type) {
+	case nil:
+		return ""
+	case string:
+		return v
+	case json.Number:
+		return v.String()
+	case bool:
+		return strconv.FormatBool(v)
+	default:
+		var buf bytes.Buffer
+		json.NewEncoder(&buf).Encode(v)
+		return strings.TrimSpace(buf.String())
+	}
+}
+
+// timestamp reads the row's timestamp in nanoseconds, 0 if it has none
+func (s *Schema) timestamp(r *schemaRow) int64 {
+	value, _ := r.value(&s.Timestamp)
+	if value == "" {
+		return 0
+	}
+	if s.Timestamp.Unit == UnitRFC3339 {
+		t, err := time.Parse(time.RFC3339Nano, value)
+		if err != nil {
+			return 0
+		}
+		return t.UnixNano()
+	}
+
+	scale := unitScale[s.Timestamp.Unit]
+	if scale == 0 {
+		scale = 1
+	}
+	// Whole and fractional parts are read apart, a float64 would lose the
+	// nanoseconds of fractional seconds
+	whole, fraction, _ := strings.Cut(value, ".")
+	if n, err := strconv.ParseInt(whole, 10, 64); err == nil {
+		if f, err := strconv.ParseFloat("0."+fraction, 64); err == nil && fraction != "" {
+			return n*scale + int64(math.Round(f*float64(scale)))
+		}
+		return n * scale
+	}
+	if f, err := strconv.ParseFloat(value, 64); err == nil {
+		return int64(f * float64(scale))
+	}
+	return 0
+}
+
+// apply sets a document's message, timestamp and fields from a row, read
+// through column
+func (s *Schema) apply(doc *Document, column func(name string) string) {
+	row := &schemaRow{column: column}
+	doc.Message, _ = row.value(&s.Message)
+	doc.Timestamp = s.timestamp(row)
+
+	for i := range s.Fields {
+		field := &s.Fields[i]
+		target := &doc.Attributes
+		if field.Indexed {
+			target = &doc.Fields
+		}
+		set := func(name, value string) {
+			if value == "" {
+				return
+			}
+			if *target == nil {
+				*target = make(map[string]string)
+			}
+			if _, ok := (*target)[name]; !ok {
+				(*target)[name] = value
+			}
+		}
+
+		value, object := row.value(field)
+		set(field.Name, value)
+		for key, item := range object {
+			// Field names are case-insensitive in queries
+			set(field.Name+"."+strings.ToLower(key), item)
+		}
+	}
+}
+
+// handleSchema returns the schema documents are read with, so the UI can
+// show their fields
+func (app *Application) handleSchema(w http.ResponseWriter, r *http.Request) {
+	if !allowMethods(w, r, "GET") {
+		return
+	}
+	writeJSON(w, http.StatusOK, activeSchema)
+}
@@ -0,0 +1,98 @@
+package server
+
+import "testing"
+
+// serviceSchema maps OpenTelemetry-style rows, with field names in mixed case
+func serviceSchema(t *testing.T) *Schema {
+	s := &Schema{
+		Timestamp: SchemaField{Column: "ts", Unit: UnitMilliseconds},
+		Message:   SchemaField{Column: "body"},
+		Fields: []SchemaField{
+			{Name: "Severity", Column: "severity", Indexed: true},
+			{Name: "Service", Label: "Service", Column: "resource", Path: "service.name", Indexed: true},
+			{Name: "traceId", Column: "trace_id"},
+		},
+		Level: "Severity",
+	}
+	if err := s.compile(); err != nil {
+		t.Fatal(err)
+	}
+	return s
+}
+
+func TestSchemaFieldNamesAreLowercased(t *testing.T) {
+	s := serviceSchema(t)
+	if s.Level != "severity" {
+		t.Errorf("Level = %q, want severity", s.Level)
+	}
+	for _, name := range []string{"severity", "service"} {
+		if !s.isQueryField(name) {
+			t.Errorf("%s isn't a query field", name)
+		}
+	}
+
+	old := activeSchema
+	activeSchema = s
+	defer func() { activeSchema = old }()
+	if node, err := ParseQuery("Service:payments"); err != nil || node.Field != "service" {
+		t.Errorf("ParseQuery(Service:payments) = %+v, %v", node, err)
+	}
+}
+
+func TestSchemaLevelMustBeIndexed(t *testing.T) {
+	s := &Schema{
+		Timestamp: SchemaField{Column: "ts"},
+		Message:   SchemaField{Column: "body"},
+		Fields:    []SchemaField{{Name: "severity", Column: "severity"}},
+		Level:     "severity",
+	}
+	if err := s.compile(); err == nil {
+		t.Error("compile accepted a level field that isn't indexed")
+	}
+}
+
+func TestFacetsFollowSchema(t *testing.T) {
+	old := activeSchema
+	activeSchema = serviceSchema(t)
+	defer func() { activeSchema = old }()
+
+	searchIndex = NewSearchIndex()
+	rows := []map[string]string{
+		{"ts": "1700000000000", "body": "charge failed", "severity": "error", "resource": `{"service":{"name":"payments"}}`},
+		{"ts": "1700000001000", "body": "charge failed", "severity": "info", "resource": `{"service":{"name":"payments"}}`},
+		{"ts": "1700000002000", "body": "charge failed", "severity": "error", "resource": `{"service":{"name":"billing"}}`},
+	}
+	for i, row := range rows {
+		doc := &Document{ID: string(rune('a' + i))}
+		activeSchema.apply(doc, func(column string) string { return row[column] })
+		searchIndex.IndexDocument(doc)
+	}
+
+	query, _ := ParseQuery("charge")
+	result := searchIndex.Facets(query, SearchOptions{}, 10)
+	if result.Level != "severity" {
+		t.Errorf("Level = %q, want severity", result.Level)
+	}
+	names := map[string]Facet{}
+	for _, facet := range result.Facets {
+		names[facet.Name] = facet
+	}
+	service, ok := names["service"]
+	if !ok || service.Label != "Service" || len(service.Values) != 2 || service.Values[0].Value != "payments" || service.Values[0].Count != 2 {
+		t.Errorf("service facet = %+v", service)
+	}
+	if _, ok := names["traceid"]; ok {
+		t.Error("facet for a field that isn't indexed")
+	}
+
+	histogram := searchIndex.Histogram(query, SearchOptions{}, 60)
+	counts := map[string]int{}
+	for _, bucket := range histogram.Buckets {
+		for level, count := range bucket.Counts {
+			counts[level] += count
+		}
+	}
+	if counts["ERROR"] != 2 || counts["INFO"] != 1 {
+		t.Errorf("histogram counts by level = %v, want 2 ERROR and 1 INFO", counts)
+	}
+}
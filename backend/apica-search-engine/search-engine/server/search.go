@@ -5,6 +5,7 @@ import (
 	"fmt"
 	"os"
 	"path/filepath"
+	"strconv"
 	"strings"
 	"sync"
 	"time"
@@ -18,7 +19,9 @@ import (
 )
 
 type Document struct {
-	ID            string
+	ID            string // Unique and stable across restarts, see documentID
+	SourceFile    string // Name of the parquet file the document was read from
+	SourceRow     int64  // Row of the document within SourceFile
 	Message       string
 	MessageRaw    string
 	StructuredData string
@@ -29,92 +32,203 @@ type Document struct {
 	EventID       string
 	Timestamp     int64
 	Namespace     string
+	Fields        map[string]string // Indexed field values used by field queries (level, pod, ...), see Schema
+	Attributes    map[string]string // Mapped field values that aren't indexed, only shown
 }
 
 // SearchIndex represents our in-memory search engine
 type SearchIndex struct {
 	Documents    map[string]*Document         // Document storage
-	InvertedIndex map[string]map[string]bool  // Term -> document IDs mapping
+	InvertedIndex map[string]map[string]int   // Term -> document ID -> term frequency
+	FieldIndex   map[string]map[string]map[string]bool // Field -> value -> document IDs mapping
+	DocLengths   map[string]int               // Document ID -> number of indexed terms, for BM25
+	totalTerms   int                          // Sum of DocLengths
+	patterns     map[string]string            // Document ID -> pattern ID of its message, see patternID
 	mutex        sync.RWMutex                 // For concurrent access
+	subs         subscribers                  // Live tail streams notified of new documents
+	terms        termDictionary               // Sorted InvertedIndex terms for prefix lookups
+	grams        map[string]map[string]bool   // N-gram -> InvertedIndex terms containing it, see Analyzer.NGrams
+	files        map[string]*IndexedFile      // Parquet file name -> the version of it that is indexed
+	status       indexStatus                  // Progress of loading and indexing, for the status endpoint
+	ingest       sync.Mutex                   // Held while files are indexed or dropped, one pass at a time
 }
 
 // NewSearchIndex creates a new search index
 func NewSearchIndex() *SearchIndex {
 	return &SearchIndex{
 		Documents:    make(map[string]*Document),
-		InvertedIndex: make(map[string]map[string]bool),
+		InvertedIndex: make(map[string]map[string]int),
+		FieldIndex:   make(map[string]map[string]map[string]bool),
+		DocLengths:   make(map[string]int),
+		patterns:     make(map[string]string),
+		files:        make(map[string]*IndexedFile),
+		grams:        make(map[string]map[string]bool),
 	}
 }
 
 // IndexDocument adds a document to the search index
 func (idx *SearchIndex) IndexDocument(doc *Document) {
+	idx.IndexDocuments([]*Document{doc})
+}
+
+// IndexDocuments adds a batch of documents to the search index. The sorted
+// terms are brought up to date once for the whole batch.
+func (idx *SearchIndex) IndexDocuments(docs []*Document) {
 	idx.mutex.Lock()
 	defer idx.mutex.Unlock()
 
+	for _, doc := range docs {
+		idx.indexDocument(doc)
+	}
+	idx.terms.update(idx.InvertedIndex)
+}
+
+// indexDocument adds a document. The caller must hold the index write lock.
+func (idx *SearchIndex) indexDocument(doc *Document) {
 	// Store the document
 	idx.Documents[doc.ID] = doc
 	
 	// Index the document terms
-	terms := tokenize(doc.Message + " " + doc.Tag + " " + doc.Sender + " " + doc.Event)
+	terms := activeAnalyzer.Terms(searchableText(doc))
 	for _, term := range terms {
 		if idx.InvertedIndex[term] == nil {
-			idx.InvertedIndex[term] = make(map[string]bool)
+			idx.InvertedIndex[term] = make(map[string]int)
+			idx.terms.added = append(idx.terms.added, term)
+			idx.addGrams(term)
+		}
+		idx.InvertedIndex[term][doc.ID]++
+	}
+	idx.totalTerms += len(terms) - idx.DocLengths[doc.ID]
+	idx.DocLengths[doc.ID] = len(terms)
+	idx.patterns[doc.ID] = patternID(messageTemplate(doc.Message))
+
+	// Index the field values (case-insensitive)
+	for field, value := range doc.Fields {
+		value = strings.ToLower(value)
+		if idx.FieldIndex[field] == nil {
+			idx.FieldIndex[field] = make(map[string]map[string]bool)
+		}
+		if idx.FieldIndex[field][value] == nil {
+			idx.FieldIndex[field][value] = make(map[string]bool)
+		}
+		idx.FieldIndex[field][value][doc.ID] = true
+	}
+}
+
+// RemoveDocuments drops documents from the index, e.g. those of a parquet
+// file that changed or was deleted
+func (idx *SearchIndex) RemoveDocuments(ids []string) {
+	idx.mutex.Lock()
+	defer idx.mutex.Unlock()
+
+	for _, id := range ids {
+		doc, ok := idx.Documents[id]
+		if !ok {
+			continue
+		}
+		for _, term := range activeAnalyzer.Terms(searchableText(doc)) {
+			postings, ok := idx.InvertedIndex[term]
+			if !ok {
+				continue
+			}
+			delete(postings, id)
+			if len(postings) == 0 {
+				delete(idx.InvertedIndex, term)
+				idx.terms.removed = true
+				idx.removeGrams(term)
+			}
 		}
-		idx.InvertedIndex[term][doc.ID] = true
+		for field, value := range doc.Fields {
+			values := idx.FieldIndex[field]
+			value = strings.ToLower(value)
+			delete(values[value], id)
+			if len(values[value]) == 0 {
+				delete(values, value)
+			}
+		}
+		idx.totalTerms -= idx.DocLengths[id]
+		delete(idx.DocLengths, id)
+		delete(idx.patterns, id)
+		delete(idx.Documents, id)
 	}
+	idx.terms.update(idx.InvertedIndex)
+}
+
+// SearchOptions narrows a search beyond the query itself
+type SearchOptions struct {
+	From int64 // Inclusive lower bound on Document.Timestamp in nanoseconds, 0 for none
+	To   int64 // Inclusive upper bound on Document.Timestamp in nanoseconds, 0 for none
+	Sort string // Result order, SortTimestampDesc when empty
+	Pattern string // Only documents whose message has this template ID (see patternID), empty for all
+}
+
+// inTimeRange reports whether a timestamp falls inside the options' window
+func (opts SearchOptions) inTimeRange(timestamp int64) bool {
+	if opts.From > 0 && timestamp < opts.From {
+		return false
+	}
+	if opts.To > 0 && timestamp > opts.To {
+		return false
+	}
+	return true
 }
 
 // Search performs a search on the index
-func (idx *SearchIndex) Search(query string) ([]*Document, time.Duration) {
+func (idx *SearchIndex) Search(query *QueryNode, opts SearchOptions) ([]*Document, time.Duration) {
+	results, _, duration := idx.RankedSearch(query, opts)
+	return results, duration
+}
+
+// RankedSearch performs a search like Search and also returns the BM25
+// relevance score of every result by document ID when they are sorted by
+// relevance, nil otherwise. Scoring the whole result set is only needed to
+// sort it; see Scores for the documents of one page.
+func (idx *SearchIndex) RankedSearch(query *QueryNode, opts SearchOptions) ([]*Document, map[string]float64, time.Duration) {
 	startTime := time.Now()
 	
 	idx.mutex.RLock()
 	defer idx.mutex.RUnlock()
 	
-	queryTerms := tokenize(query)
-	if len(queryTerms) == 0 {
-		return []*Document{}, time.Since(startTime)
+	if query == nil {
+		return []*Document{}, nil, time.Since(startTime)
 	}
 	
-	// Find documents containing all query terms (AND logic)
-	var matchingIDs map[string]bool
-	
-	// Start with the first term
-	firstTerm := queryTerms[0]
-	if idx.InvertedIndex[firstTerm] != nil {
-		matchingIDs = make(map[string]bool)
-		for id := range idx.InvertedIndex[firstTerm] {
-			matchingIDs[id] = true
-		}
-	} else {
-		return []*Document{}, time.Since(startTime)
-	}
+	matchingIDs := idx.evaluate(query, nil)
 	
-	// Intersect with remaining terms
-	for _, term := range queryTerms[1:] {
-		if idx.InvertedIndex[term] == nil {
-			return []*Document{}, time.Since(startTime)
-		}
-		
-		// Perform intersection
-		for id := range matchingIDs {
-			if !idx.InvertedIndex[term][id] {
-				delete(matchingIDs, id)
-			}
+	// Collect matching documents
+	results := make([]*Document, 0, len(matchingIDs))
+	for id := range matchingIDs {
+		doc := idx.Documents[id]
+		if !opts.inTimeRange(doc.Timestamp) {
+			continue
 		}
-		
-		if len(matchingIDs) == 0 {
-			return []*Document{}, time.Since(startTime)
+		if opts.Pattern != "" && idx.patterns[doc.ID] != opts.Pattern {
+			continue
 		}
+		results = append(results, doc)
 	}
 	
-	// Collect matching documents
-	results := make([]*Document, 0, len(matchingIDs))
-	for id := range matchingIDs {
-		results = append(results, idx.Documents[id])
+	order := opts.Sort
+	if order == "" {
+		order = SortTimestampDesc
+	}
+	var scores map[string]float64
+	if order == SortRelevance {
+		scores = idx.relevanceScores(query, results)
+		sortByScore(results, scores)
+	} else {
+		sortDocuments(results, order)
 	}
 	
-	return results, time.Since(startTime)
+	return results, scores, time.Since(startTime)
+}
+
+// Scores returns the BM25 relevance score of some documents for a query, by
+// document ID
+func (idx *SearchIndex) Scores(query *QueryNode, docs []*Document) map[string]float64 {
+	idx.mutex.RLock()
+	defer idx.mutex.RUnlock()
+	return idx.relevanceScores(query, docs)
 }
 
 
@@ -127,6 +241,10 @@ type SearchResult struct {
 	TotalResults  int         `json:"totalResults"`
 	SearchTimeMs  float64     `json:"searchTimeMs"`
 	Results       []*Document `json:"results"`
+	Sort          string      `json:"sort"`
+	NextCursor    string      `json:"nextCursor,omitempty"` // Cursor for the next page, empty on the last page
+	Highlights    map[string][]string `json:"highlights"` // Matched terms and phrases per result ID, as the server tokenized them
+	Scores        map[string]float64  `json:"scores"` // BM25 relevance score per result ID, 0 for queries without free text terms
 }
 
 const (
@@ -134,24 +252,32 @@ const (
 	maxRowsPerBatch = 1000 // Number of rows to process in each batch
 )
 
-func processParquetFile(filePath string) error {
+// processParquetFile indexes the rows of a parquet file and returns the IDs
+// of the documents created
+func processParquetFile(filePath string) ([]string, error) {
 	f, err := os.Open(filePath)
 	if err != nil {
-		return fmt.Errorf("failed to open file: %w", err)
+		return nil, fmt.Errorf("failed to open file: %w", err)
 	}
 	defer f.Close()
 
 	tbl, err := pqarrow.ReadTable(context.Background(), f, parquet.NewReaderProperties(memory.DefaultAllocator),
 		pqarrow.ArrowReadProperties{}, memory.DefaultAllocator)
 	if err != nil {
-		return fmt.Errorf("failed to read table: %w", err)
+		return nil, fmt.Errorf("failed to read table: %w", err)
 	}
 
 	// Process table with concurrent batches
-	return processTableConcurrently(tbl)
+	return processTableConcurrently(tbl, filepath.Base(filePath))
 }
 
-func processTableConcurrently(tbl arrow.Table) error {
+// documentID identifies a row of a parquet file. Row numbers repeat across
+// files, so the file name is part of the ID.
+func documentID(source string, row int64) string {
+	return fmt.Sprintf("%s:%d", source, row)
+}
+
+func processTableConcurrently(tbl arrow.Table, source string) ([]string, error) {
 	// Get column indices (assuming schema has these fields)
 	colIndices := make(map[string]int)
 	for i := 0; i < int(tbl.NumCols()); i++ {
@@ -173,6 +299,7 @@ func processTableConcurrently(tbl arrow.Table) error {
 
 	// Use mutex to synchronize index access
 	var indexMutex sync.Mutex
+	ids := make([]string, 0, totalRows)
 
 	// Process each batch in a separate goroutine
 	for batchIdx := int64(0); batchIdx < numBatches; batchIdx++ {
@@ -190,16 +317,16 @@ func processTableConcurrently(tbl arrow.Table) error {
 			defer func() { <-semaphore }() // Release semaphore slot when done
 
 			// Process rows in this batch
-			processBatch(tbl, colIndices, start, end, &indexMutex)
+			processBatch(tbl, source, colIndices, start, end, &indexMutex, &ids)
 		}(startRow, endRow)
 	}
 
 	// Wait for all batches to complete
 	wg.Wait()
-	return nil
+	return ids, nil
 }
 
-func processBatch(tbl arrow.Table, colIndices map[string]int, startRow, endRow int64, indexMutex *sync.Mutex) {
+func processBatch(tbl arrow.Table, source string, colIndices map[string]int, startRow, endRow int64, indexMutex *sync.Mutex, ids *[]string) {
 	// Create functions to extract values safely
 	getString := func(rowIdx int64, colName string) string {
 		if colIdx, exists := colIndices[colName]; exists {
@@ -216,29 +343,43 @@ func processBatch(tbl arrow.Table, colIndices map[string]int, startRow, endRow i
 		return ""
 	}
 
-	getInt64 := func(rowIdx int64, colName string) int64 {
+	// getValue reads a column of any supported type as text, for the schema
+	getValue := func(rowIdx int64, colName string) string {
 		if colIdx, exists := colIndices[colName]; exists {
 			col := tbl.Column(colIdx)
 			if rowIdx < int64(col.Len()) {
 				chunk := col.Data().Chunk(0)
-				if chunk != nil {
-					if intArr, ok := chunk.(*array.Int64); ok && !intArr.IsNull(int(rowIdx)) {
-						return intArr.Value(int(rowIdx))
-					}
+				if chunk == nil || chunk.IsNull(int(rowIdx)) {
+					return ""
+				}
+				switch arr := chunk.(type) {
+				case *array.String:
+					return arr.Value(int(rowIdx))
+				case *array.Int64:
+					return strconv.FormatInt(arr.Value(int(rowIdx)), 10)
+				case *array.Int32:
+					return strconv.FormatInt(int64(arr.Value(int(rowIdx))), 10)
+				case *array.Float64:
+					return strconv.FormatFloat(arr.Value(int(rowIdx)), 'f', -1, 64)
+				case *array.Boolean:
+					return strconv.FormatBool(arr.Value(int(rowIdx)))
 				}
 			}
 		}
-		return 0
+		return ""
 	}
 
 	// Batch documents to reduce mutex contention
 	batchDocs := make([]*Document, 0, endRow-startRow)
 
-	// Process each row in this batch
+	// Process each row in this batch. The message, timestamp and fields come
+	// from the schema, the remaining columns of the fluentd layout are kept
+	// as they are for the Raw view and exports.
 	for rowIdx := startRow; rowIdx < endRow; rowIdx++ {
 		doc := &Document{
-			ID:             fmt.Sprintf("%d", rowIdx),
-			Message:        getString(rowIdx, "Message"),
+			ID:             documentID(source, rowIdx),
+			SourceFile:     source,
+			SourceRow:      rowIdx,
 			MessageRaw:     getString(rowIdx, "MessageRaw"),
 			StructuredData: getString(rowIdx, "StructuredData"),
 			Tag:            getString(rowIdx, "Tag"),
@@ -246,50 +387,70 @@ func processBatch(tbl arrow.Table, colIndices map[string]int, startRow, endRow i
 			Groupings:      getString(rowIdx, "Groupings"),
 			Event:          getString(rowIdx, "Event"),
 			EventID:        getString(rowIdx, "EventId"),
-			Timestamp:      getInt64(rowIdx, "NanoTimeStamp"),
 			Namespace:      getString(rowIdx, "Namespace"),
 		}
+		activeSchema.apply(doc, func(column string) string {
+			return getValue(rowIdx, column)
+		})
 
 		batchDocs = append(batchDocs, doc)
 	}
 
 	// Lock once to add all documents in the batch
 	indexMutex.Lock()
+	searchIndex.IndexDocuments(batchDocs)
 	for _, doc := range batchDocs {
-		searchIndex.IndexDocument(doc)
+		*ids = append(*ids, doc.ID)
 	}
 	indexMutex.Unlock()
+
+	// Notify live tail streams
+	searchIndex.publish(batchDocs)
 }
 
-func processParquetFiles(folderPath string,logger *logrus.Logger) error {
+// processParquetFiles brings the index up to date with the parquet folder:
+// new and changed files (by size and modification time) are indexed, and the
+// documents of deleted files are removed. Files indexed before, e.g. restored
+// from a snapshot, are skipped. It reports whether the index changed.
+func processParquetFiles(folderPath string,logger *logrus.Logger) (bool, error) {
 	// Check if the folder exists
 	logger.Infof("Checking folder: %s\n", folderPath)
 	info, err := os.Stat(folderPath)
 	if err != nil {
-		return fmt.Errorf("folder access error: %w", err)
+		return false, fmt.Errorf("folder access error: %w", err)
 	}
 	if !info.IsDir() {
-		return fmt.Errorf("path %s is not a directory", folderPath)
+		return false, fmt.Errorf("path %s is not a directory", folderPath)
 	}
 
 	// Read all files in the directory
-	files, err := os.ReadDir(folderPath)
+	files, err := listFolderFiles(folderPath)
 	if err != nil {
-		return fmt.Errorf("failed to read directory: %w", err)
+		return false, fmt.Errorf("failed to read directory: %w", err)
+	}
+
+	removed := searchIndex.removeDeletedFiles(files)
+	changed := searchIndex.changedFiles(files)
+	if len(changed) == 0 {
+		searchIndex.status.startIndexing(0)
+		return removed > 0, nil
 	}
+	return true, indexFiles(folderPath, changed, files, logger)
+}
+
+// indexFiles indexes the named files of the parquet folder concurrently,
+// reporting the progress through the index status. Files that fail keep their
+// error in the index, where the admin page shows it.
+func indexFiles(folderPath string, names []string, files map[string]fileState, logger *logrus.Logger) error {
+	searchIndex.status.startIndexing(len(names))
 
 	// Create a channel to limit concurrent file processing
 	semaphore := make(chan struct{}, maxFileWorkers)
 	var wg sync.WaitGroup
 
 	// Process each parquet file concurrently
-	errChan := make(chan error, len(files))
-	for _, file := range files {
-		// Skip directories and non-parquet files
-		if file.IsDir() {
-			continue
-		}
-
+	errChan := make(chan error, len(names))
+	for _, name := range names {
 		wg.Add(1)
 		go func(fileName string) {
 			defer wg.Done()
@@ -301,10 +462,11 @@ func processParquetFiles(folderPath string,logger *logrus.Logger) error {
 			filePath := filepath.Join(folderPath, fileName)
 			logger.Infof("Processing file: %s\n", filePath)
 
-			if err := processParquetFile(filePath); err != nil {
+			if err := indexParquetFile(folderPath, fileName, files[fileName]); err != nil {
 				errChan <- fmt.Errorf("error processing %s: %w", filePath, err)
 			}
-		}(file.Name())
+			searchIndex.status.fileDone()
+		}(name)
 	}
 
 	// Wait for all files to be processed
@@ -315,7 +477,7 @@ func processParquetFiles(folderPath string,logger *logrus.Logger) error {
 	var errors []error
 	for err := range errChan {
 		errors = append(errors, err)
-		fmt.Println(err)
+		logger.Error(err)
 	}
 
 	if len(errors) > 0 {
@@ -324,11 +486,12 @@ func processParquetFiles(folderPath string,logger *logrus.Logger) error {
 	return nil
 }
 
-// Helper function to tokenize text
-func tokenize(text string) []string {
-	// Simplistic tokenization for now
-	text = strings.ToLower(text)
-	// Replace non-alphanumeric with spaces
-	// Split by whitespace
-	return strings.Fields(text)
-}
\ No newline at end of file
+// searchableText returns the document text covered by free text search: the
+// message and the fields the schema marks as text
+func searchableText(doc *Document) string {
+	text := doc.Message
+	for _, field := range activeSchema.textFields {
+		text += " " + doc.Fields[field] + doc.Attributes[field]
+	}
+	return text
+}
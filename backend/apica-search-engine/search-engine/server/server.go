@@ -1,10 +1,12 @@
 package server
 
 import (
+	"context"
 	"encoding/json"
 	"fmt"
 	"net/http"
 	"strconv"
+	"strings"
 	"time"
 
 	"github.com/sirupsen/logrus"
@@ -14,6 +16,11 @@ func DefaultConfig() *Config {
 	return &Config{
 		ListenAddress: ":8080",
 		ParquetPath:  "C:\\Projects\\the-mail\\apica-search-engine\\docs",
+		WatchInterval: 10 * time.Second,
+		SavedSearchesPath: "saved-searches.json",
+		IndexPath: "search-index.gob",
+		AlertsPath: "alerts.json",
+		AlertInterval: time.Minute,
 	}
 }
 
@@ -22,6 +29,32 @@ type Config struct {
 	// ListenAddress is an address the oracle HTTP listens on.
 	ListenAddress string `yaml:"listen-address"`
 	ParquetPath string `yaml:"parquet-path"`
+	// WatchInterval is how often ParquetPath is polled for new files, 0 disables it.
+	WatchInterval time.Duration `yaml:"watch-interval"`
+	// SavedSearchesPath is the JSON file saved searches are kept in.
+	SavedSearchesPath string `yaml:"saved-searches-path"`
+	// IndexPath is the file the index is snapshotted to and restored from on
+	// startup, empty to rebuild the index from the parquet files every time.
+	IndexPath string `yaml:"index-path"`
+	// Schema maps the parquet columns to document fields, nil for the
+	// fluentd layout (see DefaultSchema).
+	Schema *Schema `yaml:"schema"`
+	// Analyzer turns the message and text fields into index terms, nil for
+	// DefaultAnalyzer.
+	Analyzer *Analyzer `yaml:"analyzer"`
+	// AlertsPath is the JSON file alert rules and their history are kept in.
+	AlertsPath string `yaml:"alerts-path"`
+	// AlertInterval is how often alert rules are evaluated, 0 disables it.
+	AlertInterval time.Duration `yaml:"alert-interval"`
+	// AlertWebhookURL is posted alert events to, unless their rule has its
+	// own webhook. Empty only records them in the history.
+	AlertWebhookURL string `yaml:"alert-webhook-url"`
+	// AlertWebhooks are the other URLs alert rules may post their events to.
+	// Rules can't name any other URL.
+	AlertWebhooks []string `yaml:"alert-webhooks"`
+	// AdminToken must be sent as a bearer token to the /api/admin routes,
+	// which upload, replace and delete parquet files. Empty disables them.
+	AdminToken string `yaml:"admin-token"`
 }
 
 // Valid validates an oracle configuration.
@@ -35,6 +68,12 @@ func (c *Config) Valid() error {
 	if c.ParquetPath == "" {
 		return fmt.Errorf("missing parquet path")
 	}
+	if c.SavedSearchesPath == "" {
+		return fmt.Errorf("missing saved searches path")
+	}
+	if c.AlertsPath == "" {
+		return fmt.Errorf("missing alerts path")
+	}
 	return nil
 }
 
@@ -43,6 +82,8 @@ type Application struct {
 	config *Config
 	logger *logrus.Logger
 	searchIndex *SearchIndex
+	savedSearches *SavedSearchStore
+	alerts *AlertStore
 }
 
 // New creates a new Application instance
@@ -54,12 +95,42 @@ func New(config *Config) (*Application, error) {
 		FullTimestamp: true,
 	})
 
+	schema := config.Schema
+	if schema == nil {
+		schema = DefaultSchema()
+	}
+	if err := schema.compile(); err != nil {
+		return nil, err
+	}
+	activeSchema = schema
+
+	analyzer := config.Analyzer
+	if analyzer == nil {
+		analyzer = DefaultAnalyzer()
+	}
+	if err := analyzer.compile(); err != nil {
+		return nil, err
+	}
+	activeAnalyzer = analyzer
+
 	searchIndex = NewSearchIndex()
 	
+	savedSearches, err := NewSavedSearchStore(config.SavedSearchesPath)
+	if err != nil {
+		return nil, err
+	}
+	
+	alerts, err := NewAlertStore(config.AlertsPath, config.AlertWebhookURL, config.AlertWebhooks)
+	if err != nil {
+		return nil, err
+	}
+	
 	app := &Application{
 		config: config,
 		logger: logger,
 		searchIndex: searchIndex,
+		savedSearches: savedSearches,
+		alerts: alerts,
 	}
 	
 	// Initialize database connection
@@ -82,6 +153,23 @@ func (app *Application) setupRouter() http.Handler {
 	
 	// Register API endpoints
 	mux.HandleFunc("/api/search", app.handleSearch)	
+	mux.HandleFunc("/api/histogram", app.handleHistogram)
+	mux.HandleFunc("/api/facets", app.handleFacets)
+	mux.HandleFunc("/api/patterns", app.handlePatterns)
+	mux.HandleFunc("/api/tail", app.handleTail)
+	mux.HandleFunc("/api/context", app.handleContext)
+	mux.HandleFunc("/api/documents/", app.handleDocument)
+	mux.HandleFunc("/api/export", app.handleExport)
+	mux.HandleFunc("/api/suggest", app.handleSuggest)
+	mux.HandleFunc("/api/saved-searches", app.handleSavedSearches)
+	mux.HandleFunc("/api/saved-searches/", app.handleSavedSearch)
+	mux.HandleFunc("/api/alerts", app.handleAlerts)
+	mux.HandleFunc("/api/alerts/", app.handleAlert)
+	mux.HandleFunc("/api/index/status", app.handleIndexStatus)
+	mux.HandleFunc("/api/schema", app.handleSchema)
+	mux.HandleFunc("/api/admin/files", app.handleIngestFiles)
+	mux.HandleFunc("/api/admin/files/", app.handleIngestFile)
+	mux.HandleFunc("/api/admin/reindex", app.handleReindex)
 	mux.HandleFunc("/api/health",app.healthCheck)
 	// You can add middleware here if needed
 	var handler http.Handler = mux
@@ -123,10 +211,13 @@ func Run(config *Config) error {
 	}
 
 	
-	// Process Parquet file
-	err = processParquetFiles(app.config.ParquetPath,app.logger)
-	if err != nil {
-		app.logger.Fatalf("Error processing Parquet file: %v", err)
+	// Restore the index snapshot and process new parquet files in the
+	// background, /api/index/status reports the progress
+	ctx, cancel := context.WithCancel(context.Background())
+	defer cancel()
+	go app.buildIndex(ctx)
+	if config.AlertInterval > 0 {
+		go app.runAlerts(ctx)
 	}
 	
 	// Start the server
@@ -147,66 +238,66 @@ func (app *Application) healthCheck(w http.ResponseWriter, r *http.Request) {
 
 // itemsHandler handles item-related API requests
 func (app *Application) handleSearch(w http.ResponseWriter, r *http.Request) {
-	// Set CORS headers
-	w.Header().Set("Access-Control-Allow-Origin", "*")
-	w.Header().Set("Access-Control-Allow-Methods", "GET, OPTIONS")
-	w.Header().Set("Access-Control-Allow-Headers", "Content-Type")
-	
-	// Handle preflight requests
-	if r.Method == "OPTIONS" {
-		w.WriteHeader(http.StatusOK)
+	if !allowMethods(w, r, "GET") {
 		return
 	}
 	
-	// Only allow GET requests
-	if r.Method != "GET" {
-		http.Error(w, "Method not allowed", http.StatusMethodNotAllowed)
+	// Get query and time range parameters
+	query := r.URL.Query().Get("q")
+	parsedQuery, opts, ok := parseSearchRequest(w, r)
+	if !ok {
 		return
 	}
 	
-	// Get query parameter
-	query := r.URL.Query().Get("q")
-	if query == "" {
-		http.Error(w, "Missing query parameter 'q'", http.StatusBadRequest)
+	// Get sort and pagination parameters
+	order := r.URL.Query().Get("sort")
+	if order == "" {
+		order = SortTimestampDesc
+	}
+	if !validSort(order) {
+		http.Error(w, "Invalid 'sort' parameter: expected timestamp:asc, timestamp:desc or relevance", http.StatusBadRequest)
 		return
 	}
 	
-	// Get pagination parameters
-	pageStr := r.URL.Query().Get("page")
-	pageSizeStr := r.URL.Query().Get("pageSize")
-	
-	page := 1
 	pageSize := 10
-	
-	if p, err := strconv.Atoi(pageStr); err == nil && p > 0 {
-		page = p
+	if ps, err := strconv.Atoi(r.URL.Query().Get("pageSize")); err == nil && ps > 0 && ps <= 100 {
+		pageSize = ps
 	}
 	
-	if ps, err := strconv.Atoi(pageSizeStr); err == nil && ps > 0 && ps <= 100 {
-		pageSize = ps
+	var cursor *Cursor
+	if cursorStr := r.URL.Query().Get("cursor"); cursorStr != "" {
+		var err error
+		cursor, err = decodeCursor(cursorStr)
+		if err != nil {
+			http.Error(w, err.Error(), http.StatusBadRequest)
+			return
+		}
 	}
 	
 	// Perform search
-	results, duration := searchIndex.Search(query)
-	
-	// Paginate results
-	startIdx := (page - 1) * pageSize
-	endIdx := startIdx + pageSize
-	
-	if startIdx >= len(results) {
-		startIdx = 0
-		endIdx = 0
-	}
+	opts.Sort = order
+	results, scores, duration := searchIndex.RankedSearch(parsedQuery, opts)
 	
-	if endIdx > len(results) {
-		endIdx = len(results)
+	// Paginate results. A cursor takes precedence over the legacy page number,
+	// which is converted to a cursor pointing at the end of the previous page.
+	page, _ := strconv.Atoi(r.URL.Query().Get("page"))
+	if cursor == nil && page > 1 && len(results) > 0 {
+		lastIdx := (page-1)*pageSize - 1
+		if lastIdx >= len(results) {
+			lastIdx = len(results) - 1
+		}
+		cursor = &Cursor{Timestamp: results[lastIdx].Timestamp, ID: results[lastIdx].ID, Score: scores[results[lastIdx].ID]}
 	}
-	
-	paginatedResults := results
-	if startIdx < endIdx {
-		paginatedResults = results[startIdx:endIdx]
+	paginatedResults, nextCursor := pageAfterCursor(results, scores, cursor, order, pageSize)
+	// Results in timestamp order are only scored for the page returned
+	var pageScores map[string]float64
+	if scores == nil {
+		pageScores = searchIndex.Scores(parsedQuery, paginatedResults)
 	} else {
-		paginatedResults = []*Document{}
+		pageScores = make(map[string]float64, len(paginatedResults))
+		for _, doc := range paginatedResults {
+			pageScores[doc.ID] = scores[doc.ID]
+		}
 	}
 	
 	// Prepare response
@@ -215,6 +306,10 @@ func (app *Application) handleSearch(w http.ResponseWriter, r *http.Request) {
 		TotalResults:  len(results),
 		SearchTimeMs:  float64(duration.Microseconds()) / 1000.0,
 		Results:       paginatedResults,
+		Sort:          order,
+		NextCursor:    nextCursor,
+		Highlights:    highlightDocuments(parsedQuery, paginatedResults),
+		Scores:        pageScores,
 	}
 	
 	// Send JSON response
@@ -222,6 +317,108 @@ func (app *Application) handleSearch(w http.ResponseWriter, r *http.Request) {
 	json.NewEncoder(w).Encode(response)
 }
 
+// allowMethods sets the CORS headers and answers preflight requests. It
+// returns false when the request has been handled and the caller should stop.
+func allowMethods(w http.ResponseWriter, r *http.Request, methods ...string) bool {
+	w.Header().Set("Access-Control-Allow-Origin", "*")
+	w.Header().Set("Access-Control-Allow-Methods", strings.Join(append(methods, "OPTIONS"), ", "))
+	w.Header().Set("Access-Control-Allow-Headers", "Content-Type, Authorization")
+	
+	// Handle preflight requests
+	if r.Method == "OPTIONS" {
+		w.WriteHeader(http.StatusOK)
+		return false
+	}
+	
+	for _, method := range methods {
+		if r.Method == method {
+			return true
+		}
+	}
+	http.Error(w, "Method not allowed", http.StatusMethodNotAllowed)
+	return false
+}
+
+// parseSearchRequest reads the query and time range parameters shared by the
+// search and aggregation endpoints, including the optional 'pattern' template
+// ID from the patterns endpoint and the 'match' mode of free text terms. On
+// invalid input it writes a 400 response and returns false.
+func parseSearchRequest(w http.ResponseWriter, r *http.Request) (*QueryNode, SearchOptions, bool) {
+	if r.URL.Query().Get("q") == "" && r.URL.Query().Get("query") == "" {
+		http.Error(w, "Missing query parameter 'q'", http.StatusBadRequest)
+		return nil, SearchOptions{}, false
+	}
+	
+	// Prefer the structured query sent by the frontend, fall back to parsing 'q'
+	parsedQuery, err := parseSearchQuery(r)
+	if err != nil {
+		writeQueryError(w, err)
+		return nil, SearchOptions{}, false
+	}
+	
+	from, to, err := parseTimeRange(r)
+	if err != nil {
+		http.Error(w, err.Error(), http.StatusBadRequest)
+		return nil, SearchOptions{}, false
+	}
+
+	match := r.URL.Query().Get("match")
+	if !validMatchMode(match) {
+		http.Error(w, fmt.Sprintf("Invalid match mode '%s', expected exact, prefix or contains", match), http.StatusBadRequest)
+		return nil, SearchOptions{}, false
+	}
+	applyMatchMode(parsedQuery, match)
+	return parsedQuery, SearchOptions{From: from, To: to, Pattern: r.URL.Query().Get("pattern")}, true
+}
+
+// writeJSON sends v as a JSON response with the given status code
+func writeJSON(w http.ResponseWriter, status int, v interface{}) {
+	w.Header().Set("Content-Type", "application/json")
+	w.WriteHeader(status)
+	json.NewEncoder(w).Encode(v)
+}
+
+// parseSearchQuery reads the query AST from the 'query' parameter if present,
+// otherwise it parses the raw query string in 'q'
+func parseSearchQuery(r *http.Request) (*QueryNode, error) {
+	if structured := r.URL.Query().Get("query"); structured != "" {
+		return DecodeQuery(structured)
+	}
+	return ParseQuery(r.URL.Query().Get("q"))
+}
+
+// parseTimeRange reads the optional 'from' and 'to' parameters (RFC 3339)
+// and returns them as Unix nanoseconds, 0 meaning unbounded
+func parseTimeRange(r *http.Request) (int64, int64, error) {
+	var bounds [2]int64
+	for i, name := range []string{"from", "to"} {
+		value := r.URL.Query().Get(name)
+		if value == "" {
+			continue
+		}
+		t, err := time.Parse(time.RFC3339Nano, value)
+		if err != nil {
+			return 0, 0, fmt.Errorf("invalid '%s' parameter: expected RFC 3339 time", name)
+		}
+		bounds[i] = t.UnixNano()
+	}
+	if bounds[0] > 0 && bounds[1] > 0 && bounds[0] > bounds[1] {
+		return 0, 0, fmt.Errorf("'from' must not be after 'to'")
+	}
+	return bounds[0], bounds[1], nil
+}
+
+// writeQueryError reports an invalid query as a JSON 400 response
+func writeQueryError(w http.ResponseWriter, err error) {
+	queryErr, ok := err.(*QueryError)
+	if !ok {
+		queryErr = &QueryError{Message: err.Error(), Position: -1}
+	}
+	w.Header().Set("Content-Type", "application/json")
+	w.WriteHeader(http.StatusBadRequest)
+	json.NewEncoder(w).Encode(map[string]*QueryError{"error": queryErr})
+}
+
 // loggingMiddleware logs HTTP requests
 func (app *Application) loggingMiddleware(next http.Handler) http.Handler {
 	return http.HandlerFunc(func(w http.ResponseWriter, r *http.Request) {
@@ -0,0 +1,172 @@
+package server
+
+import (
+	"net/http"
+	"sort"
+	"strconv"
+	"strings"
+)
+
+const (
+	defaultSuggestSize = 10
+	maxSuggestSize     = 50
+	// maxSuggestScan bounds the candidates ranked by document count, so
+	// short prefixes matching much of the dictionary stay fast
+	maxSuggestScan = 5000
+)
+
+// Suggestion types
+const (
+	SuggestField = "field" // A field name, e.g. namespace
+	SuggestValue = "value" // A value of a field, e.g. payments
+	SuggestTerm  = "term"  // A free text term from the inverted index
+)
+
+// Suggestion is a completion for the query being typed
+type Suggestion struct {
+	Type  string `json:"type"`
+	Field string `json:"field,omitempty"`
+	Value string `json:"value"`
+	Count int    `json:"count,omitempty"` // Number of documents containing the term or value
+}
+
+// termDictionary keeps the InvertedIndex terms sorted so prefix lookups are a
+// binary search. Terms added or removed by a batch of changes are merged in
+// once at its end, under the index write lock, so lookups never sort.
+type termDictionary struct {
+	sorted  []string
+	added   []string // New terms not merged in yet, unsorted
+	removed bool     // Whether terms were dropped since the last update
+}
+
+// update merges the added terms into the sorted ones and drops those no
+// longer in the inverted index. The caller must hold the index write lock.
+func (d *termDictionary) update(inverted map[string]map[string]int) {
+	if len(d.added) == 0 && !d.removed {
+		return
+	}
+	sort.Strings(d.added)
+	merged := make([]string, 0, len(d.sorted)+len(d.added))
+	i, j := 0, 0
+	for i < len(d.sorted) || j < len(d.added) {
+		var term string
+		if j == len(d.added) || (i < len(d.sorted) && d.sorted[i] < d.added[j]) {
+			term = d.sorted[i]
+			i++
+		} else {
+			term = d.added[j]
+			j++
+		}
+		// A term removed and added again is in both
+		if _, ok := inverted[term]; ok && (len(merged) == 0 || merged[len(merged)-1] != term) {
+			merged = append(merged, term)
+		}
+	}
+	d.sorted = merged
+	d.added = nil
+	d.removed = false
+}
+
+// termsWithPrefix returns the sorted terms starting with prefix. The caller must
+// hold the index read lock.
+func (idx *SearchIndex) termsWithPrefix(prefix string) []string {
+	d := &idx.terms
+	start := sort.SearchStrings(d.sorted, prefix)
+	end := start
+	for end < len(d.sorted) && strings.HasPrefix(d.sorted[end], prefix) {
+		end++
+	}
+	return d.sorted[start:end]
+}
+
+// rankSuggestions orders suggestions by document count, then alphabetically,
+// and keeps the first size
+func rankSuggestions(suggestions []Suggestion, size int) []Suggestion {
+	sort.Slice(suggestions, func(i, j int) bool {
+		if suggestions[i].Count != suggestions[j].Count {
+			return suggestions[i].Count > suggestions[j].Count
+		}
+		return suggestions[i].Value < suggestions[j].Value
+	})
+	if len(suggestions) > size {
+		suggestions = suggestions[:size]
+	}
+	return suggestions
+}
+
+// Suggest completes a prefix. With a field it returns values of that field,
+// otherwise field names followed by free text terms. Values and terms are
+// ranked by the number of documents containing them.
+func (idx *SearchIndex) Suggest(prefix, field string, size int) []Suggestion {
+	idx.mutex.RLock()
+	defer idx.mutex.RUnlock()
+
+	termPrefix := activeAnalyzer.normalize(prefix)
+	prefix = strings.ToLower(prefix)
+
+	if field != "" {
+		values := make([]Suggestion, 0)
+		for value, ids := range idx.FieldIndex[field] {
+			if strings.HasPrefix(value, prefix) {
+				values = append(values, Suggestion{Type: SuggestValue, Field: field, Value: value, Count: len(ids)})
+			}
+		}
+		return rankSuggestions(values, size)
+	}
+
+	// Field names come first, including the object fields present in the
+	// index (e.g. label.app)
+	suggestions := make([]Suggestion, 0, size)
+	fields := make([]string, 0)
+	for _, name := range activeSchema.queryFieldNames() {
+		if strings.HasPrefix(name, prefix) {
+			fields = append(fields, name)
+		}
+	}
+	for name := range idx.FieldIndex {
+		if !activeSchema.queryFields[name] && activeSchema.isQueryField(name) && strings.HasPrefix(name, prefix) {
+			fields = append(fields, name)
+		}
+	}
+	sort.Strings(fields)
+	for _, name := range fields {
+		if len(suggestions) == size {
+			return suggestions
+		}
+		suggestions = append(suggestions, Suggestion{Type: SuggestField, Value: name})
+	}
+
+	if prefix == "" {
+		return suggestions
+	}
+	candidates := idx.termsWithPrefix(termPrefix)
+	if len(candidates) > maxSuggestScan {
+		candidates = candidates[:maxSuggestScan]
+	}
+	terms := make([]Suggestion, 0, len(candidates))
+	for _, term := range candidates {
+		terms = append(terms, Suggestion{Type: SuggestTerm, Value: term, Count: len(idx.InvertedIndex[term])})
+	}
+	return append(suggestions, rankSuggestions(terms, size-len(suggestions))...)
+}
+
+// handleSuggest returns completions for the word being typed in the search bar
+func (app *Application) handleSuggest(w http.ResponseWriter, r *http.Request) {
+	if !allowMethods(w, r, "GET") {
+		return
+	}
+
+	field := strings.ToLower(r.URL.Query().Get("field"))
+	if field != "" && !isQueryField(field) {
+		http.Error(w, "Unknown field '"+field+"'", http.StatusBadRequest)
+		return
+	}
+
+	size := defaultSuggestSize
+	if s, err := strconv.Atoi(r.URL.Query().Get("size")); err == nil && s > 0 && s <= maxSuggestSize {
+		size = s
+	}
+
+	suggestions := searchIndex.Suggest(r.URL.Query().Get("prefix"), field, size)
+	writeJSON(w, http.StatusOK, map[string][]Suggestion{"suggestions": suggestions})
+}
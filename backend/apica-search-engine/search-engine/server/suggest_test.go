@@ -0,0 +1,89 @@
+package server
+
+import (
+	"path/filepath"
+	"reflect"
+	"testing"
+)
+
+// The sorted terms follow documents being added in batches, removed and
+// restored from a snapshot
+func TestTermsWithPrefix(t *testing.T) {
+	idx := NewSearchIndex()
+	idx.IndexDocuments([]*Document{
+		{ID: "1", Message: "connection refused by payments"},
+		{ID: "2", Message: "connected to payments"},
+	})
+	idx.IndexDocument(&Document{ID: "3", Message: "conn reset, pay later"})
+	idx.IndexDocuments([]*Document{{ID: "4", Message: "config reloaded"}, {ID: "5", Message: "refused"}})
+	idx.RemoveDocuments([]string{"2", "5"})
+	// Back in the same batch a term is removed from
+	idx.IndexDocuments([]*Document{{ID: "2", Message: "connected again"}})
+
+	tests := []struct {
+		prefix string
+		want   []string
+	}{
+		{"con", []string{"config", "conn", "connected", "connection"}},
+		{"conn", []string{"conn", "connected", "connection"}},
+		{"connected", []string{"connected"}},
+		{"pay", []string{"pay", "payments"}},
+		{"refused", []string{"refused"}},
+		{"zzz", []string{}},
+		{"a", []string{"again"}},
+	}
+	check := func(name string, idx *SearchIndex) {
+		for _, tt := range tests {
+			if got := idx.termsWithPrefix(tt.prefix); !reflect.DeepEqual(got, tt.want) {
+				t.Errorf("%s: termsWithPrefix(%q) = %q, want %q", name, tt.prefix, got, tt.want)
+			}
+		}
+	}
+	check("indexed", idx)
+
+	path := filepath.Join(t.TempDir(), "index.gob")
+	if err := idx.SaveSnapshot(path); err != nil {
+		t.Fatal(err)
+	}
+	restored := NewSearchIndex()
+	if err := restored.LoadSnapshot(path); err != nil {
+		t.Fatal(err)
+	}
+	check("restored", restored)
+}
+
+func TestSuggestRanksAndLimitsTerms(t *testing.T) {
+	searchIndex = NewSearchIndex()
+	searchIndex.IndexDocuments([]*Document{
+		{ID: "1", Message: "timeout talking to payments"},
+		{ID: "2", Message: "timeout talking to billing"},
+		{ID: "3", Message: "timed out"},
+		{ID: "4", Message: "timer fired, timeout"},
+	})
+
+	tests := []struct {
+		prefix string
+		size   int
+		want   []Suggestion
+	}{
+		{"tim", 10, []Suggestion{
+			{Type: SuggestTerm, Value: "timeout", Count: 3},
+			{Type: SuggestTerm, Value: "timed", Count: 1},
+			{Type: SuggestTerm, Value: "timer", Count: 1},
+		}},
+		{"tim", 2, []Suggestion{
+			{Type: SuggestTerm, Value: "timeout", Count: 3},
+			{Type: SuggestTerm, Value: "timed", Count: 1},
+		}},
+		{"TIME", 2, []Suggestion{
+			{Type: SuggestTerm, Value: "timeout", Count: 3},
+			{Type: SuggestTerm, Value: "timed", Count: 1},
+		}},
+		{"t", 1, []Suggestion{{Type: SuggestField, Value: "tag"}}},
+	}
+	for _, tt := range tests {
+		if got := searchIndex.Suggest(tt.prefix, "", tt.size); !reflect.DeepEqual(got, tt.want) {
+			t.Errorf("Suggest(%q, %d) = %+v, want %+v", tt.prefix, tt.size, got, tt.want)
+		}
+	}
+}
@@ -0,0 +1,231 @@
+package server
+
+import (
+	"encoding/json"
+	"fmt"
+	"net/http"
+	"strings"
+	"sync"
+	"time"
+)
+
+const (
+	tailBufferSize        = 64               // Batches buffered per subscriber before new ones are dropped
+	tailHeartbeatInterval = 15 * time.Second // Keeps idle streams open through proxies
+)
+
+// documentMatcher tests a single document against a query
+type documentMatcher func(doc *Document, tokens map[string]bool) bool
+
+// compileMatcher turns a query into a matcher for individual documents, used
+// where evaluating the query against the whole index would be wasteful (live
+// tail). It must agree with SearchIndex.evaluate.
+func compileMatcher(node *QueryNode) documentMatcher {
+	switch node.Op {
+	case OpAnd, OpOr:
+		wantAll := node.Op == OpAnd
+		var children []documentMatcher
+		for _, child := range node.Children {
+			// Stopwords constrain nothing in AND, like in SearchIndex.evaluate
+			if wantAll && isStopwordTerm(child) {
+				continue
+			}
+			children = append(children, compileMatcher(child))
+		}
+		if len(children) == 0 {
+			return func(doc *Document, tokens map[string]bool) bool { return false }
+		}
+		return func(doc *Document, tokens map[string]bool) bool {
+			for _, child := range children {
+				if child(doc, tokens) != wantAll {
+					return !wantAll
+				}
+			}
+			return wantAll
+		}
+	case OpNot:
+		child := compileMatcher(node.Children[0])
+		return func(doc *Document, tokens map[string]bool) bool {
+			return !child(doc, tokens)
+		}
+	case OpTerm:
+		if isJSONPathField(node.Field) {
+			match := jsonPathMatcher(node.Field, node.Value, false)
+			return func(doc *Document, tokens map[string]bool) bool { return match(doc) }
+		}
+		value := strings.ToLower(node.Value)
+		field := node.Field
+		if field == "" {
+			return termMatcher(activeAnalyzer.queryTerms(node.Value))
+		}
+		if strings.Contains(value, "*") {
+			pattern := wildcardPattern(value)
+			return func(doc *Document, tokens map[string]bool) bool {
+				fieldValue, ok := doc.Fields[field]
+				return ok && pattern.MatchString(strings.ToLower(fieldValue))
+			}
+		}
+		return func(doc *Document, tokens map[string]bool) bool {
+			return strings.ToLower(doc.Fields[field]) == value
+		}
+	case OpPhrase:
+		if isJSONPathField(node.Field) {
+			match := jsonPathMatcher(node.Field, node.Value, true)
+			return func(doc *Document, tokens map[string]bool) bool { return match(doc) }
+		}
+		value := strings.ToLower(node.Value)
+		field := node.Field
+		if field != "" {
+			return func(doc *Document, tokens map[string]bool) bool {
+				return strings.ToLower(doc.Fields[field]) == value
+			}
+		}
+		phrase := activeAnalyzer.Tokens(node.Value)
+		return func(doc *Document, tokens map[string]bool) bool {
+			return containsPhrase(activeAnalyzer.Tokens(searchableText(doc)), phrase)
+		}
+	}
+	return func(doc *Document, tokens map[string]bool) bool { return false }
+}
+
+// termMatcher matches documents having every term of a free text query
+// term, like SearchIndex.matchTerm
+func termMatcher(terms []string) documentMatcher {
+	if len(terms) == 0 {
+		return func(doc *Document, tokens map[string]bool) bool { return false }
+	}
+	matchers := make([]func(tokens map[string]bool) bool, len(terms))
+	for i, term := range terms {
+		if !strings.Contains(term, "*") {
+			term := term
+			matchers[i] = func(tokens map[string]bool) bool { return tokens[term] }
+			continue
+		}
+		pattern := wildcardPattern(term)
+		matchers[i] = func(tokens map[string]bool) bool {
+			for token := range tokens {
+				if pattern.MatchString(token) {
+					return true
+				}
+			}
+			return false
+		}
+	}
+	return func(doc *Document, tokens map[string]bool) bool {
+		for _, match := range matchers {
+			if !match(tokens) {
+				return false
+			}
+		}
+		return true
+	}
+}
+
+// matchesDocument reports whether a compiled query matches doc
+func matchesDocument(match documentMatcher, doc *Document) bool {
+	tokens := make(map[string]bool)
+	for _, term := range activeAnalyzer.Terms(searchableText(doc)) {
+		tokens[term] = true
+	}
+	return match(doc, tokens)
+}
+
+// subscribers fans newly indexed documents out to live tail streams
+type subscribers struct {
+	mutex    sync.Mutex
+	channels map[chan []*Document]struct{}
+}
+
+// Subscribe registers for documents indexed from now on. The returned
+// function must be called to unsubscribe.
+func (idx *SearchIndex) Subscribe() (<-chan []*Document, func()) {
+	ch := make(chan []*Document, tailBufferSize)
+
+	idx.subs.mutex.Lock()
+	if idx.subs.channels == nil {
+		idx.subs.channels = make(map[chan []*Document]struct{})
+	}
+	idx.subs.channels[ch] = struct{}{}
+	idx.subs.mutex.Unlock()
+
+	return ch, func() {
+		idx.subs.mutex.Lock()
+		delete(idx.subs.channels, ch)
+		idx.subs.mutex.Unlock()
+	}
+}
+
+// publish sends a batch of newly indexed documents to all subscribers.
+// Slow subscribers miss batches rather than holding up indexing.
+func (idx *SearchIndex) publish(docs []*Document) {
+	idx.subs.mutex.Lock()
+	defer idx.subs.mutex.Unlock()
+
+	for ch := range idx.subs.channels {
+		select {
+		case ch <- docs:
+		default:
+		}
+	}
+}
+
+// handleTail streams documents matching the query as Server-Sent Events
+// while they are indexed
+func (app *Application) handleTail(w http.ResponseWriter, r *http.Request) {
+	if !allowMethods(w, r, "GET") {
+		return
+	}
+
+	parsedQuery, _, ok := parseSearchRequest(w, r)
+	if !ok {
+		return
+	}
+	match := compileMatcher(parsedQuery)
+
+	// Streams outlive the server's write timeout
+	controller := http.NewResponseController(w)
+	if err := controller.SetWriteDeadline(time.Time{}); err != nil {
+		http.Error(w, "Streaming not supported", http.StatusInternalServerError)
+		return
+	}
+
+	w.Header().Set("Content-Type", "text/event-stream")
+	w.Header().Set("Cache-Control", "no-cache")
+	w.Header().Set("Connection", "keep-alive")
+	w.WriteHeader(http.StatusOK)
+	controller.Flush()
+
+	docs, unsubscribe := searchIndex.Subscribe()
+	defer unsubscribe()
+
+	heartbeat := time.NewTicker(tailHeartbeatInterval)
+	defer heartbeat.Stop()
+
+	for {
+		select {
+		case <-r.Context().Done():
+			return
+		case <-heartbeat.C:
+			fmt.Fprint(w, ": ping\n\n")
+		case batch := <-docs:
+			matched := make([]*Document, 0, len(batch))
+			for _, doc := range batch {
+				if matchesDocument(match, doc) {
+					matched = append(matched, doc)
+				}
+			}
+			if len(matched) == 0 {
+				continue
+			}
+			data, err := json.Marshal(matched)
+			if err != nil {
+				app.logger.Errorf("Error encoding tail documents: %v", err)
+				continue
+			}
+			fmt.Fprintf(w, "event: documents\ndata: %s\n\n", data)
+		}
+		if err := controller.Flush(); err != nil {
+			return
+		}
+	}
+}
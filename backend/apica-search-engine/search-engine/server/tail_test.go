@@ -0,0 +1,74 @@
+package server
+
+import (
+	"reflect"
+	"sort"
+	"testing"
+)
+
+// Live tail matches each new document on its own; it must find the same
+// documents as a search over the index
+func TestTailMatcherAgreesWithSearch(t *testing.T) {
+	searchIndex = NewSearchIndex()
+	docs := []*Document{
+		{ID: "1", Message: "connection refused by host db-1", MessageRaw: `{"kubernetes":{"pod_name":"api-1"}}`, Fields: map[string]string{"level": "ERROR", "pod": "api-1"}},
+		{ID: "2", Message: "refused connection, retrying", MessageRaw: `{"kubernetes":{"pod_name":"web-1"}}`, Fields: map[string]string{"level": "INFO", "pod": "web-1"}},
+		{ID: "3", Message: "Timeout calling com.example.PaymentService", Fields: map[string]string{"level": "WARN", "pod": "pay-2"}},
+		{ID: "4", Message: "connection=timeout after 30s"},
+	}
+	for _, doc := range docs {
+		searchIndex.IndexDocument(doc)
+	}
+
+	tests := []struct {
+		query string
+		mode  string
+		want  []string
+	}{
+		{`level:error`, "", []string{"1"}},
+		{`Level:Error`, "", []string{"1"}},
+		{`pod:api-*`, "", []string{"1"}},
+		{`pod:"api-*"`, "", nil},
+		{`"connection refused"`, "", []string{"1"}},
+		{`refused -pod:api-*`, "", []string{"2"}},
+		{`NOT level:info`, "", []string{"1", "3", "4"}},
+		{`conn*`, "", []string{"1", "2", "4"}},
+		{`conn`, MatchPrefix, []string{"1", "2", "4"}},
+		{`ymentserv`, MatchContains, []string{"3"}},
+		{`timeout`, "", []string{"3", "4"}},
+		{`PaymentService OR db-1`, "", []string{"1", "3"}},
+		{`connection timeout`, "", []string{"4"}},
+		{`(level:warn OR level:error) -timeout`, "", []string{"1"}},
+		{`raw.kubernetes.pod_name:web-1`, "", []string{"2"}},
+		{`missing OR -connection`, "", []string{"3"}},
+	}
+	for _, tt := range tests {
+		query, err := ParseQuery(tt.query)
+		if err != nil {
+			t.Fatalf("ParseQuery(%q): %v", tt.query, err)
+		}
+		applyMatchMode(query, tt.mode)
+
+		results, _ := searchIndex.Search(query, SearchOptions{})
+		var searched []string
+		for _, doc := range results {
+			searched = append(searched, doc.ID)
+		}
+		sort.Strings(searched)
+
+		match := compileMatcher(query)
+		var tailed []string
+		for _, doc := range docs {
+			if matchesDocument(match, doc) {
+				tailed = append(tailed, doc.ID)
+			}
+		}
+
+		if !reflect.DeepEqual(searched, tt.want) {
+			t.Errorf("%s (%s): search matched %v, want %v", tt.query, tt.mode, searched, tt.want)
+		}
+		if !reflect.DeepEqual(tailed, tt.want) {
+			t.Errorf("%s (%s): tail matched %v, want %v", tt.query, tt.mode, tailed, tt.want)
+		}
+	}
+}
@@ -0,0 +1,92 @@
+package server
+
+import (
+	"context"
+	"os"
+	"path/filepath"
+	"strings"
+	"time"
+
+	"github.com/sirupsen/logrus"
+)
+
+// fileState identifies a version of a file in the parquet folder
+type fileState struct {
+	Size    int64
+	ModTime time.Time
+}
+
+// listFolderFiles returns the size and modification time of every regular,
+// non-hidden file in a folder by name
+func listFolderFiles(folderPath string) (map[string]fileState, error) {
+	entries, err := os.ReadDir(folderPath)
+	if err != nil {
+		return nil, err
+	}
+	files := make(map[string]fileState, len(entries))
+	for _, entry := range entries {
+		// Hidden files include uploads that are still being written
+		if entry.IsDir() || strings.HasPrefix(entry.Name(), ".") {
+			continue
+		}
+		info, err := entry.Info()
+		if err != nil {
+			continue
+		}
+		files[entry.Name()] = fileState{Size: info.Size(), ModTime: info.ModTime()}
+	}
+	return files, nil
+}
+
+// watchParquetFolder polls the parquet folder and keeps the index in sync
+// with it after startup: new and changed files are indexed, so they show up
+// in searches and live tail streams, and deleted files are dropped. A file is
+// only processed once its size is unchanged between two polls, which keeps
+// files that are still being copied in from being read half written. The
+// snapshot at snapshotPath, if set, is rewritten after every change.
+func watchParquetFolder(ctx context.Context, folderPath string, interval time.Duration, snapshotPath string, logger *logrus.Logger) {
+	pending := make(map[string]int64) // New or changed files waiting for their size to settle
+
+	ticker := time.NewTicker(interval)
+	defer ticker.Stop()
+
+	for {
+		select {
+		case <-ctx.Done():
+			return
+		case <-ticker.C:
+		}
+
+		files, err := listFolderFiles(folderPath)
+		if err != nil {
+			logger.Errorf("Error watching folder %s: %v", folderPath, err)
+			continue
+		}
+
+		searchIndex.ingest.Lock()
+		changed := searchIndex.removeDeletedFiles(files) > 0
+		for _, name := range searchIndex.changedFiles(files) {
+			size := files[name].Size
+			if lastSize, ok := pending[name]; !ok || lastSize != size {
+				pending[name] = size
+				continue
+			}
+
+			delete(pending, name)
+			changed = true
+
+			filePath := filepath.Join(folderPath, name)
+			logger.Infof("Processing new file: %s", filePath)
+			if err := indexParquetFile(folderPath, name, files[name]); err != nil {
+				logger.Errorf("error processing %s: %v", filePath, err)
+			}
+		}
+
+		if changed && snapshotPath != "" {
+			if err := searchIndex.SaveSnapshot(snapshotPath); err != nil {
+				logger.Errorf("Error saving index snapshot: %v", err)
+			}
+		}
+		searchIndex.ingest.Unlock()
+	}
+}
@@ -1,12 +1,29 @@
-import React from 'react';
-import { SearchApp } from './components';
+import React, { useState, useEffect } from 'react';
+import { SearchApp, IngestAdmin, AlertsPage } from './components';
+
+// The admin and alerts pages live behind the URL hash, so they work wherever
+// the app is served from and the search state in the query string is kept
+const PAGES = {
+  '#/admin': IngestAdmin,
+  '#/alerts': AlertsPage,
+};
+
+const currentPage = () => PAGES[window.location.hash] || SearchApp;
 
 function App() {
+  const [Page, setPage] = useState(() => currentPage());
+
+  useEffect(() => {
+    const handleHashChange = () => setPage(() => currentPage());
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
   return (
     <div className="App">
-      <SearchApp />
+      <Page />
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,342 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Container,
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Tooltip,
+  Chip,
+  Alert,
+  Snackbar,
+  LinearProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import CloudUploadIcon from '@mui/icons-material/CloudUpload';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  listIngestFiles,
+  uploadParquetFiles,
+  deleteIngestFile,
+  reindexFiles,
+  handleApiRequest
+} from '../../services/api';
+import { setAdminToken } from '../../services/config';
+import { formatBytes } from '../SearchApp/ExportMenu';
+import { DisplaySettingsMenu } from '../Settings';
+
+// How often the list is refreshed while files wait to be indexed
+const POLL_INTERVAL_MS = 2000;
+
+const STATE_COLORS = {
+  indexed: 'success',
+  failed: 'error',
+  pending: 'default',
+  indexing: 'info',
+  deleted: 'warning',
+};
+
+const isParquet = (file) => file.name.toLowerCase().endsWith('.parquet');
+
+const formatTime = (value) => (value ? new Date(value).toISOString().replace('T', ' ').substr(0, 19) : '—');
+
+const formatDuration = (ms) => (ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+// Whether the server still has work to do on the listed files
+const isBusy = (data) => (
+  data.status.state === 'loading' ||
+  data.status.state === 'indexing' ||
+  data.files.some(file => file.state === 'pending' || file.state === 'indexing')
+);
+
+// Admin page for the server's parquet folder: lists the files with their
+// indexing state and errors, uploads new ones by drag and drop, and
+// reindexes or deletes them. The server's admin token is asked for when it
+// rejects the one of the session.
+const IngestAdmin = () => {
+  const [data, setData] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState(null);
+  const [needsToken, setNeedsToken] = useState(false);
+  const [token, setToken] = useState('');
+  const fileInputRef = useRef(null);
+  const timerRef = useRef(null);
+
+  // Shows a failed request, or the token form if the token was rejected
+  const reportError = useCallback((message, error) => {
+    if (error.status === 401) {
+      setNeedsToken(true);
+      return;
+    }
+    setError(`${message}: ${error.message}`);
+  }, []);
+
+  // Refreshes the list, and again after a while until the server is idle
+  const refresh = useCallback(async () => {
+    clearTimeout(timerRef.current);
+    const [files, error] = await handleApiRequest(listIngestFiles());
+    if (error) {
+      reportError('Failed to load files', error);
+      return;
+    }
+    setData(files);
+    if (isBusy(files)) {
+      timerRef.current = setTimeout(refresh, POLL_INTERVAL_MS);
+    }
+  }, [reportError]);
+
+  useEffect(() => {
+    refresh();
+    return () => clearTimeout(timerRef.current);
+  }, [refresh]);
+
+  const handleUpload = async (fileList) => {
+    const files = Array.from(fileList);
+    const rejected = files.filter(file => !isParquet(file));
+    if (rejected.length > 0) {
+      setError(`Only .parquet files can be uploaded: ${rejected.map(file => file.name).join(', ')}`);
+      return;
+    }
+    if (files.length === 0) return;
+
+    setUploading(true);
+    const [, error] = await handleApiRequest(uploadParquetFiles(files));
+    setUploading(false);
+    if (error) {
+      reportError('Upload failed', error);
+    }
+    refresh();
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    handleUpload(event.dataTransfer.files);
+  };
+
+  const handleFileInput = (event) => {
+    // Copy the files first, clearing the input can empty its FileList
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    handleUpload(files);
+  };
+
+  const handleTokenSubmit = (event) => {
+    event.preventDefault();
+    setAdminToken(token);
+    setToken('');
+    setNeedsToken(false);
+    refresh();
+  };
+
+  const handleReindex = async (name) => {
+    const [, error] = await handleApiRequest(reindexFiles(name));
+    if (error) {
+      reportError('Reindex failed', error);
+    }
+    refresh();
+  };
+
+  const handleDelete = async (name) => {
+    if (!window.confirm(`Delete ${name} from the parquet folder and drop its documents from the index?`)) return;
+    const [, error] = await handleApiRequest(deleteIngestFile(name));
+    if (error) {
+      reportError(`Failed to delete ${name}`, error);
+    }
+    refresh();
+  };
+
+  const status = data && data.status;
+  const busy = data && isBusy(data);
+
+  return (
+    <Container maxWidth="lg">
+      <Box my={4}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+          <Tooltip title="Back to search">
+            <IconButton href="#/" aria-label="Back to search">
+              <ArrowBackIcon />
+            </IconButton>
+          </Tooltip>
+          <Typography variant="h4" component="h1" sx={{ flex: 1 }}>
+            Ingest
+          </Typography>
+          <DisplaySettingsMenu />
+          <Button
+            variant="outlined"
+            startIcon={<RefreshIcon />}
+            onClick={() => handleReindex()}
+            disabled={!data || busy}
+          >
+            Reindex all
+          </Button>
+        </Box>
+
+        {needsToken && (
+          <Paper
+            variant="outlined"
+            component="form"
+            onSubmit={handleTokenSubmit}
+            sx={{ p: 2, mb: 2, display: 'flex', alignItems: 'center', gap: 2 }}
+          >
+            <Typography variant="body2" sx={{ flex: 1 }}>
+              Managing the parquet folder needs the admin token the server was started with.
+            </Typography>
+            <TextField
+              size="small"
+              type="password"
+              label="Admin token"
+              value={token}
+              onChange={(e) => setToken(e.target.value)}
+              autoFocus
+            />
+            <Button type="submit" variant="contained" disabled={!token}>
+              Unlock
+            </Button>
+          </Paper>
+        )}
+
+        {status && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {data.folder} · {status.documents.toLocaleString()} documents indexed
+            {status.state === 'indexing' && status.filesTotal > 0 && ` · indexing ${status.filesDone} of ${status.filesTotal} files`}
+            {status.snapshotAt && ` · snapshot saved ${formatTime(status.snapshotAt)}`}
+          </Typography>
+        )}
+        {status && status.state === 'error' && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            The last indexing run failed: {status.error}
+          </Alert>
+        )}
+
+        <Paper
+          variant="outlined"
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={handleDrop}
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          sx={{
+            p: 4,
+            mb: 3,
+            textAlign: 'center',
+            cursor: 'pointer',
+            borderStyle: 'dashed',
+            borderWidth: 2,
+            borderColor: dragging ? 'primary.main' : 'divider',
+            bgcolor: dragging ? 'action.hover' : 'transparent'
+          }}
+        >
+          <CloudUploadIcon color={dragging ? 'primary' : 'action'} sx={{ fontSize: 40 }} />
+          <Typography variant="body1">
+            Drop .parquet files here or click to choose them
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Uploaded files are indexed in the background. A file with an existing name replaces it.
+          </Typography>
+          {uploading && <LinearProgress sx={{ mt: 2 }} />}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".parquet"
+            multiple
+            hidden
+            onChange={handleFileInput}
+          />
+        </Paper>
+
+        {!data ? (
+          !needsToken && <LinearProgress />
+        ) : data.files.length === 0 ? (
+          <Typography variant="body1" color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+            No files in the parquet folder yet.
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>File</TableCell>
+                <TableCell>State</TableCell>
+                <TableCell align="right">Rows</TableCell>
+                <TableCell align="right">Size</TableCell>
+                <TableCell>Modified</TableCell>
+                <TableCell>Indexed</TableCell>
+                <TableCell align="right">Took</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {data.files.map(file => (
+                <TableRow key={file.name} hover>
+                  <TableCell sx={{ maxWidth: 320 }}>
+                    <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                      {file.name}
+                    </Typography>
+                    {file.error && (
+                      <Typography variant="caption" color="error" sx={{ display: 'block' }}>
+                        {file.error}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Chip label={file.state} size="small" color={STATE_COLORS[file.state] || 'default'} />
+                  </TableCell>
+                  <TableCell align="right">{file.rows.toLocaleString()}</TableCell>
+                  <TableCell align="right">{formatBytes(file.size)}</TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.75rem' }}>{formatTime(file.modTime)}</TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.75rem' }}>{formatTime(file.indexedAt)}</TableCell>
+                  <TableCell align="right">{file.indexedAt ? formatDuration(file.durationMs) : '—'}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Reindex">
+                      <span>
+                        <IconButton
+                          size="small"
+                          aria-label={`Reindex ${file.name}`}
+                          onClick={() => handleReindex(file.name)}
+                          disabled={file.state === 'indexing' || file.state === 'deleted'}
+                        >
+                          <RefreshIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <span>
+                        <IconButton
+                          size="small"
+                          aria-label={`Delete ${file.name}`}
+                          onClick={() => handleDelete(file.name)}
+                          disabled={file.state === 'indexing'}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        <Snackbar open={!!error} autoHideDuration={6000} onClose={() => setError(null)}>
+          <Alert onClose={() => setError(null)} severity="error">
+            {error}
+          </Alert>
+        </Snackbar>
+      </Box>
+    </Container>
+  );
+};
+
+export default IngestAdmin;
@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  MenuItem,
+  Switch,
+  TextField,
+  Typography
+} from '@mui/material';
+import { parseQuery } from '../../services/queryParser';
+
+// Durations the server accepts, e.g. 30s, 5m, 1h30m
+const WINDOW_PATTERN = /^(\d+(\.\d+)?(ms|s|m|h))+$/;
+
+const EMPTY_RULE = {
+  name: '',
+  query: '',
+  condition: 'above',
+  threshold: 50,
+  window: '5m',
+  webhook: '',
+  enabled: true,
+};
+
+const isWebhookUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+};
+
+// Problems with the draft by field, empty when it can be saved
+const validateRule = (rule) => {
+  const errors = {};
+  if (!rule.name.trim()) {
+    errors.name = 'Name the rule';
+  }
+  if (!rule.query.trim()) {
+    errors.query = 'Enter the query to count';
+  } else {
+    const { error } = parseQuery(rule.query);
+    if (error) errors.query = error.message;
+  }
+  if (!/^\d+$/.test(String(rule.threshold))) {
+    errors.threshold = 'Whole number of matches';
+  }
+  if (!WINDOW_PATTERN.test(rule.window.trim())) {
+    errors.window = 'Duration such as 5m or 1h';
+  }
+  if (rule.webhook.trim() && !isWebhookUrl(rule.webhook.trim())) {
+    errors.webhook = 'http:// or https:// URL';
+  }
+  return errors;
+};
+
+// Dialog creating an alert rule, or editing one when rule is set
+const AlertRuleDialog = ({ open, rule, error, onClose, onSave }) => {
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [touched, setTouched] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setDraft(rule ? { ...EMPTY_RULE, ...rule, webhook: rule.webhook || '' } : EMPTY_RULE);
+      setTouched(false);
+    }
+  }, [open, rule]);
+
+  const errors = validateRule(draft);
+  const valid = Object.keys(errors).length === 0;
+  const shown = (field) => (touched || draft[field] !== EMPTY_RULE[field] ? errors[field] : null);
+
+  const setField = (field) => (event) => setDraft(current => ({ ...current, [field]: event.target.value }));
+
+  const handleSave = () => {
+    setTouched(true);
+    if (!valid) return;
+    onSave({
+      ...draft,
+      name: draft.name.trim(),
+      query: draft.query.trim(),
+      threshold: Number(draft.threshold),
+      window: draft.window.trim(),
+      webhook: draft.webhook.trim(),
+    });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{rule ? 'Edit alert rule' : 'New alert rule'}</DialogTitle>
+      <DialogContent>
+        <TextField
+          autoFocus
+          fullWidth
+          margin="dense"
+          label="Name"
+          value={draft.name}
+          onChange={setField('name')}
+          error={!!shown('name')}
+          helperText={shown('name') || ' '}
+        />
+        <TextField
+          fullWidth
+          margin="dense"
+          label="Query"
+          value={draft.query}
+          onChange={setField('query')}
+          error={!!shown('query')}
+          helperText={shown('query') || 'Same syntax as the search bar, e.g. level:ERROR namespace:payments timeout'}
+          inputProps={{ spellCheck: false }}
+          InputProps={{ sx: { fontFamily: 'fontFamilyMonospace' } }}
+        />
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <TextField
+            select
+            margin="dense"
+            label="Fires when matches are"
+            value={draft.condition}
+            onChange={setField('condition')}
+            sx={{ minWidth: 200 }}
+          >
+            <MenuItem value="above">More than</MenuItem>
+            <MenuItem value="below">Fewer than</MenuItem>
+          </TextField>
+          <TextField
+            margin="dense"
+            label="Threshold"
+            value={draft.threshold}
+            onChange={setField('threshold')}
+            error={!!shown('threshold')}
+            helperText={shown('threshold') || ' '}
+            inputProps={{ inputMode: 'numeric' }}
+          />
+          <TextField
+            margin="dense"
+            label="In the last"
+            value={draft.window}
+            onChange={setField('window')}
+            error={!!shown('window')}
+            helperText={shown('window') || ' '}
+          />
+        </Box>
+        <TextField
+          fullWidth
+          margin="dense"
+          label="Webhook URL"
+          value={draft.webhook}
+          onChange={setField('webhook')}
+          error={!!shown('webhook')}
+          helperText={shown('webhook') || 'Optional, one of the server\'s alert webhooks to notify instead of its default'}
+        />
+        <FormControlLabel
+          control={
+            <Switch
+              checked={draft.enabled}
+              onChange={(e) => setDraft(current => ({ ...current, enabled: e.target.checked }))}
+            />
+          }
+          label="Enabled"
+        />
+        {error && (
+          <Typography variant="body2" color="error" sx={{ mt: 1 }}>
+            {error}
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={touched && !valid}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AlertRuleDialog;
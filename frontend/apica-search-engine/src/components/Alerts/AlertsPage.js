@@ -0,0 +1,298 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Tooltip,
+  Chip,
+  Alert,
+  Snackbar,
+  LinearProgress,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import SearchIcon from '@mui/icons-material/Search';
+import {
+  listAlertRules,
+  saveAlertRule,
+  deleteAlertRule,
+  fetchAlertHistory,
+  handleApiRequest
+} from '../../services/api';
+import { buildUrlSearch } from '../../services/urlState';
+import { DisplaySettingsMenu } from '../Settings';
+import AlertRuleDialog from './AlertRuleDialog';
+
+// The server evaluates the rules every minute by default
+const POLL_INTERVAL_MS = 30000;
+
+const STATE_COLORS = {
+  firing: 'error',
+  ok: 'success',
+  error: 'warning',
+  pending: 'default',
+};
+
+const formatTime = (value) => (value ? new Date(value).toISOString().replace('T', ' ').substr(0, 19) : '—');
+
+// e.g. '> 50' for more than 50 matches
+const describeThreshold = (rule) => `${rule.condition === 'below' ? '<' : '>'} ${rule.threshold}`;
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+// Length of a window such as 5m or 1h30m in milliseconds
+const windowMs = (window) => {
+  let total = 0;
+  (window.match(/\d+(\.\d+)?(ms|s|m|h)/g) || []).forEach(part => {
+    const [, value, , unit] = part.match(/^(\d+(\.\d+)?)(ms|s|m|h)$/);
+    total += parseFloat(value) * DURATION_UNITS[unit];
+  });
+  return total;
+};
+
+// Link opening the matches of a query in a time window as a search
+const searchHref = (query, from, to) => (
+  buildUrlSearch({ query, timeRange: { type: 'absolute', from, to } }) || '?'
+);
+
+// Link to the matches of a rule in its window ending now
+const ruleSearchHref = (rule) => {
+  const to = rule.lastEvaluated ? new Date(rule.lastEvaluated) : new Date();
+  const from = new Date(to.getTime() - windowMs(rule.window));
+  return searchHref(rule.query, from.toISOString(), to.toISOString());
+};
+
+const webhookLabel = (event) => {
+  if (!event.webhook) return '—';
+  if (event.webhookError) return event.webhookError;
+  return event.webhookStatus ? `HTTP ${event.webhookStatus}` : 'sending';
+};
+
+// Alerts page: rules that count the matches of a query over a window and
+// fire when the count crosses a threshold, and the history of their firing.
+// The server evaluates the rules and posts each event to a webhook.
+const AlertsPage = () => {
+  const [rules, setRules] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [editing, setEditing] = useState(null); // null when closed, {} for a new rule
+  const [saveError, setSaveError] = useState(null);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    const [[ruleList, ruleError], [events, historyError]] = await Promise.all([
+      handleApiRequest(listAlertRules()),
+      handleApiRequest(fetchAlertHistory()),
+    ]);
+    if (ruleError || historyError) {
+      setError(`Failed to load alerts: ${(ruleError || historyError).message}`);
+      return;
+    }
+    setRules(ruleList);
+    setHistory(events);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  const handleSave = async (rule) => {
+    const [, error] = await handleApiRequest(saveAlertRule(rule));
+    if (error) {
+      setSaveError(error.message);
+      return;
+    }
+    setEditing(null);
+    refresh();
+  };
+
+  const handleToggle = async (rule) => {
+    const [, error] = await handleApiRequest(saveAlertRule({ ...rule, enabled: !rule.enabled }));
+    if (error) {
+      setError(`Failed to update ${rule.name}: ${error.message}`);
+    }
+    refresh();
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the alert rule ${rule.name}? Its firing history is kept.`)) return;
+    const [, error] = await handleApiRequest(deleteAlertRule(rule.id));
+    if (error) {
+      setError(`Failed to delete ${rule.name}: ${error.message}`);
+    }
+    refresh();
+  };
+
+  const openEditor = (rule) => {
+    setSaveError(null);
+    setEditing(rule);
+  };
+
+  return (
+    <Container maxWidth="lg">
+      <Box my={4}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+          <Tooltip title="Back to search">
+            <IconButton href="#/" aria-label="Back to search">
+              <ArrowBackIcon />
+            </IconButton>
+          </Tooltip>
+          <Typography variant="h4" component="h1" sx={{ flex: 1 }}>
+            Alerts
+          </Typography>
+          <DisplaySettingsMenu />
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => openEditor({})}>
+            New rule
+          </Button>
+        </Box>
+
+        {!rules ? (
+          <LinearProgress />
+        ) : rules.length === 0 ? (
+          <Typography variant="body1" color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+            No alert rules yet. A rule fires when a query has more (or fewer) matches than a threshold in a time window.
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Rule</TableCell>
+                <TableCell>Condition</TableCell>
+                <TableCell>State</TableCell>
+                <TableCell align="right">Matches</TableCell>
+                <TableCell>Evaluated</TableCell>
+                <TableCell>Enabled</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rules.map(rule => (
+                <TableRow key={rule.id} hover>
+                  <TableCell sx={{ maxWidth: 360 }}>
+                    <Typography variant="body2">{rule.name}</Typography>
+                    <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'fontFamilyMonospace', wordBreak: 'break-word' }}>
+                      {rule.query}
+                    </Typography>
+                    {rule.lastError && (
+                      <Typography variant="caption" color="error" sx={{ display: 'block' }}>
+                        {rule.lastError}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{describeThreshold(rule)} in {rule.window}</TableCell>
+                  <TableCell>
+                    <Chip
+                      label={rule.enabled ? rule.state : 'disabled'}
+                      size="small"
+                      color={rule.enabled ? STATE_COLORS[rule.state] || 'default' : 'default'}
+                    />
+                  </TableCell>
+                  <TableCell align="right">{rule.lastEvaluated ? rule.lastCount.toLocaleString() : '—'}</TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.75rem' }}>{formatTime(rule.lastEvaluated)}</TableCell>
+                  <TableCell>
+                    <Switch
+                      size="small"
+                      checked={rule.enabled}
+                      onChange={() => handleToggle(rule)}
+                      inputProps={{ 'aria-label': `Enable ${rule.name}` }}
+                    />
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Open matches as a search">
+                      <IconButton size="small" aria-label={`Search ${rule.name}`} href={ruleSearchHref(rule)}>
+                        <SearchIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Edit">
+                      <IconButton size="small" aria-label={`Edit ${rule.name}`} onClick={() => openEditor(rule)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" aria-label={`Delete ${rule.name}`} onClick={() => handleDelete(rule)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        <Typography variant="h6" component="h2" sx={{ mt: 4, mb: 1 }}>
+          History
+        </Typography>
+        {history.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No alert has fired yet.
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Time</TableCell>
+                <TableCell>Rule</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Matches</TableCell>
+                <TableCell>Webhook</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {history.map(event => (
+                <TableRow key={event.id} hover>
+                  <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.75rem' }}>{formatTime(event.to)}</TableCell>
+                  <TableCell>{event.ruleName}</TableCell>
+                  <TableCell>
+                    <Chip label={event.status} size="small" color={event.status === 'firing' ? 'error' : 'success'} />
+                  </TableCell>
+                  <TableCell align="right">
+                    {event.count.toLocaleString()} ({describeThreshold(event)})
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="caption" color={event.webhookError ? 'error' : 'text.secondary'}>
+                      {webhookLabel(event)}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Button size="small" startIcon={<SearchIcon />} href={searchHref(event.query, event.from, event.to)}>
+                      Open as search
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        <AlertRuleDialog
+          open={!!editing}
+          rule={editing && editing.id ? editing : null}
+          error={saveError}
+          onClose={() => setEditing(null)}
+          onSave={(rule) => handleSave(editing.id ? { ...rule, id: editing.id } : rule)}
+        />
+
+        <Snackbar open={!!error} autoHideDuration={6000} onClose={() => setError(null)}>
+          <Alert onClose={() => setError(null)} severity="error">
+            {error}
+          </Alert>
+        </Snackbar>
+      </Box>
+    </Container>
+  );
+};
+
+export default AlertsPage;
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Popover,
+  Tooltip
+} from '@mui/material';
+import ViewColumnIcon from '@mui/icons-material/ViewColumn';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import { defaultColumnLayout } from '../../services/columnLayout';
+
+// Choose and reorder the results table columns
+const ColumnSettings = ({ layout, columns, onChange }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const visibleCount = layout.filter(column => column.visible).length;
+
+  const toggleColumn = (key) => {
+    onChange(layout.map(column => (
+      column.key === key ? { ...column, visible: !column.visible } : column
+    )));
+  };
+
+  const moveColumn = (index, offset) => {
+    const next = [...layout];
+    const [column] = next.splice(index, 1);
+    next.splice(index + offset, 0, column);
+    onChange(next);
+  };
+
+  return (
+    <>
+      <Tooltip title="Choose columns">
+        <IconButton size="small" onClick={(e) => setAnchorEl(e.currentTarget)}>
+          <ViewColumnIcon fontSize="small" />
+        </IconButton>
+      </Tooltip>
+      <Popover
+        open={!!anchorEl}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <List dense sx={{ width: 260 }}>
+          {layout.map((column, index) => (
+            <ListItem
+              key={column.key}
+              disablePadding
+              sx={{ pl: 1 }}
+              secondaryAction={
+                <>
+                  <IconButton
+                    size="small"
+                    aria-label={`Move ${column.label} up`}
+                    disabled={index === 0}
+                    onClick={() => moveColumn(index, -1)}
+                  >
+                    <ArrowUpwardIcon fontSize="inherit" />
+                  </IconButton>
+                  <IconButton
+                    size="small"
+                    aria-label={`Move ${column.label} down`}
+                    disabled={index === layout.length - 1}
+                    onClick={() => moveColumn(index, 1)}
+                  >
+                    <ArrowDownwardIcon fontSize="inherit" />
+                  </IconButton>
+                </>
+              }
+            >
+              <Checkbox
+                size="small"
+                checked={column.visible}
+                // Keep at least one column on screen
+                disabled={column.visible && visibleCount === 1}
+                onChange={() => toggleColumn(column.key)}
+              />
+              <ListItemText primary={column.label} />
+            </ListItem>
+          ))}
+        </List>
+        <Box sx={{ px: 2, pb: 1, textAlign: 'right' }}>
+          <Button size="small" onClick={() => onChange(defaultColumnLayout(columns))}>
+            Reset
+          </Button>
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+export default ColumnSettings;
@@ -0,0 +1,130 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import {
+  Box,
+  Dialog,
+  InputBase,
+  List,
+  ListItemButton,
+  ListItemText,
+  ListSubheader,
+  Typography
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+
+// Commands whose group and label contain every typed word, in their original order
+const filterCommands = (commands, filter) => {
+  const words = filter.toLowerCase().split(/\s+/).filter(Boolean);
+  return commands.filter(command => {
+    const text = `${command.group} ${command.label}`.toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+};
+
+// Ctrl+K palette: type to filter the commands, arrows to pick one and Enter
+// to run it. Commands are { id, group, label, detail, onSelect }.
+const CommandPalette = ({ open, onClose, commands }) => {
+  const [filter, setFilter] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      setFilter('');
+      setActiveIndex(0);
+    }
+  }, [open]);
+
+  const matches = useMemo(() => filterCommands(commands, filter), [commands, filter]);
+
+  // Keep the highlighted command in view while moving with the arrows
+  useEffect(() => {
+    const item = listRef.current && listRef.current.querySelector(`[data-index="${activeIndex}"]`);
+    if (item && item.scrollIntoView) {
+      item.scrollIntoView({ block: 'nearest' });
+    }
+  }, [activeIndex]);
+
+  const runCommand = (command) => {
+    onClose();
+    command.onSelect();
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActiveIndex(index => Math.min(index + 1, matches.length - 1));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(index => Math.max(index - 1, 0));
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (matches[activeIndex]) {
+          runCommand(matches[activeIndex]);
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      fullWidth
+      maxWidth="sm"
+      sx={{ '& .MuiDialog-container': { alignItems: 'flex-start' } }}
+      slotProps={{ paper: { sx: { mt: 10 } } }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', px: 2, py: 1, borderBottom: 1, borderColor: 'divider' }}>
+        <SearchIcon sx={{ color: 'text.secondary', mr: 1 }} />
+        <InputBase
+          autoFocus
+          fullWidth
+          placeholder="Type a command…"
+          value={filter}
+          onChange={(e) => {
+            setFilter(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          inputProps={{ 'aria-label': 'Command' }}
+        />
+      </Box>
+      {matches.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+          No matching commands.
+        </Typography>
+      ) : (
+        <List ref={listRef} dense role="listbox" sx={{ maxHeight: 400, overflowY: 'auto', py: 0 }}>
+          {matches.map((command, index) => (
+            <React.Fragment key={command.id}>
+              {(index === 0 || matches[index - 1].group !== command.group) && (
+                <ListSubheader sx={{ lineHeight: '32px' }}>{command.group}</ListSubheader>
+              )}
+              <ListItemButton
+                data-index={index}
+                role="option"
+                selected={index === activeIndex}
+                aria-selected={index === activeIndex}
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => runCommand(command)}
+              >
+                <ListItemText
+                  primary={command.label}
+                  secondary={command.detail}
+                  slotProps={{ secondary: { noWrap: true, sx: { fontFamily: 'fontFamilyMonospace', fontSize: '0.75rem' } } }}
+                />
+              </ListItemButton>
+            </React.Fragment>
+          ))}
+        </List>
+      )}
+    </Dialog>
+  );
+};
+
+export default CommandPalette;
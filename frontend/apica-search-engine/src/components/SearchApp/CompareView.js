@@ -0,0 +1,325 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Paper,
+  Snackbar,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import LinkIcon from '@mui/icons-material/Link';
+import HistoryIcon from '@mui/icons-material/History';
+import TimeRangePicker, { resolveTimeRange, describeTimeRange } from './TimeRangePicker';
+import { PatternTemplate } from './PatternsView';
+import { valueLabel } from './FacetSidebar';
+import { getLevelColor } from './ResultItem';
+import { searchMessages, fetchFacets, fetchPatterns, handleApiRequest } from '../../services/api';
+import { parseQuery } from '../../services/queryParser';
+import { fieldLabel } from '../../services/schema';
+import { countDelta, levelBreakdown, facetDeltas, patternDeltas, previousPeriod } from '../../services/compare';
+
+// Enough values and patterns that one-sided ones are rarely cut off
+const FACET_SIZE = 100;
+const PATTERN_SIZE = 500;
+
+// Changes of at least this many percent are highlighted
+const NOTABLE_PERCENT = 20;
+
+// Fetch what the comparison needs for one side, null if any of it failed
+const loadSide = async (query, bounds) => {
+  const responses = await Promise.all([
+    handleApiRequest(searchMessages(query, { limit: 1, ...bounds })),
+    handleApiRequest(fetchFacets(query, { size: FACET_SIZE, ...bounds })),
+    handleApiRequest(fetchPatterns(query, { size: PATTERN_SIZE, ...bounds })),
+  ]);
+  if (responses.some(([, error]) => error)) return null;
+  const [[search], [facets], [patterns]] = responses;
+  return { total: search.totalResults || 0, facets, patterns };
+};
+
+// A change in count, signed; more lines read as worse, fewer as better
+const Delta = ({ a, b, delta, percent }) => {
+  if (delta === 0) {
+    return <Typography component="span" variant="body2" color="text.secondary">no change</Typography>;
+  }
+  const notable = a === 0 || b === 0 || Math.abs(percent) >= NOTABLE_PERCENT;
+  return (
+    <Typography
+      component="span"
+      variant="body2"
+      sx={{
+        color: delta > 0 ? 'error.main' : 'success.main',
+        fontWeight: notable ? 'bold' : 'normal'
+      }}
+    >
+      {delta > 0 ? '+' : ''}{delta.toLocaleString()}
+      {percent !== null && ` (${percent > 0 ? '+' : ''}${Math.round(percent)}%)`}
+      {percent === null && ' (new)'}
+    </Typography>
+  );
+};
+
+const Section = ({ title, children }) => (
+  <Paper sx={{ p: 2, mb: 2, border: 1, borderColor: 'divider', boxShadow: 'none' }}>
+    <Typography variant="subtitle1" sx={{ mb: 1 }}>{title}</Typography>
+    {children}
+  </Paper>
+);
+
+// Values found on one side only, tinted with that side's color
+const OneSided = ({ label, facet, values, color }) => (
+  <Box sx={{ display: 'flex', gap: 1, alignItems: 'baseline', mb: 0.5 }}>
+    <Typography variant="caption" color="text.secondary" sx={{ width: 90, flexShrink: 0 }}>{label}</Typography>
+    <Box>
+      {values.map(item => (
+        <Chip
+          key={`${item.field}:${item.value}`}
+          size="small"
+          label={`${valueLabel(facet, item)} · ${item.count.toLocaleString()}`}
+          sx={{
+            mr: 0.5,
+            mb: 0.5,
+            fontFamily: 'fontFamilyMonospace',
+            fontSize: '0.75rem',
+            bgcolor: theme => alpha(theme.palette[color].main, 0.12),
+            color: `${color}.main`
+          }}
+        />
+      ))}
+    </Box>
+  </Box>
+);
+
+// Patterns found on one side only
+const PatternList = ({ title, patterns, color }) => (
+  <Box sx={{ mb: 1 }}>
+    <Typography variant="subtitle2" sx={{ color: `${color}.main`, mb: 0.5 }}>
+      {title} ({patterns.length})
+    </Typography>
+    {patterns.length === 0 ? (
+      <Typography variant="body2" color="text.secondary">None.</Typography>
+    ) : patterns.map(pattern => (
+      <Tooltip key={pattern.id} title={pattern.sample} placement="bottom-start" enterDelay={500}>
+        <Box
+          sx={{
+            display: 'flex',
+            gap: 2,
+            px: 1,
+            py: 0.5,
+            mb: 0.5,
+            borderLeft: 3,
+            borderColor: `${color}.main`,
+            bgcolor: theme => alpha(theme.palette[color].main, 0.06)
+          }}
+        >
+          <Typography variant="body2" sx={{ width: 60, flexShrink: 0, textAlign: 'right', fontWeight: 'bold' }}>
+            {pattern.count.toLocaleString()}
+          </Typography>
+          <Box sx={{ minWidth: 0 }}>
+            <PatternTemplate template={pattern.template} />
+          </Box>
+        </Box>
+      </Tooltip>
+    ))}
+  </Box>
+);
+
+// Side by side comparison of the main search (A) with another query or time
+// range (B), e.g. the hour before a rollout and the hour after. compare is
+// { query, timeRange } for B, an empty query meaning the same as A's.
+const CompareView = ({ query, timeRange, timeBounds, compare, onCompareChange }) => {
+  const [sides, setSides] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [draftQuery, setDraftQuery] = useState(compare.query);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  useEffect(() => {
+    setDraftQuery(compare.query);
+  }, [compare.query]);
+
+  const queryB = compare.query || query;
+  // Relative ranges are resolved when B changes, like A's when it was searched.
+  // Both sides match free text terms the same way.
+  const matchMode = timeBounds.match;
+  const boundsB = useMemo(
+    () => ({ ...resolveTimeRange(compare.timeRange), match: matchMode }),
+    [compare.timeRange, matchMode]
+  );
+
+  useEffect(() => {
+    if (!query) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    Promise.all([loadSide(query, timeBounds), loadSide(queryB, boundsB)]).then(([a, b]) => {
+      if (cancelled) return;
+      setLoading(false);
+      if (!a || !b) {
+        setError('Failed to load the comparison.');
+        return;
+      }
+      setSides({ a, b });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [query, timeBounds, queryB, boundsB]);
+
+  const draftError = draftQuery.trim() ? parseQuery(draftQuery).error : null;
+  const previous = previousPeriod(timeBounds);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (draftError) return;
+    onCompareChange({ ...compare, query: draftQuery.trim() });
+  };
+
+  const handleCopyLink = () => {
+    navigator.clipboard.writeText(window.location.href).then(() => {
+      setLinkCopied(true);
+    });
+  };
+
+  const levels = sides ? levelBreakdown(sides.a.facets, sides.b.facets) : [];
+  // Values of every facet but the level are compared, e.g. pods that only appear on one side
+  const comparedFacets = sides ? sides.a.facets.facets.filter(facet => facet.name !== sides.a.facets.level) : [];
+  const facets = sides ? facetDeltas(sides.a.facets, sides.b.facets, comparedFacets) : [];
+  const patterns = sides ? patternDeltas(sides.a.patterns, sides.b.patterns) : { added: [], removed: [] };
+
+  return (
+    <Box sx={{ mt: 2, textAlign: 'left' }}>
+      <Box
+        component="form"
+        onSubmit={handleSubmit}
+        sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', flexWrap: 'wrap', mb: 2 }}
+      >
+        <TextField
+          size="small"
+          label="Compare with (B)"
+          placeholder={`Same query: ${query}`}
+          value={draftQuery}
+          onChange={(e) => setDraftQuery(e.target.value)}
+          error={!!draftError}
+          helperText={draftError ? draftError.message : ' '}
+          sx={{ flex: 1, minWidth: 240 }}
+          slotProps={{ htmlInput: { 'aria-label': 'Compared query', sx: { fontFamily: 'fontFamilyMonospace' } } }}
+        />
+        <Button type="submit" variant="outlined" disabled={!!draftError} sx={{ mt: '2px' }}>
+          Compare
+        </Button>
+        <Box sx={{ mt: '2px' }}>
+          <TimeRangePicker value={compare.timeRange} onChange={(range) => onCompareChange({ ...compare, timeRange: range })} />
+        </Box>
+        <Tooltip title={previous ? 'Compare with the same length of time just before A' : 'A needs a time range'}>
+          <span>
+            <Button
+              startIcon={<HistoryIcon />}
+              disabled={!previous}
+              onClick={() => onCompareChange({ ...compare, timeRange: previous })}
+              sx={{ mt: '2px' }}
+            >
+              Previous period
+            </Button>
+          </span>
+        </Tooltip>
+        <Button startIcon={<LinkIcon />} onClick={handleCopyLink} sx={{ mt: '2px' }}>
+          Copy link
+        </Button>
+      </Box>
+
+      {loading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      )}
+
+      {!loading && error && <Alert severity="error">{error}</Alert>}
+
+      {!loading && !error && sides && (
+        <>
+          <Section title="Matches">
+            <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr auto', gap: 2, alignItems: 'end' }}>
+              {[['A', query, timeRange, sides.a.total], ['B', queryB, compare.timeRange, sides.b.total]].map(([side, sideQuery, range, total]) => (
+                <Box key={side}>
+                  <Typography variant="caption" color="text.secondary">{side} · {describeTimeRange(range)}</Typography>
+                  <Typography variant="body2" noWrap title={sideQuery} sx={{ fontFamily: 'fontFamilyMonospace' }}>
+                    {sideQuery}
+                  </Typography>
+                  <Typography variant="h5">{total.toLocaleString()}</Typography>
+                </Box>
+              ))}
+              <Box sx={{ pb: 0.5 }}>
+                <Delta {...countDelta(sides.a.total, sides.b.total)} />
+              </Box>
+            </Box>
+          </Section>
+
+          <Section title="Levels">
+            {levels.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">No levels on either side.</Typography>
+            ) : (
+              <Box role="table" sx={{ display: 'grid', gridTemplateColumns: '100px 1fr 1fr 1fr', rowGap: 0.5, columnGap: 2 }}>
+                {['Level', 'A', 'B', 'Change'].map(label => (
+                  <Typography key={label} role="columnheader" variant="caption" color="text.secondary" sx={{ textTransform: 'uppercase' }}>
+                    {label}
+                  </Typography>
+                ))}
+                {levels.map(row => (
+                  <React.Fragment key={row.level}>
+                    <Typography variant="body2" sx={{ color: theme => getLevelColor(row.level, theme), fontWeight: 'bold' }}>
+                      {row.level}
+                    </Typography>
+                    <Typography variant="body2">{row.a.toLocaleString()}</Typography>
+                    <Typography variant="body2">{row.b.toLocaleString()}</Typography>
+                    <Delta {...row} />
+                  </React.Fragment>
+                ))}
+              </Box>
+            )}
+          </Section>
+
+          <Section title="Field values on one side only">
+            {facets.every(facet => facet.onlyA.length === 0 && facet.onlyB.length === 0) ? (
+              <Typography variant="body2" color="text.secondary">Both sides have the same values.</Typography>
+            ) : facets.filter(facet => facet.onlyA.length > 0 || facet.onlyB.length > 0).map(facet => (
+              <Box key={facet.name} sx={{ mb: 1.5 }}>
+                <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+                  {fieldLabel(facet)}
+                  <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                    {facet.shared} on both sides
+                  </Typography>
+                </Typography>
+                {facet.onlyB.length > 0 && <OneSided label="Only in B" facet={facet} values={facet.onlyB} color="success" />}
+                {facet.onlyA.length > 0 && <OneSided label="Only in A" facet={facet} values={facet.onlyA} color="error" />}
+              </Box>
+            ))}
+          </Section>
+
+          <Section title="Patterns">
+            <PatternList title="New in B" patterns={patterns.added} color="success" />
+            <PatternList title="Gone from B" patterns={patterns.removed} color="error" />
+          </Section>
+        </>
+      )}
+
+      <Snackbar
+        open={linkCopied}
+        autoHideDuration={2000}
+        onClose={() => setLinkCopied(false)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert onClose={() => setLinkCopied(false)} severity="success" sx={{ width: '100%' }}>
+          Link to this comparison copied
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default CompareView;
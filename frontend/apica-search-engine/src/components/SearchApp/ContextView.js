@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Button,
+  CircularProgress,
+  Typography,
+  Alert
+} from '@mui/material';
+import { fetchContext, handleApiRequest } from '../../services/api';
+import { parseLogContent, getLevelColor } from './ResultItem';
+
+// Lines loaded initially and per "load more" click, in each direction
+const CONTEXT_STEP = 50;
+// Most lines the server returns in each direction
+const MAX_CONTEXT_LINES = 1000;
+
+// Format a nanosecond timestamp like the result rows do
+const formatTimestamp = (timestamp) => {
+  if (!timestamp) return 'Unknown date';
+  const date = new Date(Math.floor(timestamp / 1e6));
+  return date.toISOString().replace('T', ' ').substr(0, 23);
+};
+
+const ContextLine = ({ doc, isAnchor, anchorRef }) => {
+  const logContent = parseLogContent(doc);
+  return (
+    <Box
+      ref={isAnchor ? anchorRef : null}
+      sx={{
+        display: 'flex',
+        gap: 1,
+        px: 1,
+        py: 0.25,
+        fontFamily: 'fontFamilyMonospace',
+        fontSize: '0.75rem',
+        bgcolor: isAnchor ? 'logs.anchor' : 'transparent',
+        borderLeft: 3,
+        borderColor: isAnchor ? 'warning.main' : 'transparent'
+      }}
+    >
+      <Box component="span" sx={{ color: 'text.secondary', whiteSpace: 'nowrap' }}>
+        {formatTimestamp(doc.Timestamp)}
+      </Box>
+      <Box component="span" sx={{ width: 44, flexShrink: 0, fontWeight: 'bold', color: theme => getLevelColor(logContent.level, theme) }}>
+        {logContent.level || ''}
+      </Box>
+      <Box component="span" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+        {logContent.message}
+      </Box>
+    </Box>
+  );
+};
+
+// Lines logged by the same pod/container before and after a result
+const ContextView = ({ result }) => {
+  const [counts, setCounts] = useState({ before: CONTEXT_STEP, after: CONTEXT_STEP });
+  const [context, setContext] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const anchorRef = useRef(null);
+  const scrolledRef = useRef(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    handleApiRequest(fetchContext(result.ID, counts)).then(([data, error]) => {
+      if (cancelled) return;
+      setLoading(false);
+      if (error) {
+        setError('Failed to load surrounding lines.');
+        return;
+      }
+      setContext(data);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [result.ID, counts]);
+
+  // Center the hit the first time the context shows
+  useEffect(() => {
+    if (context && !scrolledRef.current && anchorRef.current && anchorRef.current.scrollIntoView) {
+      anchorRef.current.scrollIntoView({ block: 'center' });
+      scrolledRef.current = true;
+    }
+  }, [context]);
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (!context) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  const source = Object.entries(context.source || {})
+    .map(([field, value]) => `${field}: ${value}`)
+    .join(', ');
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>
+        Surrounding lines {source ? `from ${source}` : ''}
+      </Typography>
+
+      {context.hasMoreBefore && counts.before < MAX_CONTEXT_LINES && (
+        <Button
+          size="small"
+          disabled={loading}
+          onClick={() => setCounts({ ...counts, before: counts.before + CONTEXT_STEP })}
+        >
+          Load {CONTEXT_STEP} earlier
+        </Button>
+      )}
+
+      <Box sx={{ maxHeight: 400, overflowY: 'auto', border: 1, borderColor: 'divider', borderRadius: 1, my: 1 }}>
+        {context.before.map(doc => (
+          <ContextLine key={doc.ID} doc={doc} />
+        ))}
+        <ContextLine doc={context.anchor} isAnchor anchorRef={anchorRef} />
+        {context.after.map(doc => (
+          <ContextLine key={doc.ID} doc={doc} />
+        ))}
+      </Box>
+
+      {context.hasMoreAfter && counts.after < MAX_CONTEXT_LINES && (
+        <Button
+          size="small"
+          disabled={loading}
+          onClick={() => setCounts({ ...counts, after: counts.after + CONTEXT_STEP })}
+        >
+          Load {CONTEXT_STEP} later
+        </Button>
+      )}
+      {loading && <CircularProgress size={16} sx={{ ml: 1 }} />}
+    </Box>
+  );
+};
+
+export default ContextView;
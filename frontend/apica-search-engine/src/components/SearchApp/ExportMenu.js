@@ -0,0 +1,257 @@
+import React, { useState, useRef, useImperativeHandle } from 'react';
+import {
+  Box,
+  Button,
+  Menu,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  LinearProgress,
+  Typography,
+  Alert
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import { exportResults, exportUrl } from '../../services/api';
+import { schemaFields, fieldLabel } from '../../services/schema';
+
+// Columns the export endpoint can write to CSV with the default schema, in
+// file order
+export const EXPORT_COLUMNS = [
+  { key: 'timestamp', label: 'Timestamp' },
+  { key: 'id', label: 'ID' },
+  { key: 'level', label: 'Level' },
+  { key: 'namespace', label: 'Namespace' },
+  { key: 'pod', label: 'Pod' },
+  { key: 'container', label: 'Container' },
+  { key: 'host', label: 'Host' },
+  { key: 'label', label: 'Labels' },
+  { key: 'sender', label: 'Sender' },
+  { key: 'tag', label: 'Tag' },
+  { key: 'event', label: 'Event' },
+  { key: 'message', label: 'Message' },
+];
+
+const DEFAULT_COLUMNS = ['timestamp', 'level', 'namespace', 'pod', 'message'];
+
+// CSV columns for the fields of a schema, in file order
+const exportColumns = (schema) => {
+  if (!schema) return EXPORT_COLUMNS;
+  const fields = schemaFields(schema)
+    .filter(field => !['timestamp', 'id', 'message'].includes(field.name))
+    .map(field => ({ key: field.name, label: fieldLabel(field) }));
+  return [EXPORT_COLUMNS[0], EXPORT_COLUMNS[1], ...fields, EXPORT_COLUMNS[EXPORT_COLUMNS.length - 1]];
+};
+
+const FORMAT_TYPES = {
+  csv: { description: 'CSV', accept: { 'text/csv': ['.csv'] } },
+  ndjson: { description: 'NDJSON', accept: { 'application/x-ndjson': ['.ndjson'] } },
+  parquet: { description: 'Parquet', accept: { 'application/vnd.apache.parquet': ['.parquet'] } },
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Open a URL as a download through a link
+const downloadLink = (url, filename) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+// Hand a Blob built in the page to the browser as a file. The object URL
+// outlives the click, as revoking it at once can cancel the download.
+export const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  downloadLink(url, filename);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Ask where to save the file when the browser supports writing to disk as
+// the download streams in; returns null when it doesn't
+const pickSaveFile = async (format) => {
+  if (!window.showSaveFilePicker) return null;
+  const handle = await window.showSaveFilePicker({
+    suggestedName: `logs.${format}`,
+    types: [FORMAT_TYPES[format]],
+  });
+  return handle.createWritable();
+};
+
+// Export menu for the results toolbar. Exports cover every match of the
+// current search, not just the loaded pages. ref exposes open(format) for
+// the command palette.
+const ExportMenu = ({ query, sort, timeBounds = {}, schema, ref }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [columnsOpen, setColumnsOpen] = useState(false);
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS);
+  const [progress, setProgress] = useState(null); // { format, rows, total, bytes } while exporting
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  const startExport = async (format, selectedColumns = []) => {
+    setAnchorEl(null);
+    setColumnsOpen(false);
+    setError(null);
+
+    const options = { format, columns: selectedColumns, sort, ...timeBounds };
+    let sink = null;
+    try {
+      sink = await pickSaveFile(format);
+    } catch (e) {
+      // The user closed the save dialog
+      return;
+    }
+    // Without a file to write to, the browser downloads the server's stream
+    // itself, so large exports are never assembled in memory. It shows the
+    // progress in its downloads.
+    if (!sink) {
+      downloadLink(exportUrl(query, options), `logs.${format}`);
+      return;
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setProgress({ format, rows: 0, total: 0, bytes: 0 });
+
+    try {
+      await exportResults(query, {
+        ...options,
+        signal: controller.signal,
+        sink,
+        onProgress: (update) => setProgress({ format, ...update }),
+      });
+      setProgress(null);
+    } catch (e) {
+      setProgress(null);
+      if (e.name !== 'AbortError') {
+        setError(`Export failed: ${e.message}`);
+      }
+    } finally {
+      controllerRef.current = null;
+    }
+  };
+
+  const handleCancel = () => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+    }
+  };
+
+  const availableColumns = exportColumns(schema);
+  // Columns picked under another schema are dropped
+  const pickedColumns = columns.filter(key => availableColumns.some(column => column.key === key));
+
+  // CSV asks for the columns first, like the menu does
+  useImperativeHandle(ref, () => ({
+    open: (format) => {
+      if (!query || progress) return;
+      if (format === 'csv') {
+        setColumnsOpen(true);
+      } else {
+        startExport(format);
+      }
+    },
+  }));
+
+  const toggleColumn = (key) => {
+    setColumns(prev => (prev.includes(key) ? prev.filter(c => c !== key) : [...prev, key]));
+  };
+
+  const percent = progress && progress.rows !== null && progress.total > 0
+    ? (progress.rows / progress.total) * 100
+    : null;
+
+  return (
+    <>
+      <Button
+        size="small"
+        startIcon={<DownloadIcon fontSize="small" />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={!query || !!progress}
+      >
+        Export
+      </Button>
+      <Menu anchorEl={anchorEl} open={!!anchorEl} onClose={() => setAnchorEl(null)}>
+        <MenuItem onClick={() => { setAnchorEl(null); setColumnsOpen(true); }}>CSV…</MenuItem>
+        <MenuItem onClick={() => startExport('ndjson')}>NDJSON (raw documents)</MenuItem>
+        <MenuItem onClick={() => startExport('parquet')}>Parquet</MenuItem>
+      </Menu>
+
+      <Dialog open={columnsOpen} onClose={() => setColumnsOpen(false)}>
+        <DialogTitle>Export CSV</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Columns to include
+          </Typography>
+          <FormGroup>
+            {availableColumns.map(column => (
+              <FormControlLabel
+                key={column.key}
+                control={
+                  <Checkbox
+                    size="small"
+                    checked={columns.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                  />
+                }
+                label={column.label}
+              />
+            ))}
+          </FormGroup>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setColumnsOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            disabled={pickedColumns.length === 0}
+            onClick={() => startExport('csv', pickedColumns)}
+          >
+            Export
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!progress || !!error} fullWidth maxWidth="xs">
+        <DialogTitle>Exporting results</DialogTitle>
+        <DialogContent>
+          {error ? (
+            <Alert severity="error">{error}</Alert>
+          ) : progress && (
+            <Box>
+              <LinearProgress
+                variant={percent !== null ? 'determinate' : 'indeterminate'}
+                value={percent !== null ? percent : undefined}
+              />
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                {progress.rows !== null && progress.total > 0
+                  ? `${progress.rows.toLocaleString()} of ${progress.total.toLocaleString()} rows · `
+                  : ''}
+                {formatBytes(progress.bytes)}
+              </Typography>
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {error ? (
+            <Button onClick={() => setError(null)}>Close</Button>
+          ) : (
+            <Button onClick={handleCancel}>Cancel</Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default ExportMenu;
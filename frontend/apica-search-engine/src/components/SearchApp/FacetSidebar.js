@@ -0,0 +1,96 @@
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  IconButton,
+  Tooltip,
+  LinearProgress,
+  Divider
+} from '@mui/material';
+import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
+import RemoveCircleOutlineIcon from '@mui/icons-material/RemoveCircleOutline';
+import { getLevelColor } from './ResultItem';
+import { fieldLabel } from '../../services/schema';
+
+// Values of fields read from JSON objects (e.g. label.app) are shown with
+// their key, other facets show the value alone
+export const valueLabel = (facet, item) =>
+  item.field !== facet.name ? `${item.field.slice(facet.name.length + 1)}: ${item.value}` : item.value;
+
+// Sidebar showing the top values of each facet across the whole result set.
+// Each value can be added to the query as an include or exclude filter.
+// Values of the levelField facet are colored by level.
+const FacetSidebar = ({ facets, levelField, totalResults, onFilter }) => {
+  if (!facets || facets.length === 0) {
+    return null;
+  }
+
+  const visibleFacets = facets.filter(facet => facet.values.length > 0);
+
+  return (
+    <Paper sx={{ p: 2, border: 1, borderColor: 'divider', boxShadow: 'none', textAlign: 'left' }}>
+      <Typography variant="subtitle1" sx={{ mb: 1 }}>
+        Fields
+      </Typography>
+      {visibleFacets.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          No field values in these results.
+        </Typography>
+      )}
+      {visibleFacets.map((facet, index) => (
+        <Box key={facet.name} sx={{ mb: 2 }}>
+          {index > 0 && <Divider sx={{ mb: 1.5 }} />}
+          <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+            {fieldLabel(facet)}
+          </Typography>
+          {facet.values.map(item => (
+            <Box key={`${item.field}:${item.value}`} sx={{ mb: 0.5 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                <Typography
+                  variant="body2"
+                  title={valueLabel(facet, item)}
+                  sx={{
+                    flex: 1,
+                    fontSize: '0.8rem',
+                    whiteSpace: 'nowrap',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    color: theme => (facet.name === levelField ? getLevelColor(item.value, theme) : 'inherit')
+                  }}
+                >
+                  {valueLabel(facet, item)}
+                </Typography>
+                <Typography variant="caption" sx={{ color: 'text.secondary', mx: 0.5 }}>
+                  {item.count}
+                </Typography>
+                <Tooltip title="Filter for value">
+                  <IconButton size="small" sx={{ p: 0.25 }} onClick={() => onFilter(item.field, item.value, false)}>
+                    <AddCircleOutlineIcon sx={{ fontSize: 16 }} />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Filter out value">
+                  <IconButton size="small" sx={{ p: 0.25 }} onClick={() => onFilter(item.field, item.value, true)}>
+                    <RemoveCircleOutlineIcon sx={{ fontSize: 16 }} />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+              <LinearProgress
+                variant="determinate"
+                value={totalResults ? (item.count / totalResults) * 100 : 0}
+                sx={{ height: 3, borderRadius: 1 }}
+              />
+            </Box>
+          ))}
+          {facet.other > 0 && (
+            <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+              +{facet.other} in other values
+            </Typography>
+          )}
+        </Box>
+      ))}
+    </Paper>
+  );
+};
+
+export default FacetSidebar;
@@ -0,0 +1,31 @@
+import React, { useMemo } from 'react';
+import { Box } from '@mui/material';
+import { buildHighlightPattern, splitHighlights } from '../../services/highlight';
+
+// Renders text with the matched query terms marked
+const HighlightedText = ({ text, terms }) => {
+  const segments = useMemo(
+    () => splitHighlights(text, buildHighlightPattern(terms)),
+    [text, terms]
+  );
+
+  return (
+    <>
+      {segments.map((segment, index) => (
+        segment.match ? (
+          <Box
+            component="mark"
+            key={index}
+            sx={{ bgcolor: 'logs.highlight', color: 'inherit', borderRadius: '2px', px: '1px' }}
+          >
+            {segment.text}
+          </Box>
+        ) : (
+          <React.Fragment key={index}>{segment.text}</React.Fragment>
+        )
+      ))}
+    </>
+  );
+};
+
+export default HighlightedText;
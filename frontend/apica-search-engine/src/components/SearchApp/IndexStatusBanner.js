@@ -0,0 +1,77 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Alert, LinearProgress, Typography } from '@mui/material';
+import { fetchIndexStatus, handleApiRequest } from '../../services/api';
+
+// How often the status is checked while the index warms up
+const POLL_INTERVAL_MS = 2000;
+
+const WARMING_UP = ['loading', 'indexing'];
+
+const describeProgress = (status) => {
+  if (status.state === 'loading') {
+    return 'Restoring the search index from its snapshot…';
+  }
+  const files = status.filesTotal > 0
+    ? `${status.filesDone} of ${status.filesTotal} files indexed`
+    : 'Checking for new files';
+  return `${files} · ${status.documents.toLocaleString()} documents so far`;
+};
+
+// Shown while the server is still building its index, since searches only
+// cover what has been indexed so far. onReady is called once it finishes.
+const IndexStatusBanner = ({ onReady }) => {
+  const [status, setStatus] = useState(null);
+  const onReadyRef = useRef(onReady);
+  onReadyRef.current = onReady;
+
+  useEffect(() => {
+    let timer = null;
+    let cancelled = false;
+    let wasWarmingUp = false;
+
+    const poll = async () => {
+      const [data, error] = await handleApiRequest(fetchIndexStatus());
+      // Without a status there's nothing to report; the searches show the error
+      if (cancelled || error) return;
+      setStatus(data);
+      if (WARMING_UP.includes(data.state)) {
+        wasWarmingUp = true;
+        timer = setTimeout(poll, POLL_INTERVAL_MS);
+      } else if (wasWarmingUp && data.state === 'ready' && onReadyRef.current) {
+        onReadyRef.current();
+      }
+    };
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, []);
+
+  if (!status || status.state === 'ready') return null;
+
+  if (status.state === 'error') {
+    return (
+      <Alert severity="warning" sx={{ mb: 2, textAlign: 'left' }}>
+        Indexing failed, results may be incomplete: {status.error}
+      </Alert>
+    );
+  }
+
+  const percent = status.filesTotal > 0 ? (status.filesDone / status.filesTotal) * 100 : null;
+  return (
+    <Alert severity="info" sx={{ mb: 2, textAlign: 'left', '& .MuiAlert-message': { flex: 1 } }}>
+      <Typography variant="body2">
+        The search index is warming up, results may be incomplete. {describeProgress(status)}
+      </Typography>
+      <LinearProgress
+        variant={percent !== null ? 'determinate' : 'indeterminate'}
+        value={percent !== null ? percent : undefined}
+        sx={{ mt: 1 }}
+      />
+    </Alert>
+  );
+};
+
+export default IndexStatusBanner;
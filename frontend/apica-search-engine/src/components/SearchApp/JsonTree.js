@@ -0,0 +1,130 @@
+import React, { useState, useRef } from 'react';
+import {
+  Alert,
+  Box,
+  Divider,
+  ListSubheader,
+  Menu,
+  MenuItem,
+  Typography
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import ReactJson from 'react-json-view';
+import HighlightedText from './HighlightedText';
+import { jsonPathField } from '../../services/jsonPath';
+
+// Parse a JSON column; only objects and arrays are shown as a tree
+const parseJson = (text) => {
+  try {
+    const value = JSON.parse(text);
+    return value !== null && typeof value === 'object' ? value : undefined;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+// One of a document's JSON columns as a collapsible tree. Clicking a leaf
+// offers to filter for or against its value, or to show it as a column, by
+// its path field (e.g. raw.kubernetes.pod_name). Text that isn't JSON is
+// shown as it is.
+const JsonTree = ({ label, prefix, text, highlights, onFilter, onAddColumn }) => {
+  const theme = useTheme();
+  const [selected, setSelected] = useState(null);
+  const clickRef = useRef(null);
+
+  const src = parseJson(text);
+
+  const handleSelect = ({ namespace, name, value }) => {
+    const field = jsonPathField(prefix, [...namespace, name]);
+    const position = clickRef.current;
+    if (!position || (!onFilter && !onAddColumn)) return;
+    setSelected({ field, value, position });
+  };
+
+  const handleFilter = (exclude) => {
+    onFilter(selected.field, String(selected.value), exclude);
+    setSelected(null);
+  };
+
+  const handleAddColumn = () => {
+    onAddColumn(selected.field);
+    setSelected(null);
+  };
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle2" gutterBottom>{label}</Typography>
+      {src === undefined ? (
+        <>
+          <Alert severity="warning" sx={{ mb: 1, py: 0 }}>
+            {label} isn't valid JSON, shown as text
+          </Alert>
+          <Box sx={{ fontFamily: 'fontFamilyMonospace', whiteSpace: 'pre-wrap', fontSize: '0.75rem', overflowX: 'auto' }}>
+            <HighlightedText text={text} terms={highlights} />
+          </Box>
+        </>
+      ) : (
+        // Menus open where the leaf was clicked; react-json-view doesn't pass the event
+        <Box
+          sx={{ overflowX: 'auto', '& .variable-value': { cursor: 'pointer' } }}
+          onClickCapture={(e) => { clickRef.current = { top: e.clientY, left: e.clientX }; }}
+        >
+          <ReactJson
+            src={src}
+            name={false}
+            theme={theme.palette.mode === 'dark' ? 'monokai' : 'rjv-default'}
+            collapsed={2}
+            collapseStringsAfterLength={200}
+            displayDataTypes={false}
+            enableClipboard={false}
+            onSelect={handleSelect}
+            style={{
+              backgroundColor: 'transparent',
+              fontFamily: theme.typography.fontFamilyMonospace,
+              fontSize: '0.75rem'
+            }}
+          />
+        </Box>
+      )}
+
+      <Menu
+        open={!!selected}
+        onClose={() => setSelected(null)}
+        anchorReference="anchorPosition"
+        anchorPosition={selected ? selected.position : undefined}
+      >
+        {selected && [
+          <ListSubheader key="field" sx={{ fontFamily: 'fontFamilyMonospace', lineHeight: '32px' }}>
+            {selected.field || "This key can't be queried"}
+          </ListSubheader>,
+          <Divider key="divider" />,
+          onFilter && (
+            <MenuItem
+              key="include"
+              disabled={!selected.field || selected.value === null}
+              onClick={() => handleFilter(false)}
+            >
+              Filter for value
+            </MenuItem>
+          ),
+          onFilter && (
+            <MenuItem
+              key="exclude"
+              disabled={!selected.field || selected.value === null}
+              onClick={() => handleFilter(true)}
+            >
+              Filter out value
+            </MenuItem>
+          ),
+          onAddColumn && (
+            <MenuItem key="column" disabled={!selected.field} onClick={handleAddColumn}>
+              Add as column
+            </MenuItem>
+          ),
+        ]}
+      </Menu>
+    </Box>
+  );
+};
+
+export default JsonTree;
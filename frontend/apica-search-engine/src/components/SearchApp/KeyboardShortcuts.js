@@ -0,0 +1,135 @@
+import React, { useEffect, useRef } from 'react';
+import {
+  Box,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableRow,
+  Typography
+} from '@mui/material';
+
+// Shortcuts listed by the ? overlay, grouped by where they apply
+export const SHORTCUTS = [
+  {
+    group: 'General',
+    items: [
+      { keys: ['/'], description: 'Focus the search bar' },
+      { keys: ['Esc'], description: 'Leave the search bar' },
+      { keys: ['Ctrl', 'K'], description: 'Open the command palette' },
+      { keys: ['?'], description: 'Show keyboard shortcuts' },
+    ],
+  },
+  {
+    group: 'Results',
+    items: [
+      { keys: ['j'], description: 'Next result' },
+      { keys: ['k'], description: 'Previous result' },
+      { keys: ['Enter'], description: 'Expand or collapse the result (also Space)' },
+      { keys: ['1', '–', '4'], description: 'Show the Details, Fields, Raw or Context tab' },
+      { keys: ['c'], description: 'Copy the log message' },
+      { keys: ['o'], description: 'Open the surrounding context' },
+    ],
+  },
+];
+
+// Name of the shortcut a key press triggers: the key itself, or mod+<key>
+// with Ctrl (Cmd on macOS). Other modifier combinations are left alone.
+const shortcutKey = (event) => {
+  if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+    return `mod+${event.key.toLowerCase()}`;
+  }
+  if (event.ctrlKey || event.metaKey || event.altKey) {
+    return null;
+  }
+  return event.key;
+};
+
+// Plain keys belong to text fields, open dialogs and menus, and Enter/Space
+// to the focused button
+const isForTarget = (event) => {
+  const target = event.target;
+  if (!target || !target.closest) return false;
+  if (target.isContentEditable || target.closest('input, textarea, select')) return true;
+  if (target.closest('[role="dialog"], [role="menu"], [role="listbox"]')) return true;
+  return (event.key === 'Enter' || event.key === ' ') && !!target.closest('button, a, [role="button"], [role="tab"]');
+};
+
+/**
+ * Run handlers on key presses anywhere in the page
+ * @param {Object} bindings - Handlers by key, e.g. { j: next, 'mod+k': openPalette }
+ * @param {boolean} enabled - Whether the shortcuts are active
+ */
+export const useShortcuts = (bindings, enabled = true) => {
+  // Handlers change on every render, the listener doesn't need to
+  const bindingsRef = useRef(bindings);
+  useEffect(() => {
+    bindingsRef.current = bindings;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented) return;
+      const key = shortcutKey(event);
+      const handler = key && bindingsRef.current[key];
+      if (!handler || (!key.startsWith('mod+') && isForTarget(event))) return;
+      event.preventDefault();
+      handler(event);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
+
+const Key = ({ children }) => (
+  <Box
+    component="kbd"
+    sx={{
+      display: 'inline-block',
+      minWidth: 22,
+      px: 0.75,
+      py: 0.25,
+      mr: 0.5,
+      border: 1,
+      borderColor: 'divider',
+      borderRadius: 1,
+      bgcolor: 'action.hover',
+      fontFamily: 'fontFamilyMonospace',
+      fontSize: '0.75rem',
+      textAlign: 'center'
+    }}
+  >
+    {children}
+  </Box>
+);
+
+// The ? overlay listing every shortcut
+const ShortcutsHelp = ({ open, onClose }) => (
+  <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+    <DialogTitle>Keyboard shortcuts</DialogTitle>
+    <DialogContent>
+      {SHORTCUTS.map(({ group, items }) => (
+        <Box key={group} sx={{ mb: 2 }}>
+          <Typography variant="subtitle2" gutterBottom>{group}</Typography>
+          <Table size="small">
+            <TableBody>
+              {items.map(item => (
+                <TableRow key={item.description}>
+                  <TableCell sx={{ width: 140, whiteSpace: 'nowrap' }}>
+                    {item.keys.map(key => (key === '–' ? ' – ' : <Key key={key}>{key}</Key>))}
+                  </TableCell>
+                  <TableCell>{item.description}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Box>
+      ))}
+    </DialogContent>
+  </Dialog>
+);
+
+export default ShortcutsHelp;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  FormControlLabel,
+  Switch,
+  Tooltip
+} from '@mui/material';
+import PauseIcon from '@mui/icons-material/Pause';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import { openTailStream } from '../../services/api';
+
+// Documents held back while paused; older ones are dropped beyond this
+export const MAX_PENDING_DOCUMENTS = 1000;
+
+const RATE_WINDOW_MS = 10000;
+
+// Newest first, matching the default result order
+const newestFirst = (docs) => [...docs].sort((a, b) => (b.Timestamp || 0) - (a.Timestamp || 0));
+
+/**
+ * Stream documents matching a query while enabled.
+ * @param {string} query - Search query to tail
+ * @param {boolean} enabled - Whether the stream is open
+ * @param {Function} onDocuments - Called with new documents, newest first
+ * @param {string} match - Match mode of free text terms, optional
+ * @returns {Object} - { paused, setPaused, pendingCount, rate, connected }
+ */
+export const useLiveTail = (query, enabled, onDocuments, match) => {
+  const [paused, setPaused] = useState(false);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [rate, setRate] = useState(0);
+  const [connected, setConnected] = useState(false);
+
+  const pausedRef = useRef(paused);
+  const pendingRef = useRef([]);
+  const arrivalsRef = useRef([]); // [time, count] pairs inside the rate window
+  const onDocumentsRef = useRef(onDocuments);
+  onDocumentsRef.current = onDocuments;
+
+  useEffect(() => {
+    if (!enabled || !query) return undefined;
+
+    const close = openTailStream(query, {
+      match,
+      onOpen: () => setConnected(true),
+      onError: () => setConnected(false),
+      onDocuments: (docs) => {
+        arrivalsRef.current.push([Date.now(), docs.length]);
+        if (pausedRef.current) {
+          pendingRef.current = [...docs, ...pendingRef.current].slice(0, MAX_PENDING_DOCUMENTS);
+          setPendingCount(pendingRef.current.length);
+        } else {
+          onDocumentsRef.current(newestFirst(docs));
+        }
+      },
+    });
+
+    // Lines per second over the rate window
+    const timer = setInterval(() => {
+      const cutoff = Date.now() - RATE_WINDOW_MS;
+      arrivalsRef.current = arrivalsRef.current.filter(([time]) => time >= cutoff);
+      const total = arrivalsRef.current.reduce((sum, [, count]) => sum + count, 0);
+      setRate(total / (RATE_WINDOW_MS / 1000));
+    }, 1000);
+
+    // Documents held for this query don't belong to the next one, which
+    // starts streaming unpaused
+    return () => {
+      close();
+      clearInterval(timer);
+      setConnected(false);
+      setRate(0);
+      arrivalsRef.current = [];
+      pendingRef.current = [];
+      setPendingCount(0);
+      pausedRef.current = false;
+      setPaused(false);
+    };
+  }, [query, enabled, match]);
+
+  const updatePaused = useCallback((value) => {
+    pausedRef.current = value;
+    setPaused(value);
+    // Resuming flushes whatever arrived while paused
+    if (!value && pendingRef.current.length > 0) {
+      onDocumentsRef.current(newestFirst(pendingRef.current));
+      pendingRef.current = [];
+      setPendingCount(0);
+    }
+  }, []);
+
+  return { paused, setPaused: updatePaused, pendingCount, rate, connected };
+};
+
+// Live toggle with pause/resume and a rate indicator
+const LiveTailControls = ({ enabled, onToggle, paused, onPauseChange, pendingCount, rate, connected, disabled }) => (
+  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+    <FormControlLabel
+      control={
+        <Switch
+          size="small"
+          checked={enabled}
+          onChange={(e) => onToggle(e.target.checked)}
+          disabled={disabled}
+        />
+      }
+      label="Live"
+      sx={{ mr: 0 }}
+    />
+    {enabled && (
+      <>
+        <Tooltip title={connected ? 'Streaming new matches' : 'Connecting…'}>
+          <Chip
+            size="small"
+            label={`${rate.toFixed(1)} lines/s`}
+            color={connected ? 'success' : 'default'}
+            variant="outlined"
+          />
+        </Tooltip>
+        <Button
+          size="small"
+          variant="outlined"
+          startIcon={paused ? <PlayArrowIcon /> : <PauseIcon />}
+          onClick={() => onPauseChange(!paused)}
+        >
+          {paused ? `Resume${pendingCount ? ` (${pendingCount} new)` : ''}` : 'Pause'}
+        </Button>
+      </>
+    )}
+  </Box>
+);
+
+export default LiveTailControls;
@@ -0,0 +1,68 @@
+import { renderHook, act } from '@testing-library/react';
+import { useLiveTail } from './LiveTail';
+import { openTailStream } from '../../services/api';
+
+jest.mock('../../services/api', () => ({
+  openTailStream: jest.fn(),
+}));
+
+// Streams opened by the hook, by query, with the handlers it passed
+let streams;
+beforeEach(() => {
+  streams = {};
+  openTailStream.mockImplementation((query, handlers) => {
+    streams[query] = handlers;
+    return jest.fn();
+  });
+});
+
+test.each([
+  ['the query changes', { query: 'payments', enabled: true }],
+  ['Live is switched off', { query: 'errors', enabled: false }],
+])('drops documents held while paused when %s', (_, props) => {
+  const received = [];
+  const onDocuments = (docs) => received.push(...docs.map(doc => doc.ID));
+  const { result, rerender } = renderHook(
+    ({ query, enabled }) => useLiveTail(query, enabled, onDocuments),
+    { initialProps: { query: 'errors', enabled: true } }
+  );
+
+  act(() => result.current.setPaused(true));
+  act(() => streams.errors.onDocuments([{ ID: 'old', Timestamp: 1 }]));
+  expect(result.current.pendingCount).toBe(1);
+
+  rerender(props);
+  expect(result.current.paused).toBe(false);
+  expect(result.current.pendingCount).toBe(0);
+
+  act(() => result.current.setPaused(false));
+  expect(received).toEqual([]);
+});
+
+test('a new query streams unpaused', () => {
+  const received = [];
+  const { result, rerender } = renderHook(
+    ({ query }) => useLiveTail(query, true, (docs) => received.push(...docs.map(doc => doc.ID))),
+    { initialProps: { query: 'errors' } }
+  );
+
+  act(() => result.current.setPaused(true));
+  rerender({ query: 'payments' });
+  act(() => streams.payments.onDocuments([{ ID: 'new', Timestamp: 2 }]));
+  expect(received).toEqual(['new']);
+});
+
+test('resuming flushes held documents newest first', () => {
+  const received = [];
+  const { result } = renderHook(() => useLiveTail('errors', true, (docs) => received.push(...docs.map(doc => doc.ID))));
+
+  act(() => result.current.setPaused(true));
+  act(() => streams.errors.onDocuments([{ ID: 'a', Timestamp: 1 }, { ID: 'b', Timestamp: 3 }]));
+  act(() => streams.errors.onDocuments([{ ID: 'c', Timestamp: 2 }]));
+  expect(received).toEqual([]);
+  expect(result.current.pendingCount).toBe(3);
+
+  act(() => result.current.setPaused(false));
+  expect(received).toEqual(['b', 'c', 'a']);
+  expect(result.current.pendingCount).toBe(0);
+});
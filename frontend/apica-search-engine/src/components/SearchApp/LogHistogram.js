@@ -0,0 +1,147 @@
+import React, { useState, useRef } from 'react';
+import {
+  Box,
+  Paper,
+  Typography
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { getLevelColor } from './ResultItem';
+
+// Stacking order, bottom to top
+const LEVELS = ['ERROR', 'WARN', 'INFO', 'DEBUG', 'TRACE', 'OTHER'];
+
+const CHART_WIDTH = 1000;
+const CHART_HEIGHT = 120;
+
+const formatBucketTime = (value) => new Date(value).toLocaleString();
+
+// Time-bucketed bar chart of match counts, stacked by log level.
+// Dragging across the chart selects a time range and calls onRangeSelect.
+const LogHistogram = ({ histogram, onRangeSelect }) => {
+  const theme = useTheme();
+  const svgRef = useRef(null);
+  const [brush, setBrush] = useState(null); // { start, end } as bucket indexes
+
+  if (!histogram || !histogram.buckets || histogram.buckets.length === 0) {
+    return null;
+  }
+
+  const { buckets } = histogram;
+  const maxTotal = Math.max(1, ...buckets.map(bucket => bucket.total));
+  const barWidth = CHART_WIDTH / buckets.length;
+
+  // Map a mouse position to the index of the bucket under it
+  const bucketAt = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const fraction = (event.clientX - rect.left) / rect.width;
+    return Math.min(buckets.length - 1, Math.max(0, Math.floor(fraction * buckets.length)));
+  };
+
+  const handleMouseDown = (event) => {
+    const index = bucketAt(event);
+    setBrush({ start: index, end: index });
+  };
+
+  const handleMouseMove = (event) => {
+    if (brush) {
+      setBrush({ ...brush, end: bucketAt(event) });
+    }
+  };
+
+  const handleMouseUp = () => {
+    if (!brush) return;
+    const first = Math.min(brush.start, brush.end);
+    const last = Math.max(brush.start, brush.end);
+    setBrush(null);
+    onRangeSelect({ from: buckets[first].start, to: buckets[last].end });
+  };
+
+  const presentLevels = LEVELS.filter(level => buckets.some(bucket => bucket.counts[level]));
+
+  return (
+    <Paper sx={{ mt: 2, p: 2, border: 1, borderColor: 'divider', boxShadow: 'none', textAlign: 'left' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="subtitle2">
+          Log volume
+          <Typography component="span" variant="caption" sx={{ color: 'text.secondary', ml: 1 }}>
+            drag to zoom in
+          </Typography>
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1.5 }}>
+          {presentLevels.map(level => (
+            <Box key={level} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+              <Box sx={{ width: 10, height: 10, borderRadius: '2px', bgcolor: getLevelColor(level, theme) }} />
+              <Typography variant="caption">{level}</Typography>
+            </Box>
+          ))}
+        </Box>
+      </Box>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        width="100%"
+        height={CHART_HEIGHT}
+        style={{ cursor: 'crosshair', userSelect: 'none', display: 'block' }}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={() => setBrush(null)}
+        role="img"
+        aria-label="Log volume histogram"
+      >
+        {buckets.map((bucket, i) => {
+          let y = CHART_HEIGHT;
+          return (
+            <g key={bucket.start}>
+              <title>
+                {`${formatBucketTime(bucket.start)}: ${bucket.total} ${bucket.total === 1 ? 'match' : 'matches'}`}
+              </title>
+              {/* Full-height hit area so empty buckets still show a tooltip */}
+              <rect x={i * barWidth} y={0} width={barWidth} height={CHART_HEIGHT} fill="transparent" />
+              {LEVELS.filter(level => bucket.counts[level]).map(level => {
+                const height = (bucket.counts[level] / maxTotal) * CHART_HEIGHT;
+                y -= height;
+                return (
+                  <rect
+                    key={level}
+                    x={i * barWidth + barWidth * 0.1}
+                    y={y}
+                    width={barWidth * 0.8}
+                    height={height}
+                    fill={getLevelColor(level === 'OTHER' ? '' : level, theme)}
+                  />
+                );
+              })}
+            </g>
+          );
+        })}
+        {brush && (
+          <rect
+            x={Math.min(brush.start, brush.end) * barWidth}
+            y={0}
+            width={(Math.abs(brush.end - brush.start) + 1) * barWidth}
+            height={CHART_HEIGHT}
+            fill={theme.palette.primary.main}
+            fillOpacity={0.15}
+          />
+        )}
+      </svg>
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 0.5 }}>
+        <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+          {formatBucketTime(buckets[0].start)}
+        </Typography>
+        <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+          max {maxTotal} per bucket
+        </Typography>
+        <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+          {formatBucketTime(buckets[buckets.length - 1].end)}
+        </Typography>
+      </Box>
+    </Paper>
+  );
+};
+
+export default LogHistogram;
@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Chip,
+  CircularProgress,
+  Typography,
+  Alert,
+  Tooltip
+} from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import { fetchPatterns, handleApiRequest } from '../../services/api';
+import { getLevelColor } from './ResultItem';
+
+// Placeholders the server puts in place of variable parts, e.g. <num>
+const PLACEHOLDER_PATTERN = /(<(?:uuid|timestamp|ip|duration|hex|num)>)/;
+
+const formatSeen = (value) => new Date(value).toISOString().replace('T', ' ').substr(0, 19);
+
+// Template text with its placeholders set apart from the literal parts
+export const PatternTemplate = ({ template }) => (
+  <Box component="span" sx={{ fontFamily: 'fontFamilyMonospace', fontSize: '0.8rem', wordBreak: 'break-word' }}>
+    {template.split(PLACEHOLDER_PATTERN).map((part, index) => (
+      index % 2 === 1 ? (
+        <Box
+          key={index}
+          component="span"
+          sx={{ color: 'logs.token', bgcolor: 'logs.tokenBackground', borderRadius: '3px', px: 0.25 }}
+        >
+          {part}
+        </Box>
+      ) : part
+    ))}
+  </Box>
+);
+
+// Results grouped into message templates, computed by the server over the
+// whole result set. Clicking a pattern shows the lines behind it.
+const PatternsView = ({ query, timeBounds, onSelect }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!query) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    handleApiRequest(fetchPatterns(query, timeBounds)).then(([patterns, error]) => {
+      if (cancelled) return;
+      setLoading(false);
+      if (error) {
+        setError('Failed to load patterns.');
+        return;
+      }
+      setData(patterns);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [query, timeBounds]);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>;
+  }
+
+  if (!data || data.patterns.length === 0) {
+    return (
+      <Box sx={{ textAlign: 'center', py: 4 }}>
+        <Typography variant="body1" color="text.secondary">
+          No patterns found.
+        </Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ mt: 2, textAlign: 'left' }}>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {data.totalPatterns.toLocaleString()} {data.totalPatterns === 1 ? 'pattern' : 'patterns'} in {data.totalResults.toLocaleString()} results
+        {data.totalPatterns > data.patterns.length ? ` · top ${data.patterns.length} shown` : ''}
+      </Typography>
+      <Box role="table" sx={{ border: 1, borderColor: 'divider', borderRadius: 1 }}>
+        <Box
+          role="row"
+          sx={{
+            display: 'flex',
+            gap: 2,
+            px: 1.5,
+            py: 0.75,
+            bgcolor: 'logs.header',
+            borderBottom: 1,
+            borderColor: 'divider',
+            fontSize: '0.75rem',
+            fontWeight: 'bold',
+            color: 'text.secondary',
+            textTransform: 'uppercase'
+          }}
+        >
+          <Box sx={{ width: 70, textAlign: 'right' }}>Count</Box>
+          <Box sx={{ width: 80 }}>Level</Box>
+          <Box sx={{ flex: 1 }}>Pattern</Box>
+          <Box sx={{ width: 150 }}>First seen</Box>
+          <Box sx={{ width: 150 }}>Last seen</Box>
+        </Box>
+        {data.patterns.map((pattern, index) => (
+          <Tooltip key={pattern.id} title={pattern.sample} placement="bottom-start" enterDelay={500}>
+            <Box
+              role="row"
+              onClick={() => onSelect(pattern)}
+              sx={{
+                display: 'flex',
+                gap: 2,
+                alignItems: 'center',
+                px: 1.5,
+                py: 0.75,
+                cursor: 'pointer',
+                bgcolor: index % 2 !== 0 ? 'logs.rowOdd' : 'logs.rowEven',
+                borderBottom: 1,
+                borderColor: 'divider',
+                '&:hover': { bgcolor: 'logs.rowHover' }
+              }}
+            >
+              <Typography variant="body2" sx={{ width: 70, textAlign: 'right', fontWeight: 'bold' }}>
+                {pattern.count.toLocaleString()}
+              </Typography>
+              <Box sx={{ width: 80 }}>
+                {pattern.level && (
+                  <Chip
+                    label={pattern.level}
+                    size="small"
+                    sx={{
+                      bgcolor: theme => alpha(getLevelColor(pattern.level, theme), 0.12),
+                      color: theme => getLevelColor(pattern.level, theme),
+                      fontWeight: 'bold',
+                      fontSize: '0.7rem'
+                    }}
+                  />
+                )}
+              </Box>
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                <PatternTemplate template={pattern.template} />
+              </Box>
+              <Typography variant="caption" sx={{ width: 150, color: 'text.secondary', fontFamily: 'fontFamilyMonospace' }}>
+                {formatSeen(pattern.firstSeen)}
+              </Typography>
+              <Typography variant="caption" sx={{ width: 150, color: 'text.secondary', fontFamily: 'fontFamilyMonospace' }}>
+                {formatSeen(pattern.lastSeen)}
+              </Typography>
+            </Box>
+          </Tooltip>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default PatternsView;
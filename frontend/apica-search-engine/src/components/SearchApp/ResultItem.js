@@ -1,14 +1,7 @@
 import React, { useState } from 'react';
 import { 
   Box, 
-  Table,
-  TableBody,
-  TableCell,
-  TableContainer,
-  TableRow,
-  Paper,
   Typography,
-  Collapse,
   IconButton,
   Chip,
   Grid,
@@ -19,9 +12,17 @@ import {
   Snackbar,
   Alert
 } from '@mui/material';
+import { alpha } from '@mui/material/styles';
 import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
 import KeyboardArrowRightIcon from '@mui/icons-material/KeyboardArrowRight';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import LinkIcon from '@mui/icons-material/Link';
+import ContextView from './ContextView';
+import HighlightedText from './HighlightedText';
+import JsonTree from './JsonTree';
+import { schemaFields, fieldLabel, getFieldValue, formatFieldValue } from '../../services/schema';
+import { isJsonPathField, formatJsonPathValue, JSON_COLUMNS } from '../../services/jsonPath';
+import { LEVEL_COLORS } from '../../theme';
 
 // Extract timestamp helper function - can be used for sorting
 export const extractTimestamp = (result) => {
@@ -55,46 +56,98 @@ export const extractTimestamp = (result) => {
   }
 };
 
-// Get kubernetes metadata from result
-const extractKubernetesInfo = (result) => {
-  try {
-    if (result.MessageRaw) {
-      const parsedData = JSON.parse(result.MessageRaw);
-      return parsedData.kubernetes || {};
-    }
-    return {};
-  } catch (e) {
-    return {};
+// Get color for log level from the theme, e.g. in sx: color: theme => getLevelColor(level, theme)
+export const getLevelColor = (level, theme) => {
+  const colors = (theme && theme.palette.level) || LEVEL_COLORS.light;
+  return colors[level] || colors.default;
+};
+
+// Get the log level and the message without the timestamp and level that
+// lines like "[2024-01-01T00:00:00] INFO text" start with
+export const parseLogContent = (result) => {
+  const level = formatFieldValue(getFieldValue(result, 'level'));
+  const message = result.Message || '';
+  const logMatch = message.match(/^\[[^\]]*\] ([A-Z]+) ([\s\S]*)$/);
+  if (logMatch && (!level || logMatch[1] === level)) {
+    return { level: logMatch[1], message: logMatch[2] };
   }
+  return { level, message };
 };
 
-// Parse the log content to get the actual log message without timestamps
-const parseLogContent = (result) => {
+// Format a document's timestamp (nanoseconds) in UTC
+const formatTimestamp = (nanos) => {
+  if (!nanos) return 'Unknown date';
+  return new Date(nanos / 1e6).toISOString().replace('T', ' ').substr(0, 19);
+};
+
+// Pretty-print MessageRaw when it holds JSON, otherwise the whole document
+const formatRaw = (result) => {
   try {
-    if (result.MessageRaw) {
-      const parsedData = JSON.parse(result.MessageRaw);
-      const logMatch = parsedData.log.match(/\] ([A-Z]+) (.+)/);
-      if (logMatch && logMatch.length >= 3) {
-        return {
-          level: logMatch[1],
-          message: logMatch[2]
-        };
-      }
-      return { message: parsedData.log };
-    }
-    return { message: result.Message };
+    return JSON.stringify(JSON.parse(result.MessageRaw), null, 2);
   } catch (e) {
-    return { message: result.Message };
+    return JSON.stringify(result, null, 2);
   }
 };
 
-const ResultItem = ({ result, isOdd }) => {
-  const [expanded, setExpanded] = useState(false);
-  const [tabValue, setTabValue] = useState(0);
+// Fields shown in the Fields tab: those of the schema, or whatever the
+// document has while the schema isn't loaded
+const documentFields = (result, schema) => {
+  if (schema) return schemaFields(schema);
+  const names = Object.keys({ ...(result.Attributes || {}), ...(result.Fields || {}) });
+  return names.sort().map(name => ({ name }));
+};
+
+// Width of the expand toggle and of the trailing copy buttons, in pixels
+export const TOGGLE_WIDTH = 40;
+export const ACTIONS_WIDTH = 80;
+
+// Size a table cell from its column layout; the message column takes up
+// whatever room is left
+export const getCellSx = (column) => (
+  column.key === 'message'
+    ? { flex: 1, minWidth: column.width }
+    : { width: column.width, flexShrink: 0 }
+);
+
+// Detail tabs in order; the 1-4 shortcuts select them by index
+export const DETAIL_TABS = ['Details', 'Fields', 'Raw', 'Context'];
+
+// One row of the results table, with its detail tabs below when expanded.
+// The list keeps the selected tab when it passes onTabChange, so keyboard
+// shortcuts can switch it; active marks the row the shortcuts act on.
+// onFilter and onAddColumn receive the path fields picked in the Raw tab.
+const ResultItem = ({
+  result,
+  isOdd,
+  columns,
+  expanded = false,
+  onToggle,
+  link,
+  highlights,
+  score,
+  schema,
+  active = false,
+  tab = 0,
+  onTabChange,
+  onFilter,
+  onAddColumn
+}) => {
+  const [localTab, setLocalTab] = useState(0);
+  const tabValue = onTabChange ? tab : localTab;
   const [copySnackbar, setCopySnackbar] = useState(false);
 
+  const handleToggleExpanded = () => {
+    if (onToggle) {
+      onToggle(result.ID);
+    }
+  };
+
   const handleTabChange = (event, newValue) => {
-    setTabValue(newValue);
+    if (onTabChange) {
+      onTabChange(result.ID, newValue);
+    } else {
+      setLocalTab(newValue);
+    }
   };
 
   const handleCopy = (text, event) => {
@@ -108,234 +161,227 @@ const ResultItem = ({ result, isOdd }) => {
     setCopySnackbar(false);
   };
 
-  const k8sInfo = extractKubernetesInfo(result);
-  
   const logContent = parseLogContent(result);
-  
-  const displayTimestamp = () => {
-    try {
-      const isoMatch = result.Message.match(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d+\+\d{2}:\d{2}/);
-      if (isoMatch) {
-        const date = new Date(isoMatch[0]);
-        return date.toISOString().replace('T', ' ').substr(0, 19);
-      }
-      return 'Unknown date';
-    } catch (e) {
-      return 'Unknown date';
-    }
-  };
-
-  // Get log level (INFO, DEBUG, etc.)
-  const getLogLevel = () => {
-    try {
-      const levelMatch = result.Message.match(/\] ([A-Z]+) /);
-      return levelMatch && levelMatch[1] ? levelMatch[1] : '';
-    } catch (e) {
-      return '';
-    }
-  };
+  const logLevel = logContent.level;
+  // JSON columns the document has, each shown as a tree in the Raw tab
+  const rawColumns = Object.entries(JSON_COLUMNS).filter(([, column]) => result[column.key]);
 
-  // Get color for log level
-  const getLevelColor = (level) => {
-    switch (level) {
-      case 'ERROR': return '#f44336';
-      case 'WARN': return '#ff9800';
-      case 'INFO': return '#2196f3';
-      case 'DEBUG': return '#4caf50';
-      case 'TRACE': return '#9e9e9e';
-      default: return '#757575';
+  const renderCell = (key) => {
+    switch (key) {
+      case 'timestamp':
+        return formatTimestamp(result.Timestamp);
+      case 'level':
+        return logLevel ? (
+          <Chip 
+            label={logLevel} 
+            size="small" 
+            sx={{ 
+              bgcolor: theme => alpha(getLevelColor(logLevel, theme), 0.12),
+              color: theme => getLevelColor(logLevel, theme),
+              fontWeight: 'bold',
+              fontSize: '0.7rem'
+            }} 
+          />
+        ) : null;
+      case 'message':
+        return <HighlightedText text={logContent.message} terms={highlights} />;
+      case 'score':
+        return score !== undefined ? score.toFixed(2) : '';
+      default:
+        if (isJsonPathField(key)) {
+          return formatJsonPathValue(result, key);
+        }
+        return formatFieldValue(getFieldValue(result, key));
     }
   };
 
-  const logLevel = getLogLevel();
-
   return (
     <>
-      <TableContainer component={Paper} sx={{ 
-        mb: 1, 
-        border: '1px solid #e0e0e0', 
-        boxShadow: 'none',
-        bgcolor: isOdd ? '#f9f9f9' : '#ffffff'
-      }}>
-        <Table size="small">
-          <TableBody>
-            <TableRow 
-              hover 
-              onClick={() => setExpanded(!expanded)}
-              sx={{ 
-                cursor: 'pointer',
-                '&:hover': { bgcolor: isOdd ? '#f0f0f0' : '#f5f5f5' },
-                borderBottom: expanded ? '1px solid #e0e0e0' : 'none'
-              }}
+      <Box
+        role="row"
+        aria-expanded={expanded}
+        aria-selected={active}
+        onClick={handleToggleExpanded}
+        sx={{ 
+          display: 'flex',
+          alignItems: 'center',
+          minHeight: theme => theme.density.rowHeight,
+          cursor: 'pointer',
+          bgcolor: active ? 'action.selected' : (isOdd ? 'logs.rowOdd' : 'logs.rowEven'),
+          boxShadow: theme => (active ? `inset 3px 0 0 ${theme.palette.primary.main}` : 'none'),
+          borderBottom: 1,
+          borderColor: 'divider',
+          '&:hover': { bgcolor: 'logs.rowHover' }
+        }}
+      >
+        <Box sx={{ width: TOGGLE_WIDTH, flexShrink: 0, textAlign: 'center' }}>
+          <IconButton size="small">
+            {expanded ? <KeyboardArrowDownIcon /> : <KeyboardArrowRightIcon />}
+          </IconButton>
+        </Box>
+        {columns.map(column => (
+          <Box
+            key={column.key}
+            role="cell"
+            sx={{
+              ...getCellSx(column),
+              px: 1,
+              fontFamily: 'fontFamilyMonospace',
+              fontSize: theme => theme.density.fontSize,
+              color: column.key === 'message' ? 'text.primary' : 'text.secondary',
+              whiteSpace: 'nowrap',
+              overflow: 'hidden',
+              textOverflow: 'ellipsis'
+            }}
+          >
+            {renderCell(column.key)}
+          </Box>
+        ))}
+        <Box sx={{ width: ACTIONS_WIDTH, flexShrink: 0, display: 'flex', justifyContent: 'flex-end', pr: 1 }}>
+          {link && (
+            <Tooltip title="Copy link to this log line">
+              <IconButton 
+                size="small" 
+                sx={{ opacity: 0.6, '&:hover': { opacity: 1 } }}
+                onClick={(e) => handleCopy(link, e)}
+              >
+                <LinkIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          <Tooltip title="Copy log message">
+            <IconButton 
+              size="small" 
+              sx={{ opacity: 0.6, '&:hover': { opacity: 1 } }}
+              onClick={(e) => handleCopy(result.Message, e)}
             >
-              <TableCell padding="checkbox" sx={{ width: '30px' }}>
-                <IconButton size="small">
-                  {expanded ? <KeyboardArrowDownIcon /> : <KeyboardArrowRightIcon />}
-                </IconButton>
-              </TableCell>
-              <TableCell sx={{ width: '180px', color: '#666', fontFamily: 'monospace', whiteSpace: 'nowrap' }}>
-                {displayTimestamp()}
-              </TableCell>
-              <TableCell sx={{ width: '80px', padding: '0 8px' }}>
-                {logLevel && (
-                  <Chip 
-                    label={logLevel} 
+              <ContentCopyIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      </Box>
+            
+      {expanded && (
+        <Box sx={{ bgcolor: isOdd ? 'logs.expandedOdd' : 'logs.expandedEven', borderBottom: 1, borderColor: 'divider' }}>
+          <Box sx={{ borderBottom: 1, borderColor: 'divider' }}>
+            <Tabs value={tabValue} onChange={handleTabChange} aria-label="log detail tabs">
+              {DETAIL_TABS.map(label => <Tab key={label} label={label} />)}
+            </Tabs>
+          </Box>
+          
+          <TabPanel value={tabValue} index={0}>
+            <Grid container spacing={2}>
+              <Grid item xs={12} sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                <Typography variant="subtitle2">Log Message</Typography>
+                <Tooltip title="Copy log message">
+                  <IconButton 
                     size="small" 
-                    sx={{ 
-                      bgcolor: getLevelColor(logLevel) + '20',
-                      color: getLevelColor(logLevel),
-                      fontWeight: 'bold',
-                      fontSize: '0.7rem'
-                    }} 
-                  />
-                )}
-              </TableCell>
-              <TableCell sx={{ 
-                fontFamily: 'monospace', 
-                fontSize: '0.875rem',
-                whiteSpace: 'nowrap', 
-                overflow: 'hidden',
-                textOverflow: 'ellipsis',
-                maxWidth: '600px',
-                position: 'relative'
-              }}>
-                {k8sInfo.pod_name ? (
-                  <Typography component="span" sx={{ color: '#666', mr: 1, fontSize: '0.875rem' }}>
-                    {k8sInfo.pod_name}:
-                  </Typography>
-                ) : null}
-                <Typography component="span" sx={{ color: '#333', fontSize: '0.875rem' }}>
-                  {logContent.message}
+                    sx={{ ml: 1 }}
+                    onClick={(e) => handleCopy(logContent.message, e)}
+                  >
+                    <ContentCopyIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </Grid>
+              <Grid item xs={12}>
+                <Typography variant="body2" sx={{ fontFamily: 'fontFamilyMonospace', whiteSpace: 'pre-wrap' }}>
+                  <HighlightedText text={logContent.message} terms={highlights} />
                 </Typography>
-                <Tooltip title="Copy log message">
+              </Grid>
+              <Grid item xs={12}>
+                <Divider sx={{ my: 1 }} />
+              </Grid>
+              <Grid item xs={6}>
+                <Typography variant="subtitle2">ID</Typography>
+                <Typography variant="body2">{result.ID}</Typography>
+              </Grid>
+              <Grid item xs={6}>
+                <Typography variant="subtitle2">Timestamp</Typography>
+                <Typography variant="body2">{formatTimestamp(result.Timestamp)}</Typography>
+              </Grid>
+              <Grid item xs={6}>
+                <Typography variant="subtitle2">Source File</Typography>
+                <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>{result.SourceFile || 'N/A'}</Typography>
+              </Grid>
+              <Grid item xs={6}>
+                <Typography variant="subtitle2">Row</Typography>
+                <Typography variant="body2">{result.SourceFile ? result.SourceRow : 'N/A'}</Typography>
+              </Grid>
+            </Grid>
+          </TabPanel>
+          
+          <TabPanel value={tabValue} index={1}>
+            <Grid container spacing={2}>
+              <Grid item xs={12} sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                <Typography variant="subtitle2">Fields</Typography>
+                <Tooltip title="Copy fields">
                   <IconButton 
                     size="small" 
-                    sx={{ 
-                      position: 'absolute', 
-                      right: 8,
-                      opacity: 0.6,
-                      '&:hover': { opacity: 1 }
-                    }}
-                    onClick={(e) => handleCopy(result.Message, e)}
+                    sx={{ ml: 1 }}
+                    onClick={(e) => handleCopy(JSON.stringify({ ...result.Attributes, ...result.Fields }, null, 2), e)}
                   >
                     <ContentCopyIcon fontSize="small" />
                   </IconButton>
                 </Tooltip>
-              </TableCell>
-            </TableRow>
-            
-            {expanded && (
-              <TableRow>
-                <TableCell colSpan={4} sx={{ bgcolor: isOdd ? '#f2f2f2' : '#f8f8f8', padding: 0 }}>
-                  <Box sx={{ borderBottom: 1, borderColor: 'divider' }}>
-                    <Tabs value={tabValue} onChange={handleTabChange} aria-label="log detail tabs">
-                      <Tab label="Details" />
-                      <Tab label="Kubernetes" />
-                      <Tab label="Raw" />
-                    </Tabs>
-                  </Box>
-                  
-                  <TabPanel value={tabValue} index={0}>
-                    <Grid container spacing={2}>
-                      <Grid item xs={12} sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
-                        <Typography variant="subtitle2">Log Message</Typography>
-                        <Tooltip title="Copy log message">
-                          <IconButton 
-                            size="small" 
-                            sx={{ ml: 1 }}
-                            onClick={(e) => handleCopy(logContent.message, e)}
-                          >
-                            <ContentCopyIcon fontSize="small" />
-                          </IconButton>
-                        </Tooltip>
-                      </Grid>
-                      <Grid item xs={12}>
-                        <Typography variant="body2" sx={{ fontFamily: 'monospace', whiteSpace: 'pre-wrap' }}>
-                          {logContent.message}
-                        </Typography>
-                      </Grid>
-                      <Grid item xs={12}>
-                        <Divider sx={{ my: 1 }} />
-                      </Grid>
-                      <Grid item xs={6}>
-                        <Typography variant="subtitle2">ID</Typography>
-                        <Typography variant="body2">{result.ID}</Typography>
-                      </Grid>
-                      <Grid item xs={6}>
-                        <Typography variant="subtitle2">Sender</Typography>
-                        <Typography variant="body2">{result.Sender}</Typography>
-                      </Grid>
-                    </Grid>
-                  </TabPanel>
-                  
-                  <TabPanel value={tabValue} index={1}>
-                    <Grid container spacing={2}>
-                      <Grid item xs={12} sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
-                        <Typography variant="subtitle2">Kubernetes Information</Typography>
-                        <Tooltip title="Copy Kubernetes data">
-                          <IconButton 
-                            size="small" 
-                            sx={{ ml: 1 }}
-                            onClick={(e) => handleCopy(JSON.stringify(k8sInfo, null, 2), e)}
-                          >
-                            <ContentCopyIcon fontSize="small" />
-                          </IconButton>
-                        </Tooltip>
-                      </Grid>
-                      <Grid item xs={6}>
-                        <Typography variant="subtitle2">Pod Name</Typography>
-                        <Typography variant="body2">{k8sInfo.pod_name || 'N/A'}</Typography>
-                      </Grid>
-                      <Grid item xs={6}>
-                        <Typography variant="subtitle2">Namespace</Typography>
-                        <Typography variant="body2">{k8sInfo.namespace_name || 'N/A'}</Typography>
-                      </Grid>
-                      <Grid item xs={6}>
-                        <Typography variant="subtitle2">Host</Typography>
-                        <Typography variant="body2">{k8sInfo.host || 'N/A'}</Typography>
-                      </Grid>
-                      <Grid item xs={6}>
-                        <Typography variant="subtitle2">Container</Typography>
-                        <Typography variant="body2">{k8sInfo.container_name || 'N/A'}</Typography>
-                      </Grid>
-                      <Grid item xs={12}>
-                        <Typography variant="subtitle2">Labels</Typography>
-                        <Box sx={{ mt: 1 }}>
-                          {k8sInfo.labels && Object.entries(k8sInfo.labels).map(([key, value]) => (
-                            <Chip 
-                              key={key}
-                              label={`${key}: ${value}`}
-                              size="small"
-                              sx={{ mr: 0.5, mb: 0.5, fontSize: '0.75rem' }}
-                            />
-                          ))}
-                        </Box>
-                      </Grid>
-                    </Grid>
-                  </TabPanel>
-                  
-                  <TabPanel value={tabValue} index={2}>
-                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
-                      <Typography variant="subtitle2">Raw Data</Typography>
-                      <Tooltip title="Copy raw data">
-                        <IconButton 
+              </Grid>
+              {documentFields(result, schema).map(field => {
+                const value = getFieldValue(result, field.name);
+                return value && typeof value === 'object' ? (
+                  <Grid item xs={12} key={field.name}>
+                    <Typography variant="subtitle2">{fieldLabel(field)}</Typography>
+                    <Box sx={{ mt: 1 }}>
+                      {Object.entries(value).map(([key, item]) => (
+                        <Chip 
+                          key={key}
+                          label={`${key}: ${item}`}
                           size="small"
-                          onClick={(e) => handleCopy(result.MessageRaw, e)}
-                        >
-                          <ContentCopyIcon fontSize="small" />
-                        </IconButton>
-                      </Tooltip>
+                          sx={{ mr: 0.5, mb: 0.5, fontSize: '0.75rem' }}
+                        />
+                      ))}
                     </Box>
-                    <Box sx={{ fontFamily: 'monospace', whiteSpace: 'pre-wrap', fontSize: '0.75rem', overflowX: 'auto' }}>
-                      {JSON.stringify(JSON.parse(result.MessageRaw), null, 2)}
-                    </Box>
-                  </TabPanel>
-                </TableCell>
-              </TableRow>
-            )}
-          </TableBody>
-        </Table>
-      </TableContainer>
+                  </Grid>
+                ) : (
+                  <Grid item xs={6} key={field.name}>
+                    <Typography variant="subtitle2">{fieldLabel(field)}</Typography>
+                    <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>{value || 'N/A'}</Typography>
+                  </Grid>
+                );
+              })}
+            </Grid>
+          </TabPanel>
+          
+          <TabPanel value={tabValue} index={2}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
+              <Typography variant="subtitle2">Raw Data</Typography>
+              <Tooltip title="Copy raw data">
+                <IconButton 
+                  size="small"
+                  onClick={(e) => handleCopy(formatRaw(result), e)}
+                >
+                  <ContentCopyIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </Box>
+            {rawColumns.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">No raw data in this document.</Typography>
+            ) : rawColumns.map(([prefix, column]) => (
+              <JsonTree
+                key={prefix}
+                label={column.label}
+                prefix={prefix}
+                text={result[column.key]}
+                highlights={highlights}
+                onFilter={onFilter}
+                onAddColumn={onAddColumn}
+              />
+            ))}
+          </TabPanel>
+          
+          <TabPanel value={tabValue} index={3}>
+            <ContextView result={result} />
+          </TabPanel>
+        </Box>
+      )}
       
       <Snackbar
         open={copySnackbar}
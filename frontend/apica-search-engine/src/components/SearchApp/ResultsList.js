@@ -1,41 +1,243 @@
-import React, { useState, useEffect } from 'react';
-import { 
-  Box, 
-  Typography, 
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  Box,
+  Typography,
   CircularProgress,
   Toolbar,
-  IconButton,
-  Tooltip
+  Select,
+  MenuItem,
+  Snackbar,
+  Alert
 } from '@mui/material';
 import SortIcon from '@mui/icons-material/Sort';
-import ResultItem, { extractTimestamp } from './ResultItem';
+import { Virtuoso } from 'react-virtuoso';
+import ResultItem, { getCellSx, TOGGLE_WIDTH, ACTIONS_WIDTH, DETAIL_TABS } from './ResultItem';
+import ExportMenu from './ExportMenu';
+import ColumnSettings from './ColumnSettings';
+import { useShortcuts } from './KeyboardShortcuts';
+import { MIN_COLUMN_WIDTH } from '../../services/columnLayout';
 
-const ResultsList = ({ results, loading }) => {
-  const [sortDirection, setSortDirection] = useState('desc'); // 'desc' = newest first, 'asc' = oldest first
-  const [sortedResults, setSortedResults] = useState([]);
-  
-  // Sort results whenever results array or sort direction changes
+export const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'timestamp:desc', label: 'Newest First' },
+  { value: 'timestamp:asc', label: 'Oldest First' },
+];
+
+// Column headers, kept in view while scrolling. Dragging a header's right
+// edge resizes the column.
+const ResultsHeader = ({ context: { columns, rowWidth, onResizeStart } }) => (
+  <Box
+    role="row"
+    sx={{
+      display: 'flex',
+      minWidth: rowWidth,
+      position: 'sticky',
+      top: 0,
+      zIndex: 1,
+      bgcolor: 'logs.header',
+      borderBottom: 1,
+      borderColor: 'divider',
+      textAlign: 'left'
+    }}
+  >
+    <Box sx={{ width: TOGGLE_WIDTH, flexShrink: 0 }} />
+    {columns.map(column => (
+      <Box
+        key={column.key}
+        role="columnheader"
+        sx={{
+          ...getCellSx(column),
+          position: 'relative',
+          px: 1,
+          py: 0.75,
+          fontSize: '0.75rem',
+          fontWeight: 'bold',
+          color: 'text.secondary',
+          textTransform: 'uppercase',
+          whiteSpace: 'nowrap',
+          overflow: 'hidden'
+        }}
+      >
+        {column.label}
+        <Box
+          aria-label={`Resize ${column.label}`}
+          onMouseDown={(e) => onResizeStart(column.key, e)}
+          sx={{
+            position: 'absolute',
+            top: 0,
+            right: 0,
+            width: 6,
+            height: '100%',
+            cursor: 'col-resize',
+            borderRight: 1,
+            borderColor: 'divider',
+            '&:hover': { bgcolor: 'divider' }
+          }}
+        />
+      </Box>
+    ))}
+    <Box sx={{ width: ACTIONS_WIDTH, flexShrink: 0 }} />
+  </Box>
+);
+
+// Shown below the rows while the next page loads
+const ResultsFooter = ({ context: { loadingMore } }) => (loadingMore ? (
+  <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+    <CircularProgress size={24} />
+  </Box>
+) : null);
+
+// Results arrive already sorted by the server; changing the sort order
+// asks the parent to re-run the search. Only the rows in view are rendered,
+// and the next page is requested when the list is scrolled to the end.
+// j/k move the active row, which the other result shortcuts act on.
+const ResultsList = ({
+  results,
+  loading,
+  loadingMore,
+  hasMore,
+  onLoadMore,
+  sort = 'timestamp:desc',
+  onSortChange,
+  expandedId,
+  onExpandChange,
+  getResultLink,
+  highlights,
+  scores,
+  layout,
+  availableColumns,
+  onLayoutChange,
+  schema,
+  query,
+  timeBounds,
+  exportRef,
+  onFilter,
+  onAddColumn
+}) => {
+  // Rows are unmounted as they scroll out of view, so expansion, the
+  // selected detail tabs and the active row live here
+  const [expandedIds, setExpandedIds] = useState(() => new Set(expandedId ? [expandedId] : []));
+  const [tabs, setTabs] = useState({});
+  const [activeId, setActiveId] = useState(null);
+  const [copySnackbar, setCopySnackbar] = useState(false);
+  const virtuosoRef = useRef(null);
+  const scrolledToRef = useRef(null);
+
+  const columns = layout.filter(column => column.visible);
+  const rowWidth = TOGGLE_WIDTH + ACTIONS_WIDTH + columns.reduce((sum, column) => sum + column.width, 0);
+
+  // A new search starts with every row collapsed except a deep-linked one
   useEffect(() => {
-    if (!results || results.length === 0) {
-      setSortedResults([]);
-      return;
+    if (loading) {
+      setExpandedIds(new Set());
+      setTabs({});
+      setActiveId(null);
     }
-    
-    const sorted = [...results].sort((a, b) => {
-      const timestampA = extractTimestamp(a);
-      const timestampB = extractTimestamp(b);
-      
-      return sortDirection === 'asc' 
-        ? timestampA - timestampB 
-        : timestampB - timestampA;
+  }, [loading]);
+
+  useEffect(() => {
+    if (expandedId) {
+      setExpandedIds(prev => (prev.has(expandedId) ? prev : new Set(prev).add(expandedId)));
+    }
+  }, [expandedId]);
+
+  // Bring a deep-linked row into view
+  useEffect(() => {
+    if (!expandedId || scrolledToRef.current === expandedId || !virtuosoRef.current) return;
+    const index = results.findIndex(result => result.ID === expandedId);
+    if (index >= 0) {
+      scrolledToRef.current = expandedId;
+      virtuosoRef.current.scrollToIndex({ index, align: 'center' });
+    }
+  }, [expandedId, results]);
+
+  const setExpanded = (id, isExpanded) => {
+    if (expandedIds.has(id) === isExpanded) return;
+    setExpandedIds(prev => {
+      const next = new Set(prev);
+      if (isExpanded) {
+        next.add(id);
+      } else {
+        next.delete(id);
+      }
+      return next;
     });
-    
-    setSortedResults(sorted);
-  }, [results, sortDirection]);
+    // Rows the user opens are already on screen
+    scrolledToRef.current = id;
+    if (onExpandChange) {
+      onExpandChange(id, isExpanded);
+    }
+  };
+
+  const handleToggleRow = (id) => {
+    setActiveId(id);
+    setExpanded(id, !expandedIds.has(id));
+  };
 
-  // Toggle sort direction
-  const handleToggleSort = () => {
-    setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+  const handleTabChange = (id, tab) => {
+    setTabs(prev => ({ ...prev, [id]: tab }));
+  };
+
+  // Move the active row by offset, starting from the top
+  const moveActive = (offset) => {
+    if (!results || results.length === 0) return;
+    const current = results.findIndex(result => result.ID === activeId);
+    const index = current < 0 ? 0 : Math.min(Math.max(current + offset, 0), results.length - 1);
+    setActiveId(results[index].ID);
+    if (virtuosoRef.current) {
+      virtuosoRef.current.scrollIntoView({ index });
+    }
+  };
+
+  const activeResult = results ? results.find(result => result.ID === activeId) : null;
+
+  // Expand the active row on a detail tab
+  const showTab = (tab) => {
+    if (!activeResult) return;
+    handleTabChange(activeResult.ID, tab);
+    setExpanded(activeResult.ID, true);
+  };
+
+  const tabShortcuts = Object.fromEntries(DETAIL_TABS.map((label, index) => [String(index + 1), () => showTab(index)]));
+
+  useShortcuts({
+    j: () => moveActive(1),
+    k: () => moveActive(-1),
+    Enter: () => activeResult && handleToggleRow(activeResult.ID),
+    ' ': () => activeResult && handleToggleRow(activeResult.ID),
+    ...tabShortcuts,
+    c: () => {
+      if (!activeResult) return;
+      navigator.clipboard.writeText(activeResult.Message).then(() => setCopySnackbar(true));
+    },
+    o: () => showTab(DETAIL_TABS.indexOf('Context')),
+  }, !loading && results && results.length > 0);
+
+  // Drag a header's right edge to resize its column
+  const startResize = useCallback((key, event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const startX = event.clientX;
+    const startWidth = layout.find(column => column.key === key).width;
+    let latest = layout;
+
+    const handleMove = (moveEvent) => {
+      const width = Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+      latest = latest.map(column => (column.key === key ? { ...column, width } : column));
+      onLayoutChange(latest);
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  }, [layout, onLayoutChange]);
+
+  const handleEndReached = () => {
+    if (hasMore && !loadingMore && onLoadMore) {
+      onLoadMore();
+    }
   };
 
   if (loading) {
@@ -58,46 +260,97 @@ const ResultsList = ({ results, loading }) => {
 
   return (
     <Box sx={{ mt: 2 }}>
-      <Toolbar 
-        disableGutters 
-        sx={{ 
-          mb: 2, 
-          display: 'flex', 
+      <Toolbar
+        disableGutters
+        sx={{
+          mb: 2,
+          display: 'flex',
           justifyContent: 'space-between',
-          borderBottom: '1px solid #e0e0e0',
+          borderBottom: 1,
+          borderColor: 'divider',
           minHeight: '48px',
           px: 1
         }}
       >
         <Typography variant="subtitle1">
-          {sortedResults.length} {sortedResults.length === 1 ? 'Log Entry' : 'Log Entries'}
+          {results.length} {results.length === 1 ? 'Log Entry' : 'Log Entries'}
         </Typography>
-        
-        <Tooltip title={sortDirection === 'desc' ? 'Currently: Newest First' : 'Currently: Oldest First'}>
-          <IconButton 
-            onClick={handleToggleSort} 
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <ExportMenu ref={exportRef} query={query} sort={sort} timeBounds={timeBounds} schema={schema} />
+          <ColumnSettings layout={layout} columns={availableColumns} onChange={onLayoutChange} />
+          <Select
             size="small"
-            color={sortDirection === 'desc' ? 'primary' : 'default'}
+            variant="standard"
+            disableUnderline
+            value={sort}
+            onChange={(e) => onSortChange(e.target.value)}
+            startAdornment={<SortIcon fontSize="small" sx={{ mr: 0.5, color: 'primary.main' }} />}
+            inputProps={{ 'aria-label': 'Sort order' }}
+            sx={{ fontSize: '0.8rem' }}
           >
-            <SortIcon fontSize="small" />
-            <Typography variant="caption" sx={{ ml: 0.5 }}>
-              {sortDirection === 'desc' ? 'Newest First' : 'Oldest First'}
-            </Typography>
-          </IconButton>
-        </Tooltip>
+            {SORT_OPTIONS.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </Select>
+        </Box>
       </Toolbar>
-      
-      <Box sx={{ overflowY: 'auto', maxHeight: 'calc(100vh - 200px)' }}>
-        {sortedResults.map((result, index) => (
-          <ResultItem 
-            key={result.ID || result.id || `result-${index}`} 
-            result={result} 
-            isOdd={index % 2 !== 0}
-          />
-        ))}
+
+      <Box
+        role="table"
+        sx={{
+          height: 'calc(100vh - 200px)',
+          minHeight: 400,
+          border: 1,
+          borderColor: 'divider',
+          borderRadius: 1,
+          textAlign: 'left'
+        }}
+      >
+        <Virtuoso
+          ref={virtuosoRef}
+          style={{ height: '100%' }}
+          data={results}
+          computeItemKey={(index, result) => result.ID || `result-${index}`}
+          endReached={handleEndReached}
+          increaseViewportBy={400}
+          components={{ Header: ResultsHeader, Footer: ResultsFooter }}
+          context={{ columns, rowWidth, onResizeStart: startResize, loadingMore }}
+          itemContent={(index, result) => (
+            <Box sx={{ minWidth: rowWidth }}>
+              <ResultItem
+                result={result}
+                isOdd={index % 2 !== 0}
+                columns={columns}
+                expanded={expandedIds.has(result.ID)}
+                onToggle={handleToggleRow}
+                link={getResultLink ? getResultLink(result) : null}
+                highlights={highlights ? highlights[result.ID] : undefined}
+                score={scores ? scores[result.ID] : undefined}
+                schema={schema}
+                active={result.ID === activeId}
+                tab={tabs[result.ID] || 0}
+                onTabChange={handleTabChange}
+                onFilter={onFilter}
+                onAddColumn={onAddColumn}
+              />
+            </Box>
+          )}
+        />
       </Box>
+
+      <Snackbar
+        open={copySnackbar}
+        autoHideDuration={2000}
+        onClose={() => setCopySnackbar(false)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert onClose={() => setCopySnackbar(false)} severity="success" sx={{ width: '100%' }}>
+          Copied to clipboard
+        </Alert>
+      </Snackbar>
     </Box>
   );
 };
 
-export default ResultsList;
\ No newline at end of file
+export default ResultsList;
@@ -0,0 +1,262 @@
+import React, { useState, useCallback, useRef } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  IconButton,
+  ListItemText,
+  ListSubheader,
+  Menu,
+  MenuItem,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import HistoryIcon from '@mui/icons-material/History';
+import BookmarksIcon from '@mui/icons-material/Bookmarks';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  listSavedSearches,
+  saveSearch,
+  deleteSavedSearch,
+  importSavedSearches,
+  handleApiRequest
+} from '../../services/api';
+import { describeTimeRange } from './TimeRangePicker';
+import { saveBlob } from './ExportMenu';
+
+const queryTextSx = {
+  fontFamily: 'monospace',
+  fontSize: '0.8rem',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis',
+  whiteSpace: 'nowrap'
+};
+
+// Recent searches (this browser) and named saved searches (shared on the
+// server). Picking either hands it to onApply.
+const SavedSearches = ({ current, history, onApply, onClearHistory }) => {
+  const [historyAnchor, setHistoryAnchor] = useState(null);
+  const [savedAnchor, setSavedAnchor] = useState(null);
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [saveOpen, setSaveOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Loaded when the menu opens, so other people's changes show up
+  const refresh = useCallback(async () => {
+    const [data, error] = await handleApiRequest(listSavedSearches());
+    if (error) {
+      setError('Failed to load saved searches.');
+      return;
+    }
+    setSavedSearches(data || []);
+  }, []);
+
+  const existing = savedSearches.find(search => search.name.toLowerCase() === name.trim().toLowerCase());
+
+  const handleApply = (search) => {
+    setHistoryAnchor(null);
+    setSavedAnchor(null);
+    onApply(search);
+  };
+
+  const handleOpenSave = () => {
+    setSavedAnchor(null);
+    setName('');
+    setError(null);
+    setSaveOpen(true);
+  };
+
+  // Saving under an existing name replaces that search
+  const handleSave = async () => {
+    const [, error] = await handleApiRequest(saveSearch({
+      id: existing ? existing.id : undefined,
+      name: name.trim(),
+      ...current,
+    }));
+    if (error) {
+      setError(`Failed to save search: ${error.message}`);
+      return;
+    }
+    setSaveOpen(false);
+    refresh();
+  };
+
+  const handleDelete = async (search, event) => {
+    event.stopPropagation();
+    const [, error] = await handleApiRequest(deleteSavedSearch(search.id));
+    if (error) {
+      setError('Failed to delete saved search.');
+    }
+    refresh();
+  };
+
+  const handleExport = () => {
+    setSavedAnchor(null);
+    const blob = new Blob([JSON.stringify(savedSearches, null, 2)], { type: 'application/json' });
+    saveBlob(blob, 'saved-searches.json');
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    setSavedAnchor(null);
+    if (!file) return;
+
+    let searches;
+    try {
+      searches = JSON.parse(await file.text());
+    } catch (e) {
+      setError('Import failed: the file is not valid JSON.');
+      return;
+    }
+    if (!Array.isArray(searches)) {
+      setError('Import failed: expected a list of saved searches.');
+      return;
+    }
+
+    const [, error] = await handleApiRequest(importSavedSearches(searches));
+    if (error) {
+      setError(`Import failed: ${error.message}`);
+      return;
+    }
+    setError(null);
+    refresh();
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center' }}>
+      <Tooltip title="Recent searches">
+        <IconButton onClick={(e) => setHistoryAnchor(e.currentTarget)}>
+          <HistoryIcon />
+        </IconButton>
+      </Tooltip>
+      <Tooltip title="Saved searches">
+        <IconButton onClick={(e) => { setSavedAnchor(e.currentTarget); refresh(); }}>
+          <BookmarksIcon />
+        </IconButton>
+      </Tooltip>
+
+      <Menu
+        anchorEl={historyAnchor}
+        open={!!historyAnchor}
+        onClose={() => setHistoryAnchor(null)}
+        slotProps={{ paper: { sx: { width: 420 } } }}
+      >
+        <ListSubheader>Recent searches</ListSubheader>
+        {history.length === 0 && (
+          <MenuItem disabled>No searches yet</MenuItem>
+        )}
+        {history.map(entry => (
+          <MenuItem key={entry.query} onClick={() => handleApply(entry)}>
+            <ListItemText
+              primary={entry.query}
+              secondary={describeTimeRange(entry.timeRange)}
+              primaryTypographyProps={{ sx: queryTextSx }}
+            />
+          </MenuItem>
+        ))}
+        {history.length > 0 && <Divider />}
+        {history.length > 0 && (
+          <MenuItem onClick={() => { onClearHistory(); setHistoryAnchor(null); }}>
+            Clear history
+          </MenuItem>
+        )}
+      </Menu>
+
+      <Menu
+        anchorEl={savedAnchor}
+        open={!!savedAnchor}
+        onClose={() => setSavedAnchor(null)}
+        slotProps={{ paper: { sx: { width: 420 } } }}
+      >
+        <MenuItem onClick={handleOpenSave} disabled={!current.query}>
+          Save current search…
+        </MenuItem>
+        <Divider />
+        <ListSubheader>Saved searches</ListSubheader>
+        {savedSearches.length === 0 && (
+          <MenuItem disabled>No saved searches</MenuItem>
+        )}
+        {savedSearches.map(search => (
+          <MenuItem key={search.id} onClick={() => handleApply(search)}>
+            <ListItemText
+              primary={search.name}
+              secondary={search.query}
+              secondaryTypographyProps={{ sx: queryTextSx }}
+            />
+            <IconButton
+              size="small"
+              edge="end"
+              aria-label={`Delete ${search.name}`}
+              onClick={(e) => handleDelete(search, e)}
+            >
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem onClick={() => fileInputRef.current && fileInputRef.current.click()}>
+          Import from JSON…
+        </MenuItem>
+        <MenuItem onClick={handleExport} disabled={savedSearches.length === 0}>
+          Export as JSON
+        </MenuItem>
+      </Menu>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        hidden
+        onChange={handleImportFile}
+      />
+
+      <Dialog open={saveOpen} onClose={() => setSaveOpen(false)} fullWidth maxWidth="xs">
+        <DialogTitle>Save search</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label="Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            helperText={existing ? `Replaces the saved search "${existing.name}"` : ' '}
+          />
+          <Typography variant="body2" sx={{ ...queryTextSx, mt: 1 }}>
+            {current.query}
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            {describeTimeRange(current.timeRange)} · query, time range, sort and columns are saved
+          </Typography>
+          {error && (
+            <Typography variant="body2" color="error" sx={{ mt: 1 }}>
+              {error}
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSaveOpen(false)}>Cancel</Button>
+          <Button variant="contained" disabled={!name.trim()} onClick={handleSave}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {error && !saveOpen && (
+        <Typography variant="caption" color="error" sx={{ ml: 1 }} role="alert">
+          {error}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default SavedSearches;
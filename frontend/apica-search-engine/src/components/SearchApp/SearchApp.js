@@ -1,31 +1,159 @@
 // SearchApp.js
-import React, { useState, useCallback } from 'react';
-import { Container, Typography, Box, Button, CircularProgress, Alert, Snackbar } from '@mui/material';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { Container, Typography, Box, Alert, Snackbar, Tabs, Tab, Chip, IconButton, Tooltip } from '@mui/material';
+import StorageIcon from '@mui/icons-material/Storage';
+import KeyboardIcon from '@mui/icons-material/Keyboard';
+import NotificationsIcon from '@mui/icons-material/Notifications';
 
-import SearchBar from './SearchBar';
-import ResultsList from './ResultsList';
-import { searchMessages, handleApiRequest } from '../../services/api';
+import SearchBar, { MATCH_MODES } from './SearchBar';
+import ResultsList, { SORT_OPTIONS } from './ResultsList';
+import LogHistogram from './LogHistogram';
+import PatternsView, { PatternTemplate } from './PatternsView';
+import CompareView from './CompareView';
+import FacetSidebar from './FacetSidebar';
+import LiveTailControls, { useLiveTail } from './LiveTail';
+import SavedSearches from './SavedSearches';
+import IndexStatusBanner from './IndexStatusBanner';
+import CommandPalette from './CommandPalette';
+import ShortcutsHelp, { useShortcuts } from './KeyboardShortcuts';
+import { DisplaySettingsMenu } from '../Settings';
+import TimeRangePicker, { ALL_TIME, RELATIVE_RANGES, resolveTimeRange, describeTimeRange } from './TimeRangePicker';
+import {
+  searchMessages,
+  fetchHistogram,
+  fetchFacets,
+  fetchDocument,
+  fetchSchema,
+  listSavedSearches,
+  handleApiRequest
+} from '../../services/api';
+import { addFilterToQuery, setQueryFields } from '../../services/queryParser';
+import { readUrlState, buildUrlSearch, buildResultLink } from '../../services/urlState';
+import {
+  RESULT_COLUMNS,
+  schemaColumns,
+  loadColumnLayout,
+  saveColumnLayout,
+  normalizeColumnLayout,
+  serializeColumnLayout
+} from '../../services/columnLayout';
+import { jsonPathColumn } from '../../services/jsonPath';
+import { previousPeriod } from '../../services/compare';
+import { loadSearchHistory, addToSearchHistory, clearSearchHistory } from '../../services/searchHistory';
+
+// Upper bound on rows kept in the list while live tailing
+const MAX_LIVE_RESULTS = 1000;
+
+// Write the search state to the URL, adding a history entry unless asked to replace
+const updateUrl = (state, mode) => {
+  const search = buildUrlSearch(state);
+  if (search === window.location.search) return;
+  const url = `${window.location.pathname}${search}`;
+  if (mode === 'replace') {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+};
 
 const SearchApp = () => {
+  // State restored from the URL on load
+  const [initialUrlState] = useState(() => readUrlState(window.location.search));
   const [query, setQuery] = useState('');
   const [results, setResults] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [page, setPage] = useState(1);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
   const [totalResults, setTotalResults] = useState(0);
-  const [hasMore, setHasMore] = useState(false);
+  // Matched terms per result ID, as reported by the server
+  const [highlights, setHighlights] = useState({});
+  // BM25 relevance score per result ID
+  const [scores, setScores] = useState({});
   const [error, setError] = useState(null);
-  const resultsPerPage = 10;
+  const [timeRange, setTimeRange] = useState(initialUrlState.timeRange || ALL_TIME);
+  // Bounds resolved when the search ran, so "Load More" pages stay in the same window
+  const [timeBounds, setTimeBounds] = useState({});
+  const [sort, setSort] = useState(initialUrlState.sort);
+  // How free text terms match: 'exact', 'prefix' or 'contains'
+  const [matchMode, setMatchMode] = useState(initialUrlState.match);
+  const [expandedId, setExpandedId] = useState(initialUrlState.expandedId);
+  const [histogram, setHistogram] = useState(null);
+  const [facets, setFacets] = useState(null);
+  const [live, setLive] = useState(false);
+  // 'results', 'patterns' or 'compare'
+  const [view, setView] = useState(initialUrlState.compare ? 'compare' : 'results');
+  // Query and time range the search is compared with; an empty query means the same one
+  const [compareWith, setCompareWith] = useState(initialUrlState.compare);
+  // Pattern drilled into from the patterns view, narrowing the results to its lines
+  const [pattern, setPattern] = useState(null);
+  const [columnLayout, setColumnLayout] = useState(() => loadColumnLayout());
+  // Schema the server maps documents with, and the columns of its fields
+  const [schema, setSchema] = useState(null);
+  const [resultColumns, setResultColumns] = useState(RESULT_COLUMNS);
+  const [searchHistory, setSearchHistory] = useState(loadSearchHistory);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [shortcutsOpen, setShortcutsOpen] = useState(false);
+  // Saved searches offered by the palette, loaded when it opens
+  const [savedSearches, setSavedSearches] = useState([]);
+  const searchBarRef = useRef(null);
+  const exportRef = useRef(null);
+  const resultsPerPage = 50;
+
+  // New live matches are prepended, keeping the list bounded
+  const handleLiveDocuments = useCallback((docs) => {
+    setResults(prevResults => [...docs, ...prevResults].slice(0, MAX_LIVE_RESULTS));
+    setTotalResults(prevTotal => prevTotal + docs.length);
+  }, []);
 
-  const handleSearch = useCallback(async (searchQuery) => {
+  const liveTail = useLiveTail(query, live, handleLiveDocuments, matchMode);
+
+  // Run a new search from the first page. Overrides replace the current time
+  // range, sort order, match mode or expanded result for this search, e.g. when the
+  // user changes them. `history` is 'push' (default), 'replace' or 'none'
+  // when the URL already reflects the search (back/forward navigation). A
+  // drilled-into pattern is kept until the query changes or it's overridden.
+  const handleSearch = useCallback(async (searchQuery, overrides = {}) => {
     if (!searchQuery.trim()) return;
     
+    const range = overrides.timeRange || timeRange;
+    const order = overrides.sort || sort;
+    const match = overrides.match || matchMode;
+    const expanded = overrides.expandedId !== undefined ? overrides.expandedId : null;
+    const selectedPattern = overrides.pattern !== undefined ? overrides.pattern : (searchQuery === query ? pattern : null);
+    const patternId = selectedPattern ? selectedPattern.id : undefined;
+    // The match mode travels with the bounds to every request of this search
+    const bounds = { ...resolveTimeRange(range), match };
     setQuery(searchQuery);
+    setPattern(selectedPattern);
+    setTimeRange(range);
+    setSort(order);
+    setMatchMode(match);
+    setExpandedId(expanded);
+    setTimeBounds(bounds);
+    if (overrides.history !== 'none') {
+      updateUrl({
+        query: searchQuery,
+        timeRange: range,
+        sort: order,
+        match,
+        expandedId: expanded,
+        compare: view === 'compare' ? compareWith : null
+      }, overrides.history);
+      setSearchHistory(addToSearchHistory({ query: searchQuery, timeRange: range }));
+    }
     setLoading(true);
     setError(null);
-    setPage(1);
+    
+    // The histogram and facets load alongside the results and don't block them
+    handleApiRequest(fetchHistogram(searchQuery, { ...bounds, pattern: patternId })).then(([histogramData]) => {
+      setHistogram(histogramData);
+    });
+    handleApiRequest(fetchFacets(searchQuery, { ...bounds, pattern: patternId })).then(([facetsData]) => {
+      setFacets(facetsData);
+    });
     
     const [data, error] = await handleApiRequest(
-      searchMessages(searchQuery, 1, resultsPerPage)
+      searchMessages(searchQuery, { limit: resultsPerPage, sort: order, ...bounds, pattern: patternId })
     );
     
     setLoading(false);
@@ -35,22 +163,142 @@ const SearchApp = () => {
       return;
     }
     
-    setResults(data.results || []);
+    const pageResults = data.results || [];
+    setResults(pageResults);
+    setHighlights(data.highlights || {});
+    setScores(data.scores || {});
     setTotalResults(data.totalResults || 0);
-    setHasMore(resultsPerPage < (data.totalResults || 0));
-  }, [resultsPerPage]);
+    setNextCursor(data.nextCursor || null);
+
+    // A linked result that isn't on the first page is fetched on its own and
+    // shown above the others, so the link still opens it
+    if (expanded && !pageResults.some(result => result.ID === expanded)) {
+      const [document] = await handleApiRequest(fetchDocument(expanded));
+      if (document) {
+        setResults(prev => (prev === pageResults ? [document, ...pageResults] : prev));
+      }
+    }
+  }, [resultsPerPage, timeRange, sort, matchMode, query, pattern, view, compareWith]);
+
+  // Until the schema loads, fields and columns are those of the default one
+  useEffect(() => {
+    handleApiRequest(fetchSchema()).then(([data]) => {
+      if (!data) return;
+      const columns = schemaColumns(data);
+      setQueryFields(data);
+      setSchema(data);
+      setResultColumns(columns);
+      setColumnLayout(loadColumnLayout(columns));
+    });
+  }, []);
+
+  // Restore a shared or bookmarked search once on load
+  const restoredRef = useRef(false);
+  useEffect(() => {
+    if (restoredRef.current) return;
+    restoredRef.current = true;
+    if (initialUrlState.query) {
+      handleSearch(initialUrlState.query, { expandedId: initialUrlState.expandedId, history: 'replace' });
+    }
+  }, [handleSearch, initialUrlState]);
+
+  // Back/forward move between searches recorded in the history
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = readUrlState(window.location.search);
+      if (state.compare) {
+        setCompareWith(state.compare);
+      }
+      setView(current => (state.compare ? 'compare' : (current === 'compare' ? 'results' : current)));
+      if (state.query) {
+        handleSearch(state.query, { ...state, history: 'none' });
+      } else {
+        setQuery('');
+        setResults([]);
+        setTotalResults(0);
+        setNextCursor(null);
+        setLive(false);
+      }
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [handleSearch]);
+
+  // Expanding a row is recorded in the URL without adding a history entry
+  const handleExpandChange = (id, isExpanded) => {
+    const nextId = isExpanded ? id : (expandedId === id ? null : expandedId);
+    setExpandedId(nextId);
+    updateUrl({ query, timeRange, sort, match: matchMode, expandedId: nextId }, 'replace');
+  };
+
+  // Switching to the compare view starts with the period before the current
+  // one, or the same time range when it's open-ended
+  const handleViewChange = (value) => {
+    let compare = null;
+    if (value === 'compare') {
+      compare = compareWith || { query: '', timeRange: previousPeriod(timeBounds) || timeRange };
+      setCompareWith(compare);
+    }
+    setView(value);
+    updateUrl({ query, timeRange, sort, match: matchMode, compare }, 'replace');
+  };
+
+  // A new comparison is a history entry, so back returns to the previous one
+  const handleCompareChange = (compare) => {
+    setCompareWith(compare);
+    updateUrl({ query, timeRange, sort, match: matchMode, compare });
+  };
+
+  const getResultLink = (result) => buildResultLink(result, query);
+
+  const handleTimeRangeChange = (range) => {
+    setTimeRange(range);
+    if (query) {
+      handleSearch(query, { timeRange: range });
+    }
+  };
+
+  // Brushing the histogram narrows the time range to the selection
+  const handleHistogramSelect = ({ from, to }) => {
+    handleTimeRangeChange({ type: 'absolute', from, to });
+  };
+
+  // Clicking a facet value adds it to the query as a filter
+  const handleFacetFilter = (field, value, exclude) => {
+    handleSearch(addFilterToQuery(query, field, value, exclude), { pattern });
+  };
+
+  // Clicking a pattern lists the lines behind it
+  const handlePatternSelect = (selected) => {
+    setView('results');
+    handleSearch(query, { pattern: { id: selected.id, template: selected.template } });
+  };
+
+  // Sorting happens on the server, so a new order means a new search
+  const handleSortChange = (order) => {
+    setSort(order);
+    if (query) {
+      handleSearch(query, { sort: order });
+    }
+  };
+
+  const handleMatchModeChange = (mode) => {
+    setMatchMode(mode);
+    if (query) {
+      handleSearch(query, { match: mode });
+    }
+  };
 
   const handleLoadMore = useCallback(async () => {
-    if (loading || !hasMore) return;
+    if (loading || loadingMore || !nextCursor) return;
     
-    const nextPage = page + 1;
-    setLoading(true);
+    setLoadingMore(true);
     
     const [data, error] = await handleApiRequest(
-      searchMessages(query, nextPage, resultsPerPage)
+      searchMessages(query, { limit: resultsPerPage, sort, cursor: nextCursor, ...timeBounds, pattern: pattern ? pattern.id : undefined })
     );
     
-    setLoading(false);
+    setLoadingMore(false);
     
     if (error) {
       setError('Failed to load more results. Please try again.');
@@ -59,56 +307,284 @@ const SearchApp = () => {
     
     // Append new results to existing ones
     setResults(prevResults => [...prevResults, ...(data.results || [])]);
-    setPage(nextPage);
-    setHasMore((nextPage * resultsPerPage) < (data.totalResults || 0));
-  }, [query, page, hasMore, loading, resultsPerPage]);
+    setHighlights(prevHighlights => ({ ...prevHighlights, ...(data.highlights || {}) }));
+    setScores(prevScores => ({ ...prevScores, ...(data.scores || {}) }));
+    setNextCursor(data.nextCursor || null);
+  }, [query, nextCursor, loading, loadingMore, resultsPerPage, sort, timeBounds, pattern]);
+
+  const handleLayoutChange = useCallback((layout) => {
+    setColumnLayout(layout);
+    saveColumnLayout(layout);
+  }, []);
+
+  // Show a JSON path picked in the Raw tab as a column, before the message
+  const handleAddColumn = (field) => {
+    const existing = columnLayout.find(column => column.key === field);
+    if (existing) {
+      handleLayoutChange(columnLayout.map(column => (column.key === field ? { ...column, visible: true } : column)));
+      return;
+    }
+    const layout = [...columnLayout];
+    const messageIndex = layout.findIndex(column => column.key === 'message');
+    layout.splice(messageIndex === -1 ? layout.length : messageIndex, 0, jsonPathColumn(field));
+    handleLayoutChange(layout);
+  };
+
+  // Run a recent or saved search, restoring its column layout if it has one
+  const handleApplySearch = (search) => {
+    const layout = normalizeColumnLayout(search.columns, resultColumns);
+    if (layout) {
+      handleLayoutChange(layout);
+    }
+    handleSearch(search.query, { timeRange: search.timeRange || ALL_TIME, sort: search.sort });
+  };
+
+  // Searches run while the index was warming up missed documents
+  const handleIndexReady = () => {
+    if (query) {
+      handleSearch(query, { history: 'none' });
+    }
+  };
 
   const handleCloseError = () => {
     setError(null);
   };
 
+  const openPalette = async () => {
+    setPaletteOpen(true);
+    const [data] = await handleApiRequest(listSavedSearches());
+    setSavedSearches(data || []);
+  };
+
+  useShortcuts({
+    '/': () => searchBarRef.current && searchBarRef.current.focus(),
+    'mod+k': openPalette,
+    '?': () => setShortcutsOpen(true),
+  });
+
+  // Commands of the Ctrl+K palette, for the current state of the page
+  const paletteCommands = [
+    {
+      id: 'sort:toggle',
+      group: 'Sort',
+      label: sort === 'timestamp:asc' ? 'Toggle sort: newest first' : 'Toggle sort: oldest first',
+      onSelect: () => handleSortChange(sort === 'timestamp:asc' ? 'timestamp:desc' : 'timestamp:asc'),
+    },
+    ...SORT_OPTIONS.filter(option => option.value !== sort).map(option => ({
+      id: `sort:${option.value}`,
+      group: 'Sort',
+      label: `Sort by ${option.label.toLowerCase()}`,
+      onSelect: () => handleSortChange(option.value),
+    })),
+    ...MATCH_MODES.filter(option => option.value !== matchMode).map(option => ({
+      id: `match:${option.value}`,
+      group: 'Match',
+      label: `Match terms: ${option.label.toLowerCase()}`,
+      onSelect: () => handleMatchModeChange(option.value),
+    })),
+    ...[ALL_TIME, ...RELATIVE_RANGES.map(range => ({ type: 'relative', value: range.value }))].map(range => ({
+      id: `time:${range.value || range.type}`,
+      group: 'Time range',
+      label: describeTimeRange(range),
+      onSelect: () => handleTimeRangeChange(range),
+    })),
+    ...(query ? [
+      {
+        id: 'view',
+        group: 'View',
+        label: view === 'results' ? 'Show patterns' : 'Show results',
+        onSelect: () => handleViewChange(view === 'results' ? 'patterns' : 'results'),
+      },
+      {
+        id: 'compare',
+        group: 'View',
+        label: view === 'compare' ? 'Stop comparing' : 'Compare with another query or time range',
+        onSelect: () => handleViewChange(view === 'compare' ? 'results' : 'compare'),
+      },
+      {
+        id: 'live',
+        group: 'View',
+        label: live ? 'Stop live tail' : 'Start live tail',
+        onSelect: () => setLive(!live),
+      },
+    ] : []),
+    ...(query && view === 'results' && results.length > 0 ? [
+      { id: 'export:csv', group: 'Export', label: 'Export as CSV…', onSelect: () => exportRef.current && exportRef.current.open('csv') },
+      { id: 'export:ndjson', group: 'Export', label: 'Export as NDJSON', onSelect: () => exportRef.current && exportRef.current.open('ndjson') },
+      { id: 'export:parquet', group: 'Export', label: 'Export as Parquet', onSelect: () => exportRef.current && exportRef.current.open('parquet') },
+    ] : []),
+    ...savedSearches.map(search => ({
+      id: `saved:${search.id}`,
+      group: 'Saved searches',
+      label: search.name,
+      detail: search.query,
+      onSelect: () => handleApplySearch(search),
+    })),
+    ...searchHistory.map(entry => ({
+      id: `recent:${entry.query}`,
+      group: 'Recent searches',
+      label: entry.query,
+      detail: describeTimeRange(entry.timeRange),
+      onSelect: () => handleApplySearch(entry),
+    })),
+    {
+      id: 'help',
+      group: 'Help',
+      label: 'Keyboard shortcuts',
+      onSelect: () => setShortcutsOpen(true),
+    },
+  ];
+
   return (
-    <Container maxWidth="md">
+    <Container maxWidth="lg">
       <Box my={4} textAlign="center">
-        <Typography variant="h4" component="h1" gutterBottom>
-          Apica Search Engine
-        </Typography>
+        <Box sx={{ position: 'relative' }}>
+          <Typography variant="h4" component="h1" gutterBottom>
+            Apica Search Engine
+          </Typography>
+          <Box sx={{ position: 'absolute', right: 0, top: 0, display: 'flex' }}>
+            <Tooltip title="Keyboard shortcuts (?)">
+              <IconButton aria-label="Keyboard shortcuts" onClick={() => setShortcutsOpen(true)}>
+                <KeyboardIcon />
+              </IconButton>
+            </Tooltip>
+            <DisplaySettingsMenu />
+            <Tooltip title="Alerts">
+              <IconButton href="#/alerts" aria-label="Alerts">
+                <NotificationsIcon />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Ingest files">
+              <IconButton href="#/admin" aria-label="Ingest files">
+                <StorageIcon />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        </Box>
         
-        <SearchBar onSearch={handleSearch} />
+        <IndexStatusBanner onReady={handleIndexReady} />
         
-        {query && !loading && !error && (
-          <Box mt={2} mb={2} textAlign="left">
-            <Typography variant="h6">
-              Search Results for "{query}"
-            </Typography>
-            <Typography variant="body2" color="textSecondary">
-              Showing {results.length} of {totalResults} results
-            </Typography>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+          <Box sx={{ flex: 1 }}>
+            <SearchBar
+              ref={searchBarRef}
+              value={query}
+              matchMode={matchMode}
+              onMatchModeChange={handleMatchModeChange}
+              onSearch={handleSearch}
+            />
+          </Box>
+          <Box sx={{ pt: '4px' }}>
+            <TimeRangePicker value={timeRange} onChange={handleTimeRangeChange} />
           </Box>
-        )}
+          <Box sx={{ pt: '4px' }}>
+            <SavedSearches
+              current={{ query, timeRange, sort, columns: serializeColumnLayout(columnLayout) }}
+              history={searchHistory}
+              onApply={handleApplySearch}
+              onClearHistory={() => setSearchHistory(clearSearchHistory())}
+            />
+          </Box>
+        </Box>
+        
+        <Box sx={{ display: 'flex', gap: 3, alignItems: 'flex-start' }}>
+          {query && facets && (
+            <Box sx={{ width: 260, flexShrink: 0, mt: 2 }}>
+              <FacetSidebar
+                facets={facets.facets}
+                levelField={facets.level}
+                totalResults={facets.totalResults}
+                onFilter={handleFacetFilter}
+              />
+            </Box>
+          )}
         
-        <ResultsList results={results} />
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            {query && !loading && !error && (
+              <Box mt={2} mb={2} sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                <Box textAlign="left">
+                  <Typography variant="h6">
+                    Search Results for "{query}"
+                  </Typography>
+                  <Typography variant="body2" color="textSecondary">
+                    Showing {results.length} of {totalResults} results · {live ? 'Live' : describeTimeRange(timeRange)}
+                  </Typography>
+                </Box>
+                <LiveTailControls
+                  enabled={live}
+                  onToggle={setLive}
+                  paused={liveTail.paused}
+                  onPauseChange={liveTail.setPaused}
+                  pendingCount={liveTail.pendingCount}
+                  rate={liveTail.rate}
+                  connected={liveTail.connected}
+                />
+              </Box>
+            )}
         
-        {hasMore && (
-          <Box mt={3} textAlign="center">
-            <Button 
-              variant="contained" 
-              color="primary" 
-              onClick={handleLoadMore}
-              disabled={loading}
-            >
-              {loading ? (
-                <>
-                  <CircularProgress size={24} color="inherit" style={{ marginRight: 10 }} />
-                  Loading...
-                </>
-              ) : (
-                'Load More'
-              )}
-            </Button>
+            {query && <LogHistogram histogram={histogram} onRangeSelect={handleHistogramSelect} />}
+        
+            {query && (
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, borderBottom: 1, borderColor: 'divider' }}>
+                <Tabs value={view} onChange={(e, value) => handleViewChange(value)}>
+                  <Tab label="Results" value="results" />
+                  <Tab label="Patterns" value="patterns" />
+                  <Tab label="Compare" value="compare" />
+                </Tabs>
+                {pattern && view === 'results' && (
+                  <Chip
+                    size="small"
+                    label={<PatternTemplate template={pattern.template} />}
+                    onDelete={() => handleSearch(query, { pattern: null })}
+                    sx={{ maxWidth: '60%' }}
+                  />
+                )}
+              </Box>
+            )}
+        
+            {query && view === 'patterns' && (
+              <PatternsView query={query} timeBounds={timeBounds} onSelect={handlePatternSelect} />
+            )}
+            {query && view === 'compare' && compareWith && (
+              <CompareView
+                query={query}
+                timeRange={timeRange}
+                timeBounds={timeBounds}
+                compare={compareWith}
+                onCompareChange={handleCompareChange}
+              />
+            )}
+            {(!query || view === 'results') && (
+              <ResultsList
+                results={results}
+                loading={loading}
+                loadingMore={loadingMore}
+                hasMore={!!nextCursor}
+                onLoadMore={handleLoadMore}
+                sort={sort}
+                onSortChange={handleSortChange}
+                expandedId={expandedId}
+                onExpandChange={handleExpandChange}
+                getResultLink={getResultLink}
+                highlights={highlights}
+                scores={scores}
+                layout={columnLayout}
+                availableColumns={resultColumns}
+                onLayoutChange={handleLayoutChange}
+                schema={schema}
+                query={query}
+                timeBounds={pattern ? { ...timeBounds, pattern: pattern.id } : timeBounds}
+                exportRef={exportRef}
+                onFilter={handleFacetFilter}
+                onAddColumn={handleAddColumn}
+              />
+            )}
           </Box>
-        )}
+        </Box>
         
+        <CommandPalette open={paletteOpen} onClose={() => setPaletteOpen(false)} commands={paletteCommands} />
+        <ShortcutsHelp open={shortcutsOpen} onClose={() => setShortcutsOpen(false)} />
+
         <Snackbar open={!!error} autoHideDuration={6000} onClose={handleCloseError}>
           <Alert onClose={handleCloseError} severity="error">
             {error}
@@ -1,51 +1,287 @@
-import React, { useState } from 'react';
-import { 
-  Paper, 
-  InputBase, 
-  Button, 
-  Box 
+import React, { useState, useMemo, useEffect, useRef, useImperativeHandle } from 'react';
+import {
+  Paper,
+  InputBase,
+  Button,
+  Box,
+  Typography,
+  List,
+  ListItemButton,
+  Select,
+  MenuItem
 } from '@mui/material';
 import SearchIcon from '@mui/icons-material/Search';
+import { parseQuery, wordAtCursor, applySuggestion } from '../../services/queryParser';
+import { fetchSuggestions } from '../../services/api';
 
-const SearchBar = ({ onSearch }) => {
-  const [query, setQuery] = useState('');
+// Wait for a pause in typing before asking the server for suggestions
+const SUGGEST_DEBOUNCE_MS = 150;
+
+// How free text terms match indexed terms. Field values, phrases and terms
+// with their own wildcards keep their exact meaning.
+export const MATCH_MODES = [
+  { value: 'exact', label: 'Exact', description: 'Whole terms' },
+  { value: 'prefix', label: 'Prefix', description: 'Terms starting with each word' },
+  { value: 'contains', label: 'Contains', description: 'Terms containing each word' },
+];
+
+// ref exposes focus() for the / shortcut
+const SearchBar = ({ value = '', matchMode = 'exact', onMatchModeChange, onSearch, ref }) => {
+  const [query, setQuery] = useState(value);
+  const [cursor, setCursor] = useState(value.length);
+  const [focused, setFocused] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [dismissed, setDismissed] = useState(false);
+  const inputRef = useRef(null);
+  const pendingCursorRef = useRef(null);
+
+  useImperativeHandle(ref, () => ({
+    focus: () => inputRef.current && inputRef.current.focus(),
+  }), []);
+
+  // Follow query changes made outside the bar, e.g. facet filters
+  useEffect(() => {
+    setQuery(value);
+    setCursor(value.length);
+  }, [value]);
+
+  // Validate as the user types so syntax errors show before submitting
+  const syntaxError = useMemo(() => {
+    if (!query.trim()) return null;
+    return parseQuery(query).error;
+  }, [query]);
+
+  const word = useMemo(() => wordAtCursor(query, cursor), [query, cursor]);
+  const wordField = word ? word.field : null;
+  const wordPrefix = word ? word.prefix : null;
+
+  // Suggestions for the word at the cursor. Each change cancels the request
+  // in flight, so a slow response can't replace the suggestions for newer input.
+  useEffect(() => {
+    setActiveIndex(-1);
+    if (!focused || wordPrefix === null || (!wordField && !wordPrefix)) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const data = await fetchSuggestions(wordPrefix, { field: wordField, signal: controller.signal });
+        if (!controller.signal.aborted) {
+          setSuggestions(data.suggestions || []);
+        }
+      } catch (e) {
+        if (!controller.signal.aborted) {
+          setSuggestions([]);
+        }
+      }
+    }, SUGGEST_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [focused, wordField, wordPrefix]);
+
+  // Put the cursor after an accepted suggestion once the new query renders
+  useEffect(() => {
+    if (pendingCursorRef.current !== null && inputRef.current) {
+      inputRef.current.setSelectionRange(pendingCursorRef.current, pendingCursorRef.current);
+      pendingCursorRef.current = null;
+    }
+  }, [query]);
+
+  const open = focused && !dismissed && suggestions.length > 0;
+
+  const updateCursor = (e) => {
+    setCursor(e.target.selectionStart ?? e.target.value.length);
+  };
+
+  const handleChange = (e) => {
+    setQuery(e.target.value);
+    updateCursor(e);
+    setDismissed(false);
+  };
+
+  const acceptSuggestion = (suggestion) => {
+    const next = applySuggestion(query, word, suggestion);
+    pendingCursorRef.current = next.cursor;
+    setQuery(next.query);
+    setCursor(next.cursor);
+    setSuggestions([]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open) {
+      // Hand the keys back to the results shortcuts
+      if (e.key === 'Escape') {
+        inputRef.current.blur();
+      }
+      return;
+    }
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActiveIndex(index => (index + 1) % suggestions.length);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+        break;
+      case 'Enter':
+      case 'Tab':
+        // Enter without a highlighted suggestion submits the search
+        if (activeIndex >= 0) {
+          e.preventDefault();
+          acceptSuggestion(suggestions[activeIndex]);
+        }
+        break;
+      case 'Escape':
+        e.preventDefault();
+        setDismissed(true);
+        break;
+      default:
+        break;
+    }
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
+    if (syntaxError) return;
+    setDismissed(true);
     onSearch(query);
   };
 
   return (
-    <Paper
-      component="form"
-      onSubmit={handleSubmit}
-      sx={{ 
-        p: '2px 4px', 
-        display: 'flex', 
-        alignItems: 'center', 
-        width: '100%',
-        mb: 4,
-        border: '1px solid #e0e0e0',
-        boxShadow: 1
-      }}
-    >
-      <InputBase
-        sx={{ ml: 1, flex: 1 }}
-        placeholder="Enter your search query..."
-        value={query}
-        onChange={(e) => setQuery(e.target.value)}
-        inputProps={{ 'aria-label': 'search' }}
-      />
-      <Button 
-        type="submit" 
-        variant="contained" 
-        sx={{ p: '10px 20px', borderRadius: '0 4px 4px 0' }}
-        endIcon={<SearchIcon />}
+    <Box sx={{ mb: 4, position: 'relative' }}>
+      <Paper
+        component="form"
+        onSubmit={handleSubmit}
+        sx={{
+          p: '2px 4px',
+          display: 'flex',
+          alignItems: 'center',
+          width: '100%',
+          border: '1px solid',
+          borderColor: syntaxError ? 'error.main' : 'divider',
+          boxShadow: 1
+        }}
       >
-        Search
-      </Button>
-    </Paper>
+        <InputBase
+          sx={{ ml: 1, flex: 1, fontFamily: 'monospace' }}
+          placeholder='e.g. level:ERROR namespace:payments -pod:api-* "connection refused"'
+          value={query}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onKeyUp={updateCursor}
+          onClick={updateCursor}
+          onFocus={() => setFocused(true)}
+          onBlur={() => setFocused(false)}
+          inputRef={inputRef}
+          inputProps={{
+            'aria-label': 'search',
+            'aria-invalid': !!syntaxError,
+            'aria-autocomplete': 'list',
+            'aria-expanded': open,
+            'aria-controls': 'search-suggestions',
+            autoComplete: 'off'
+          }}
+        />
+        {onMatchModeChange && (
+          <Select
+            size="small"
+            variant="standard"
+            disableUnderline
+            value={matchMode}
+            onChange={(e) => onMatchModeChange(e.target.value)}
+            renderValue={(mode) => MATCH_MODES.find(option => option.value === mode)?.label || mode}
+            inputProps={{ 'aria-label': 'Match mode' }}
+            sx={{ mx: 1, fontSize: '0.8rem', color: 'text.secondary' }}
+          >
+            {MATCH_MODES.map(option => (
+              <MenuItem key={option.value} value={option.value} dense>
+                <Box>
+                  <Typography variant="body2">{option.label}</Typography>
+                  <Typography variant="caption" color="text.secondary">{option.description}</Typography>
+                </Box>
+              </MenuItem>
+            ))}
+          </Select>
+        )}
+        <Button
+          type="submit"
+          variant="contained"
+          disabled={!!syntaxError}
+          sx={{ p: '10px 20px', borderRadius: '0 4px 4px 0' }}
+          endIcon={<SearchIcon />}
+        >
+          Search
+        </Button>
+      </Paper>
+      {open && (
+        <Paper
+          sx={{
+            position: 'absolute',
+            left: 0,
+            right: 0,
+            zIndex: 10,
+            mt: 0.5,
+            maxHeight: 320,
+            overflowY: 'auto',
+            boxShadow: 3
+          }}
+        >
+          <List dense disablePadding id="search-suggestions" role="listbox">
+            {suggestions.map((suggestion, index) => (
+              <ListItemButton
+                key={`${suggestion.type}:${suggestion.field || ''}:${suggestion.value}`}
+                role="option"
+                selected={index === activeIndex}
+                aria-selected={index === activeIndex}
+                // Keep focus in the input so the blur doesn't close the list first
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => acceptSuggestion(suggestion)}
+                sx={{ display: 'flex', gap: 1 }}
+              >
+                <Typography
+                  variant="body2"
+                  sx={{ flex: 1, fontFamily: 'monospace', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                >
+                  {suggestion.type === 'field' ? `${suggestion.value}:` : suggestion.value}
+                </Typography>
+                {suggestion.count > 0 && (
+                  <Typography variant="caption" color="text.secondary">
+                    {suggestion.count.toLocaleString()}
+                  </Typography>
+                )}
+                <Typography variant="caption" color="text.secondary" sx={{ width: 40, textAlign: 'right' }}>
+                  {suggestion.type}
+                </Typography>
+              </ListItemButton>
+            ))}
+          </List>
+        </Paper>
+      )}
+      {syntaxError && (
+        <Box sx={{ mt: 1, textAlign: 'left' }} role="alert">
+          <Typography variant="caption" color="error" component="div">
+            Syntax error at column {syntaxError.position + 1}: {syntaxError.message}
+          </Typography>
+          <Typography
+            variant="caption"
+            component="pre"
+            sx={{ m: 0, fontFamily: 'monospace', color: 'text.secondary', whiteSpace: 'pre' }}
+          >
+            {query}
+            {'\n'}
+            {' '.repeat(syntaxError.position)}^
+          </Typography>
+        </Box>
+      )}
+    </Box>
   );
 };
 
-export default SearchBar;
\ No newline at end of file
+export default SearchBar;
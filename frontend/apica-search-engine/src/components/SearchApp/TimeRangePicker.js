@@ -0,0 +1,148 @@
+import React, { useState, useRef } from 'react';
+import {
+  Box,
+  Button,
+  MenuItem,
+  Popover,
+  Select,
+  TextField
+} from '@mui/material';
+import AccessTimeIcon from '@mui/icons-material/AccessTime';
+
+export const RELATIVE_RANGES = [
+  { value: '15m', label: 'Last 15 minutes', ms: 15 * 60 * 1000 },
+  { value: '1h', label: 'Last 1 hour', ms: 60 * 60 * 1000 },
+  { value: '24h', label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+  { value: '7d', label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+];
+
+export const ALL_TIME = { type: 'all' };
+
+// Turn a time range into absolute ISO from/to bounds for the search API.
+// Relative ranges are resolved against the current time on every call.
+export const resolveTimeRange = (range, now = Date.now()) => {
+  if (!range || range.type === 'all') {
+    return {};
+  }
+  if (range.type === 'relative') {
+    const relative = RELATIVE_RANGES.find(r => r.value === range.value);
+    if (!relative) return {};
+    return {
+      from: new Date(now - relative.ms).toISOString(),
+      to: new Date(now).toISOString(),
+    };
+  }
+  return {
+    from: range.from ? new Date(range.from).toISOString() : undefined,
+    to: range.to ? new Date(range.to).toISOString() : undefined,
+  };
+};
+
+// Human readable description of a time range
+export const describeTimeRange = (range) => {
+  if (!range || range.type === 'all') {
+    return 'All time';
+  }
+  if (range.type === 'relative') {
+    const relative = RELATIVE_RANGES.find(r => r.value === range.value);
+    return relative ? relative.label : 'All time';
+  }
+  const format = (value) => value ? new Date(value).toLocaleString() : '…';
+  return `${format(range.from)} – ${format(range.to)}`;
+};
+
+// datetime-local inputs work with local time strings without a timezone
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const TimeRangePicker = ({ value, onChange }) => {
+  const anchorRef = useRef(null);
+  const [customOpen, setCustomOpen] = useState(false);
+  const [customFrom, setCustomFrom] = useState('');
+  const [customTo, setCustomTo] = useState('');
+
+  const selectValue = value.type === 'relative' ? value.value : value.type;
+
+  const handleSelect = (event) => {
+    const selected = event.target.value;
+    if (selected === 'all') {
+      onChange(ALL_TIME);
+    } else if (selected !== 'absolute') {
+      onChange({ type: 'relative', value: selected });
+    }
+  };
+
+  const openCustom = () => {
+    setCustomFrom(toLocalInput(value.from));
+    setCustomTo(toLocalInput(value.to));
+    setCustomOpen(true);
+  };
+
+  const handleApplyCustom = () => {
+    onChange({
+      type: 'absolute',
+      from: customFrom ? new Date(customFrom).toISOString() : null,
+      to: customTo ? new Date(customTo).toISOString() : null,
+    });
+    setCustomOpen(false);
+  };
+
+  const customInvalid = (!customFrom && !customTo) ||
+    (customFrom && customTo && new Date(customFrom) > new Date(customTo));
+
+  return (
+    <Box ref={anchorRef} sx={{ display: 'inline-flex' }}>
+      <Select
+        size="small"
+        value={selectValue}
+        onChange={handleSelect}
+        startAdornment={<AccessTimeIcon fontSize="small" sx={{ mr: 1, color: 'text.secondary' }} />}
+        renderValue={() => describeTimeRange(value)}
+        sx={{ minWidth: 180, bgcolor: 'background.paper', textAlign: 'left' }}
+        inputProps={{ 'aria-label': 'time range' }}
+      >
+        <MenuItem value="all">All time</MenuItem>
+        {RELATIVE_RANGES.map(range => (
+          <MenuItem key={range.value} value={range.value}>{range.label}</MenuItem>
+        ))}
+        <MenuItem value="absolute" onClick={openCustom}>Custom range…</MenuItem>
+      </Select>
+
+      <Popover
+        open={customOpen}
+        anchorEl={anchorRef.current}
+        onClose={() => setCustomOpen(false)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Box sx={{ p: 2, display: 'flex', flexDirection: 'column', gap: 2, width: 260 }}>
+          <TextField
+            label="From"
+            type="datetime-local"
+            size="small"
+            value={customFrom}
+            onChange={(e) => setCustomFrom(e.target.value)}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <TextField
+            label="To"
+            type="datetime-local"
+            size="small"
+            value={customTo}
+            onChange={(e) => setCustomTo(e.target.value)}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <Button variant="contained" onClick={handleApplyCustom} disabled={!!customInvalid}>
+            Apply
+          </Button>
+        </Box>
+      </Popover>
+    </Box>
+  );
+};
+
+export default TimeRangePicker;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  IconButton,
+  MenuItem,
+  Popover,
+  Select,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import LightModeIcon from '@mui/icons-material/LightMode';
+import DarkModeIcon from '@mui/icons-material/DarkMode';
+import SettingsBrightnessIcon from '@mui/icons-material/SettingsBrightness';
+import { useDisplaySettings } from './DisplaySettingsProvider';
+import { MONOSPACE_FONTS } from '../../services/displaySettings';
+
+const MODE_ICONS = {
+  light: <LightModeIcon />,
+  dark: <DarkModeIcon />,
+  system: <SettingsBrightnessIcon />,
+};
+
+// Header button with the color mode, density and log font settings
+const DisplaySettingsMenu = ({ sx }) => {
+  const { settings, updateSettings } = useDisplaySettings();
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  // Exclusive toggle groups report null when the selected button is clicked again
+  const handleToggle = (key) => (event, value) => {
+    if (value) {
+      updateSettings({ [key]: value });
+    }
+  };
+
+  return (
+    <>
+      <Tooltip title="Display settings">
+        <IconButton aria-label="Display settings" onClick={(e) => setAnchorEl(e.currentTarget)} sx={sx}>
+          {MODE_ICONS[settings.mode]}
+        </IconButton>
+      </Tooltip>
+      <Popover
+        open={!!anchorEl}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Box sx={{ p: 2, width: 280, display: 'flex', flexDirection: 'column', gap: 2, textAlign: 'left' }}>
+          <Box>
+            <Typography variant="subtitle2" gutterBottom>Theme</Typography>
+            <ToggleButtonGroup
+              size="small"
+              exclusive
+              fullWidth
+              value={settings.mode}
+              onChange={handleToggle('mode')}
+              aria-label="Theme"
+            >
+              <ToggleButton value="light">Light</ToggleButton>
+              <ToggleButton value="system">System</ToggleButton>
+              <ToggleButton value="dark">Dark</ToggleButton>
+            </ToggleButtonGroup>
+          </Box>
+          <Box>
+            <Typography variant="subtitle2" gutterBottom>Density</Typography>
+            <ToggleButtonGroup
+              size="small"
+              exclusive
+              fullWidth
+              value={settings.density}
+              onChange={handleToggle('density')}
+              aria-label="Density"
+            >
+              <ToggleButton value="comfortable">Comfortable</ToggleButton>
+              <ToggleButton value="compact">Compact</ToggleButton>
+            </ToggleButtonGroup>
+          </Box>
+          <Box>
+            <Typography variant="subtitle2" gutterBottom>Log font</Typography>
+            <Select
+              size="small"
+              fullWidth
+              value={settings.font}
+              onChange={(e) => updateSettings({ font: e.target.value })}
+              inputProps={{ 'aria-label': 'Log font' }}
+            >
+              {MONOSPACE_FONTS.map(font => (
+                <MenuItem key={font.key} value={font.key} sx={{ fontFamily: font.fontFamily }}>
+                  {font.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </Box>
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+export default DisplaySettingsMenu;
@@ -0,0 +1,47 @@
+import React, { createContext, useContext, useMemo, useState, useCallback } from 'react';
+import { ThemeProvider } from '@mui/material/styles';
+import CssBaseline from '@mui/material/CssBaseline';
+import useMediaQuery from '@mui/material/useMediaQuery';
+import { createAppTheme } from '../../theme';
+import { loadDisplaySettings, saveDisplaySettings, DEFAULT_DISPLAY_SETTINGS } from '../../services/displaySettings';
+
+const DisplaySettingsContext = createContext({
+  settings: DEFAULT_DISPLAY_SETTINGS,
+  updateSettings: () => {},
+});
+
+// Settings and their setter for the settings menu
+export const useDisplaySettings = () => useContext(DisplaySettingsContext);
+
+// Themes the app from the saved display settings, following the operating
+// system's color scheme in 'system' mode
+const DisplaySettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(loadDisplaySettings);
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => {
+      const next = { ...prev, ...changes };
+      saveDisplaySettings(next);
+      return next;
+    });
+  }, []);
+
+  const mode = settings.mode === 'system' ? (prefersDark ? 'dark' : 'light') : settings.mode;
+  const theme = useMemo(
+    () => createAppTheme({ mode, density: settings.density, font: settings.font }),
+    [mode, settings.density, settings.font]
+  );
+  const value = useMemo(() => ({ settings, updateSettings }), [settings, updateSettings]);
+
+  return (
+    <DisplaySettingsContext.Provider value={value}>
+      <ThemeProvider theme={theme}>
+        <CssBaseline />
+        {children}
+      </ThemeProvider>
+    </DisplaySettingsContext.Provider>
+  );
+};
+
+export default DisplaySettingsProvider;
@@ -0,0 +1,2 @@
+export { default as DisplaySettingsProvider, useDisplaySettings } from './DisplaySettingsProvider';
+export { default as DisplaySettingsMenu } from './DisplaySettingsMenu';
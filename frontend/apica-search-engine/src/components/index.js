@@ -1,2 +1,4 @@
-
 export { default as SearchApp } from './SearchApp';
+export { default as IngestAdmin } from './Admin';
+export { default as AlertsPage } from './Alerts';
+export { DisplaySettingsProvider, DisplaySettingsMenu } from './Settings';
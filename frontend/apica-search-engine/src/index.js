@@ -9,17 +9,14 @@ import '@fontsource/roboto/400.css';
 import '@fontsource/roboto/500.css';
 import '@fontsource/roboto/700.css';
 // src/index.js or App.js
-import { ThemeProvider } from '@mui/material/styles';
-import CssBaseline from '@mui/material/CssBaseline';
-import theme from './theme';
+import { DisplaySettingsProvider } from './components';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <ThemeProvider theme={theme}>
-      <CssBaseline />
+    <DisplaySettingsProvider>
       <App />
-    </ThemeProvider>
+    </DisplaySettingsProvider>
   </React.StrictMode>
 );
 
@@ -1,16 +1,85 @@
-import { API_BASE_URL, API_ENDPOINTS, getHeaders } from './config';
+import { API_BASE_URL, API_ENDPOINTS, getHeaders, getAdminHeaders } from './config';
+import { parseQuery } from './queryParser';
 
 /**
- * Search messages with pagination
- * @param {string} query - Search query
- * @param {number} page - Page number (1-based)
- * @param {number} limit - Results per page
- * @returns {Promise<Object>} - Search results with pagination info
+ * Build the error thrown for a failed response, using the server's
+ * message when it sends one (e.g. a query syntax error, or the plain text
+ * of most other errors). The HTTP status is kept as its status.
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Error>} - Error to throw
+ */
+const responseError = async (response) => {
+  let message = `HTTP error! Status: ${response.status}`;
+  let text = '';
+  try {
+    text = await response.text();
+    const body = JSON.parse(text);
+    if (body && body.error && body.error.message) {
+      message = body.error.message;
+    }
+  } catch (e) {
+    // Body wasn't JSON
+    if (text.trim()) {
+      message = text.trim();
+    }
+  }
+  const error = new Error(message);
+  error.status = response.status;
+  return error;
+};
+
+/**
+ * Build the query and time range parameters shared by the search endpoints
+ * @param {string} query - Search query, sent both raw and as a parsed AST
+ * @param {Object} scope - { from, to } ISO 8601 bounds, a pattern ID and the
+ *   match mode of free text terms, all optional
+ * @returns {URLSearchParams} - Request parameters
+ */
+const buildQueryParams = (query, { from, to, pattern, match } = {}) => {
+  const params = new URLSearchParams({ q: query });
+  const { ast } = parseQuery(query);
+  if (ast) {
+    params.set('query', JSON.stringify(ast));
+  }
+  if (from) {
+    params.set('from', from);
+  }
+  if (to) {
+    params.set('to', to);
+  }
+  if (pattern) {
+    params.set('pattern', pattern);
+  }
+  if (match) {
+    params.set('match', match);
+  }
+  return params;
+};
+
+/**
+ * Search messages with cursor pagination
+ * @param {string} query - Search query, sent both raw and as a parsed AST
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Results per page
+ * @param {string} options.sort - 'timestamp:desc' (default), 'timestamp:asc' or 'relevance'
+ * @param {string} options.cursor - nextCursor from the previous page, omitted for the first page
+ * @param {string} options.from - Start of the time range (ISO 8601), optional
+ * @param {string} options.to - End of the time range (ISO 8601), optional
+ * @param {string} options.pattern - Only lines with this pattern ID (see fetchPatterns), optional
+ * @param {string} options.match - 'exact', 'prefix' or 'contains' match of free text terms, optional
+ * @returns {Promise<Object>} - Search results with the cursor for the next page
  */
-export const searchMessages = async (query, page = 1, limit = 10) => {
+export const searchMessages = async (query, { limit = 10, sort = 'timestamp:desc', cursor, from, to, pattern, match } = {}) => {
   try {
+    const params = buildQueryParams(query, { from, to, pattern, match });
+    params.set('pageSize', limit);
+    params.set('sort', sort);
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+
     const response = await fetch(
-      `${API_BASE_URL}${API_ENDPOINTS.search}?q=${encodeURIComponent(query)}&page=${page}&limit=${limit}`,
+      `${API_BASE_URL}${API_ENDPOINTS.search}?${params.toString()}`,
       {
         method: 'GET',
         headers: getHeaders(),
@@ -18,7 +87,7 @@ export const searchMessages = async (query, page = 1, limit = 10) => {
     );
 
     if (!response.ok) {
-      throw new Error(`HTTP error! Status: ${response.status}`);
+      throw await responseError(response);
     }
 
     return await response.json();
@@ -28,6 +97,693 @@ export const searchMessages = async (query, page = 1, limit = 10) => {
   }
 };
 
+/**
+ * Fetch match counts over time, per log level, for a query
+ * @param {string} query - Search query
+ * @param {Object} options - Histogram options
+ * @param {number} options.buckets - Maximum number of time buckets
+ * @param {string} options.from - Start of the time range (ISO 8601), optional
+ * @param {string} options.to - End of the time range (ISO 8601), optional
+ * @param {string} options.pattern - Only lines with this pattern ID (see fetchPatterns), optional
+ * @param {string} options.match - 'exact', 'prefix' or 'contains' match of free text terms, optional
+ * @returns {Promise<Object>} - Histogram with its buckets and interval
+ */
+export const fetchHistogram = async (query, { buckets = 60, from, to, pattern, match } = {}) => {
+  try {
+    const params = buildQueryParams(query, { from, to, pattern, match });
+    params.set('buckets', buckets);
+
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.histogram}?${params.toString()}`,
+      {
+        method: 'GET',
+        headers: getHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching histogram:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the top field values (facets) across all results of a query
+ * @param {string} query - Search query
+ * @param {Object} options - Facet options
+ * @param {number} options.size - Number of values per facet
+ * @param {string} options.from - Start of the time range (ISO 8601), optional
+ * @param {string} options.to - End of the time range (ISO 8601), optional
+ * @param {string} options.pattern - Only lines with this pattern ID (see fetchPatterns), optional
+ * @param {string} options.match - 'exact', 'prefix' or 'contains' match of free text terms, optional
+ * @returns {Promise<Object>} - Facets with their value counts
+ */
+export const fetchFacets = async (query, { size = 10, from, to, pattern, match } = {}) => {
+  try {
+    const params = buildQueryParams(query, { from, to, pattern, match });
+    params.set('size', size);
+
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.facets}?${params.toString()}`,
+      {
+        method: 'GET',
+        headers: getHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching facets:', error);
+    throw error;
+  }
+};
+
+/**
+ * Group all results of a query into message patterns (templates with the
+ * variable parts masked)
+ * @param {string} query - Search query
+ * @param {Object} options - Pattern options
+ * @param {number} options.size - Maximum number of patterns
+ * @param {string} options.from - Start of the time range (ISO 8601), optional
+ * @param {string} options.to - End of the time range (ISO 8601), optional
+ * @param {string} options.match - 'exact', 'prefix' or 'contains' match of free text terms, optional
+ * @returns {Promise<Object>} - Patterns with their counts, levels and first/last seen times
+ */
+export const fetchPatterns = async (query, { size = 50, from, to, match } = {}) => {
+  try {
+    const params = buildQueryParams(query, { from, to, match });
+    params.set('size', size);
+
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.patterns}?${params.toString()}`,
+      {
+        method: 'GET',
+        headers: getHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching patterns:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch completions for the word being typed in the search bar
+ * @param {string} prefix - Start of the word
+ * @param {Object} options - Suggest options
+ * @param {string} options.field - Complete values of this field instead of field names and terms
+ * @param {number} options.size - Maximum number of suggestions
+ * @param {AbortSignal} options.signal - Cancels the request when a newer one starts
+ * @returns {Promise<Object>} - { suggestions: [{ type, field, value, count }] }
+ */
+export const fetchSuggestions = async (prefix, { field, size = 10, signal } = {}) => {
+  try {
+    const params = new URLSearchParams({ prefix, size });
+    if (field) {
+      params.set('field', field);
+    }
+
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.suggest}?${params.toString()}`,
+      {
+        method: 'GET',
+        headers: getHeaders(),
+        signal,
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error fetching suggestions:', error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetch the indexing status: whether the server is still restoring its
+ * index snapshot or indexing parquet files, and how far along it is
+ * @returns {Promise<Object>} - { state, filesTotal, filesDone, documents, fromSnapshot, snapshotAt, error }
+ */
+export const fetchIndexStatus = async () => {
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.indexStatus}`,
+      {
+        method: 'GET',
+        headers: getHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching index status:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the schema documents are read with: their message, timestamp and
+ * fields, and which fields are indexed
+ * @returns {Promise<Object>} - { timestamp, message, fields }
+ */
+export const fetchSchema = async () => {
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.schema}`,
+      {
+        method: 'GET',
+        headers: getHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching schema:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the lines logged by the same pod/container around a document
+ * @param {string} id - Document ID
+ * @param {Object} options - Context options
+ * @param {number} options.before - Number of earlier lines
+ * @param {number} options.after - Number of later lines
+ * @returns {Promise<Object>} - { anchor, source, before, after, hasMoreBefore, hasMoreAfter }
+ */
+export const fetchContext = async (id, { before = 50, after = 50 } = {}) => {
+  try {
+    const params = new URLSearchParams({ id, before, after });
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.context}?${params.toString()}`,
+      {
+        method: 'GET',
+        headers: getHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching context:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch a single document by its ID
+ * @param {string} id - Document ID
+ * @returns {Promise<Object>} - The document
+ */
+export const fetchDocument = async (id) => {
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.documents}/${encodeURIComponent(id)}`,
+      {
+        method: 'GET',
+        headers: getHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching document:', error);
+    throw error;
+  }
+};
+
+/**
+ * URL of the export of every document matching a query. The server streams
+ * the file as an attachment, so a link to it downloads straight to disk.
+ * @param {string} query - Search query
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'csv', 'ndjson' or 'parquet'
+ * @param {string[]} options.columns - CSV columns, the server's defaults when empty
+ * @param {string} options.sort - 'timestamp:desc' (default), 'timestamp:asc' or 'relevance'
+ * @param {string} options.from - Start of the time range (ISO 8601), optional
+ * @param {string} options.to - End of the time range (ISO 8601), optional
+ * @param {string} options.pattern - Only lines with this pattern ID (see fetchPatterns), optional
+ * @param {string} options.match - 'exact', 'prefix' or 'contains' match of free text terms, optional
+ * @returns {string} - Export URL
+ */
+export const exportUrl = (query, { format = 'csv', columns = [], sort = 'timestamp:desc', from, to, pattern, match } = {}) => {
+  const params = buildQueryParams(query, { from, to, pattern, match });
+  params.set('format', format);
+  params.set('sort', sort);
+  if (columns.length > 0) {
+    params.set('columns', columns.join(','));
+  }
+  return `${API_BASE_URL}${API_ENDPOINTS.export}?${params.toString()}`;
+};
+
+/**
+ * Download every document matching a query into a file stream, reporting
+ * progress. The file is streamed from the server rather than paged through
+ * the search endpoint, and never held in memory.
+ * @param {string} query - Search query
+ * @param {Object} options - Export options of exportUrl, plus:
+ * @param {AbortSignal} options.signal - Cancels the download
+ * @param {WritableStream} options.sink - File stream to write to
+ * @param {Function} options.onProgress - Called with { rows, total, bytes } as data arrives; rows is null for parquet
+ * @returns {Promise<Object>} - { filename } the server suggested
+ */
+export const exportResults = async (query, { signal, sink, onProgress, ...options } = {}) => {
+  const { format = 'csv' } = options;
+  try {
+    const response = await fetch(exportUrl(query, options), {
+      method: 'GET',
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    const total = parseInt(response.headers.get('X-Total-Count'), 10) || 0;
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const named = disposition.match(/filename="?([^";]+)"?/);
+    const filename = named ? named[1] : `logs.${format}`;
+
+    // Line-based formats hold one document per line after the CSV header
+    const countsLines = format !== 'parquet';
+    let lines = format === 'csv' ? -1 : 0;
+    let bytes = 0;
+    const writer = sink.getWriter();
+    const reader = response.body.getReader();
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        bytes += value.length;
+        if (countsLines) {
+          for (let i = 0; i < value.length; i++) {
+            if (value[i] === 10) lines++;
+          }
+        }
+        await writer.write(value);
+        // Quoted CSV values may span lines, so the count is capped at the total
+        onProgress && onProgress({ rows: countsLines ? Math.min(Math.max(lines, 0), total) : null, total, bytes });
+      }
+    } catch (error) {
+      // Don't leave a partial file behind
+      await writer.abort(error).catch(() => {});
+      throw error;
+    }
+
+    await writer.close();
+    return { filename };
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error exporting results:', error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * List the saved searches shared on the server
+ * @returns {Promise<Array>} - Saved searches ordered by name
+ */
+export const listSavedSearches = async () => {
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.savedSearches}`,
+      {
+        method: 'GET',
+        headers: getHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error listing saved searches:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a saved search, or replace it when it has an ID
+ * @param {Object} search - { id, name, query, timeRange, sort, columns }
+ * @returns {Promise<Object>} - The stored search
+ */
+export const saveSearch = async (search) => {
+  try {
+    const url = search.id
+      ? `${API_BASE_URL}${API_ENDPOINTS.savedSearches}/${encodeURIComponent(search.id)}`
+      : `${API_BASE_URL}${API_ENDPOINTS.savedSearches}`;
+    const response = await fetch(url, {
+      method: search.id ? 'PUT' : 'POST',
+      headers: getHeaders(),
+      body: JSON.stringify(search),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error saving search:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a saved search
+ * @param {string} id - Saved search ID
+ * @returns {Promise<void>}
+ */
+export const deleteSavedSearch = async (id) => {
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.savedSearches}/${encodeURIComponent(id)}`,
+      {
+        method: 'DELETE',
+        headers: getHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    throw error;
+  }
+};
+
+/**
+ * Import saved searches exported as JSON. Searches named like an existing
+ * one replace it.
+ * @param {Array} searches - Saved searches, as returned by listSavedSearches
+ * @returns {Promise<Array>} - The imported searches
+ */
+export const importSavedSearches = async (searches) => {
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.savedSearches}/import`,
+      {
+        method: 'POST',
+        headers: getHeaders(),
+        body: JSON.stringify(searches),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error importing saved searches:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the alert rules with the outcome of their last evaluation
+ * @returns {Promise<Array>} - Alert rules ordered by name
+ */
+export const listAlertRules = async () => {
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.alerts}`,
+      {
+        method: 'GET',
+        headers: getHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error listing alert rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create an alert rule, or replace it when it has an ID
+ * @param {Object} rule - { id, name, query, condition, threshold, window, webhook, enabled }
+ * @returns {Promise<Object>} - The stored rule
+ */
+export const saveAlertRule = async (rule) => {
+  try {
+    const url = rule.id
+      ? `${API_BASE_URL}${API_ENDPOINTS.alerts}/${encodeURIComponent(rule.id)}`
+      : `${API_BASE_URL}${API_ENDPOINTS.alerts}`;
+    const response = await fetch(url, {
+      method: rule.id ? 'PUT' : 'POST',
+      headers: getHeaders(),
+      body: JSON.stringify(rule),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error saving alert rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an alert rule. Its events stay in the history.
+ * @param {string} id - Alert rule ID
+ * @returns {Promise<void>}
+ */
+export const deleteAlertRule = async (id) => {
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.alerts}/${encodeURIComponent(id)}`,
+      {
+        method: 'DELETE',
+        headers: getHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the firing history of the alert rules
+ * @param {string} ruleId - Only the events of this rule, optional
+ * @returns {Promise<Array>} - Events, newest first
+ */
+export const fetchAlertHistory = async (ruleId) => {
+  try {
+    const params = new URLSearchParams();
+    if (ruleId) {
+      params.set('rule', ruleId);
+    }
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.alertHistory}?${params}`,
+      {
+        method: 'GET',
+        headers: getHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching alert history:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the files of the server's parquet folder with their indexing state
+ * @returns {Promise<Object>} - { folder, files, status }, files ordered by name
+ */
+export const listIngestFiles = async () => {
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.adminFiles}`,
+      {
+        method: 'GET',
+        headers: getAdminHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error listing files:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upload parquet files into the server's folder. They are indexed in the
+ * background; files with an existing name replace it.
+ * @param {File[]} files - .parquet files to upload
+ * @returns {Promise<Object>} - The file list after the upload, like listIngestFiles
+ */
+export const uploadParquetFiles = async (files) => {
+  try {
+    const body = new FormData();
+    files.forEach(file => body.append('files', file, file.name));
+    // The browser sets the multipart Content-Type with its boundary
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.adminFiles}`,
+      {
+        method: 'POST',
+        headers: getAdminHeaders(false),
+        body,
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error uploading files:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a file from the server's parquet folder and drop its documents
+ * from the index
+ * @param {string} name - File name
+ * @returns {Promise<void>}
+ */
+export const deleteIngestFile = async (name) => {
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}${API_ENDPOINTS.adminFiles}/${encodeURIComponent(name)}`,
+      {
+        method: 'DELETE',
+        headers: getAdminHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+  } catch (error) {
+    console.error('Error deleting file:', error);
+    throw error;
+  }
+};
+
+/**
+ * Index one file of the parquet folder again, or all of them when no name
+ * is given. Indexing runs in the background.
+ * @param {string} name - File name, optional
+ * @returns {Promise<Object>} - The file list, like listIngestFiles
+ */
+export const reindexFiles = async (name) => {
+  try {
+    const url = name
+      ? `${API_BASE_URL}${API_ENDPOINTS.adminFiles}/${encodeURIComponent(name)}/reindex`
+      : `${API_BASE_URL}${API_ENDPOINTS.adminReindex}`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: getAdminHeaders(),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error reindexing files:', error);
+    throw error;
+  }
+};
+
+/**
+ * Open a live tail stream of documents matching a query as they are indexed
+ * @param {string} query - Search query
+ * @param {Object} handlers - Stream callbacks, and the match mode of free text terms as match
+ * @param {Function} handlers.onDocuments - Called with each array of new matching documents
+ * @param {Function} handlers.onOpen - Called when the stream (re)connects
+ * @param {Function} handlers.onError - Called when the connection drops; the browser retries
+ * @returns {Function} - Closes the stream
+ */
+export const openTailStream = (query, { match, onDocuments, onOpen, onError } = {}) => {
+  const params = buildQueryParams(query, { match });
+  const source = new EventSource(`${API_BASE_URL}${API_ENDPOINTS.tail}?${params.toString()}`);
+
+  source.addEventListener('documents', (event) => {
+    try {
+      onDocuments && onDocuments(JSON.parse(event.data));
+    } catch (error) {
+      console.error('Error parsing tail documents:', error);
+    }
+  });
+  source.onopen = () => onOpen && onOpen();
+  source.onerror = (error) => {
+    console.error('Tail stream error:', error);
+    onError && onError(error);
+  };
+
+  return () => source.close();
+};
+
 /**
  * Generic error handler to be used with async/await
  * @param {Promise} promise - The promise to handle
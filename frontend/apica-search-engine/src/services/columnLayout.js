@@ -0,0 +1,114 @@
+// services/columnLayout.js
+// Columns of the results table and the user's layout (order, visibility and
+// widths), persisted in localStorage.
+
+import { schemaFields, fieldLabel } from './schema';
+import { isJsonPathField, jsonPathColumn } from './jsonPath';
+
+const STORAGE_KEY = 'apica-search-engine.resultColumns';
+
+// Minimum width a column can be resized to, in pixels
+export const MIN_COLUMN_WIDTH = 60;
+
+// Available columns in their default order, for the server's default schema
+export const RESULT_COLUMNS = [
+  { key: 'timestamp', label: 'Timestamp', width: 180, visible: true },
+  { key: 'level', label: 'Level', width: 90, visible: true },
+  { key: 'namespace', label: 'Namespace', width: 140, visible: false },
+  { key: 'pod', label: 'Pod', width: 200, visible: true },
+  { key: 'container', label: 'Container', width: 140, visible: false },
+  { key: 'sender', label: 'Sender', width: 140, visible: false },
+  { key: 'tag', label: 'Tag', width: 120, visible: false },
+  { key: 'event', label: 'Event', width: 120, visible: false },
+  { key: 'score', label: 'Score', width: 80, visible: false },
+  { key: 'message', label: 'Message', width: 400, visible: true },
+];
+
+/**
+ * Available columns for the fields of a schema. Fields with a column above
+ * keep its label and width, others are hidden by default.
+ * @param {Object} schema - Schema from fetchSchema
+ * @returns {Array} - [{ key, label, width, visible }]
+ */
+export const schemaColumns = (schema) => {
+  const known = Object.fromEntries(RESULT_COLUMNS.map(column => [column.key, column]));
+  const fieldColumns = schemaFields(schema)
+    .filter(field => !['timestamp', 'level', 'score', 'message'].includes(field.name))
+    .map(field => ({
+      ...(known[field.name] || { key: field.name, width: 140, visible: false }),
+      label: field.label || (known[field.name] ? known[field.name].label : fieldLabel(field)),
+    }));
+  return [known.timestamp, known.level, ...fieldColumns, known.score, known.message];
+};
+
+/**
+ * Default layout: every column in its default order
+ * @param {Array} columns - Available columns, RESULT_COLUMNS unless the schema has others
+ * @returns {Array} - [{ key, label, width, visible }]
+ */
+export const defaultColumnLayout = (columns = RESULT_COLUMNS) => columns.map(column => ({ ...column }));
+
+/**
+ * Turn a stored layout into a complete one, dropping columns that no longer
+ * exist and appending new ones (hidden) so older layouts keep working.
+ * Columns added for JSON paths are kept while they are visible.
+ * @param {Array} saved - [{ key, width, visible }], e.g. from localStorage or a saved search
+ * @param {Array} columns - Available columns
+ * @returns {Array|null} - [{ key, label, width, visible }], or null if saved isn't a layout
+ */
+export const normalizeColumnLayout = (saved, columns = RESULT_COLUMNS) => {
+  if (!Array.isArray(saved)) return null;
+
+  const labels = Object.fromEntries(columns.map(column => [column.key, column.label]));
+
+  const layout = saved
+    .filter(column => column && (labels[column.key] ||
+      (typeof column.key === 'string' && isJsonPathField(column.key) && column.visible !== false)))
+    .map(column => ({
+      key: column.key,
+      label: labels[column.key] || jsonPathColumn(column.key).label,
+      width: Math.max(MIN_COLUMN_WIDTH, Number(column.width) || MIN_COLUMN_WIDTH),
+      visible: column.visible !== false,
+    }));
+  if (!layout.some(column => column.visible)) return null;
+  columns.forEach(column => {
+    if (!layout.some(c => c.key === column.key)) {
+      layout.push({ ...column, visible: false });
+    }
+  });
+  return layout;
+};
+
+/**
+ * Read the layout saved in localStorage
+ * @param {Array} columns - Available columns
+ * @returns {Array} - [{ key, label, width, visible }]
+ */
+export const loadColumnLayout = (columns = RESULT_COLUMNS) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return normalizeColumnLayout(saved, columns) || defaultColumnLayout(columns);
+  } catch (e) {
+    // Storage is unavailable
+    return defaultColumnLayout(columns);
+  }
+};
+
+/**
+ * Strip a layout down to what needs storing
+ * @param {Array} layout - [{ key, label, width, visible }]
+ * @returns {Array} - [{ key, width, visible }]
+ */
+export const serializeColumnLayout = (layout) => layout.map(({ key, width, visible }) => ({ key, width, visible }));
+
+/**
+ * Save the layout for the next visit
+ * @param {Array} layout - [{ key, width, visible }]
+ */
+export const saveColumnLayout = (layout) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(serializeColumnLayout(layout)));
+  } catch (e) {
+    // Storage is full or disabled; the layout only lasts for this visit
+  }
+};
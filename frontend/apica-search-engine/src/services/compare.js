@@ -0,0 +1,105 @@
+// services/compare.js
+// Differences between two searches for the compare view: side A is the
+// main search, side B another query or time range. The inputs are the
+// responses of searchMessages, fetchFacets and fetchPatterns for each side.
+
+/**
+ * Change from a to b
+ * @param {number} a - Count of side A
+ * @param {number} b - Count of side B
+ * @returns {Object} - { a, b, delta, percent }, percent is null when a is 0
+ */
+export const countDelta = (a, b) => ({
+  a,
+  b,
+  delta: b - a,
+  percent: a > 0 ? ((b - a) / a) * 100 : null,
+});
+
+// Values of a facet by field=value, e.g. pod=api-1 or label.app=payments
+const facetValues = (facets, name) => {
+  const facet = ((facets && facets.facets) || []).find(f => f.name === name);
+  const values = new Map();
+  (facet ? facet.values : []).forEach(value => values.set(`${value.field}=${value.value}`, value));
+  // Values beyond the top ones were left out, so a missing value may still occur
+  return { values, complete: !facet || facet.other === 0 };
+};
+
+/**
+ * Documents per log level on each side, from the facet of the level field
+ * @param {Object} facetsA - fetchFacets response for side A
+ * @param {Object} facetsB - fetchFacets response for side B
+ * @returns {Array} - [{ level, a, b, delta, percent }], most frequent first
+ */
+export const levelBreakdown = (facetsA, facetsB) => {
+  const a = facetValues(facetsA, facetsA && facetsA.level).values;
+  const b = facetValues(facetsB, facetsB && facetsB.level).values;
+  const keys = [...new Set([...a.keys(), ...b.keys()])];
+  return keys
+    .map(key => {
+      const value = a.get(key) || b.get(key);
+      return {
+        level: value.value,
+        ...countDelta(a.has(key) ? a.get(key).count : 0, b.has(key) ? b.get(key).count : 0),
+      };
+    })
+    .sort((x, y) => Math.max(y.a, y.b) - Math.max(x.a, x.b));
+};
+
+/**
+ * Facet values found on one side only, e.g. pods that appeared after a
+ * rollout. A value missing from a side whose facet was cut off at its top
+ * values isn't reported, as it may be among the others.
+ * @param {Object} facetsA - fetchFacets response for side A
+ * @param {Object} facetsB - fetchFacets response for side B
+ * @param {Array} compared - Facets of side A to compare, { name, label }
+ * @returns {Array} - [{ name, label, onlyA: [{ field, value, count }], onlyB, shared }]
+ */
+export const facetDeltas = (facetsA, facetsB, compared) => compared.map(({ name, label }) => {
+  const a = facetValues(facetsA, name);
+  const b = facetValues(facetsB, name);
+  const onlyA = b.complete ? [...a.values].filter(([key]) => !b.values.has(key)).map(([, value]) => value) : [];
+  const onlyB = a.complete ? [...b.values].filter(([key]) => !a.values.has(key)).map(([, value]) => value) : [];
+  const shared = [...a.values.keys()].filter(key => b.values.has(key)).length;
+  return { name, label, onlyA, onlyB, shared };
+});
+
+// Patterns by ID, and whether they're all of them
+const patternMap = (patterns) => ({
+  patterns: new Map(((patterns && patterns.patterns) || []).map(pattern => [pattern.id, pattern])),
+  complete: !patterns || patterns.totalPatterns <= patterns.patterns.length,
+});
+
+/**
+ * Log patterns that are new on side B or have disappeared from it. As with
+ * facets, only patterns known to be missing from the other side count.
+ * @param {Object} patternsA - fetchPatterns response for side A
+ * @param {Object} patternsB - fetchPatterns response for side B
+ * @returns {Object} - { added: [pattern], removed: [pattern] }, most frequent first
+ */
+export const patternDeltas = (patternsA, patternsB) => {
+  const a = patternMap(patternsA);
+  const b = patternMap(patternsB);
+  const byCount = (x, y) => y.count - x.count;
+  return {
+    added: a.complete ? [...b.patterns.values()].filter(pattern => !a.patterns.has(pattern.id)).sort(byCount) : [],
+    removed: b.complete ? [...a.patterns.values()].filter(pattern => !b.patterns.has(pattern.id)).sort(byCount) : [],
+  };
+};
+
+/**
+ * The window of the same length just before a time range, e.g. the hour
+ * before the last hour, to compare a range with
+ * @param {Object} bounds - Resolved bounds { from, to } of the range
+ * @returns {Object|null} - Absolute time range, or null if the range is open
+ */
+export const previousPeriod = (bounds) => {
+  if (!bounds.from || !bounds.to) return null;
+  const from = new Date(bounds.from).getTime();
+  const to = new Date(bounds.to).getTime();
+  return {
+    type: 'absolute',
+    from: new Date(from - (to - from)).toISOString(),
+    to: new Date(from).toISOString(),
+  };
+};
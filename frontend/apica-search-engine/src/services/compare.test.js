@@ -0,0 +1,135 @@
+import { countDelta, levelBreakdown, facetDeltas, patternDeltas, previousPeriod } from './compare';
+
+// A fetchFacets response with one facet per name, other is the count of
+// documents beyond the listed values
+const facets = (level, byName) => ({
+  level,
+  facets: Object.entries(byName).map(([name, { values, other = 0 }]) => ({
+    name,
+    values: Object.entries(values).map(([value, count]) => ({ field: name, value, count })),
+    other,
+  })),
+});
+
+// A fetchPatterns response listing some of totalPatterns patterns
+const patterns = (counts, totalPatterns = Object.keys(counts).length) => ({
+  patterns: Object.entries(counts).map(([id, count]) => ({ id, count, template: `template ${id}` })),
+  totalPatterns,
+});
+
+describe('countDelta', () => {
+  test.each([
+    [10, 15, 5, 50],
+    [10, 5, -5, -50],
+    [4, 4, 0, 0],
+    [0, 3, 3, null],
+    [0, 0, 0, null],
+  ])('from %d to %d', (a, b, delta, percent) => {
+    expect(countDelta(a, b)).toEqual({ a, b, delta, percent });
+  });
+});
+
+describe('levelBreakdown', () => {
+  test.each([
+    [
+      'levels of both sides, most frequent first',
+      facets('level', { level: { values: { ERROR: 5, INFO: 50 } } }),
+      facets('level', { level: { values: { ERROR: 20, WARN: 3 } } }),
+      [
+        { level: 'INFO', a: 50, b: 0, delta: -50, percent: -100 },
+        { level: 'ERROR', a: 5, b: 20, delta: 15, percent: 300 },
+        { level: 'WARN', a: 0, b: 3, delta: 3, percent: null },
+      ],
+    ],
+    [
+      'the level field of each side',
+      facets('severity', { severity: { values: { error: 2 } }, level: { values: { INFO: 9 } } }),
+      facets('severity', { severity: { values: { error: 4 } } }),
+      [{ level: 'error', a: 2, b: 4, delta: 2, percent: 100 }],
+    ],
+    ['nothing without a level field', facets('', {}), facets('', {}), []],
+    ['nothing before the facets arrive', null, undefined, []],
+  ])('%s', (_, a, b, want) => {
+    expect(levelBreakdown(a, b)).toEqual(want);
+  });
+});
+
+describe('facetDeltas', () => {
+  const compared = [{ name: 'pod', label: 'Pod' }];
+  const value = (v, count) => ({ field: 'pod', value: v, count });
+
+  test.each([
+    [
+      'values found on one side only',
+      { values: { 'api-1': 4, 'api-2': 1 } },
+      { values: { 'api-2': 3, 'api-3': 7 } },
+      { onlyA: [value('api-1', 4)], onlyB: [value('api-3', 7)], shared: 1 },
+    ],
+    [
+      'no values of B as new when A was cut off',
+      { values: { 'api-1': 4 }, other: 10 },
+      { values: { 'api-1': 2, 'api-3': 7 } },
+      { onlyA: [], onlyB: [], shared: 1 },
+    ],
+    [
+      'no values of A as gone when B was cut off',
+      { values: { 'api-1': 4, 'api-2': 1 } },
+      { values: { 'api-1': 2 }, other: 5 },
+      { onlyA: [], onlyB: [], shared: 1 },
+    ],
+    [
+      'every value of B when A has none',
+      { values: {} },
+      { values: { 'api-3': 7 } },
+      { onlyA: [], onlyB: [value('api-3', 7)], shared: 0 },
+    ],
+  ])('reports %s', (_, a, b, want) => {
+    expect(facetDeltas(facets('level', { pod: a }), facets('level', { pod: b }), compared))
+      .toEqual([{ name: 'pod', label: 'Pod', ...want }]);
+  });
+
+  test('tells values of object fields apart by field', () => {
+    const labels = (values) => ({
+      level: 'level',
+      facets: [{ name: 'label', values, other: 0 }],
+    });
+    const a = labels([{ field: 'label.app', value: 'payments', count: 1 }]);
+    const b = labels([{ field: 'label.team', value: 'payments', count: 2 }]);
+    expect(facetDeltas(a, b, [{ name: 'label', label: 'Labels' }])).toEqual([{
+      name: 'label',
+      label: 'Labels',
+      onlyA: [{ field: 'label.app', value: 'payments', count: 1 }],
+      onlyB: [{ field: 'label.team', value: 'payments', count: 2 }],
+      shared: 0,
+    }]);
+  });
+});
+
+describe('patternDeltas', () => {
+  const ids = ({ added, removed }) => ({ added: added.map(p => p.id), removed: removed.map(p => p.id) });
+
+  test.each([
+    ['added and removed, most frequent first', patterns({ p1: 5, p2: 3 }), patterns({ p2: 1, p3: 2, p4: 9 }), { added: ['p4', 'p3'], removed: ['p1'] }],
+    ['nothing added when A was cut off', patterns({ p1: 5 }, 3), patterns({ p1: 5, p3: 2 }), { added: [], removed: [] }],
+    ['nothing removed when B was cut off', patterns({ p1: 5, p2: 3 }), patterns({ p2: 1 }, 2), { added: [], removed: [] }],
+    ['no changes between equal sides', patterns({ p1: 5 }), patterns({ p1: 8 }), { added: [], removed: [] }],
+    ['everything added when A has no documents', patterns({}), patterns({ p1: 1 }), { added: ['p1'], removed: [] }],
+  ])('finds %s', (_, a, b, want) => {
+    expect(ids(patternDeltas(a, b))).toEqual(want);
+  });
+});
+
+describe('previousPeriod', () => {
+  test('is the window of the same length before the range', () => {
+    expect(previousPeriod({ from: '2024-01-01T10:00:00.000Z', to: '2024-01-01T11:00:00.000Z' })).toEqual({
+      type: 'absolute',
+      from: '2024-01-01T09:00:00.000Z',
+      to: '2024-01-01T10:00:00.000Z',
+    });
+  });
+
+  test('is null for an open range', () => {
+    expect(previousPeriod({ from: null, to: '2024-01-01T11:00:00.000Z' })).toBeNull();
+    expect(previousPeriod({ from: '2024-01-01T10:00:00.000Z', to: null })).toBeNull();
+  });
+});
@@ -3,10 +3,51 @@ export const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'https://api.e
 
 export const API_ENDPOINTS = {
   search: '/api/search',
+  histogram: '/api/histogram',
+  facets: '/api/facets',
+  patterns: '/api/patterns',
+  tail: '/api/tail',
+  context: '/api/context',
+  documents: '/api/documents',
+  export: '/api/export',
+  suggest: '/api/suggest',
+  savedSearches: '/api/saved-searches',
+  indexStatus: '/api/index/status',
+  schema: '/api/schema',
+  adminFiles: '/api/admin/files',
+  adminReindex: '/api/admin/reindex',
+  alerts: '/api/alerts',
+  alertHistory: '/api/alerts/history',
 };
 
 export const getHeaders = () => {
   return {
     'Content-Type': 'application/json',
   };
-};
\ No newline at end of file
+};
+
+// The admin routes' token, asked for on the Ingest page and kept for the
+// browser session
+const ADMIN_TOKEN_KEY = 'apica-search-engine.adminToken';
+
+export const getAdminToken = () => {
+  try {
+    return window.sessionStorage.getItem(ADMIN_TOKEN_KEY) || '';
+  } catch (e) {
+    return '';
+  }
+};
+
+export const setAdminToken = (token) => {
+  try {
+    window.sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+  } catch (e) {
+    // Storage unavailable, e.g. private mode
+  }
+};
+
+// Headers of the admin routes, without Content-Type for uploads
+export const getAdminHeaders = (withContentType = true) => ({
+  ...(withContentType ? getHeaders() : {}),
+  Authorization: `Bearer ${getAdminToken()}`,
+});
@@ -0,0 +1,53 @@
+// services/displaySettings.js
+// How this browser shows the app: color mode, row density and the monospace
+// font of log text, persisted in localStorage.
+
+const STORAGE_KEY = 'apica-search-engine.displaySettings';
+
+// 'system' follows the operating system's light/dark preference
+export const COLOR_MODES = ['light', 'system', 'dark'];
+
+export const DENSITIES = ['comfortable', 'compact'];
+
+// Font stacks for log text; fonts that aren't installed fall back to the
+// next one in the stack
+export const MONOSPACE_FONTS = [
+  { key: 'system', label: 'System default', fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", monospace' },
+  { key: 'jetbrains', label: 'JetBrains Mono', fontFamily: '"JetBrains Mono", ui-monospace, monospace' },
+  { key: 'fira', label: 'Fira Code', fontFamily: '"Fira Code", "Fira Mono", ui-monospace, monospace' },
+  { key: 'source', label: 'Source Code Pro', fontFamily: '"Source Code Pro", source-code-pro, ui-monospace, monospace' },
+  { key: 'courier', label: 'Courier New', fontFamily: '"Courier New", Courier, monospace' },
+];
+
+export const DEFAULT_DISPLAY_SETTINGS = { mode: 'system', density: 'comfortable', font: 'system' };
+
+/**
+ * Read the saved settings, falling back to the defaults for missing or
+ * unknown values
+ * @returns {Object} - { mode, density, font }
+ */
+export const loadDisplaySettings = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      mode: COLOR_MODES.includes(saved.mode) ? saved.mode : DEFAULT_DISPLAY_SETTINGS.mode,
+      density: DENSITIES.includes(saved.density) ? saved.density : DEFAULT_DISPLAY_SETTINGS.density,
+      font: MONOSPACE_FONTS.some(font => font.key === saved.font) ? saved.font : DEFAULT_DISPLAY_SETTINGS.font,
+    };
+  } catch (e) {
+    // Storage is unavailable
+    return { ...DEFAULT_DISPLAY_SETTINGS };
+  }
+};
+
+/**
+ * Save the settings for the next visit
+ * @param {Object} settings - { mode, density, font }
+ */
+export const saveDisplaySettings = (settings) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // Storage is full or disabled; the settings only last for this visit
+  }
+};
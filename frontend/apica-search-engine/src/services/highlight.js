@@ -0,0 +1,60 @@
+// services/highlight.js
+// Splits display text around the terms the server reported as matches
+// (SearchResult.highlights), so rows can mark why they matched.
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches start at a word, as the server reports whole tokens: 'in' isn't
+// marked inside 'main'
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+// Rest of a word after a stemmed token, e.g. the 'ed' of 'refused' for 'refus'
+const WORD_REST = '[\\p{L}\\p{N}]*';
+// Punctuation and whitespace between the words of a phrase
+const WORD_GAP = '[^\\p{L}\\p{N}]+';
+
+/**
+ * Build a case-insensitive pattern for matched terms. Terms may be stems, so
+ * each one extends to the end of its word. Phrases arrive as space-joined
+ * tokens and may span any punctuation or whitespace in the displayed text.
+ * @param {string[]} terms - Matched terms and phrases
+ * @returns {RegExp|null} - Pattern, or null when there is nothing to highlight
+ */
+export const buildHighlightPattern = (terms) => {
+  if (!terms || terms.length === 0) return null;
+  const alternatives = [...terms]
+    .filter(term => term)
+    .sort((a, b) => b.length - a.length) // Prefer the longest match, e.g. a phrase over its first word
+    .map(term => WORD_START + term.split(' ').map(token => escapeRegExp(token) + WORD_REST).join(WORD_GAP));
+  if (alternatives.length === 0) return null;
+  return new RegExp(`(${alternatives.join('|')})`, 'giu');
+};
+
+/**
+ * Split text into plain and highlighted segments
+ * @param {string} text - Text to display
+ * @param {RegExp|null} pattern - Pattern from buildHighlightPattern
+ * @returns {Array} - [{ text, match }] in order
+ */
+export const splitHighlights = (text, pattern) => {
+  if (!text || !pattern) return [{ text: text || '', match: false }];
+
+  const segments = [];
+  let last = 0;
+  pattern.lastIndex = 0;
+  let found;
+  while ((found = pattern.exec(text)) !== null) {
+    if (found[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    if (found.index > last) {
+      segments.push({ text: text.slice(last, found.index), match: false });
+    }
+    segments.push({ text: found[0], match: true });
+    last = found.index + found[0].length;
+  }
+  if (last < text.length) {
+    segments.push({ text: text.slice(last), match: false });
+  }
+  return segments;
+};
@@ -0,0 +1,38 @@
+import { buildHighlightPattern, splitHighlights } from './highlight';
+
+// The highlighted parts of text for the server's matched terms
+const marked = (text, terms) => splitHighlights(text, buildHighlightPattern(terms))
+  .filter(segment => segment.match)
+  .map(segment => segment.text);
+
+describe('splitHighlights', () => {
+  test.each([
+    ['whole words only', 'main login failed: error in terror', ['in', 'error'], ['error', 'in']],
+    ['case-insensitively', 'ERROR: Error error', ['error'], ['ERROR', 'Error', 'error']],
+    ['stems to the end of their word', 'refused, timeouts and retrying', ['refus', 'timeout', 'retry'], ['refused', 'timeouts', 'retrying']],
+    ['stems only from a word start', 'unrefused', ['refus'], []],
+    ['words after punctuation', 'com.example.PaymentService=down', ['paymentservice'], ['PaymentService']],
+    ['compound terms', 'at com.example.PaymentService', ['com.example.paymentservice'], ['com.example.PaymentService']],
+    ['phrases across punctuation', 'connection: refused by host', ['connection refus'], ['connection: refused']],
+    ['phrases before their first word', 'connection refused, connection reset', ['connection', 'connection refus'], ['connection refused', 'connection']],
+    ['phrases only from a word start', 'reconnection refused', ['connection refus'], []],
+    ['terms with regexp characters', 'cost is $5 (approx.)', ['5', 'approx'], ['5', 'approx']],
+    ['letters other than ASCII', 'échec de la requête', ['échec', 'requête'], ['échec', 'requête']],
+  ])('marks %s', (_, text, terms, want) => {
+    expect(marked(text, terms)).toEqual(want);
+  });
+
+  test('keeps the text whole', () => {
+    const text = 'main login failed: error in terror';
+    const segments = splitHighlights(text, buildHighlightPattern(['in', 'error']));
+    expect(segments.map(segment => segment.text).join('')).toBe(text);
+    expect(segments).toContainEqual({ text: 'main login failed: ', match: false });
+  });
+
+  test('leaves text alone without terms', () => {
+    expect(buildHighlightPattern([])).toBeNull();
+    expect(buildHighlightPattern([''])).toBeNull();
+    expect(splitHighlights('error', null)).toEqual([{ text: 'error', match: false }]);
+    expect(splitHighlights(undefined, null)).toEqual([{ text: '', match: false }]);
+  });
+});
@@ -0,0 +1,105 @@
+// services/jsonPath.js
+// Fields addressing a path in one of a document's JSON columns, e.g.
+// raw.kubernetes.pod_name for kubernetes.pod_name in MessageRaw. The server
+// accepts them in queries like indexed fields; the results table shows them
+// as columns.
+
+// JSON columns by the prefix of their path fields
+export const JSON_COLUMNS = {
+  raw: { key: 'MessageRaw', label: 'MessageRaw' },
+  structured: { key: 'StructuredData', label: 'StructuredData' },
+  groupings: { key: 'Groupings', label: 'Groupings' },
+};
+
+// Keys that can't be written in a query field name
+const UNQUERYABLE_KEY = /[\s:()".]/;
+
+/**
+ * Whether a field is a path into a JSON column
+ * @param {string} field - Field name
+ * @returns {boolean}
+ */
+export const isJsonPathField = (field) => {
+  const [prefix, ...keys] = field.split('.');
+  return !!JSON_COLUMNS[prefix] && keys.length > 0 && keys.every(Boolean);
+};
+
+/**
+ * Field name of a path into a JSON column
+ * @param {string} prefix - Key of JSON_COLUMNS, e.g. 'raw'
+ * @param {Array} keys - Keys and array indexes down to the value
+ * @returns {string|null} - e.g. 'raw.kubernetes.pod_name', or null if a key
+ *   can't be written in a query
+ */
+export const jsonPathField = (prefix, keys) => {
+  if (keys.length === 0 || keys.some(key => key === '' || UNQUERYABLE_KEY.test(String(key)))) {
+    return null;
+  }
+  return [prefix, ...keys].join('.').toLowerCase();
+};
+
+// Find a key case-insensitively, as query field names are lowercased
+const childOf = (object, key) => {
+  if (key in object) return [object[key]];
+  return Object.keys(object)
+    .filter(name => name.toLowerCase() === key.toLowerCase())
+    .map(name => object[name]);
+};
+
+/**
+ * Values at a path field in a document. As on the server, a number indexes
+ * into an array and any other key applies to each of its elements.
+ * @param {Object} result - Document
+ * @param {string} field - Path field, e.g. 'raw.kubernetes.pod_name'
+ * @returns {Array} - The values found
+ */
+export const getJsonPathValues = (result, field) => {
+  const [prefix, ...keys] = field.split('.');
+  const column = JSON_COLUMNS[prefix];
+  if (!column || !result[column.key]) return [];
+
+  let root;
+  try {
+    root = JSON.parse(result[column.key]);
+  } catch (e) {
+    return [];
+  }
+
+  const values = [];
+  const walk = (node, path) => {
+    if (node === null || node === undefined) return;
+    if (path.length === 0) {
+      values.push(...(Array.isArray(node) ? node : [node]));
+      return;
+    }
+    const [key, ...rest] = path;
+    if (Array.isArray(node)) {
+      if (/^\d+$/.test(key)) {
+        walk(node[Number(key)], rest);
+      } else {
+        node.forEach(item => walk(item, path));
+      }
+    } else if (typeof node === 'object') {
+      childOf(node, key).forEach(child => walk(child, rest));
+    }
+  };
+  walk(root, keys);
+  return values;
+};
+
+/**
+ * Value of a path field as a single line of text
+ * @param {Object} result - Document
+ * @param {string} field - Path field
+ * @returns {string} - The values, comma-separated
+ */
+export const formatJsonPathValue = (result, field) => getJsonPathValues(result, field)
+  .map(value => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value)))
+  .join(', ');
+
+/**
+ * Results table column showing a path field
+ * @param {string} field - Path field
+ * @returns {Object} - { key, label, width, visible }
+ */
+export const jsonPathColumn = (field) => ({ key: field, label: field, width: 160, visible: true });
@@ -0,0 +1,296 @@
+// services/queryParser.js
+// Parses the search query syntax into the AST understood by /api/search.
+//
+// Syntax: free text terms, "quoted phrases", field prefixes (level:ERROR,
+// pod:api-*), AND / OR / NOT (or a leading -), and parentheses. Adjacent
+// terms are combined with AND.
+
+import { isJsonPathField } from './jsonPath';
+
+// Kubernetes label fields are written as label.<key>, e.g. label.app:payments
+export const LABEL_FIELD_PREFIX = 'label.';
+
+// Fields accepted in queries, those of the server's default schema until
+// setQueryFields is called with the one it uses. Fields read from JSON can
+// hold objects, whose keys are queried as <field>.<key>.
+let queryFields = ['level', 'namespace', 'pod', 'container', 'host', 'label', 'tag', 'sender', 'event'];
+let queryFieldPrefixes = [LABEL_FIELD_PREFIX];
+
+/**
+ * Accept the fields a schema indexes in queries
+ * @param {Object} schema - Schema from fetchSchema
+ */
+export const setQueryFields = (schema) => {
+  const indexed = (schema.fields || []).filter(field => field.indexed);
+  queryFields = indexed.map(field => field.name);
+  queryFieldPrefixes = indexed.filter(field => field.path).map(field => `${field.name}.`);
+};
+
+// Paths into the JSON columns (raw.kubernetes.pod_name:api-1) are accepted
+// whatever the schema
+export const isQueryField = (field) =>
+  queryFields.includes(field) ||
+  queryFieldPrefixes.some(prefix => field.startsWith(prefix) && field.length > prefix.length) ||
+  isJsonPathField(field);
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+
+const isSpace = (ch) => /\s/.test(ch);
+const isDelimiter = (ch) => isSpace(ch) || ch === '(' || ch === ')' || ch === '"';
+
+// Split a query string into tokens. A word followed by ':' is a field prefix
+// only when it names a query field; other colons are text.
+const lex = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (isSpace(ch)) {
+      i++;
+    } else if (ch === '(') {
+      tokens.push({ type: 'lparen', pos: i });
+      i++;
+    } else if (ch === ')') {
+      tokens.push({ type: 'rparen', pos: i });
+      i++;
+    } else if (ch === '-' && i + 1 < input.length && !isSpace(input[i + 1]) && input[i + 1] !== ')') {
+      // A leading dash negates the following term, phrase or group
+      tokens.push({ type: 'not', pos: i });
+      i++;
+    } else if (ch === '"') {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && i + 1 < input.length) {
+          i++;
+        }
+        value += input[i];
+        i++;
+      }
+      if (i >= input.length) {
+        throw new QuerySyntaxError('unterminated quoted phrase', start);
+      }
+      i++; // closing quote
+      tokens.push({ type: 'phrase', value, pos: start });
+    } else {
+      const start = i;
+      while (i < input.length && !isDelimiter(input[i]) && input[i] !== ':') {
+        i++;
+      }
+      let word = input.slice(start, i);
+      if (input[i] === ':') {
+        if (isQueryField(word.toLowerCase())) {
+          i++;
+          tokens.push({ type: 'field', value: word.toLowerCase(), pos: start });
+          continue;
+        }
+        // Not a field: the colon is part of the term, e.g. 12:30:05,
+        // http://svc/health or error:timeout
+        while (i < input.length && !isDelimiter(input[i])) {
+          i++;
+        }
+        word = input.slice(start, i);
+      }
+      if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        tokens.push({ type: word.toLowerCase(), pos: start });
+      } else {
+        tokens.push({ type: 'word', value: word, pos: start });
+      }
+    }
+  }
+
+  return tokens;
+};
+
+// Recursive descent parser: or -> and ("OR" and)*, and -> unary (["AND"] unary)*,
+// unary -> "NOT" unary | primary
+const parseTokens = (tokens, length) => {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const fail = (token, message) => {
+    throw new QuerySyntaxError(message, token ? token.pos : length);
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) fail(null, 'unexpected end of query');
+    pos++;
+
+    switch (token.type) {
+      case 'lparen': {
+        const node = parseOr();
+        const closing = peek();
+        if (!closing || closing.type !== 'rparen') fail(token, 'missing closing parenthesis');
+        pos++;
+        return node;
+      }
+      case 'field': {
+        const value = peek();
+        if (!value || (value.type !== 'word' && value.type !== 'phrase')) {
+          fail(token, `missing value for field "${token.value}"`);
+        }
+        pos++;
+        return {
+          op: value.type === 'phrase' ? 'PHRASE' : 'TERM',
+          field: token.value,
+          value: value.value,
+        };
+      }
+      case 'word':
+        return { op: 'TERM', value: token.value };
+      case 'phrase':
+        if (!token.value.trim()) fail(token, 'empty phrase');
+        return { op: 'PHRASE', value: token.value };
+      case 'rparen':
+        return fail(token, 'unexpected closing parenthesis');
+      default:
+        return fail(token, 'unexpected operator');
+    }
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token && token.type === 'not') {
+      pos++;
+      return { op: 'NOT', children: [parseUnary()] };
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    for (let token = peek(); token && token.type !== 'or' && token.type !== 'rparen'; token = peek()) {
+      if (token.type === 'and') pos++;
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { op: 'AND', children };
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    for (let token = peek(); token && token.type === 'or'; token = peek()) {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { op: 'OR', children };
+  };
+
+  const ast = parseOr();
+  if (peek()) fail(peek(), 'unexpected closing parenthesis');
+  return ast;
+};
+
+/**
+ * Parse a query string into an AST
+ * @param {string} input - Query string
+ * @returns {Object} - { ast, error } where error is { message, position } or null
+ */
+export const parseQuery = (input) => {
+  try {
+    const tokens = lex(input);
+    if (tokens.length === 0) {
+      return { ast: null, error: { message: 'empty query', position: 0 } };
+    }
+    return { ast: parseTokens(tokens, input.length), error: null };
+  } catch (e) {
+    if (e instanceof QuerySyntaxError) {
+      return { ast: null, error: { message: e.message, position: e.position } };
+    }
+    throw e;
+  }
+};
+
+/**
+ * Quote a value so it is matched exactly as a field value
+ * @param {string} value - Raw value
+ * @returns {string} - Quoted value with quotes and backslashes escaped
+ */
+export const quoteValue = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * Find the word being typed at the cursor, for autocomplete. A word is a
+ * free text term or a field name, or a field value after "field:". Quoted
+ * phrases aren't completed.
+ * @param {string} query - Query string
+ * @param {number} cursor - Cursor position in the query
+ * @returns {Object|null} - { start, end, field, prefix }, field being null for terms and field names
+ */
+export const wordAtCursor = (query, cursor) => {
+  const isBoundary = (ch) => /[\s()]/.test(ch);
+  let start = cursor;
+  while (start > 0 && !isBoundary(query[start - 1])) start--;
+  let end = cursor;
+  while (end < query.length && !isBoundary(query[end])) end++;
+
+  // A leading - negates the word and isn't part of it
+  if (query[start] === '-' && start < cursor) start++;
+  const word = query.slice(start, cursor);
+  if (word.startsWith('"')) return null;
+
+  const colon = word.indexOf(':');
+  if (colon < 0) {
+    return { start, end, field: null, prefix: word };
+  }
+  const field = word.slice(0, colon).toLowerCase();
+  if (!isQueryField(field)) return null;
+  return { start, end, field, prefix: word.slice(colon + 1).replace(/^"/, '') };
+};
+
+/**
+ * Replace the word at the cursor with an accepted suggestion
+ * @param {string} query - Query string
+ * @param {Object} word - Word from wordAtCursor
+ * @param {Object} suggestion - { type: 'field'|'value'|'term', field, value }
+ * @returns {Object} - { query, cursor } after the completion
+ */
+export const applySuggestion = (query, word, suggestion) => {
+  let text;
+  if (suggestion.type === 'field') {
+    text = `${suggestion.value}:`;
+  } else if (suggestion.type === 'value') {
+    const value = /^[^\s()":-][^\s()":]*$/.test(suggestion.value) ? suggestion.value : quoteValue(suggestion.value);
+    text = `${suggestion.field}:${value} `;
+  } else {
+    text = `${suggestion.value} `;
+  }
+
+  // Reuse the space after the word when completing in the middle of a query
+  let rest = query.slice(word.end);
+  if (text.endsWith(' ') && rest.startsWith(' ')) {
+    rest = rest.slice(1);
+  }
+  const before = query.slice(0, word.start) + text;
+  return { query: before + rest, cursor: before.length };
+};
+
+/**
+ * Add an include or exclude field filter to a query string
+ * @param {string} query - Current query string
+ * @param {string} field - Field to filter on
+ * @param {string} value - Exact field value
+ * @param {boolean} exclude - Exclude the value instead of requiring it
+ * @returns {string} - Query string with the filter ANDed on
+ */
+export const addFilterToQuery = (query, field, value, exclude = false) => {
+  const filter = `${exclude ? '-' : ''}${field}:${quoteValue(value)}`;
+  const trimmed = query.trim();
+  if (!trimmed) {
+    return filter;
+  }
+  if (` ${trimmed} `.includes(` ${filter} `)) {
+    return trimmed;
+  }
+
+  // Group an OR query so the filter applies to the whole of it
+  const { ast } = parseQuery(trimmed);
+  const base = ast && ast.op === 'OR' ? `(${trimmed})` : trimmed;
+  return `${base} ${filter}`;
+};
@@ -0,0 +1,33 @@
+import { parseQuery } from './queryParser';
+
+describe('parseQuery', () => {
+  test.each([
+    ['level:ERROR', { op: 'TERM', field: 'level', value: 'ERROR' }],
+    ['Level:ERROR', { op: 'TERM', field: 'level', value: 'ERROR' }],
+    ['pod:"api 1"', { op: 'PHRASE', field: 'pod', value: 'api 1' }],
+    ['a b', { op: 'AND', children: [{ op: 'TERM', value: 'a' }, { op: 'TERM', value: 'b' }] }],
+    ['a OR -b', { op: 'OR', children: [{ op: 'TERM', value: 'a' }, { op: 'NOT', children: [{ op: 'TERM', value: 'b' }] }] }],
+    ['raw.kubernetes.pod_name:api-1', { op: 'TERM', field: 'raw.kubernetes.pod_name', value: 'api-1' }],
+    // Colons that don't follow a query field are part of the term
+    ['12:30:05', { op: 'TERM', value: '12:30:05' }],
+    ['http://svc/health', { op: 'TERM', value: 'http://svc/health' }],
+    ['error:timeout', { op: 'TERM', value: 'error:timeout' }],
+    ['level:ERROR at 12:30', {
+      op: 'AND',
+      children: [{ op: 'TERM', field: 'level', value: 'ERROR' }, { op: 'TERM', value: 'at' }, { op: 'TERM', value: '12:30' }],
+    }],
+  ])('%s', (query, ast) => {
+    expect(parseQuery(query)).toEqual({ ast, error: null });
+  });
+
+  test.each([
+    ['(a', 0],
+    ['a)', 1],
+    ['"abc', 0],
+    ['level:', 0],
+    ['a AND', 5],
+    ['""', 0],
+  ])('reports the position of the error in %s', (query, position) => {
+    expect(parseQuery(query).error.position).toBe(position);
+  });
+});
@@ -0,0 +1,56 @@
+// services/schema.js
+// Helpers for the schema the server reads documents with (/api/schema):
+// which fields documents have, how they are labelled and where their values
+// are. Fields marked indexed are in a document's Fields, the others in its
+// Attributes.
+
+/**
+ * Fields of a schema, once per name in mapping order
+ * @param {Object} schema - Schema from fetchSchema
+ * @returns {Array} - [{ name, label, indexed, ... }]
+ */
+export const schemaFields = (schema) => {
+  const seen = new Set();
+  return (schema.fields || []).filter(field => {
+    if (seen.has(field.name)) return false;
+    seen.add(field.name);
+    return true;
+  });
+};
+
+/**
+ * Label to show for a field
+ * @param {Object} field - Schema field
+ * @returns {string} - Its label, or its capitalized name
+ */
+export const fieldLabel = (field) => field.label || field.name.charAt(0).toUpperCase() + field.name.slice(1);
+
+/**
+ * Value of a field of a document. Fields read from a JSON object (e.g. the
+ * Kubernetes labels) are stored as <name>.<key> and returned as an object.
+ * @param {Object} result - Document
+ * @param {string} name - Field name
+ * @returns {string|Object|undefined} - The value, { key: value } for object fields
+ */
+export const getFieldValue = (result, name) => {
+  const fields = { ...(result.Attributes || {}), ...(result.Fields || {}) };
+  if (fields[name]) return fields[name];
+
+  const prefix = `${name}.`;
+  const entries = Object.entries(fields)
+    .filter(([key]) => key.startsWith(prefix))
+    .map(([key, value]) => [key.slice(prefix.length), value]);
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+};
+
+/**
+ * Field value as a single line of text
+ * @param {string|Object|undefined} value - Value from getFieldValue
+ * @returns {string} - The text, key=value pairs for object fields
+ */
+export const formatFieldValue = (value) => {
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, item]) => `${key}=${item}`).join(', ');
+  }
+  return value || '';
+};
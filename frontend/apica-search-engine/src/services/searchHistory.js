@@ -0,0 +1,52 @@
+// services/searchHistory.js
+// Recent searches of this browser, kept in localStorage for the history
+// dropdown. Saved searches shared with the team live on the server.
+
+const STORAGE_KEY = 'apica-search-engine.searchHistory';
+
+// Number of recent searches kept
+export const MAX_HISTORY_ENTRIES = 20;
+
+/**
+ * Read the recent searches, newest first
+ * @returns {Array} - [{ query, timeRange, searchedAt }]
+ */
+export const loadSearchHistory = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter(entry => entry && entry.query) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const saveSearchHistory = (history) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch (e) {
+    // Storage is full or disabled; history only lasts for this visit
+  }
+};
+
+/**
+ * Record a search, moving it to the top if the same query ran before
+ * @param {Object} entry - { query, timeRange }
+ * @returns {Array} - The updated history
+ */
+export const addToSearchHistory = ({ query, timeRange }) => {
+  const history = [
+    { query, timeRange, searchedAt: new Date().toISOString() },
+    ...loadSearchHistory().filter(entry => entry.query !== query),
+  ].slice(0, MAX_HISTORY_ENTRIES);
+  saveSearchHistory(history);
+  return history;
+};
+
+/**
+ * Forget every recent search
+ * @returns {Array} - The now empty history
+ */
+export const clearSearchHistory = () => {
+  saveSearchHistory([]);
+  return [];
+};
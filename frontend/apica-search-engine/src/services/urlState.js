@@ -0,0 +1,107 @@
+// services/urlState.js
+// Reads and writes the search state (query, time range, sort, match mode,
+// expanded result, compared search) in the URL query string so searches can
+// be shared and bookmarked.
+
+const DEFAULT_SORT = 'timestamp:desc';
+export const DEFAULT_MATCH_MODE = 'exact';
+
+// Window around a deep-linked log line, so its neighbours show up too
+const DEEP_LINK_WINDOW_MS = 5 * 60 * 1000;
+
+const validDate = (value) => (value && !Number.isNaN(Date.parse(value)) ? value : null);
+
+// Read a time range from range/from/to params; suffix picks those of the
+// compared search (range2, from2, to2)
+const readTimeRange = (params, suffix = '') => {
+  if (params.get(`range${suffix}`)) {
+    return { type: 'relative', value: params.get(`range${suffix}`) };
+  }
+  // Bounds that aren't dates, e.g. from a mistyped link, are left out
+  const from = validDate(params.get(`from${suffix}`));
+  const to = validDate(params.get(`to${suffix}`));
+  if (from || to) {
+    return { type: 'absolute', from, to };
+  }
+  return { type: 'all' };
+};
+
+const writeTimeRange = (params, timeRange, suffix = '') => {
+  if (timeRange && timeRange.type === 'relative') {
+    params.set(`range${suffix}`, timeRange.value);
+  } else if (timeRange && timeRange.type === 'absolute') {
+    if (timeRange.from) params.set(`from${suffix}`, timeRange.from);
+    if (timeRange.to) params.set(`to${suffix}`, timeRange.to);
+  }
+};
+
+/**
+ * Read the search state from a URL query string
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} - { query, timeRange, sort, match, expandedId, compare }, compare
+ *   being the { query, timeRange } the search is compared with, or null
+ */
+export const readUrlState = (search) => {
+  const params = new URLSearchParams(search);
+
+  return {
+    query: params.get('q') || '',
+    timeRange: readTimeRange(params),
+    sort: params.get('sort') || DEFAULT_SORT,
+    match: params.get('match') || DEFAULT_MATCH_MODE,
+    expandedId: params.get('id') || null,
+    compare: params.has('compare')
+      ? { query: params.get('q2') || '', timeRange: readTimeRange(params, '2') }
+      : null,
+  };
+};
+
+/**
+ * Build a URL query string from the search state
+ * @param {Object} state - { query, timeRange, sort, match, expandedId, compare }
+ * @returns {string} - Query string including the leading '?', or '' when empty
+ */
+export const buildUrlSearch = ({ query, timeRange, sort, match, expandedId, compare }) => {
+  const params = new URLSearchParams();
+  if (query) {
+    params.set('q', query);
+  }
+  writeTimeRange(params, timeRange);
+  if (sort && sort !== DEFAULT_SORT) {
+    params.set('sort', sort);
+  }
+  if (match && match !== DEFAULT_MATCH_MODE) {
+    params.set('match', match);
+  }
+  if (expandedId) {
+    params.set('id', expandedId);
+  }
+  if (compare) {
+    params.set('compare', '1');
+    if (compare.query) params.set('q2', compare.query);
+    writeTimeRange(params, compare.timeRange, '2');
+  }
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+/**
+ * Build an absolute link to a single log line: the query, a time window
+ * around the line and the line expanded
+ * @param {Object} result - Document to link to
+ * @param {string} query - Query the document was found with
+ * @returns {string} - Shareable URL
+ */
+export const buildResultLink = (result, query) => {
+  const timestampMs = result.Timestamp ? Math.floor(result.Timestamp / 1e6) : null;
+  const timeRange = timestampMs
+    ? {
+        type: 'absolute',
+        from: new Date(timestampMs - DEEP_LINK_WINDOW_MS).toISOString(),
+        to: new Date(timestampMs + DEEP_LINK_WINDOW_MS).toISOString(),
+      }
+    : null;
+
+  const search = buildUrlSearch({ query, timeRange, expandedId: result.ID });
+  return `${window.location.origin}${window.location.pathname}${search}`;
+};
@@ -0,0 +1,33 @@
+import { readUrlState, buildUrlSearch } from './urlState';
+
+describe('readUrlState', () => {
+  test('reads an absolute time range', () => {
+    expect(readUrlState('?q=error&from=2024-01-01T00:00:00.000Z&to=2024-01-02T00:00:00.000Z').timeRange).toEqual({
+      type: 'absolute',
+      from: '2024-01-01T00:00:00.000Z',
+      to: '2024-01-02T00:00:00.000Z',
+    });
+  });
+
+  test('leaves out bounds that are not dates', () => {
+    expect(readUrlState('?q=error&from=foo').timeRange).toEqual({ type: 'all' });
+    expect(readUrlState('?q=error&from=foo&to=2024-01-02T00:00:00.000Z').timeRange).toEqual({
+      type: 'absolute',
+      from: null,
+      to: '2024-01-02T00:00:00.000Z',
+    });
+    expect(readUrlState('?q=error&compare=1&from2=bar&to2=baz').compare).toEqual({ query: '', timeRange: { type: 'all' } });
+  });
+
+  test('round-trips through buildUrlSearch', () => {
+    const state = {
+      query: 'level:ERROR timeout',
+      timeRange: { type: 'relative', value: '1h' },
+      sort: 'relevance',
+      match: 'prefix',
+      expandedId: 'a.parquet:3',
+      compare: { query: 'timeout', timeRange: { type: 'absolute', from: '2024-01-01T00:00:00.000Z', to: null } },
+    };
+    expect(readUrlState(buildUrlSearch(state))).toEqual(state);
+  });
+});
@@ -1,29 +1,100 @@
 import { createTheme } from '@mui/material/styles';
+import { MONOSPACE_FONTS } from './services/displaySettings';
 
-const theme = createTheme({
-  palette: {
-    primary: {
-      main: '#1976d2',
-    },
-    secondary: {
-      main: '#dc004e',
-    },
+// Colors of the log views, beyond MUI's palette. Components refer to them as
+// palette paths in sx props, e.g. bgcolor: 'logs.rowOdd'.
+const LOG_COLORS = {
+  light: {
+    rowEven: '#ffffff',
+    rowOdd: '#f9f9f9',
+    rowHover: '#f0f0f0',
+    expandedEven: '#f8f8f8',
+    expandedOdd: '#f2f2f2',
+    header: '#fafafa',
+    highlight: '#ffe082',
+    anchor: '#fff3cd',
+    token: '#1565c0',
+    tokenBackground: '#e3f2fd',
   },
-  typography: {
-    fontFamily: '"Roboto", "Helvetica", "Arial", sans-serif',
-    button: {
-      textTransform: 'none',
-    },
+  dark: {
+    rowEven: '#121212',
+    rowOdd: '#181818',
+    rowHover: '#242424',
+    expandedEven: '#1c1c1c',
+    expandedOdd: '#202020',
+    header: '#1a1a1a',
+    highlight: '#8d6e00',
+    anchor: '#4a3b12',
+    token: '#90caf9',
+    tokenBackground: '#0d2a45',
+  },
+};
+
+// Log level colors, see getLevelColor. Dark mode uses lighter shades so they
+// keep their contrast.
+export const LEVEL_COLORS = {
+  light: {
+    ERROR: '#f44336',
+    WARN: '#ff9800',
+    INFO: '#2196f3',
+    DEBUG: '#4caf50',
+    TRACE: '#9e9e9e',
+    default: '#757575',
+  },
+  dark: {
+    ERROR: '#ef5350',
+    WARN: '#ffb74d',
+    INFO: '#64b5f6',
+    DEBUG: '#81c784',
+    TRACE: '#bdbdbd',
+    default: '#9e9e9e',
   },
-  components: {
-    MuiButton: {
-      styleOverrides: {
-        root: {
-          borderRadius: 8,
+};
+
+// Row height and text size of the results table per density
+const DENSITY = {
+  comfortable: { rowHeight: 40, fontSize: '0.875rem' },
+  compact: { rowHeight: 28, fontSize: '0.8rem' },
+};
+
+/**
+ * Build the app theme for the display settings
+ * @param {Object} settings - { mode: 'light'|'dark', density, font }, with
+ *   'system' already resolved to light or dark
+ * @returns {Object} - MUI theme
+ */
+export const createAppTheme = ({ mode = 'light', density = 'comfortable', font = 'system' } = {}) => {
+  const monospace = MONOSPACE_FONTS.find(f => f.key === font) || MONOSPACE_FONTS[0];
+
+  return createTheme({
+    palette: {
+      mode,
+      primary: {
+        main: mode === 'dark' ? '#90caf9' : '#1976d2',
+      },
+      secondary: {
+        main: mode === 'dark' ? '#f48fb1' : '#dc004e',
+      },
+      logs: LOG_COLORS[mode],
+      level: LEVEL_COLORS[mode],
+    },
+    typography: {
+      fontFamily: '"Roboto", "Helvetica", "Arial", sans-serif',
+      // Log text; sx props use it as fontFamily: 'fontFamilyMonospace'
+      fontFamilyMonospace: monospace.fontFamily,
+      button: {
+        textTransform: 'none',
+      },
+    },
+    density: DENSITY[density] || DENSITY.comfortable,
+    components: {
+      MuiButton: {
+        styleOverrides: {
+          root: {
+            borderRadius: 8,
+          },
         },
       },
     },
-  },
-});
-
-export default theme;
\ No newline at end of file
+  });
+};